@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Backfill or repair the hourly and daily call rollups from the calls
+ * collection. Whole UTC days are rebuilt.
+ *
+ *   node scripts/rebuild-rollups.js --from 2024-01-01 --to 2024-02-01
+ *
+ * Options:
+ *   --from          first day to rebuild (default: 30 days ago)
+ *   --to            rebuild up to this moment (default: now)
+ *   --organization  only this organization id
+ *   --campaign      only this campaign id
+ *
+ * Calls that change while the rebuild runs may need another pass; run it
+ * during a quiet period for large ranges.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildRollups } = require('../src/services/callRollups');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date`);
+  }
+  return date;
+};
+
+const parseId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error(`--${name} must be an id`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const to = args.to ? parseDate(args.to, 'to') : new Date();
+  const from = args.from ? parseDate(args.from, 'from') : new Date(to.getTime() - 30 * DAY_MS);
+  if (from >= to) throw new Error('--from must be before --to');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/callflow-pro', {
+    serverSelectionTimeoutMS: 10000
+  });
+
+  try {
+    const result = await rebuildRollups({
+      from,
+      to,
+      organizationId: args.organization ? parseId(args.organization, 'organization') : undefined,
+      campaignId: args.campaign ? parseId(args.campaign, 'campaign') : undefined
+    });
+    console.log(`Rebuilt rollups ${result.start.toISOString()} → ${result.end.toISOString()}`);
+    console.log(`  ${result.calls} call snapshot(s) reset, ${result.removed} old bucket(s) removed`);
+    console.log(`  ${result.buckets.hour} hourly and ${result.buckets.day} daily bucket(s) written`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
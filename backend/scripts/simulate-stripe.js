@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Replay a subscription lifecycle as signed Stripe webhooks against a
+ * running server, e.g. to walk an account through a failed payment, its
+ * grace period and recovery without a real Stripe account.
+ *
+ *   node scripts/simulate-stripe.js --customer cus_123 --user <userId> \
+ *     --statuses active,past_due,unpaid,active,canceled
+ *
+ * Options:
+ *   --url           server base URL (default http://localhost:$PORT)
+ *   --customer      Stripe customer id (required)
+ *   --user          user id, used when the customer is not linked yet
+ *   --plan          premium | enterprise (default premium)
+ *   --statuses      comma-separated subscription statuses
+ *                   (default active,past_due,unpaid,active)
+ *   --subscription  subscription id to reuse (default random)
+ *   --fail-invoice  also send invoice.payment_failed when a status is past_due
+ *   --shuffle       send events in random order
+ *   --duplicate     send every event twice
+ */
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const { PLANS } = require('../src/services/billing');
+
+const DAY = 24 * 60 * 60;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const post = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+  }, (response) => {
+    let data = '';
+    response.on('data', (chunk) => { data += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: data }));
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const buildSubscription = ({ id, customer, user, plan, priceId, status, periodStart }) => ({
+  id,
+  object: 'subscription',
+  customer,
+  status,
+  cancel_at_period_end: false,
+  current_period_start: periodStart,
+  current_period_end: periodStart + 30 * DAY,
+  metadata: { userId: user, plan },
+  items: { object: 'list', data: [{ id: `si_${id.slice(4)}`, price: { id: priceId } }] }
+});
+
+const buildEvent = (type, object, created) => ({
+  id: randomId('evt'),
+  object: 'event',
+  type,
+  created,
+  data: { object }
+});
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const plan = args.plan || 'premium';
+
+  if (!args.customer) throw new Error('--customer <Stripe customer id> is required');
+  if (!process.env.STRIPE_WEBHOOK_SECRET) throw new Error('STRIPE_WEBHOOK_SECRET must be set to sign events');
+  if (!PLANS[plan] || plan === 'basic') throw new Error('--plan must be premium or enterprise');
+
+  const priceId = PLANS[plan].priceId() || `price_simulated_${plan}`;
+  const baseUrl = (args.url || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const statuses = (args.statuses || 'active,past_due,unpaid,active').split(',');
+  const id = args.subscription || randomId('sub');
+
+  // One event a minute, ending now, so their order is visible in `created`
+  const start = Math.floor(Date.now() / 1000) - statuses.length * 60;
+  let events = statuses.flatMap((status, index) => {
+    const created = start + index * 60;
+    const subscription = buildSubscription({
+      id, customer: args.customer, user: args.user, plan, priceId, status, periodStart: start
+    });
+    const type = index === 0
+      ? 'customer.subscription.created'
+      : status === 'canceled' ? 'customer.subscription.deleted' : 'customer.subscription.updated';
+    const sequence = [buildEvent(type, subscription, created)];
+
+    if (status === 'past_due' && args['fail-invoice']) {
+      sequence.unshift(buildEvent('invoice.payment_failed', {
+        id: randomId('in'),
+        object: 'invoice',
+        customer: args.customer,
+        subscription: id,
+        amount_due: 9900,
+        currency: 'usd',
+        next_payment_attempt: created + 3 * DAY
+      }, created));
+    }
+    return sequence;
+  });
+
+  if (args.shuffle) events = events.sort(() => Math.random() - 0.5);
+  if (args.duplicate) events = events.flatMap((event) => [event, event]);
+
+  console.log(`💳 Replaying ${events.length} Stripe events for ${id}`);
+  for (const event of events) {
+    const body = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({
+      payload: body,
+      secret: process.env.STRIPE_WEBHOOK_SECRET
+    });
+    const response = await post(`${baseUrl}/api/webhooks/stripe`, body, {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature
+    });
+    const label = event.data.object.status || event.type;
+    console.log(`  ${label.padEnd(22)} → ${response.status} ${response.body}`);
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Replay a sequence of signed telephony status callbacks against a running
+ * server, e.g. to exercise out-of-order or duplicated delivery.
+ *
+ *   node scripts/simulate-telephony.js --to +15551234567 --shuffle --duplicate
+ *
+ * Options:
+ *   --provider   twilio | generic (default twilio)
+ *   --url        server base URL (default http://localhost:$PORT)
+ *   --to         dialed tracking number (required)
+ *   --from       caller number (default +15550001111)
+ *   --statuses   comma-separated provider statuses
+ *                (default initiated,ringing,in-progress,completed)
+ *   --duration   talk time in seconds reported on completion (default 95)
+ *   --sid        call SID to reuse (default random)
+ *   --shuffle    send callbacks in random order
+ *   --duplicate  send every callback twice
+ */
+require('dotenv').config();
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const twilio = require('twilio');
+const generic = require('../src/services/telephony/generic');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const post = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+  }, (response) => {
+    let data = '';
+    response.on('data', (chunk) => { data += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, body: data }));
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+const buildTwilioRequest = (url, callback) => {
+  const params = {
+    CallSid: callback.sid,
+    AccountSid: process.env.TWILIO_ACCOUNT_SID || 'ACsimulator',
+    CallStatus: callback.status,
+    From: callback.from,
+    To: callback.to,
+    Direction: 'inbound',
+    Timestamp: callback.at.toUTCString(),
+    SequenceNumber: String(callback.sequence)
+  };
+  if (callback.status === 'completed') params.CallDuration = String(callback.duration);
+
+  const signature = twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, params);
+  return {
+    body: new URLSearchParams(params).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature }
+  };
+};
+
+const buildGenericRequest = (url, callback) => {
+  const payload = {
+    callId: callback.sid,
+    status: callback.status,
+    from: callback.from,
+    to: callback.to,
+    direction: 'inbound',
+    timestamp: callback.at.toISOString(),
+    sequence: callback.sequence,
+    duration: callback.status === 'completed' ? callback.duration : undefined
+  };
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = generic.sign(process.env.TELEPHONY_WEBHOOK_SECRET, timestamp, body);
+  return {
+    body,
+    headers: { 'Content-Type': 'application/json', 'X-CallFlow-Signature': `t=${timestamp},v1=${signature}` }
+  };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const provider = args.provider || 'twilio';
+  const secretVar = provider === 'twilio' ? 'TWILIO_AUTH_TOKEN' : 'TELEPHONY_WEBHOOK_SECRET';
+
+  if (!args.to) throw new Error('--to <tracking number> is required');
+  if (!process.env[secretVar]) throw new Error(`${secretVar} must be set to sign callbacks`);
+
+  const baseUrl = (args.url || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const signedBaseUrl = (process.env.TELEPHONY_WEBHOOK_BASE_URL || baseUrl).replace(/\/$/, '');
+  const path = `/api/webhooks/telephony/${provider}`;
+  const statuses = (args.statuses || 'initiated,ringing,in-progress,completed').split(',');
+  const duration = Number(args.duration || 95);
+  const sid = args.sid || `CA${crypto.randomBytes(16).toString('hex')}`;
+
+  // Space events like a real call: a few seconds of ringing, then the talk time
+  const start = Date.now() - (duration + 10) * 1000;
+  const offsets = { initiated: 0, ringing: 2, 'in-progress': 8, answered: 8, completed: 8 + duration };
+  let callbacks = statuses.map((status, index) => ({
+    sid,
+    status,
+    sequence: index,
+    from: args.from || '+15550001111',
+    to: args.to,
+    duration,
+    at: new Date(start + (offsets[status] ?? 8 + duration) * 1000)
+  }));
+
+  if (args.shuffle) callbacks = callbacks.sort(() => Math.random() - 0.5);
+  if (args.duplicate) callbacks = callbacks.flatMap((callback) => [callback, callback]);
+
+  console.log(`📞 Replaying ${callbacks.length} ${provider} callbacks for ${sid}`);
+  for (const callback of callbacks) {
+    const build = provider === 'twilio' ? buildTwilioRequest : buildGenericRequest;
+    const { body, headers } = build(`${signedBaseUrl}${path}`, callback);
+    const response = await post(`${baseUrl}${path}`, body, headers);
+    console.log(`  ${callback.status.padEnd(12)} → ${response.status} ${response.body}`);
+  }
+};
+
+main().catch((error) => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+const scheduler = require('../services/scheduler');
+const budgetControl = require('../services/budgetControl');
+const autoOptimization = require('../services/autoOptimization');
+const dataExports = require('../services/exports');
+const notifications = require('../services/notifications');
+const { checkAnswerRates } = require('../services/notifications/answerRates');
+const billing = require('../services/billing');
+const ledger = require('../services/ledger');
+const fx = require('../services/fx');
+const callPerformance = require('../services/callPerformance');
+const recordings = require('../services/recordings');
+const cdrImport = require('../services/cdrImport');
+
+const MINUTE = 60 * 1000;
+
+// Register the periodic maintenance jobs; called once the server is listening
+const startJobs = () => {
+  scheduler.every('budget:auto-resume', MINUTE, async () => {
+    const resumed = await budgetControl.resumeDailyCappedCampaigns();
+    if (resumed > 0) console.log(`▶️  Resumed ${resumed} campaign(s) for the new budget day`);
+  });
+
+  scheduler.every('budget:release-stale-reservations', 15 * MINUTE, async () => {
+    const released = await budgetControl.releaseStaleReservations();
+    if (released > 0) console.log(`🧹 Released ${released} stale budget reservation(s)`);
+  });
+
+  scheduler.every('optimization:evaluate-rules', 5 * MINUTE, async () => {
+    await autoOptimization.runAutoOptimization();
+  });
+
+  scheduler.every('exports:run', MINUTE, async () => {
+    const ran = await dataExports.runQueuedExports();
+    if (ran > 0) console.log(`📦 Finished ${ran} export job(s)`);
+  });
+
+  scheduler.every('exports:cleanup', 60 * MINUTE, async () => {
+    const cleaned = await dataExports.cleanupExports();
+    if (cleaned > 0) console.log(`🧹 Cleaned up ${cleaned} export job(s)`);
+  });
+
+  scheduler.every('imports:run', MINUTE, async () => {
+    const ran = await cdrImport.runQueuedImports();
+    if (ran > 0) console.log(`📥 Finished ${ran} call import(s)`);
+  });
+
+  scheduler.every('imports:cleanup', 60 * MINUTE, async () => {
+    const failed = await cdrImport.cleanupImports();
+    if (failed > 0) console.log(`🧹 Failed ${failed} interrupted call import(s)`);
+  });
+
+  scheduler.every('recordings:fetch', MINUTE, async () => {
+    const { stored, failed } = await recordings.fetchPendingRecordings();
+    if (stored > 0) console.log(`🎙️ Stored ${stored} call recording(s)`);
+    if (failed > 0) console.error(`⚠️ Gave up on ${failed} call recording(s)`);
+  });
+
+  scheduler.every('recordings:purge', 60 * MINUTE, async () => {
+    const purged = await recordings.purgeExpiredRecordings();
+    if (purged > 0) console.log(`🧹 Purged ${purged} expired call recording(s)`);
+  });
+
+  scheduler.every('notifications:deliver', MINUTE, async () => {
+    await notifications.processDeliveries();
+  });
+
+  scheduler.every('notifications:answer-rates', 15 * MINUTE, async () => {
+    const raised = await checkAnswerRates();
+    if (raised > 0) console.log(`📉 Raised ${raised} answer rate alert(s)`);
+  });
+
+  scheduler.every('billing:enforce-grace', 60 * MINUTE, async () => {
+    const restricted = await billing.enforceGracePeriods();
+    if (restricted > 0) console.log(`🔒 Restricted ${restricted} account(s) past their billing grace period`);
+  });
+
+  // Checked every minute, loaded only when the file changed
+  scheduler.every('fx:load-rates-file', MINUTE, async () => {
+    const loaded = await fx.loadRatesFile();
+    if (!loaded) return;
+    console.log(`💱 Loaded ${loaded.imported} exchange rate(s) from ${process.env.FX_RATES_FILE}`);
+    loaded.reasons.forEach((reason) => console.warn(`⚠️ Exchange rate file: ${reason}`));
+  });
+
+  scheduler.every('fx:price-pending-calls', 15 * MINUTE, async () => {
+    const priced = await callPerformance.retryPendingCalls();
+    if (priced > 0) console.log(`💱 Priced ${priced} call(s) that were waiting for exchange rates`);
+    const converted = await callPerformance.convertPricedCalls();
+    if (converted > 0) console.log(`💱 Converted ${converted} earlier call(s) to ${fx.BASE_CURRENCY}`);
+  });
+
+  scheduler.every('ledger:reconcile', 60 * MINUTE, async () => {
+    const posted = await ledger.postPendingCalls();
+    if (posted > 0) console.log(`📒 Posted ${posted} call(s) missing from the ledger`);
+
+    const repair = process.env.LEDGER_AUTO_REPAIR === 'true';
+    const drift = await ledger.reconcile({ repair });
+    drift.forEach((item) => {
+      console.log(`⚠️ Ledger drift on campaign ${item.campaignId} ${item.field}: cached ${item.cached}, ledger ${item.ledger}${repair ? ' (repaired)' : ''}`);
+    });
+  });
+};
+
+module.exports = {
+  startJobs
+};
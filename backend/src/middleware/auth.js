@@ -1,10 +1,39 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../services/tokenService');
+const { loadOrganization } = require('./organization');
+const requestContext = require('../services/requestContext');
+
+// Credentials come from the Bearer header, or X-API-Key for integrations
+const getCredential = (req) => {
+  return req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+};
+
+// Access tokens are only honoured while their session has not been revoked
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId);
+  return !!session && session.isValid;
+};
+
+// Resolve an API key to the same shape as a decoded JWT, or null
+const resolveApiKey = async (rawKey, req) => {
+  const apiKey = await ApiKey.findByRawKey(rawKey);
+  if (!apiKey) return null;
+
+  await apiKey.recordUsage(req.ip);
+  return {
+    userId: apiKey.userId.toString(),
+    apiKeyId: apiKey._id.toString(),
+    scopes: apiKey.scopes
+  };
+};
 
 const auth = async (req, res, next) => {
   try {
     // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getCredential(req);
     
     if (!token) {
       return res.status(401).json({
@@ -13,8 +42,27 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    let decoded;
+    if (ApiKey.isApiKey(token)) {
+      decoded = await resolveApiKey(token, req);
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          message: 'API key is not valid, expired or revoked'
+        });
+      }
+    } else {
+      // Verify token
+      decoded = verifyAccessToken(token);
+
+      // Check if session is still active
+      if (!(await isSessionActive(decoded.sessionId))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was revoked'
+        });
+      }
+    }
     
     // Check if user exists
     const user = await User.findById(decoded.userId);
@@ -35,6 +83,7 @@ const auth = async (req, res, next) => {
 
     // Add user to request object
     req.user = decoded;
+    requestContext.set({ userId: decoded.userId, apiKeyId: decoded.apiKeyId });
     next();
 
   } catch (error) {
@@ -64,13 +113,20 @@ const auth = async (req, res, next) => {
 // Optional auth middleware for routes that can work with or without authentication
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = getCredential(req);
     
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    if (token && ApiKey.isApiKey(token)) {
+      const decoded = await resolveApiKey(token, req);
+      const user = decoded && await User.findById(decoded.userId);
+
+      if (user && user.isActive) {
+        req.user = decoded;
+      }
+    } else if (token) {
+      const decoded = verifyAccessToken(token);
       const user = await User.findById(decoded.userId);
       
-      if (user && user.isActive) {
+      if (user && user.isActive && await isSessionActive(decoded.sessionId)) {
         req.user = decoded;
       }
     }
@@ -82,7 +138,7 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
+// Role-based authorization middleware (checks the role held in the active organization)
 const authorize = (...roles) => {
   return async (req, res, next) => {
     try {
@@ -93,15 +149,14 @@ const authorize = (...roles) => {
         });
       }
 
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(401).json({
+      if (!(await loadOrganization(req))) {
+        return res.status(403).json({
           success: false,
-          message: 'User not found'
+          message: 'You are not a member of this organization'
         });
       }
 
-      if (!roles.includes(user.role)) {
+      if (!roles.includes(req.membership.role)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied. Insufficient permissions.'
@@ -130,15 +185,14 @@ const requireAccountType = (...accountTypes) => {
         });
       }
 
-      const user = await User.findById(req.user.userId);
-      if (!user) {
-        return res.status(401).json({
+      if (!(await loadOrganization(req))) {
+        return res.status(403).json({
           success: false,
-          message: 'User not found'
+          message: 'You are not a member of this organization'
         });
       }
 
-      if (!accountTypes.includes(user.accountType)) {
+      if (!accountTypes.includes(req.organization.accountType)) {
         return res.status(403).json({
           success: false,
           message: 'This feature requires a higher account tier. Please upgrade your account.'
@@ -156,9 +210,75 @@ const requireAccountType = (...accountTypes) => {
   };
 };
 
+// Platform-wide role check (User.role), for settings shared by every
+// organization; organization roles are checked with authorize
+const requireUserRole = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select('role');
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('User role authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authorization'
+      });
+    }
+  };
+};
+
+// Scope check for API key requests; interactive (JWT) sessions have every scope
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (req.user.apiKeyId && !scopes.every((scope) => req.user.scopes.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing required scope: ${scopes.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Reject API keys on routes that must only be used from an interactive login
+const requireUserSession = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+  next();
+};
+
 module.exports = {
   auth,
   optionalAuth,
   authorize,
-  requireAccountType
+  requireAccountType,
+  requireUserRole,
+  requireScope,
+  requireUserSession
 };
\ No newline at end of file
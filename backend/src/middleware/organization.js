@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const { resolveActiveOrganization } = require('../services/organizationService');
+const requestContext = require('../services/requestContext');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Attach the active organization and the caller's membership to the request.
+// The organization is picked with the X-Organization-Id header and defaults to
+// the user's default organization.
+const loadOrganization = async (req) => {
+  if (req.organization) return true;
+
+  const user = await User.findById(req.user.userId);
+  if (!user) return false;
+
+  const resolved = await resolveActiveOrganization(user, req.header('X-Organization-Id'));
+  if (!resolved) return false;
+
+  req.organization = resolved.organization;
+  req.membership = resolved.membership;
+  requestContext.set({ organizationId: resolved.organization._id });
+  return true;
+};
+
+const requireOrganization = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!(await loadOrganization(req))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this organization'
+      });
+    }
+
+    // Accounts past their billing grace period are read-only until they pay
+    if (req.organization.billing.restrictedAt && !READ_METHODS.includes(req.method)) {
+      return res.status(402).json({
+        success: false,
+        message: 'This account is restricted for non-payment; update your billing details to make changes'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Organization middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading organization'
+    });
+  }
+};
+
+module.exports = {
+  loadOrganization,
+  requireOrganization
+};
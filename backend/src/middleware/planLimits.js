@@ -0,0 +1,59 @@
+const { validationResult } = require('express-validator');
+const planLimits = require('../services/planLimits');
+const usage = require('../services/usage');
+
+const describeLimit = (limit, unit) => (limit === null ? `unlimited ${unit}` : `${limit} ${unit}`);
+
+// Refusal for a request over the plan's limit: 402 when a higher plan would
+// allow it, 403 when no plan does
+const limitExceeded = (res, organization, check) => {
+  const { kind, unit } = planLimits.RESOURCES[check.resource];
+  const allowance = `The ${organization.accountType} plan allows ${describeLimit(check.limit, unit)}`;
+  const usedNow = kind === 'cap' ? '' : ` and you have ${check.used}`;
+  const hint = check.upgrade
+    ? ` Upgrade to ${check.upgrade.plan} for ${describeLimit(check.upgrade.limit, unit)}.`
+    : '';
+
+  return res.status(check.upgrade ? 402 : 403).json({
+    success: false,
+    message: `${allowance}${usedNow}.${hint}`,
+    limit: {
+      resource: check.resource,
+      limit: check.limit,
+      used: check.used,
+      requested: check.requested
+    },
+    upgrade: check.upgrade
+  });
+};
+
+// Check the active organization's plan before a request adds to a quota or
+// sets a capped value. `requested(req)` returns how much the request asks
+// for (sync or async); 0 or less skips the check. Runs after the route's
+// validators and requireOrganization; invalid requests are left for the
+// route to reject.
+const requireQuota = (resource, requested = () => 1) => {
+  return async (req, res, next) => {
+    try {
+      if (!validationResult(req).isEmpty()) return next();
+
+      const amount = await requested(req);
+      if (!(amount > 0)) return next();
+
+      const check = await usage.checkLimit(req.organization, resource, amount);
+      if (!check.allowed) return limitExceeded(res, req.organization, check);
+
+      next();
+    } catch (error) {
+      console.error('Plan limit check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while checking plan limits'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireQuota
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'cfp_';
+
+const API_KEY_SCOPES = [
+  'calls:read',
+  'calls:write',
+  'campaigns:read',
+  'campaigns:write',
+  'analytics:read'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  // Public identifier embedded in the key, used for lookup and display
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for key validity
+apiKeySchema.virtual('isValid').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// Method to check granted scopes
+apiKeySchema.methods.hasScopes = function(requiredScopes) {
+  return requiredScopes.every((scope) => this.scopes.includes(scope));
+};
+
+// Method to record usage, throttled to one write per minute
+apiKeySchema.methods.recordUsage = async function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) return;
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ipAddress } }
+  );
+};
+
+// Method to get the fields safe to show to the user
+apiKeySchema.methods.getPublicData = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: `${KEY_PREFIX}${this.prefix}`,
+    scopes: this.scopes,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to check whether a credential looks like an API key
+apiKeySchema.statics.isApiKey = function(credential) {
+  return typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+};
+
+// Static method to create a key; the raw key is only ever returned here
+apiKeySchema.statics.generate = async function({ userId, name, scopes, expiresAt }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const apiKey = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix,
+    keyHash: crypto.createHash('sha256').update(secret).digest('hex')
+  });
+
+  return { apiKey, rawKey: `${KEY_PREFIX}${prefix}_${secret}` };
+};
+
+// Static method to resolve a raw key to a valid ApiKey document
+apiKeySchema.statics.findByRawKey = async function(rawKey) {
+  const match = new RegExp(`^${KEY_PREFIX}([a-f\\d]{12})_([a-f\\d]{64})$`).exec(rawKey);
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isValid) return null;
+
+  const presented = Buffer.from(crypto.createHash('sha256').update(match[2]).digest('hex'));
+  const stored = Buffer.from(apiKey.keyHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
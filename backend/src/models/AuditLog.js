@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  entityType: {
+    type: String,
+    enum: ['Campaign', 'Call', 'User'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'api_key', 'system'],
+      default: 'system'
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ organizationId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+
+// Entries are append-only: block every path that could modify or remove one
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Buys calls: answers them at its destinations and pays the campaign's bid
+const buyerSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Buyer name is required'],
+    trim: true,
+    maxlength: [100, 'Buyer name cannot exceed 100 characters']
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  contact: {
+    name: { type: String, trim: true },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    phone: {
+      type: String,
+      match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+buyerSchema.index({ organizationId: 1, isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Buyer', buyerSchema);
@@ -1,21 +1,40 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
+const CallRollup = require('./CallRollup');
+const liveEvents = require('../services/liveEvents');
+const fx = require('../services/fx');
+const money = require('../services/money');
+const alerts = require('../services/notifications/alerts');
+const { normalizePhoneNumber } = require('../utils/phone');
 
 const callSchema = new mongoose.Schema({
   callId: {
     type: String,
-    required: true,
-    unique: true
+    required: true // unique per organization, see the indexes
   },
   campaignId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Campaign',
     required: true
   },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  publisherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Publisher'
+  },
+  buyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Buyer'
+  },
   status: {
     type: String,
     enum: ['initiated', 'ringing', 'answered', 'completed', 'failed', 'no_answer', 'busy'],
@@ -54,6 +73,7 @@ const callSchema = new mongoose.Schema({
       zipCode: String
     }
   },
+  callerNumber: String, // consumer's number (+<digits>), maintained on save for duplicate checks
   timing: {
     initiatedAt: { type: Date, default: Date.now },
     ringingAt: Date,
@@ -81,6 +101,38 @@ const callSchema = new mongoose.Schema({
     currency: { type: String, default: 'USD' },
     source: String // lead generation, sale, etc.
   },
+  payout: {
+    amount: { type: Number, default: 0, min: 0 }, // owed to the publisher
+    currency: { type: String, default: 'USD' }
+  },
+  pricedAt: Date, // set once payout and buyer revenue have been priced
+  fx: {
+    // Telephony cost, payout and revenue in minor units of the base
+    // currency at the rate of the call's day, fixed when it is priced
+    currency: String,
+    rateDate: String, // YYYY-MM-DD
+    cost: Number,
+    payout: Number,
+    revenue: Number
+  },
+  fxPendingSince: Date, // pricing is waiting for an exchange rate
+  ledgerPostedAt: Date, // set once cost, payout and revenue are in the ledger
+  billable: Boolean, // set with pricing, see services/callQualification
+  billableReason: {
+    type: String,
+    enum: ['qualified', 'not_connected', 'below_minimum_duration', 'excluded_area_code', 'outside_business_hours', 'duplicate_caller']
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  }, // earlier billable call of the same caller
+  budgetReservation: {
+    date: String, // campaign budget day (YYYY-MM-DD in the campaign's timezone)
+    amount: Number, // expected cost held against the budget while the call runs
+    reservedAt: Date,
+    settledAt: Date,
+    expired: Boolean // released because no final status arrived
+  },
   leadData: {
     isQualified: { type: Boolean, default: false },
     qualificationScore: { type: Number, min: 0, max: 100 },
@@ -111,29 +163,151 @@ const callSchema = new mongoose.Schema({
   },
   tags: [String],
   notes: String,
-  isTest: { type: Boolean, default: false }
+  isTest: { type: Boolean, default: false },
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallImport' // set on calls backfilled from another platform's CDRs
+  },
+  telephony: {
+    provider: { type: String, enum: ['twilio', 'generic'] },
+    callSid: String,
+    events: [{
+      _id: false,
+      status: String, // mapped to our status enum
+      providerStatus: String,
+      occurredAt: Date,
+      receivedAt: { type: Date, default: Date.now },
+      sequence: Number,
+      applied: Boolean // false when ignored as duplicate or out of order
+    }],
+    performanceRecordedAt: Date // set once the call is rolled into campaign performance
+  },
+  routing: {
+    decision: { type: String, enum: ['routed', 'rejected'] },
+    strategy: String,
+    reasons: [String],
+    decidedAt: Date,
+    destinations: [{
+      _id: false,
+      destinationId: mongoose.Schema.Types.ObjectId,
+      buyerId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      number: String,
+      ringTimeout: Number
+    }],
+    attempts: [{
+      _id: false,
+      destinationId: mongoose.Schema.Types.ObjectId,
+      number: String,
+      outcome: {
+        type: String,
+        enum: ['dialing', 'answered', 'busy', 'no_answer', 'failed']
+      },
+      startedAt: { type: Date, default: Date.now },
+      endedAt: Date
+    }],
+    connectedDestinationId: mongoose.Schema.Types.ObjectId
+  },
+  // Copy of the call's audio in our recording storage (services/recordings).
+  // The provider's copy (sourceUrl) is fetched once; ours is purged after the
+  // campaign's retention unless the call is under legal hold.
+  recording: {
+    status: { type: String, enum: ['pending', 'stored', 'failed', 'purged'] },
+    providerRecordingId: String,
+    sourceUrl: String,
+    storage: { type: String, enum: ['local', 's3'] },
+    key: String,
+    contentType: String,
+    size: Number, // bytes
+    duration: Number, // seconds
+    attempts: Number,
+    lastError: String,
+    storedAt: Date,
+    purgedAt: Date,
+    legalHold: {
+      enabled: Boolean,
+      reason: String,
+      setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      setAt: Date
+    }
+  },
+  // What this call last added to its CallRollup buckets, so edits apply as deltas
+  rollup: {
+    version: Number,
+    organizationId: mongoose.Schema.Types.ObjectId,
+    campaignId: mongoose.Schema.Types.ObjectId,
+    at: Date,
+    calls: Number,
+    answered: Number,
+    answeredDuration: Number,
+    cost: Number,
+    payout: Number,
+    revenue: Number,
+    qualifiedLeads: Number,
+    billable: Number
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
-// Virtual for call profitability
+// Telephony cost, payout and revenue of a call (document or plain object)
+// in minor units of one currency: the call's own when all three agree, else
+// the base currency they were converted to when priced. Null when they
+// differ and the call has no conversion, since amounts in different
+// currencies cannot be combined.
+const moneyOf = (call) => {
+  const cost = call.cost || {};
+  const payout = call.payout || {};
+  const revenue = call.revenue || {};
+  const currency = cost.currency || 'USD';
+  if ((revenue.currency || 'USD') === currency && (payout.currency || 'USD') === currency) {
+    return {
+      currency,
+      cost: money.toMinor(cost.total, currency),
+      payout: money.toMinor(payout.amount, currency),
+      revenue: money.toMinor(revenue.amount, currency)
+    };
+  }
+  if (call.fx && call.fx.rateDate) {
+    return { currency: call.fx.currency, cost: call.fx.cost, payout: call.fx.payout, revenue: call.fx.revenue };
+  }
+  return null;
+};
+
+// Method to get cost, payout and revenue in one currency, see moneyOf
+callSchema.methods.getMoney = function() {
+  return moneyOf(this);
+};
+
+// Virtual for call profitability (in the currency of getMoney)
 callSchema.virtual('profitability').get(function() {
-  if (this.cost.total > 0) {
-    return this.revenue.amount - this.cost.total;
+  const amounts = this.getMoney();
+  if (!amounts) return null;
+  if (amounts.cost > 0) {
+    return money.fromMinor(amounts.revenue - amounts.cost, amounts.currency);
   }
   return 0;
 });
 
 // Virtual for ROI
 callSchema.virtual('roi').get(function() {
-  if (this.cost.total > 0) {
-    return ((this.revenue.amount - this.cost.total) / this.cost.total) * 100;
+  const amounts = this.getMoney();
+  if (!amounts) return null;
+  if (amounts.cost > 0) {
+    return ((amounts.revenue - amounts.cost) / amounts.cost) * 100;
   }
   return 0;
 });
 
+// Virtual for margin: buyer revenue minus publisher payout and telephony cost
+callSchema.virtual('margin').get(function() {
+  const amounts = this.getMoney();
+  if (!amounts) return null;
+  return money.fromMinor(amounts.revenue - amounts.payout - amounts.cost, amounts.currency);
+});
+
 // Virtual for call efficiency
 callSchema.virtual('efficiency').get(function() {
   if (this.timing.duration > 0) {
@@ -143,14 +317,28 @@ callSchema.virtual('efficiency').get(function() {
 });
 
 // Indexes for better query performance
+callSchema.index({ organizationId: 1, callId: 1 }, { unique: true });
 callSchema.index({ campaignId: 1, status: 1 });
+callSchema.index({ organizationId: 1, createdAt: -1 });
 callSchema.index({ userId: 1, createdAt: -1 });
 callSchema.index({ 'from.number': 1, 'to.number': 1 });
 callSchema.index({ status: 1, 'timing.initiatedAt': -1 });
 callSchema.index({ 'timing.initiatedAt': -1 });
+callSchema.index({ organizationId: 1, buyerId: 1, createdAt: -1 });
+callSchema.index({ organizationId: 1, publisherId: 1, createdAt: -1 });
+callSchema.index({ 'telephony.provider': 1, 'telephony.callSid': 1 }, { unique: true, sparse: true });
+callSchema.index({ campaignId: 1, callerNumber: 1, 'timing.initiatedAt': -1 });
+callSchema.index({ organizationId: 1, 'timing.initiatedAt': -1 });
+callSchema.index({ importId: 1 }, { sparse: true });
+callSchema.index({ 'telephony.performanceRecordedAt': 1, ledgerPostedAt: 1 });
+callSchema.index({ fxPendingSince: 1 }, { sparse: true });
+callSchema.index({ 'recording.status': 1, campaignId: 1, 'timing.initiatedAt': 1 }, { sparse: true });
 
 // Pre-save middleware to calculate costs and duration
 callSchema.pre('save', function(next) {
+  // The consumer dialed in on inbound calls and was dialed on outbound ones
+  this.callerNumber = normalizePhoneNumber(this.direction === 'outbound' ? this.to.number : this.from.number) || undefined;
+
   // Calculate duration if call is completed
   if (this.timing.answeredAt && this.timing.endedAt) {
     this.timing.duration = Math.floor((this.timing.endedAt - this.timing.answeredAt) / 1000);
@@ -169,6 +357,24 @@ callSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to convert a priced call's edited cost, payout or
+// revenue again, so reports and rollups follow the edit. It uses the rate
+// of the call's day like pricing did, and refuses the save when that rate
+// is gone rather than keep amounts that no longer match.
+callSchema.pre('save', async function() {
+  if (this.isNew || !(this.fx && this.fx.rateDate)) return;
+  if (!['cost', 'payout', 'revenue'].some((path) => this.isModified(path))) return;
+
+  const at = this.timing.initiatedAt;
+  const converted = await fx.convertAmounts({
+    cost: { amount: this.cost.total, currency: this.cost.currency },
+    payout: { amount: this.payout.amount, currency: this.payout.currency },
+    revenue: { amount: this.revenue.amount, currency: this.revenue.currency }
+  }, this.fx.currency, at);
+  if (!converted) throw new Error(`No exchange rate for ${fx.getRateDate(at)}`);
+  this.fx = { currency: this.fx.currency, rateDate: fx.getRateDate(at), ...converted };
+});
+
 // Method to update call status
 callSchema.methods.updateStatus = function(newStatus, timestamp = new Date()) {
   this.status = newStatus;
@@ -189,6 +395,46 @@ callSchema.methods.updateStatus = function(newStatus, timestamp = new Date()) {
   }
 };
 
+// Progress order of statuses; every status after 'answered' is final
+const STATUS_RANK = {
+  initiated: 0,
+  ringing: 1,
+  answered: 2,
+  completed: 3,
+  failed: 3,
+  no_answer: 3,
+  busy: 3
+};
+
+const TIMING_FIELD = {
+  ringing: 'ringingAt',
+  answered: 'answeredAt'
+};
+
+callSchema.virtual('isFinished').get(function() {
+  return STATUS_RANK[this.status] === 3;
+});
+
+const FINISHED_STATUSES = Object.keys(STATUS_RANK).filter((status) => STATUS_RANK[status] === 3);
+
+// Method to apply a status event that may be duplicated or arrive out of
+// order. Status only moves forward (the first final status wins); a late
+// earlier event only fills in its missing timestamp.
+callSchema.methods.applyStatusEvent = function(newStatus, timestamp = new Date()) {
+  if (STATUS_RANK[newStatus] > STATUS_RANK[this.status]) {
+    this.updateStatus(newStatus, timestamp);
+    return true;
+  }
+
+  const timingField = TIMING_FIELD[newStatus];
+  if (timingField && !this.timing[timingField]) {
+    this.timing[timingField] = timestamp;
+    return true;
+  }
+
+  return false;
+};
+
 // Method to calculate lead qualification score
 callSchema.methods.calculateQualificationScore = function() {
   let score = 0;
@@ -214,27 +460,249 @@ callSchema.methods.calculateQualificationScore = function() {
   return score;
 };
 
-// Static method to get call statistics
-callSchema.statics.getStats = async function(userId, dateRange = {}) {
-  const match = { userId };
+// Money totals of the aggregations below come from the base-currency
+// amounts fixed when calls were priced, split by rate day so
+// fx.foldDailyRows can convert each day at its own rate
+const MONEY_FIELDS = ['cost', 'payout', 'revenue'];
+
+const baseAmount = (field) => ({ $ifNull: [`$fx.${field}`, 0] });
+
+const byRateDay = (key) => ({ key, day: '$fx.rateDate' });
+
+// Static method to get call statistics for an organization, with money in
+// minor units of `currency`. Returns { error } when a rate is missing.
+callSchema.statics.getStats = async function(organizationId, dateRange = {}, { currency = fx.BASE_CURRENCY } = {}) {
+  const match = { organizationId: new mongoose.Types.ObjectId(organizationId) };
   
   if (dateRange.start) match.createdAt = { $gte: dateRange.start };
   if (dateRange.end) match.createdAt = { ...match.createdAt, $lte: dateRange.end };
   
-  return await this.aggregate([
+  const rows = await this.aggregate([
     { $match: match },
     {
       $group: {
-        _id: null,
+        _id: byRateDay(null),
         totalCalls: { $sum: 1 },
         totalDuration: { $sum: '$timing.duration' },
-        totalCost: { $sum: '$cost.total' },
-        totalRevenue: { $sum: '$revenue.amount' },
-        averageDuration: { $avg: '$timing.duration' },
+        cost: { $sum: { $add: [baseAmount('cost'), baseAmount('payout')] } },
+        revenue: { $sum: baseAmount('revenue') },
         qualifiedLeads: { $sum: { $cond: ['$leadData.isQualified', 1, 0] } }
       }
     }
   ]);
+
+  const folded = await fx.foldDailyRows(rows, { currency, fields: MONEY_FIELDS });
+  if (folded.error) return folded;
+
+  const [totals] = folded.rows;
+  if (!totals) return { currency, totalCalls: 0, totalDuration: 0, totalCost: 0, totalRevenue: 0, averageDuration: 0, qualifiedLeads: 0 };
+  return {
+    currency,
+    totalCalls: totals.totalCalls,
+    totalDuration: totals.totalDuration,
+    totalCost: totals.cost,
+    totalRevenue: totals.revenue,
+    averageDuration: totals.totalCalls > 0 ? totals.totalDuration / totals.totalCalls : 0,
+    qualifiedLeads: totals.qualifiedLeads
+  };
+};
+
+// Static method to report revenue, payout, cost and margin for an
+// organization, grouped by campaign, buyer or publisher
+const MARGIN_GROUPS = {
+  campaign: '$campaignId',
+  buyer: '$buyerId',
+  publisher: '$publisherId'
+};
+
+// Money is in minor units of `currency`. Returns { error } when a rate is
+// missing.
+callSchema.statics.getMarginReport = async function(organizationId, { groupBy = 'campaign', start, end, filter = {}, currency = fx.BASE_CURRENCY } = {}) {
+  const match = { organizationId: new mongoose.Types.ObjectId(organizationId), ...filter };
+
+  if (start) match.createdAt = { $gte: start };
+  if (end) match.createdAt = { ...match.createdAt, $lte: end };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: byRateDay(MARGIN_GROUPS[groupBy]),
+        calls: { $sum: 1 },
+        revenue: { $sum: baseAmount('revenue') },
+        payout: { $sum: baseAmount('payout') },
+        cost: { $sum: baseAmount('cost') }
+      }
+    }
+  ]);
+
+  const folded = await fx.foldDailyRows(rows, { currency, fields: MONEY_FIELDS });
+  if (folded.error) return folded;
+
+  return folded.rows
+    .map((row) => {
+      const margin = row.revenue - row.payout - row.cost;
+      return { ...row, margin, marginPercent: row.revenue > 0 ? (margin / row.revenue) * 100 : 0 };
+    })
+    .sort((a, b) => b.margin - a.margin);
+};
+
+// Static method to report call volume and outcome totals for an
+// organization: overall, per time bucket (hour/day/week/month in a
+// timezone) and optionally per group. Finished calls are placed in time by
+// when they started; costs include publisher payouts. Money is in minor
+// units of `currency`; returns { error } when a rate is missing.
+const callerLocation = (field) => ({
+  $cond: [{ $eq: ['$direction', 'outbound'] }, `$to.location.${field}`, `$from.location.${field}`]
+});
+
+const ANALYTICS_GROUPS = {
+  campaign: '$campaignId',
+  state: callerLocation('state'),
+  city: { city: callerLocation('city'), state: callerLocation('state') },
+  utmSource: '$tracking.utmSource',
+  utmMedium: '$tracking.utmMedium',
+  deviceType: '$tracking.deviceType'
+};
+
+const ANALYTICS_TOTALS = {
+  calls: { $sum: 1 },
+  answered: { $sum: { $cond: [{ $ifNull: ['$timing.answeredAt', false] }, 1, 0] } },
+  answeredDuration: { $sum: { $cond: [{ $ifNull: ['$timing.answeredAt', false] }, '$timing.duration', 0] } },
+  cost: { $sum: { $add: [baseAmount('cost'), baseAmount('payout')] } },
+  revenue: { $sum: baseAmount('revenue') },
+  qualifiedLeads: { $sum: { $cond: ['$leadData.isQualified', 1, 0] } },
+  billable: { $sum: { $cond: ['$billable', 1, 0] } }
+};
+
+callSchema.statics.getAnalytics = async function(organizationId, { start, end, interval = 'day', timeZone = 'UTC', groupBy, filter = {}, currency = fx.BASE_CURRENCY }) {
+  const match = {
+    organizationId: new mongoose.Types.ObjectId(organizationId),
+    'timing.initiatedAt': { $gte: start, $lt: end },
+    status: { $in: FINISHED_STATUSES },
+    ...filter
+  };
+
+  const facets = {
+    totals: [{ $group: { _id: byRateDay(null), ...ANALYTICS_TOTALS } }],
+    series: [
+      {
+        $group: {
+          _id: byRateDay({ $dateTrunc: { date: '$timing.initiatedAt', unit: interval, timezone: timeZone, startOfWeek: 'monday' } }),
+          ...ANALYTICS_TOTALS
+        }
+      }
+    ]
+  };
+  if (groupBy) {
+    facets.groups = [
+      { $group: { _id: byRateDay(ANALYTICS_GROUPS[groupBy]), ...ANALYTICS_TOTALS } }
+    ];
+  }
+
+  const [result] = await this.aggregate([{ $match: match }, { $facet: facets }]);
+  return fx.foldAnalytics(result, { currency });
 };
 
-module.exports = mongoose.model('Call', callSchema);
\ No newline at end of file
+// What a call adds to its rollup buckets; null while it is in progress
+const ROLLUP_METRICS = CallRollup.METRICS;
+
+const rollupContribution = (call) => {
+  if (STATUS_RANK[call.status] !== 3) return null;
+
+  const answered = call.timing.answeredAt ? 1 : 0;
+  return {
+    organizationId: call.organizationId,
+    campaignId: call.campaignId,
+    at: call.timing.initiatedAt,
+    calls: 1,
+    answered,
+    answeredDuration: answered ? call.timing.duration || 0 : 0,
+    cost: (call.fx && call.fx.cost) || 0,
+    payout: (call.fx && call.fx.payout) || 0,
+    revenue: (call.fx && call.fx.revenue) || 0,
+    qualifiedLeads: call.leadData && call.leadData.isQualified ? 1 : 0,
+    billable: call.billable ? 1 : 0
+  };
+};
+
+const sameBuckets = (a, b) => {
+  return a.campaignId.equals(b.campaignId) &&
+    CallRollup.floorBucket(a.at, 'hour').getTime() === CallRollup.floorBucket(b.at, 'hour').getTime();
+};
+
+// Static method to bring a call's rollup buckets in line with its current
+// values. The call's snapshot is swapped first with a version check, so
+// concurrent syncs apply each change once; the difference is then added
+// to the rollups.
+callSchema.statics.syncRollup = async function(callId) {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const call = await this.findById(callId).lean();
+    if (!call) return false;
+
+    const previous = call.rollup && call.rollup.version ? call.rollup : null;
+    const next = rollupContribution(call);
+    if (!previous && !next) return false;
+    if (previous && next && sameBuckets(previous, next) && ROLLUP_METRICS.every((metric) => previous[metric] === next[metric])) {
+      return false;
+    }
+
+    const version = previous ? previous.version : null;
+    const swap = await this.updateOne(
+      { _id: call._id, 'rollup.version': version },
+      next ? { $set: { rollup: { ...next, version: (version || 0) + 1 } } } : { $unset: { rollup: 1 } }
+    );
+    if (swap.modifiedCount === 0) continue;
+
+    const negate = (snapshot) => ROLLUP_METRICS.reduce((delta, metric) => ({ ...delta, [metric]: -(snapshot[metric] || 0) }), {});
+    if (previous && next && sameBuckets(previous, next)) {
+      const delta = ROLLUP_METRICS.reduce((sum, metric) => ({ ...sum, [metric]: next[metric] - (previous[metric] || 0) }), {});
+      await CallRollup.applyDelta(next, delta);
+    } else {
+      if (previous) await CallRollup.applyDelta(previous, negate(previous));
+      if (next) await CallRollup.applyDelta(next, next);
+    }
+    return true;
+  }
+  return false;
+};
+
+// Pre-save middleware to note status changes pushed to live clients, and
+// qualified leads newly flagged for follow-up
+callSchema.pre('save', function(next) {
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  this.$locals.leadFlagged = Boolean(this.leadData && this.leadData.isQualified && this.leadData.followUpRequired)
+    && (this.isNew || this.isModified('leadData.isQualified') || this.isModified('leadData.followUpRequired'));
+  next();
+});
+
+callSchema.post('save', function() {
+  if (this.$locals.statusChanged) liveEvents.publishCallStatus(this);
+  if (this.$locals.leadFlagged) alerts.qualifiedLead(this);
+});
+
+// Keep rollups current when a finished (or already rolled up) call is saved
+callSchema.post('save', async function() {
+  if (!this.isFinished && !(this.rollup && this.rollup.version)) return;
+  try {
+    await this.constructor.syncRollup(this._id);
+  } catch (error) {
+    console.error(`Rollup sync for call ${this._id} error:`, error);
+  }
+});
+
+// Audit revenue, payout and cost changes and legal holds (calls themselves
+// are created by telephony)
+callSchema.plugin(auditPlugin, {
+  entityType: 'Call',
+  fields: ['cost.perMinute', 'cost.currency', 'revenue', 'payout', 'recording.legalHold'],
+  trackCreate: false
+});
+
+const Call = mongoose.model('Call', callSchema);
+Call.MARGIN_GROUPS = Object.keys(MARGIN_GROUPS);
+Call.ANALYTICS_GROUPS = Object.keys(ANALYTICS_GROUPS);
+Call.FINISHED_STATUSES = FINISHED_STATUSES;
+Call.moneyOf = moneyOf;
+
+module.exports = Call;
\ No newline at end of file
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One bulk import of call detail records (CDRs) into a campaign and its
+// report. Queued with the uploaded file by POST /api/calls/imports and run
+// by the 'imports:run' job (services/cdrImport). Imported calls point back
+// with Call.importId; previews are never stored.
+const MAX_STORED_ERRORS = 500;
+
+const callImportSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  mapping: mongoose.Schema.Types.Mixed, // Call field -> source column
+  defaults: mongoose.Schema.Types.Mixed, // Call field -> value for rows without one
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  fileSize: Number, // bytes uploaded
+  totals: {
+    rows: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 }, // callId already known, or repeated in the file
+    failed: { type: Number, default: 0 }
+  },
+  // Row-level problems, first MAX_STORED_ERRORS only
+  rowErrors: [{
+    _id: false,
+    row: Number, // 1-based data row (CSV header excluded)
+    callId: String,
+    messages: [String]
+  }],
+  range: {
+    from: Date, // earliest imported call start
+    to: Date // latest imported call start
+  },
+  error: String, // why a failed import stopped
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+callImportSchema.index({ organizationId: 1, createdAt: -1 });
+callImportSchema.index({ campaignId: 1, createdAt: -1 });
+callImportSchema.index({ status: 1, createdAt: 1 });
+
+const CallImport = mongoose.model('CallImport', callImportSchema);
+CallImport.MAX_STORED_ERRORS = MAX_STORED_ERRORS;
+
+module.exports = CallImport;
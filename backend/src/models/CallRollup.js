@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const fx = require('../services/fx');
+
+// Pre-aggregated call totals of one campaign over one UTC hour or day,
+// bucketed by when calls started. Maintained incrementally with $inc by
+// Call.syncRollup as calls finish or are edited; rebuilt from calls by
+// scripts/rebuild-rollups.js. Money is in minor units of the base currency
+// (see services/fx), from the amounts fixed when each call was priced.
+const GRANULARITIES = ['hour', 'day'];
+
+const METRICS = ['calls', 'answered', 'answeredDuration', 'cost', 'payout', 'revenue', 'qualifiedLeads', 'billable'];
+
+const BUCKET_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const callRollupSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  granularity: {
+    type: String,
+    enum: GRANULARITIES,
+    required: true
+  },
+  bucket: {
+    type: Date, // UTC start of the hour or day
+    required: true
+  },
+  calls: { type: Number, default: 0 },
+  answered: { type: Number, default: 0 },
+  answeredDuration: { type: Number, default: 0 }, // seconds
+  cost: { type: Number, default: 0 }, // telephony cost, base minor units
+  payout: { type: Number, default: 0 }, // base minor units
+  revenue: { type: Number, default: 0 }, // base minor units
+  qualifiedLeads: { type: Number, default: 0 },
+  billable: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+callRollupSchema.index({ campaignId: 1, granularity: 1, bucket: 1 }, { unique: true });
+callRollupSchema.index({ organizationId: 1, granularity: 1, bucket: 1 });
+
+// Static method to get the UTC start of the hour or day containing a moment
+callRollupSchema.statics.floorBucket = function(at, granularity) {
+  const size = BUCKET_MS[granularity];
+  return new Date(Math.floor(new Date(at).getTime() / size) * size);
+};
+
+// Static method to add a call's change to the hour and day buckets it
+// started in. source carries organizationId, campaignId and at.
+callRollupSchema.statics.applyDelta = async function(source, delta) {
+  const $inc = {};
+  METRICS.forEach((metric) => {
+    if (delta[metric]) $inc[metric] = delta[metric];
+  });
+  if (Object.keys($inc).length === 0) return;
+
+  await Promise.all(GRANULARITIES.map(async (granularity) => {
+    const filter = { campaignId: source.campaignId, granularity, bucket: this.floorBucket(source.at, granularity) };
+    const update = { $inc, $setOnInsert: { organizationId: source.organizationId } };
+    try {
+      await this.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      // Another call created the bucket at the same time
+      if (error.code !== 11000) throw error;
+      await this.updateOne(filter, update);
+    }
+  }));
+};
+
+// Static method to report rollup totals like Call.getAnalytics, for whole
+// buckets of one granularity in [start, end). Only groups by campaign.
+// Buckets never span UTC days, so each converts at its day's rate.
+callRollupSchema.statics.getAnalytics = async function(organizationId, { granularity, start, end, interval = 'day', timeZone = 'UTC', groupBy, filter = {}, currency = fx.BASE_CURRENCY }) {
+  const match = {
+    organizationId: new mongoose.Types.ObjectId(organizationId),
+    granularity,
+    bucket: { $gte: start, $lt: end },
+    ...filter
+  };
+
+  const totals = {
+    calls: { $sum: '$calls' },
+    answered: { $sum: '$answered' },
+    answeredDuration: { $sum: '$answeredDuration' },
+    cost: { $sum: { $add: ['$cost', '$payout'] } },
+    revenue: { $sum: '$revenue' },
+    qualifiedLeads: { $sum: '$qualifiedLeads' },
+    billable: { $sum: '$billable' }
+  };
+
+  const byDay = (key) => ({ key, day: { $dateToString: { format: '%Y-%m-%d', date: '$bucket' } } });
+
+  const facets = {
+    totals: [{ $group: { _id: byDay(null), ...totals } }],
+    series: [
+      {
+        $group: {
+          _id: byDay({ $dateTrunc: { date: '$bucket', unit: interval, timezone: timeZone, startOfWeek: 'monday' } }),
+          ...totals
+        }
+      }
+    ]
+  };
+  if (groupBy === 'campaign') {
+    facets.groups = [{ $group: { _id: byDay('$campaignId'), ...totals } }];
+  }
+
+  const [result] = await this.aggregate([{ $match: match }, { $facet: facets }]);
+  return fx.foldAnalytics(result, { currency });
+};
+
+const CallRollup = mongoose.model('CallRollup', callRollupSchema);
+CallRollup.GRANULARITIES = GRANULARITIES;
+CallRollup.METRICS = METRICS;
+CallRollup.BUCKET_MS = BUCKET_MS;
+
+module.exports = CallRollup;
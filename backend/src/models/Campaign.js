@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const fx = require('../services/fx');
+const auditPlugin = require('./plugins/auditPlugin');
+const { isAllowedStatusChange } = require('../services/campaignLifecycle');
+const campaignSchedule = require('../services/campaignSchedule');
+const optimizationRules = require('../services/optimizationRules');
+const liveEvents = require('../services/liveEvents');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { pricingTermsSchema } = require('./schemas/pricingTerms');
 
 const campaignSchema = new mongoose.Schema({
   name: {
@@ -12,6 +20,11 @@ const campaignSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -22,6 +35,18 @@ const campaignSchema = new mongoose.Schema({
     enum: ['draft', 'active', 'paused', 'completed', 'cancelled'],
     default: 'draft'
   },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    action: String,
+    reason: String,
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: { type: Date, default: Date.now }
+  }],
   type: {
     type: String,
     enum: ['inbound', 'outbound', 'hybrid'],
@@ -57,6 +82,12 @@ const campaignSchema = new mongoose.Schema({
       enum: ['low', 'medium', 'high', 'luxury']
     }
   },
+  currency: {
+    type: String, // of budget, spend and performance figures
+    default: () => fx.BASE_CURRENCY,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code']
+  },
   budget: {
     daily: {
       type: Number,
@@ -77,6 +108,20 @@ const campaignSchema = new mongoose.Schema({
       default: function() {
         return this.budget.total;
       }
+    },
+    reserved: {
+      type: Number,
+      default: 0 // expected cost of calls in progress, see services/budgetControl
+    },
+    pacing: {
+      type: String,
+      enum: ['asap', 'even'], // even spreads the daily budget across active hours
+      default: 'asap'
+    },
+    autoPause: {
+      reason: { type: String, enum: ['daily_cap', 'total_cap'] },
+      pausedAt: Date,
+      resumeAt: Date // start of the next budget day for daily caps
     }
   },
   callSettings: {
@@ -88,9 +133,18 @@ const campaignSchema = new mongoose.Schema({
     },
     minCallDuration: {
       type: Number,
-      default: 30, // 30 seconds
+      default: 30, // 30 seconds; shorter calls are not billable (the buffer)
       min: [15, 'Minimum call duration is 15 seconds']
     },
+    // Further billable-call rules, see services/callQualification
+    qualification: {
+      duplicateWindowDays: { type: Number, default: 0, min: 0, max: 365 }, // repeat callers within N days are not billable; 0 disables
+      businessHoursOnly: { type: Boolean, default: false }, // calls started outside the schedule are not billable
+      excludedAreaCodes: [{
+        type: String,
+        match: [/^\d{3}$/, 'Area codes must be 3 digits']
+      }]
+    },
     callQuality: {
       type: String,
       enum: ['standard', 'high', 'premium'],
@@ -107,14 +161,62 @@ const campaignSchema = new mongoose.Schema({
       required: true,
       match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
     },
+    normalized: String, // +<digits>, maintained on validate for lookups
     type: {
       type: String,
       enum: ['toll_free', 'local', 'vanity'],
       default: 'local'
     },
+    publisherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Publisher'
+    }, // calls to this number are attributed to the publisher
     isActive: { type: Boolean, default: true },
     assignedAt: { type: Date, default: Date.now }
   }],
+  publishers: [{
+    _id: false,
+    publisherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Publisher',
+      required: true
+    },
+    payout: { type: pricingTermsSchema, default: () => ({}) } // paid to the publisher per call
+  }],
+  buyers: [{
+    _id: false,
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Buyer',
+      required: true
+    },
+    bid: { type: pricingTermsSchema, default: () => ({}) } // paid by the buyer per call
+  }],
+  routing: {
+    strategy: {
+      type: String,
+      enum: ['priority', 'weighted', 'round_robin'],
+      default: 'priority'
+    },
+    destinations: [{
+      name: { type: String, trim: true },
+      buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Buyer'
+      },
+      number: {
+        type: String,
+        required: true,
+        match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
+      },
+      priority: { type: Number, default: 1, min: 0 }, // lower rings first
+      weight: { type: Number, default: 1, min: 0 }, // share of weighted traffic
+      ringTimeout: { type: Number, default: 20, min: 5, max: 120 }, // seconds before failover
+      isActive: { type: Boolean, default: true }
+    }],
+    allowUnknownLocation: { type: Boolean, default: false }, // route callers without geo data when targeting is set
+    roundRobinCursor: { type: Number, default: 0 }
+  },
   tracking: {
     utmSource: String,
     utmMedium: String,
@@ -125,6 +227,9 @@ const campaignSchema = new mongoose.Schema({
   },
   performance: {
     totalCalls: { type: Number, default: 0 },
+    billableCalls: { type: Number, default: 0 },
+    totalCost: { type: Number, default: 0 }, // payouts plus telephony cost
+    totalRevenue: { type: Number, default: 0 },
     totalDuration: { type: Number, default: 0 },
     averageDuration: { type: Number, default: 0 },
     conversionRate: { type: Number, default: 0 },
@@ -143,24 +248,83 @@ const campaignSchema = new mongoose.Schema({
     },
     timeZone: {
       type: String,
-      default: 'UTC'
+      default: 'UTC',
+      validate: [campaignSchedule.isValidTimeZone, 'Please enter a valid IANA timezone']
     },
     activeHours: {
       start: { type: String, default: '09:00' }, // 24-hour format
-      end: { type: String, default: '17:00' }
+      end: { type: String, default: '17:00' } // at or before start crosses midnight
     },
     activeDays: {
       type: [String],
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
       default: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
-    }
+    },
+    // Per-weekday windows; when set they replace activeDays/activeHours
+    windows: [{
+      _id: false,
+      day: {
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+        required: true
+      },
+      start: {
+        type: String,
+        required: true,
+        match: [campaignSchedule.TIME_PATTERN, 'Window start must be HH:MM']
+      },
+      end: {
+        type: String,
+        required: true,
+        match: [campaignSchedule.TIME_PATTERN, 'Window end must be HH:MM'] // at or before start crosses midnight
+      }
+    }],
+    // Holidays and other local dates the campaign takes no calls
+    blackoutDates: [{
+      _id: false,
+      date: {
+        type: String,
+        required: true,
+        match: [campaignSchedule.DATE_PATTERN, 'Blackout date must be YYYY-MM-DD']
+      },
+      name: { type: String, trim: true }
+    }]
   },
   autoOptimization: {
     enabled: { type: Boolean, default: false },
+    // Typed rules evaluated by services/autoOptimization, see services/optimizationRules
     rules: [{
-      condition: String,
-      action: String,
-      threshold: Number
+      name: { type: String, trim: true },
+      metric: {
+        type: String,
+        enum: Object.keys(optimizationRules.METRICS),
+        required: true
+      },
+      operator: {
+        type: String,
+        enum: Object.keys(optimizationRules.OPERATORS),
+        required: true
+      },
+      threshold: { type: Number, required: true },
+      window: {
+        calls: { type: Number, default: 50, min: 1, max: optimizationRules.MAX_WINDOW_CALLS }, // last N finished calls
+        minCalls: { type: Number, default: 10, min: 1 } // never fire on a smaller sample
+      },
+      action: {
+        type: {
+          type: String,
+          enum: optimizationRules.ACTIONS,
+          required: true
+        },
+        percent: { type: Number, min: 0, max: 100 }, // lower_bid: cut publisher payouts by this share
+        floor: { type: Number, min: 0 }, // lower_bid: never below this amount
+        publisherId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Publisher'
+        } // lower_bid: only this publisher's payout
+      },
+      cooldownMinutes: { type: Number, default: 60, min: 0 }, // minimum time between firings
+      isActive: { type: Boolean, default: true }
     }]
   }
 }, {
@@ -194,48 +358,127 @@ campaignSchema.virtual('efficiency').get(function() {
 });
 
 // Indexes for better query performance
+campaignSchema.index({ organizationId: 1, status: 1 });
 campaignSchema.index({ userId: 1, status: 1 });
 campaignSchema.index({ industry: 1, status: 1 });
 campaignSchema.index({ 'schedule.startDate': 1, 'schedule.endDate': 1 });
 campaignSchema.index({ createdAt: -1 });
+campaignSchema.index({ 'phoneNumbers.normalized': 1 });
+
+// Remember the stored status so illegal jumps can be rejected on save
+campaignSchema.post('init', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+// Validation middleware to keep normalized phone numbers in sync
+campaignSchema.pre('validate', function(next) {
+  this.phoneNumbers.forEach((phoneNumber) => {
+    phoneNumber.normalized = normalizePhoneNumber(phoneNumber.number);
+  });
+  next();
+});
+
+// Validation middleware to enforce the lifecycle state machine
+campaignSchema.pre('validate', function(next) {
+  const from = this.isNew ? 'draft' : this.$locals.loadedStatus;
+  if (from && this.isModified('status') && !isAllowedStatusChange(from, this.status)) {
+    this.invalidate('status', `Invalid status change from ${from} to ${this.status}`);
+  }
+  next();
+});
 
 // Pre-save middleware to update remaining budget
 campaignSchema.pre('save', function(next) {
-  if (this.isModified('budget.spent')) {
-    this.budget.remaining = this.budget.total - this.budget.spent;
+  if (this.isModified('budget.spent') || this.isModified('budget.total')) {
+    this.budget.remaining = Math.max(0, this.budget.total - this.budget.spent);
   }
   next();
 });
 
-// Method to check if campaign is active
-campaignSchema.methods.isActive = function() {
-  const now = new Date();
-  const currentTime = now.toTimeString().slice(0, 5);
-  const currentDay = now.toLocaleDateString('en-US', { weekday: 'lowercase' });
-  
-  return this.status === 'active' &&
-         now >= this.schedule.startDate &&
-         now <= this.schedule.endDate &&
-         this.schedule.activeDays.includes(currentDay) &&
-         currentTime >= this.schedule.activeHours.start &&
-         currentTime <= this.schedule.activeHours.end;
+// Pre-save middleware to note changes pushed to live clients
+campaignSchema.pre('save', function(next) {
+  this.$locals.liveChanges = this.isNew ? {} : {
+    previousStatus: this.isModified('status') ? this.$locals.loadedStatus : undefined,
+    budget: ['budget.daily', 'budget.total', 'budget.spent'].some((path) => this.isModified(path))
+  };
+  next();
+});
+
+campaignSchema.post('save', function() {
+  const { previousStatus, budget } = this.$locals.liveChanges || {};
+  if (previousStatus) liveEvents.publishCampaignStatus(this, previousStatus);
+  if (budget) liveEvents.publishCampaignBudget(this);
+  this.$locals.loadedStatus = this.status;
+});
+
+// Method to check if campaign is live and inside its schedule
+campaignSchema.methods.isActive = function(at = new Date()) {
+  return this.status === 'active' && campaignSchedule.isOpen(this, at);
+};
+
+// Method to get whether the schedule is open and when it next opens or closes
+campaignSchema.methods.getScheduleStatus = function(at = new Date()) {
+  return campaignSchedule.getScheduleStatus(this, at);
 };
 
-// Method to update performance metrics
+// Method to find the publisher owning a tracking number
+campaignSchema.methods.getPublisherForNumber = function(number) {
+  const normalized = normalizePhoneNumber(number);
+  const phoneNumber = this.phoneNumbers.find((entry) => entry.normalized === normalized);
+  return phoneNumber ? phoneNumber.publisherId : undefined;
+};
+
+// Method to get the payout terms agreed with a publisher
+campaignSchema.methods.getPayoutTerms = function(publisherId) {
+  const entry = publisherId && this.publishers.find((publisher) => publisher.publisherId.equals(publisherId));
+  return entry ? entry.payout : null;
+};
+
+// Method to get the bid terms agreed with a buyer
+campaignSchema.methods.getBidTerms = function(buyerId) {
+  const entry = buyerId && this.buyers.find((buyer) => buyer.buyerId.equals(buyerId));
+  return entry ? entry.bid : null;
+};
+
+// Averages and rates from performance totals
+const derivePerformanceRates = (performance) => {
+  performance.averageDuration = performance.totalCalls > 0 ? performance.totalDuration / performance.totalCalls : 0;
+  performance.conversionRate = performance.totalCalls > 0 ? (performance.billableCalls / performance.totalCalls) * 100 : 0;
+  performance.costPerCall = performance.billableCalls > 0 ? performance.totalCost / performance.billableCalls : 0;
+  performance.revenuePerCall = performance.billableCalls > 0 ? performance.totalRevenue / performance.billableCalls : 0;
+  performance.roi = performance.totalCost > 0 ? (performance.totalRevenue - performance.totalCost) / performance.totalCost * 100 : 0;
+};
+
+// Method to update performance metrics. Per-call figures are per billable
+// call; non-billable calls still add their cost. Spend is added to the
+// budget atomically by services/budgetControl, not here.
 campaignSchema.methods.updatePerformance = function(callData) {
-  this.performance.totalCalls += 1;
-  this.performance.totalDuration += callData.duration || 0;
-  this.performance.averageDuration = this.performance.totalDuration / this.performance.totalCalls;
-  
-  if (callData.cost) {
-    this.budget.spent += callData.cost;
-    this.performance.costPerCall = this.budget.spent / this.performance.totalCalls;
-  }
-  
-  if (callData.revenue) {
-    this.performance.revenuePerCall = (this.performance.revenuePerCall * (this.performance.totalCalls - 1) + callData.revenue) / this.performance.totalCalls;
-    this.performance.roi = (this.performance.revenuePerCall - this.performance.costPerCall) / this.performance.costPerCall * 100;
-  }
+  const performance = this.performance;
+
+  performance.totalCalls += 1;
+  performance.totalDuration += callData.duration || 0;
+  if (callData.billable) performance.billableCalls += 1;
+  performance.totalCost += callData.cost || 0;
+  performance.totalRevenue += callData.revenue || 0;
+
+  derivePerformanceRates(performance);
 };
 
+// Method to replace performance with totals recounted from calls
+// (totalCalls, billableCalls, totalDuration, totalCost, totalRevenue)
+campaignSchema.methods.setPerformanceTotals = function(totals) {
+  const performance = this.performance;
+  ['totalCalls', 'billableCalls', 'totalDuration', 'totalCost', 'totalRevenue'].forEach((field) => {
+    performance[field] = totals[field] || 0;
+  });
+
+  derivePerformanceRates(performance);
+};
+
+// Audit every campaign change except counters updated per call
+campaignSchema.plugin(auditPlugin, {
+  entityType: 'Campaign',
+  ignore: ['performance', 'budget.spent', 'budget.remaining', 'budget.reserved', 'routing.roundRobinCursor']
+});
+
 module.exports = mongoose.model('Campaign', campaignSchema);
\ No newline at end of file
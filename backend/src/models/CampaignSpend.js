@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One campaign's spend on one local calendar day (in the campaign's timezone).
+// Amounts only change through atomic $inc updates in services/budgetControl.
+const campaignSpendSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD in the campaign's timezone
+    required: true
+  },
+  timeZone: String,
+  spent: { type: Number, default: 0 },
+  reserved: { type: Number, default: 0 }, // expected cost of calls still in progress
+  calls: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+campaignSpendSchema.index({ campaignId: 1, date: 1 }, { unique: true });
+campaignSpendSchema.index({ organizationId: 1, date: -1 });
+
+module.exports = mongoose.model('CampaignSpend', campaignSpendSchema);
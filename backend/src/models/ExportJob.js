@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A background data export. Queued by POST /api/exports (or by GET when the
+// result is too large to stream), written to a file by services/exports
+// and downloadable until it expires.
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'expired'];
+
+const exportJobSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dataset: {
+    type: String,
+    enum: ['calls', 'campaigns', 'analytics'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'xlsx'],
+    required: true
+  },
+  columns: [String], // column ids in output order
+  filters: mongoose.Schema.Types.Mixed, // raw filter values, parsed again when the job runs
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  rowCount: { type: Number, default: 0 },
+  file: {
+    path: String,
+    name: String, // download file name
+    size: Number // bytes
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date // the file is deleted after this
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+exportJobSchema.index({ organizationId: 1, userId: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to get the fields safe to show to the user
+exportJobSchema.methods.getPublicData = function() {
+  return {
+    id: this._id,
+    dataset: this.dataset,
+    format: this.format,
+    columns: this.columns,
+    filters: this.filters,
+    status: this.status,
+    rowCount: this.rowCount,
+    fileName: this.file && this.file.name,
+    size: this.file && this.file.size,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+ExportJob.STATUSES = STATUSES;
+
+module.exports = ExportJob;
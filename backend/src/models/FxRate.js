@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Exchange rate of one currency on one UTC day, quoted against the base
+// currency (FX_BASE_CURRENCY): how many units of `currency` one unit of the
+// base currency buys. Loaded from FX_RATES_FILE or the admin API; a rate
+// can be corrected by loading it again.
+const fxRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code']
+  },
+  date: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: [(rate) => rate > 0 && Number.isFinite(rate), 'Rate must be a positive number']
+  },
+  source: {
+    type: String,
+    enum: ['file', 'api'],
+    default: 'api'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+fxRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
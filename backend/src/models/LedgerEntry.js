@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Accounts of the ledger. Amounts on lines are signed: debits positive,
+// credits negative. Scoped accounts name their campaign, publisher or buyer
+// in refId.
+const ACCOUNTS = {
+  campaign_spend: { normalBalance: 'debit', scope: 'Campaign' }, // payouts and telephony charged to a campaign
+  campaign_revenue: { normalBalance: 'credit', scope: 'Campaign' }, // buyer revenue earned by a campaign
+  publisher_payable: { normalBalance: 'credit', scope: 'Publisher' }, // owed to a publisher
+  buyer_receivable: { normalBalance: 'debit', scope: 'Buyer' }, // owed by a buyer
+  telephony_payable: { normalBalance: 'credit', scope: null }, // owed to the carrier
+  adjustments: { normalBalance: 'debit', scope: null } // offsets manual corrections
+};
+
+const ENTRY_KINDS = ['call_cost', 'publisher_payout', 'buyer_revenue', 'refund', 'chargeback', 'adjustment'];
+
+const IMMUTABLE_MESSAGE = 'Ledger entries are immutable; post a correcting entry instead';
+
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: Object.keys(ACCOUNTS),
+    required: true
+  },
+  refId: mongoose.Schema.Types.ObjectId,
+  amount: {
+    type: Number, // minor units of the entry's currency; debit positive, credit negative
+    required: true,
+    validate: [Number.isInteger, 'Ledger amounts must be whole minor units']
+  },
+  campaignAmount: {
+    type: Number, // campaign lines: the amount in minor units of the campaign's currency
+    validate: [Number.isInteger, 'Ledger amounts must be whole minor units']
+  }
+}, { _id: false });
+
+// One balanced journal entry: its lines always sum to zero. Entries are
+// only ever inserted; corrections are new entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ENTRY_KINDS,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code']
+  },
+  lines: {
+    type: [lineSchema],
+    validate: [
+      { validator: (lines) => lines.length >= 2, message: 'A ledger entry needs at least two lines' },
+      { validator: (lines) => lines.reduce((sum, line) => sum + line.amount, 0) === 0, message: 'Ledger entry does not balance' }
+    ]
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  callId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call'
+  },
+  affectsBudget: { type: Boolean, default: true }, // false for imported calls, which budgets never saw
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  memo: {
+    type: String,
+    maxlength: [500, 'Memo cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true });
+ledgerEntrySchema.index({ organizationId: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ 'lines.refId': 1, 'lines.account': 1 });
+ledgerEntrySchema.index({ callId: 1 }, { sparse: true });
+
+// Pre-save middleware to refuse edits of posted entries
+ledgerEntrySchema.pre('save', function(next) {
+  next(this.isNew ? undefined : new Error(IMMUTABLE_MESSAGE));
+});
+
+// Refuse updates and deletes through queries as well
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach((operation) => {
+    ledgerEntrySchema.pre(operation, function(next) {
+      next(new Error(IMMUTABLE_MESSAGE));
+    });
+  });
+
+// Method to get public data
+ledgerEntrySchema.methods.getPublicData = function() {
+  const entry = this.toObject();
+  return {
+    id: entry._id,
+    kind: entry.kind,
+    currency: entry.currency,
+    lines: entry.lines,
+    campaignId: entry.campaignId,
+    callId: entry.callId,
+    affectsBudget: entry.affectsBudget,
+    memo: entry.memo,
+    createdBy: entry.createdBy,
+    occurredAt: entry.occurredAt,
+    createdAt: entry.createdAt
+  };
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+LedgerEntry.ACCOUNTS = ACCOUNTS;
+LedgerEntry.KINDS = ENTRY_KINDS;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { EVENT_NAMES } = require('../services/notifications/events');
+
+// Channels a notification can be delivered on. in_app is the inbox entry,
+// which the notification document itself is.
+const CHANNELS = ['email', 'sms', 'push', 'in_app'];
+
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  deliverAfter: Date, // held for quiet hours or the next digest
+  digest: { type: Boolean, default: false }, // goes out in a digest email
+  attempts: { type: Number, default: 0 },
+  sentAt: Date,
+  error: String
+}, { _id: false });
+
+// One alert for one user, doubling as their in-app inbox entry. Written by
+// services/notifications, which also works through the pending deliveries.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  event: {
+    type: String,
+    enum: EVENT_NAMES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  link: String, // frontend path, e.g. /campaigns/<id>
+  data: mongoose.Schema.Types.Mixed,
+  dedupeKey: String, // one notification per user and key
+  readAt: Date,
+  deliveries: [deliverySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.deliverAfter': 1 });
+notificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+// Method to get notification data for the inbox
+notificationSchema.methods.getPublicData = function() {
+  return {
+    id: this._id,
+    event: this.event,
+    title: this.title,
+    body: this.body,
+    link: this.link,
+    data: this.data,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt,
+    deliveries: this.deliveries
+      .filter((delivery) => delivery.channel !== 'in_app')
+      .map(({ channel, status, deliverAfter, digest, sentAt, error }) => ({ channel, status, deliverAfter, digest, sentAt, error }))
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.CHANNELS = CHANNELS;
+
+module.exports = Notification;
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { billingSchema } = require('./schemas/billing');
+
+// Per-organization roles, lowest to highest privilege
+const ORGANIZATION_ROLES = ['user', 'manager', 'admin'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'user'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'user'
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema],
+  accountType: {
+    type: String,
+    enum: ['basic', 'premium', 'enterprise'],
+    default: 'basic'
+  },
+  billing: {
+    type: billingSchema,
+    default: () => ({})
+  },
+  security: {
+    requireTwoFactor: { type: Boolean, default: false }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for member count
+organizationSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Indexes for better query performance
+organizationSchema.index({ 'members.userId': 1 });
+organizationSchema.index({ ownerId: 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+// Method to find a member entry by user id
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find((member) => member.userId.equals(userId));
+};
+
+// Method to count admins (an organization must always keep one)
+organizationSchema.methods.countAdmins = function() {
+  return this.members.filter((member) => member.role === 'admin').length;
+};
+
+// Method to invite someone by email; returns the raw token for the email link
+organizationSchema.methods.createInvitation = function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const normalizedEmail = email.toLowerCase();
+
+  // Re-inviting replaces any pending invitation for the same address
+  this.invitations = this.invitations.filter((invitation) => invitation.email !== normalizedEmail);
+  this.invitations.push({
+    email: normalizedEmail,
+    role,
+    invitedBy,
+    tokenHash: organizationSchema.statics.hashToken(token),
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Method to get public data (invitation tokens stripped)
+organizationSchema.methods.getPublicData = function() {
+  const organization = this.toObject();
+  organization.invitations = organization.invitations.map(({ tokenHash, ...invitation }) => invitation);
+  return organization;
+};
+
+// Static method to hash invitation tokens
+organizationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find an organization holding a pending invitation
+organizationSchema.statics.findByInvitationToken = async function(token) {
+  const tokenHash = this.hashToken(token);
+  const organization = await this.findOne({ 'invitations.tokenHash': tokenHash });
+  if (!organization) return null;
+
+  const invitation = organization.invitations.find((item) => item.tokenHash === tokenHash);
+  if (!invitation || invitation.expiresAt < new Date()) return null;
+
+  return { organization, invitation };
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+Organization.ROLES = ORGANIZATION_ROLES;
+
+module.exports = Organization;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One firing of a campaign auto-optimization rule and what its action did.
+// Written by services/autoOptimization; dry runs are never stored.
+const ruleFiringSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  ruleName: String,
+  metric: { type: String, required: true },
+  operator: { type: String, required: true },
+  threshold: { type: Number, required: true },
+  value: Number, // metric value that breached the threshold
+  sampleSize: Number, // calls the metric was computed over
+  phoneNumber: String, // tracking number, for per-number rules
+  action: { type: String, required: true },
+  outcome: {
+    type: String,
+    enum: ['applied', 'skipped', 'failed'],
+    required: true
+  },
+  detail: String,
+  firedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ruleFiringSchema.index({ campaignId: 1, firedAt: -1 });
+ruleFiringSchema.index({ campaignId: 1, ruleId: 1, phoneNumber: 1, firedAt: -1 });
+ruleFiringSchema.index({ organizationId: 1, firedAt: -1 });
+
+module.exports = mongoose.model('RuleFiring', ruleFiringSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token replaced by the last rotation, kept to detect reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date, // when previousTokenHash was replaced
+  device: {
+    userAgent: String,
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'api', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'revoke_all', 'password_changed', 'token_reuse']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for session validity
+sessionSchema.virtual('isValid').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'user_revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+};
+
+// Method to get the fields safe to show to the user
+sessionSchema.methods.getPublicData = function() {
+  return {
+    id: this._id,
+    device: this.device,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoke_all', exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Metered usage of one organization in one billing period. Counts only
+// change through atomic $inc updates in services/usage.
+const usageCounterSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  metric: {
+    type: String,
+    enum: ['calls'],
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  count: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+usageCounterSchema.index({ organizationId: 1, metric: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
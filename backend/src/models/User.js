@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/auditPlugin');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { NOTIFICATION_EVENTS } = require('../services/notifications/events');
+const { TIME_PATTERN } = require('../services/campaignSchedule');
+const { billingSchema } = require('./schemas/billing');
+
+// Per-event channel subscriptions, defaulting to the event catalog
+const eventSubscriptions = Object.fromEntries(Object.entries(NOTIFICATION_EVENTS).map(([event, { defaults }]) => [
+  event,
+  {
+    email: { type: Boolean, default: defaults.email },
+    sms: { type: Boolean, default: defaults.sms },
+    push: { type: Boolean, default: defaults.push },
+    inApp: { type: Boolean, default: defaults.inApp }
+  }
+]));
+
+// Browser push endpoint registered through the Push API
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -48,6 +75,10 @@ const userSchema = new mongoose.Schema({
     enum: ['basic', 'premium', 'enterprise'],
     default: 'basic'
   },
+  defaultOrganizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,6 +91,14 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   lastLogin: Date,
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // encrypted TOTP secret
+    pendingSecret: { type: String, select: false }, // awaiting first valid code
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes, removed once used
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
   preferences: {
     timezone: {
       type: String,
@@ -70,25 +109,36 @@ const userSchema = new mongoose.Schema({
       default: 'USD'
     },
     notifications: {
+      // Channel switches; a channel that is off sends nothing
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      events: eventSubscriptions,
+      // Email, SMS and push are held until quiet hours end (in the user's
+      // timezone); the in-app inbox still fills
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, match: TIME_PATTERN, default: '22:00' },
+        end: { type: String, match: TIME_PATTERN, default: '07:00' }
+      },
+      // Non-urgent emails batched into one message per period
+      digest: {
+        frequency: { type: String, enum: ['off', 'hourly', 'daily'], default: 'off' },
+        hour: { type: Number, min: 0, max: 23, default: 8 } // local hour of the daily digest
+      }
     }
   },
+  pushSubscriptions: {
+    type: [pushSubscriptionSchema],
+    select: false
+  },
   billing: {
-    stripeCustomerId: String,
-    subscriptionId: String,
-    subscriptionStatus: {
-      type: String,
-      enum: ['active', 'canceled', 'past_due', 'unpaid'],
-      default: 'active'
-    },
-    nextBillingDate: Date
+    type: billingSchema,
+    default: () => ({})
   },
   stats: {
+    // Money is not counted here; see the ledger (services/ledger)
     totalCalls: { type: Number, default: 0 },
-    totalSpent: { type: Number, default: 0 },
-    totalRevenue: { type: Number, default: 0 },
     averageCallDuration: { type: Number, default: 0 }
   }
 }, {
@@ -112,6 +162,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ company: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'billing.stripeCustomerId': 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -131,6 +182,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to generate an email verification token (only the hash is stored)
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = userSchema.statics.hashToken(token);
+  return token;
+};
+
+// Method to generate a password reset token valid for one hour
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = userSchema.statics.hashToken(token);
+  this.resetPasswordExpire = Date.now() + 60 * 60 * 1000;
+  return token;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
@@ -138,7 +204,25 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.verificationToken;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
+// Static method to hash emailed tokens before storing or looking them up
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Audit privilege and status changes
+userSchema.plugin(auditPlugin, {
+  entityType: 'User',
+  fields: ['role', 'accountType', 'isActive'],
+  trackCreate: false
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../AuditLog');
+const requestContext = require('../../services/requestContext');
+
+// Never worth auditing on any model
+const ALWAYS_IGNORED = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+};
+
+// Flatten a document into { 'budget.daily': 100, ... }; arrays are leaves
+const flatten = (object, prefix = '', result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = normalize(value);
+    }
+  });
+  return result;
+};
+
+// Documents read per query when snapshotting a multi-document write
+const SNAPSHOT_BATCH_SIZE = 500;
+
+// Top-level paths an update writes, or null when they cannot be told
+// (pipeline stages other than $set/$addFields/$unset). Keys without an
+// operator are $set by mongoose.
+const updatedPaths = (update) => {
+  if (!update) return [];
+  if (Array.isArray(update)) {
+    const paths = [];
+    for (const stage of update) {
+      const [operator, value] = Object.entries(stage)[0] || [];
+      if (operator === '$set' || operator === '$addFields') paths.push(...Object.keys(value));
+      else if (operator === '$unset') paths.push(...[].concat(value));
+      else return null;
+    }
+    return paths;
+  }
+  return Object.entries(update).flatMap(([key, value]) => (
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  ));
+};
+
+const matchesPath = (path, candidates) => {
+  return candidates.some((candidate) => path === candidate || path.startsWith(`${candidate}.`));
+};
+
+const diff = (before, after, options) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter((path) => !matchesPath(path, ALWAYS_IGNORED))
+    .filter((path) => (options.fields ? matchesPath(path, options.fields) : !matchesPath(path, options.ignore)))
+    .filter((path) => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .sort()
+    .map((field) => ({ field, from: flatBefore[field], to: flatAfter[field] }));
+};
+
+const buildActor = () => {
+  const context = requestContext.get();
+  let type = 'system';
+  if (context.apiKeyId) type = 'api_key';
+  else if (context.userId) type = 'user';
+
+  return {
+    type,
+    userId: context.userId,
+    apiKeyId: context.apiKeyId,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  };
+};
+
+const writeEntries = async (entries) => {
+  if (entries.length === 0) return;
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (error) {
+    // Auditing must never make the audited write fail
+    console.error('Audit log write error:', error);
+  }
+};
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+/**
+ * Records create/update/delete of documents to the AuditLog collection.
+ *
+ * Options:
+ *   entityType  - name stored on each entry
+ *   fields      - only audit these paths (and their children)
+ *   ignore      - audit every path except these (used when `fields` is not set)
+ *   trackCreate - also log document creation (default true)
+ */
+module.exports = function auditPlugin(schema, options) {
+  const settings = { ignore: [], trackCreate: true, ...options };
+
+  const buildEntry = (action, doc, changes) => ({
+    organizationId: doc.organizationId || requestContext.get().organizationId,
+    entityType: settings.entityType,
+    entityId: doc._id,
+    action,
+    changes,
+    actor: buildActor()
+  });
+
+  // Keep the loaded state so saves can be diffed against it
+  schema.post('init', function() {
+    this.$locals.auditOriginal = toPlain(this);
+  });
+
+  schema.pre('save', function(next) {
+    if (this.isNew) {
+      this.$locals.auditPending = settings.trackCreate
+        ? buildEntry('create', this, diff({}, toPlain(this), settings))
+        : null;
+    } else {
+      const changes = diff(this.$locals.auditOriginal, toPlain(this), settings);
+      this.$locals.auditPending = changes.length ? buildEntry('update', this, changes) : null;
+    }
+    next();
+  });
+
+  schema.post('save', async function() {
+    const pending = this.$locals.auditPending;
+    this.$locals.auditPending = null;
+    this.$locals.auditOriginal = toPlain(this);
+    if (pending) await writeEntries([pending]);
+  });
+
+  // Whether an update path can change an audited field: the field itself, a
+  // child of it, or a parent replacing it. Positional segments ($, $[], $[x])
+  // are dropped first.
+  const isAuditedPath = (path) => {
+    const clean = path.split('.').filter((segment) => !segment.startsWith('$')).join('.');
+    if (matchesPath(clean, ALWAYS_IGNORED)) return false;
+    if (!settings.fields) return !matchesPath(clean, settings.ignore);
+    return settings.fields.some((field) => matchesPath(clean, [field]) || field.startsWith(`${clean}.`));
+  };
+
+  // Only what the diff looks at, so large snapshots stay small
+  const projection = settings.fields
+    ? [...settings.fields, 'organizationId'].join(' ')
+    : settings.ignore.map((path) => `-${path}`).join(' ');
+
+  // Query updates bypass document middleware, so snapshot before and after.
+  // Updates touching no audited path skip both reads, as do queries run with
+  // { audit: false } (internal bulk rewrites of unaudited data).
+  const snapshotBefore = async function() {
+    this._auditBefore = null;
+    if (this.getOptions().audit === false) {
+      delete this.options.audit; // ours, not the driver's
+      return;
+    }
+    if (this.op.startsWith('update') || this.op === 'findOneAndUpdate') {
+      const paths = updatedPaths(this.getUpdate());
+      if (paths && !paths.some(isAuditedPath)) return;
+    }
+
+    const query = this.model.find(this.getFilter()).select(projection).lean();
+    if (this.op !== 'updateMany' && this.op !== 'deleteMany') {
+      this._auditBefore = await query.limit(1);
+      return;
+    }
+    this._auditBefore = [];
+    for await (const doc of query.cursor({ batchSize: SNAPSHOT_BATCH_SIZE })) {
+      this._auditBefore.push(doc);
+    }
+  };
+
+  ['updateOne', 'updateMany', 'findOneAndUpdate'].forEach((operation) => {
+    schema.pre(operation, snapshotBefore);
+    schema.post(operation, async function() {
+      const before = this._auditBefore || [];
+      this._auditBefore = null;
+
+      for (let index = 0; index < before.length; index += SNAPSHOT_BATCH_SIZE) {
+        const batch = before.slice(index, index + SNAPSHOT_BATCH_SIZE);
+        const after = await this.model.find({ _id: { $in: batch.map((doc) => doc._id) } }).select(projection).lean();
+        const afterById = new Map(after.map((doc) => [doc._id.toString(), doc]));
+
+        const entries = batch
+          .map((doc) => ({ doc, changes: diff(doc, afterById.get(doc._id.toString()), settings) }))
+          .filter(({ changes }) => changes.length > 0)
+          .map(({ doc, changes }) => buildEntry('update', doc, changes));
+
+        await writeEntries(entries);
+      }
+    });
+  });
+
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+    schema.pre(operation, { query: true, document: false }, snapshotBefore);
+    schema.post(operation, { query: true, document: false }, async function() {
+      const entries = (this._auditBefore || []).map((doc) => buildEntry('delete', doc, diff(doc, {}, settings)));
+      await writeEntries(entries);
+    });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await writeEntries([buildEntry('delete', this, diff(toPlain(this), {}, settings))]);
+  });
+};
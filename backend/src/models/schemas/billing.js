@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Stripe subscription statuses
+const SUBSCRIPTION_STATUSES = ['active', 'trialing', 'incomplete', 'incomplete_expired', 'past_due', 'unpaid', 'canceled', 'paused'];
+
+// Subscription state kept on the paying user and mirrored onto the
+// organizations they own, see services/billing. past_due and unpaid
+// accounts get a grace period, then are restricted until they pay.
+const billingSchema = new mongoose.Schema({
+  stripeCustomerId: String,
+  subscriptionId: String,
+  subscriptionStatus: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'active'
+  },
+  nextBillingDate: Date,
+  cancelAtPeriodEnd: { type: Boolean, default: false }, // drops to basic at nextBillingDate
+  gracePeriodEndsAt: Date,
+  restrictedAt: Date, // read-only, and inbound calls are rejected
+  lastEventAt: Date // creation time of the last subscription webhook applied
+}, { _id: false });
+
+module.exports = {
+  SUBSCRIPTION_STATUSES,
+  billingSchema
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const PRICING_MODELS = ['flat', 'per_minute', 'tiered'];
+
+// What a call is worth to one side of the deal: a flat amount per call, an
+// amount per started minute, or the amount of the highest duration tier
+// the call reached
+const pricingTermsSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    enum: PRICING_MODELS,
+    default: 'flat'
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative']
+  },
+  tiers: [{
+    _id: false,
+    minDuration: { type: Number, required: true, min: 0 }, // seconds
+    amount: { type: Number, required: true, min: 0 }
+  }],
+  currency: {
+    type: String,
+    default: 'USD'
+  }
+}, { _id: false });
+
+module.exports = {
+  PRICING_MODELS,
+  pricingTermsSchema
+};
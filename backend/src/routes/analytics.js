@@ -0,0 +1,97 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Call = require('../models/Call');
+const { auth, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const analytics = require('../services/analytics');
+const { isValidTimeZone } = require('../services/campaignSchedule');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization, requireScope('analytics:read'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The requested timezone, else the user's preference, else UTC
+const resolveTimeZone = async (req) => {
+  if (req.query.timeZone) return req.query.timeZone;
+  return analytics.getPreferredTimeZone(req.user.userId);
+};
+
+// The requested reporting currency, else the user's preference, else the base currency
+const resolveCurrency = async (req) => {
+  if (req.query.currency) return req.query.currency;
+  return analytics.getPreferredCurrency(req.user.userId);
+};
+
+// @route   GET /api/analytics
+// @desc    Call volume, answer rate, duration, cost, revenue, ROI and lead rates over time,
+//          optionally broken down by a dimension and compared with an earlier period
+// @access  Private
+router.get('/', [
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('interval').optional().isIn(analytics.INTERVALS).withMessage('interval must be hour, day, week or month'),
+  query('timeZone').optional().custom(isValidTimeZone).withMessage('Please provide a valid IANA timezone'),
+  query('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  query('groupBy').optional().isIn(Call.ANALYTICS_GROUPS)
+    .withMessage(`groupBy must be one of ${Call.ANALYTICS_GROUPS.join(', ')}`),
+  query('compare').optional().isIn(analytics.COMPARISONS).withMessage('compare must be previous_period or previous_year'),
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const end = req.query.to || new Date();
+    const start = req.query.from || new Date(end.getTime() - 30 * DAY_MS);
+    if (start >= end) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const filter = {};
+    if (req.query.campaignId) filter.campaignId = new mongoose.Types.ObjectId(req.query.campaignId);
+
+    const report = await analytics.buildReport(req.organization._id, {
+      start,
+      end,
+      interval: req.query.interval || 'day',
+      timeZone: await resolveTimeZone(req),
+      currency: await resolveCurrency(req),
+      groupBy: req.query.groupBy,
+      compare: req.query.compare,
+      filter
+    });
+
+    if (report.error) {
+      return res.status(400).json({
+        success: false,
+        message: report.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Analytics report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building analytics report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { auth, requireUserSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 25;
+
+// API keys can only be managed from an interactive login
+router.use(auth, requireUserSession);
+
+// @route   GET /api/api-keys
+// @desc    List API keys of the current user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map((apiKey) => apiKey.getPublicData()),
+        availableScopes: ApiKey.SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (the raw key is only returned once)
+// @access  Private
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ userId: req.user.userId, revokedAt: null });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`
+      });
+    }
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      userId: req.user.userId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        apiKey: apiKey.getPublicData(),
+        key: rawKey
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireUserSession } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+
+const router = express.Router();
+
+router.use(auth, requireUserSession, requireOrganization);
+
+// @route   GET /api/audit
+// @desc    Query the audit trail of the active organization
+// @access  Private (admin/manager; any member for a single campaign's activity)
+router.get('/', [
+  query('entityType').optional().isIn(['Campaign', 'Call', 'User']).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity id'),
+  query('actorId').optional().isMongoId().withMessage('Invalid actor id'),
+  query('action').optional().isIn(['create', 'update', 'delete']).withMessage('Invalid action'),
+  query('field').optional().isString().trim(),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { entityType, entityId, actorId, action, field, from, to } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 25;
+
+    const isCampaignFeed = entityType === 'Campaign' && !!entityId;
+    if (!isCampaignFeed && !['admin', 'manager'].includes(req.membership.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    const filter = { organizationId: req.organization._id };
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (actorId) filter['actor.userId'] = actorId;
+    if (action) filter.action = action;
+    if (field) filter['changes.field'] = { $regex: `^${field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor.userId', 'firstName lastName email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit query error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1 +1,686 @@
-const express = require('express');\nconst { body, validationResult } = require('express-validator');\nconst jwt = require('jsonwebtoken');\nconst bcrypt = require('bcryptjs');\nconst User = require('../models/User');\nconst auth = require('../middleware/auth');\n\nconst router = express.Router();\n\n// Generate JWT Token\nconst generateToken = (userId) => {\n  return jwt.sign(\n    { userId },\n    process.env.JWT_SECRET || 'your-secret-key',\n    { expiresIn: '7d' }\n  );\n};\n\n// @route   POST /api/auth/register\n// @desc    Register a new user\n// @access  Public\nrouter.post('/register', [\n  body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),\n  body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),\n  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),\n  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),\n  body('phone').matches(/^\\+?[\\d\\s\\-\\(\\)]+$/).withMessage('Please provide a valid phone number'),\n  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { firstName, lastName, email, password, phone, company } = req.body;\n\n    // Check if user already exists\n    const existingUser = await User.findOne({ email });\n    if (existingUser) {\n      return res.status(400).json({\n        success: false,\n        message: 'User with this email already exists'\n      });\n    }\n\n    // Create new user\n    const user = new User({\n      firstName,\n      lastName,\n      email,\n      password,\n      phone,\n      company\n    });\n\n    await user.save();\n\n    // Generate token\n    const token = generateToken(user._id);\n\n    // Update last login\n    user.lastLogin = new Date();\n    await user.save();\n\n    res.status(201).json({\n      success: true,\n      message: 'User registered successfully',\n      data: {\n        user: user.getPublicProfile(),\n        token\n      }\n    });\n\n  } catch (error) {\n    console.error('Registration error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error during registration'\n    });\n  }\n});\n\n// @route   POST /api/auth/login\n// @desc    Authenticate user & get token\n// @access  Public\nrouter.post('/login', [\n  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),\n  body('password').notEmpty().withMessage('Password is required')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { email, password } = req.body;\n\n    // Check if user exists\n    const user = await User.findOne({ email }).select('+password');\n    if (!user) {\n      return res.status(401).json({\n        success: false,\n        message: 'Invalid credentials'\n      });\n    }\n\n    // Check if user is active\n    if (!user.isActive) {\n      return res.status(401).json({\n        success: false,\n        message: 'Account is deactivated. Please contact support.'\n      });\n    }\n\n    // Check password\n    const isMatch = await user.comparePassword(password);\n    if (!isMatch) {\n      return res.status(401).json({\n        success: false,\n        message: 'Invalid credentials'\n      });\n    }\n\n    // Generate token\n    const token = generateToken(user._id);\n\n    // Update last login\n    user.lastLogin = new Date();\n    await user.save();\n\n    res.json({\n      success: true,\n      message: 'Login successful',\n      data: {\n        user: user.getPublicProfile(),\n        token\n      }\n    });\n\n  } catch (error) {\n    console.error('Login error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error during login'\n    });\n  }\n});\n\n// @route   GET /api/auth/me\n// @desc    Get current user profile\n// @access  Private\nrouter.get('/me', auth, async (req, res) => {\n  try {\n    const user = await User.findById(req.user.userId);\n    if (!user) {\n      return res.status(404).json({\n        success: false,\n        message: 'User not found'\n      });\n    }\n\n    res.json({\n      success: true,\n      data: {\n        user: user.getPublicProfile()\n      }\n    });\n\n  } catch (error) {\n    console.error('Get profile error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error while fetching profile'\n    });\n  }\n});\n\n// @route   PUT /api/auth/profile\n// @desc    Update user profile\n// @access  Private\nrouter.put('/profile', [\n  auth,\n  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),\n  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),\n  body('phone').optional().matches(/^\\+?[\\d\\s\\-\\(\\)]+$/).withMessage('Please provide a valid phone number'),\n  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { firstName, lastName, phone, company } = req.body;\n\n    const user = await User.findById(req.user.userId);\n    if (!user) {\n      return res.status(404).json({\n        success: false,\n        message: 'User not found'\n      });\n    }\n\n    // Update fields\n    if (firstName) user.firstName = firstName;\n    if (lastName) user.lastName = lastName;\n    if (phone) user.phone = phone;\n    if (company) user.company = company;\n\n    await user.save();\n\n    res.json({\n      success: true,\n      message: 'Profile updated successfully',\n      data: {\n        user: user.getPublicProfile()\n      }\n    });\n\n  } catch (error) {\n    console.error('Profile update error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error while updating profile'\n    });\n  }\n});\n\n// @route   POST /api/auth/change-password\n// @desc    Change user password\n// @access  Private\nrouter.post('/change-password', [\n  auth,\n  body('currentPassword').notEmpty().withMessage('Current password is required'),\n  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { currentPassword, newPassword } = req.body;\n\n    const user = await User.findById(req.user.userId).select('+password');\n    if (!user) {\n      return res.status(404).json({\n        success: false,\n        message: 'User not found'\n      });\n    }\n\n    // Check current password\n    const isMatch = await user.comparePassword(currentPassword);\n    if (!isMatch) {\n      return res.status(400).json({\n        success: false,\n        message: 'Current password is incorrect'\n      });\n    }\n\n    // Update password\n    user.password = newPassword;\n    await user.save();\n\n    res.json({\n      success: true,\n      message: 'Password changed successfully'\n    });\n\n  } catch (error) {\n    console.error('Password change error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error while changing password'\n    });\n  }\n});\n\n// @route   POST /api/auth/forgot-password\n// @desc    Send password reset email\n// @access  Public\nrouter.post('/forgot-password', [\n  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { email } = req.body;\n\n    const user = await User.findOne({ email });\n    if (!user) {\n      // Don't reveal if user exists or not\n      return res.json({\n        success: true,\n        message: 'If an account with that email exists, a password reset link has been sent'\n      });\n    }\n\n    // Generate reset token (in a real app, you'd send this via email)\n    const resetToken = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);\n    user.resetPasswordToken = resetToken;\n    user.resetPasswordExpire = Date.now() + 3600000; // 1 hour\n    await user.save();\n\n    // TODO: Send email with reset link\n    console.log('Password reset token:', resetToken);\n\n    res.json({\n      success: true,\n      message: 'If an account with that email exists, a password reset link has been sent'\n    });\n\n  } catch (error) {\n    console.error('Forgot password error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error while processing password reset'\n    });\n  }\n});\n\n// @route   POST /api/auth/reset-password\n// @desc    Reset password with token\n// @access  Public\nrouter.post('/reset-password', [\n  body('token').notEmpty().withMessage('Reset token is required'),\n  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')\n], async (req, res) => {\n  try {\n    // Check for validation errors\n    const errors = validationResult(req);\n    if (!errors.isEmpty()) {\n      return res.status(400).json({\n        success: false,\n        errors: errors.array()\n      });\n    }\n\n    const { token, newPassword } = req.body;\n\n    const user = await User.findOne({\n      resetPasswordToken: token,\n      resetPasswordExpire: { $gt: Date.now() }\n    });\n\n    if (!user) {\n      return res.status(400).json({\n        success: false,\n        message: 'Invalid or expired reset token'\n      });\n    }\n\n    // Update password and clear reset token\n    user.password = newPassword;\n    user.resetPasswordToken = undefined;\n    user.resetPasswordExpire = undefined;\n    await user.save();\n\n    res.json({\n      success: true,\n      message: 'Password reset successfully'\n    });\n\n  } catch (error) {\n    console.error('Reset password error:', error);\n    res.status(500).json({\n      success: false,\n      message: 'Server error while resetting password'\n    });\n  }\n});\n\n// @route   POST /api/auth/logout\n// @desc    Logout user (client-side token removal)\n// @access  Private\nrouter.post('/logout', auth, (req, res) => {\n  res.json({\n    success: true,\n    message: 'Logged out successfully'\n  });\n});\n\nmodule.exports = router;
\ No newline at end of file
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth, requireUserSession } = require('../middleware/auth');
+const mailService = require('../services/mailService');
+const tokenService = require('../services/tokenService');
+const organizationService = require('../services/organizationService');
+const twoFactorService = require('../services/twoFactorService');
+
+const router = express.Router();
+
+// @route   POST /api/auth/register
+// @desc    Register a new user
+// @access  Public
+router.post('/register', [
+  body('firstName').trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('lastName').trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
+  body('phone').matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, email, password, phone, company } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Create new user
+    const user = new User({
+      firstName,
+      lastName,
+      email,
+      password,
+      phone,
+      company
+    });
+
+    const verificationToken = user.createVerificationToken();
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Every account starts with its own workspace
+    await organizationService.createPersonalOrganization(user);
+
+    // A failed email must not block registration; the user can request a new link
+    try {
+      await mailService.sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken } = await tokenService.createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: user.getPublicProfile(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration'
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Authenticate user & get token
+// @access  Public
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Check if user exists
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Second factor: the client finishes with POST /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: tokenService.generateChallengeToken(user._id, '2fa_login')
+        }
+      });
+    }
+
+    // Enforced 2FA without enrollment: the client enrolls via /api/auth/2fa/setup
+    if (await twoFactorService.isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Your organization requires two-factor authentication. Please set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: tokenService.generateChallengeToken(user._id, '2fa_setup')
+        }
+      });
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken } = await tokenService.createSession(user, req);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', [
+  auth,
+  requireUserSession,
+  body('firstName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+  body('lastName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters'),
+  body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, phone, company, currency } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Update fields
+    if (firstName) user.firstName = firstName;
+    if (lastName) user.lastName = lastName;
+    if (phone) user.phone = phone;
+    if (company) user.company = company;
+    if (currency) user.preferences.currency = currency.toUpperCase();
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change user password
+// @access  Private
+router.post('/change-password', [
+  auth,
+  requireUserSession,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Update password and sign out every other device
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      // Don't reveal if user exists or not
+      return res.json({
+        success: true,
+        message: 'If an account with that email exists, a password reset link has been sent'
+      });
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await mailService.sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      // Invalidate the token so a link that never arrived cannot be used
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+      throw mailError;
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(token),
+      resetPasswordExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Update password and clear reset token
+    user.password = newPassword;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ verificationToken: User.hashToken(req.body.token) });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, requireUserSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createVerificationToken();
+    await user.save();
+    await mailService.sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await tokenService.rotateSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || !user.isActive) {
+      result.session.revoke('user_revoked');
+      await result.session.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', auth, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session.getPublicData(),
+          current: session._id.equals(req.user.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session of the current user
+// @access  Private
+router.delete('/sessions/:id', auth, requireUserSession, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revoke('user_revoked');
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions of the current user (?keepCurrent=true keeps this one)
+// @access  Private
+router.delete('/sessions', auth, requireUserSession, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await Session.revokeAllForUser(
+      req.user.userId,
+      'revoke_all',
+      keepCurrent ? req.user.sessionId : null
+    );
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', auth, requireUserSession, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Buyer = require('../models/Buyer');
+const { auth, authorize, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const EDITABLE_FIELDS = ['name', 'company', 'contact', 'notes', 'isActive'];
+
+const pickEditableFields = (source) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+const buyerValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Buyer name must be between 1 and 100 characters'),
+  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters'),
+  body('contact.email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('contact.phone').optional({ checkFalsy: true }).matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const findBuyer = (req) => Buyer.findOne({ _id: req.params.id, organizationId: req.organization._id });
+
+// @route   GET /api/buyers
+// @desc    List buyers of the active organization
+// @access  Private
+router.get('/', [
+  requireScope('campaigns:read'),
+  query('active').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { active, search } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = { organizationId: req.organization._id };
+    if (active !== undefined) filter.isActive = active;
+    if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [buyers, total] = await Promise.all([
+      Buyer.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Buyer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        buyers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List buyers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching buyers'
+    });
+  }
+});
+
+// @route   POST /api/buyers
+// @desc    Create a buyer
+// @access  Private (organization admin/manager)
+router.post('/', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  ...buyerValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const buyer = await Buyer.create({
+      ...pickEditableFields(req.body),
+      organizationId: req.organization._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Buyer created successfully',
+      data: { buyer }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create buyer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating buyer'
+    });
+  }
+});
+
+// @route   GET /api/buyers/:id
+// @desc    Get buyer details
+// @access  Private
+router.get('/:id', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid buyer id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const buyer = await findBuyer(req);
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { buyer }
+    });
+
+  } catch (error) {
+    console.error('Get buyer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching buyer'
+    });
+  }
+});
+
+// @route   PUT /api/buyers/:id
+// @desc    Update a buyer (set isActive to false to retire it)
+// @access  Private (organization admin/manager)
+router.put('/:id', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid buyer id'),
+  ...buyerValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const buyer = await findBuyer(req);
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer not found'
+      });
+    }
+
+    buyer.set(pickEditableFields(req.body));
+    await buyer.save();
+
+    res.json({
+      success: true,
+      message: 'Buyer updated successfully',
+      data: { buyer }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update buyer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating buyer'
+    });
+  }
+});
+
+module.exports = router;
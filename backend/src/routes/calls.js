@@ -0,0 +1,486 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, param, query, validationResult } = require('express-validator');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const CallImport = require('../models/CallImport');
+const { auth, authorize, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const cdrImport = require('../services/cdrImport');
+const recordings = require('../services/recordings');
+const { DATASETS, parseFilters } = require('../services/exportDatasets');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+// Accept one uploaded CDR file, answering upload problems with a 400
+const uploadFile = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? `File cannot exceed ${MAX_FILE_SIZE / (1024 * 1024)} MB` : error.message
+    });
+  });
+};
+
+// Multipart fields arrive as text; mapping and defaults hold JSON
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const importValidation = [
+  body('campaignId').isMongoId().withMessage('Invalid campaign id'),
+  body('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  body('mapping').customSanitizer(parseJsonField),
+  body('defaults').optional().customSanitizer(parseJsonField),
+  body().custom((fields) => {
+    const reasons = cdrImport.validateMapping(fields.mapping, fields.defaults || {});
+    if (reasons.length > 0) throw new Error(reasons.join('; '));
+    return true;
+  })
+];
+
+// Load the request's campaign and parse the uploaded file. Answers the
+// request and returns null when either is missing or unreadable.
+const loadImport = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: 'Please upload a CSV or JSON file'
+    });
+    return null;
+  }
+
+  const campaign = await Campaign.findOne({ _id: req.body.campaignId, organizationId: req.organization._id });
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+    return null;
+  }
+
+  const format = req.body.format || (path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv');
+  const parsed = cdrImport.parseFile(req.file.buffer, format);
+  if (parsed.error) {
+    res.status(400).json({
+      success: false,
+      message: parsed.error
+    });
+    return null;
+  }
+
+  return { campaign, format, ...parsed };
+};
+
+// Per-call history left out of listings
+const LIST_EXCLUDED_FIELDS = '-telephony.events -routing.destinations -routing.attempts -rollup -budgetReservation';
+
+// Internal bookkeeping left out of call details
+const DETAIL_EXCLUDED_FIELDS = '-rollup -budgetReservation -recording.sourceUrl -recording.key';
+
+// Public URL of this API, for recording links served by it
+const getApiBaseUrl = (req) => (process.env.RECORDING_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+// @route   GET /api/calls
+// @desc    List calls, newest first. Accepts the calls export filters (from,
+//          to, campaignId, buyerId, publisherId, status, direction, billable).
+// @access  Private
+router.get('/', [
+  requireScope('calls:read'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { filters, reasons } = parseFilters('calls', req.query);
+    if (reasons.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: reasons.join('; ')
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const filter = DATASETS.calls.query(req.organization._id, filters);
+
+    const [calls, total] = await Promise.all([
+      Call.find(filter)
+        .select(LIST_EXCLUDED_FIELDS)
+        .populate('campaignId', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Call.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        calls,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List calls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calls'
+    });
+  }
+});
+
+// @route   POST /api/calls/imports/preview
+// @desc    Map the first rows of a CDR file without importing anything
+// @access  Private
+router.post('/imports/preview', requireScope('calls:write'), uploadFile, [
+  ...importValidation,
+  body('limit').optional().isInt({ min: 1, max: cdrImport.MAX_PREVIEW_ROWS }).toInt()
+    .withMessage(`Limit must be between 1 and ${cdrImport.MAX_PREVIEW_ROWS}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadImport(req, res);
+    if (!loaded) return;
+
+    const preview = await cdrImport.previewImport(loaded.campaign, loaded.records, {
+      mapping: req.body.mapping,
+      defaults: req.body.defaults,
+      limit: req.body.limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        format: loaded.format,
+        columns: loaded.columns,
+        ...preview
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview call import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing import'
+    });
+  }
+});
+
+// @route   POST /api/calls/imports
+// @desc    Queue a CDR file for import into a campaign. Answers 202 with
+//          the import; poll GET /api/calls/imports/:id for its report.
+// @access  Private
+router.post('/imports', requireScope('calls:write'), uploadFile, importValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadImport(req, res);
+    if (!loaded) return;
+
+    const callImport = await cdrImport.queueImport(loaded.campaign, req.file.buffer, {
+      mapping: req.body.mapping,
+      defaults: req.body.defaults,
+      userId: req.user.userId,
+      fileName: req.file.originalname,
+      format: loaded.format
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Import of ${loaded.records.length} rows queued`,
+      data: { import: callImport }
+    });
+
+  } catch (error) {
+    console.error('Call import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queueing import'
+    });
+  }
+});
+
+// @route   GET /api/calls/imports
+// @desc    List call imports, newest first (row errors left out)
+// @access  Private
+router.get('/imports', [
+  requireScope('calls:read'),
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign id'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = { organizationId: req.organization._id };
+    if (req.query.campaignId) filter.campaignId = req.query.campaignId;
+
+    const [imports, total] = await Promise.all([
+      CallImport.find(filter)
+        .select('-rowErrors')
+        .populate('campaignId', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CallImport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List call imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching call imports'
+    });
+  }
+});
+
+// @route   GET /api/calls/imports/:id
+// @desc    Get a call import's report with its row errors
+// @access  Private
+router.get('/imports/:id', [
+  requireScope('calls:read'),
+  param('id').isMongoId().withMessage('Invalid import id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const callImport = await CallImport.findOne({ _id: req.params.id, organizationId: req.organization._id })
+      .populate('campaignId', 'name');
+    if (!callImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { import: callImport }
+    });
+
+  } catch (error) {
+    console.error('Get call import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching call import'
+    });
+  }
+});
+
+// @route   GET /api/calls/:id
+// @desc    Get call details
+// @access  Private
+router.get('/:id', [
+  requireScope('calls:read'),
+  param('id').isMongoId().withMessage('Invalid call id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const call = await Call.findOne({ _id: req.params.id, organizationId: req.organization._id })
+      .select(DETAIL_EXCLUDED_FIELDS)
+      .populate('campaignId', 'name currency');
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { call }
+    });
+
+  } catch (error) {
+    console.error('Get call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching call'
+    });
+  }
+});
+
+// @route   GET /api/calls/:id/recording
+// @desc    Get a playback link for the call's recording; the link expires
+//          after RECORDING_URL_TTL_SECONDS
+// @access  Private
+router.get('/:id/recording', [
+  requireScope('calls:read'),
+  param('id').isMongoId().withMessage('Invalid call id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const call = await Call.findOne({ _id: req.params.id, organizationId: req.organization._id }).select('recording');
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call not found'
+      });
+    }
+
+    const playback = await recordings.getPlayback(call, { baseUrl: getApiBaseUrl(req) });
+    if (!playback) {
+      return res.status(404).json({
+        success: false,
+        message: call.recording && call.recording.status === 'purged'
+          ? 'This recording was deleted at the end of its retention period'
+          : 'This call has no recording'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recording: playback }
+    });
+
+  } catch (error) {
+    console.error('Get call recording error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recording'
+    });
+  }
+});
+
+// @route   PUT /api/calls/:id/recording/legal-hold
+// @desc    Place or lift a legal hold; held recordings are never purged
+// @access  Private (admin)
+router.put('/:id/recording/legal-hold', [
+  requireScope('calls:write'),
+  authorize('admin'),
+  param('id').isMongoId().withMessage('Invalid call id'),
+  body('enabled').isBoolean().withMessage('Enabled must be true or false').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('reason').custom((reason, { req }) => !req.body.enabled || !!reason).withMessage('A reason is required to place a legal hold')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { enabled, reason } = req.body;
+    const result = await recordings.setLegalHold(req.organization._id, req.params.id, {
+      enabled,
+      reason,
+      userId: req.user.userId
+    });
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: enabled ? 'Legal hold placed' : 'Legal hold lifted',
+      data: { legalHold: result.recording.legalHold }
+    });
+
+  } catch (error) {
+    console.error('Set legal hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating legal hold'
+    });
+  }
+});
+
+module.exports = router;
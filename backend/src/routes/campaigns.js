@@ -0,0 +1,771 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const Buyer = require('../models/Buyer');
+const Publisher = require('../models/Publisher');
+const CampaignSpend = require('../models/CampaignSpend');
+const RuleFiring = require('../models/RuleFiring');
+const { PRICING_MODELS } = require('../models/schemas/pricingTerms');
+const { auth, authorize, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const { requireQuota } = require('../middleware/planLimits');
+const campaignLifecycle = require('../services/campaignLifecycle');
+const campaignSchedule = require('../services/campaignSchedule');
+const budgetControl = require('../services/budgetControl');
+const ledger = require('../services/ledger');
+const autoOptimization = require('../services/autoOptimization');
+const optimizationRules = require('../services/optimizationRules');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const INDUSTRIES = Campaign.schema.path('industry').enumValues;
+const ROUTING_STRATEGIES = Campaign.schema.path('routing.strategy').enumValues;
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Fields a client may set; status only changes through the transition endpoints
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'industry', 'targetAudience', 'currency', 'budget.daily', 'budget.total', 'budget.pacing',
+  'callSettings', 'phoneNumbers', 'tracking', 'schedule', 'autoOptimization',
+  'routing.strategy', 'routing.destinations', 'routing.allowUnknownLocation', 'buyers', 'publishers'
+];
+
+const pickEditableFields = (source) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((path) => {
+    const [root, child] = path.split('.');
+    if (child) {
+      if (source[root] && source[root][child] !== undefined) {
+        fields[root] = { ...fields[root], [child]: source[root][child] };
+      }
+    } else if (source[root] !== undefined) {
+      fields[root] = source[root];
+    }
+  });
+  return fields;
+};
+
+// Validation of one side's pricing terms (publisher payout or buyer bid)
+const pricingTermsValidation = (path) => [
+  body(`${path}.model`).optional().isIn(PRICING_MODELS).withMessage('Pricing model must be flat, per_minute or tiered'),
+  body(`${path}.amount`).optional().isFloat({ min: 0 }).withMessage('Amount cannot be negative'),
+  body(`${path}.tiers`).optional().isArray().withMessage('Tiers must be a list'),
+  body(`${path}.tiers.*.minDuration`).isInt({ min: 0 }).withMessage('Tier minimum duration must be a non-negative number of seconds'),
+  body(`${path}.tiers.*.amount`).isFloat({ min: 0 }).withMessage('Tier amount cannot be negative'),
+  body(`${path}.currency`).optional().isISO4217().withMessage('Currency must be an ISO 4217 code')
+];
+
+// Validation of a list of auto-optimization rules
+const optimizationRulesValidation = (path) => [
+  body(path).optional().isArray().withMessage('Rules must be a list'),
+  body(`${path}.*`).custom((rule) => {
+    const reasons = optimizationRules.validateRule(rule);
+    if (reasons.length > 0) throw new Error(reasons.join('; '));
+    return true;
+  }),
+  body(`${path}.*.window.calls`).optional().isInt({ min: 1, max: optimizationRules.MAX_WINDOW_CALLS })
+    .withMessage(`Rule window must be between 1 and ${optimizationRules.MAX_WINDOW_CALLS} calls`),
+  body(`${path}.*.window.minCalls`).optional().isInt({ min: 1 }).withMessage('Rule minimum calls must be at least 1'),
+  body(`${path}.*.action.floor`).optional().isFloat({ min: 0 }).withMessage('Floor cannot be negative'),
+  body(`${path}.*.action.publisherId`).optional({ nullable: true }).isMongoId().withMessage('Invalid publisher id'),
+  body(`${path}.*.cooldownMinutes`).optional().isInt({ min: 0 }).withMessage('Cooldown must be a non-negative number of minutes')
+];
+
+// Buyers and publishers referenced by a campaign must belong to its organization
+const findUnknownPartners = async (organizationId, fields) => {
+  const collect = (items, key) => (items || []).map((item) => item && item[key]).filter(Boolean);
+  const buyerIds = [...collect(fields.buyers, 'buyerId'), ...collect(fields.routing && fields.routing.destinations, 'buyerId')];
+  const ruleActions = ((fields.autoOptimization && fields.autoOptimization.rules) || []).map((rule) => rule && rule.action);
+  const publisherIds = [
+    ...collect(fields.publishers, 'publisherId'),
+    ...collect(fields.phoneNumbers, 'publisherId'),
+    ...collect(ruleActions, 'publisherId')
+  ];
+
+  const countOwned = (Model, ids) => (ids.length === 0 ? 0 : Model.countDocuments({ _id: { $in: ids }, organizationId }));
+  const [buyers, publishers] = await Promise.all([
+    countOwned(Buyer, [...new Set(buyerIds.map(String))]),
+    countOwned(Publisher, [...new Set(publisherIds.map(String))])
+  ]);
+
+  const reasons = [];
+  if (buyers !== new Set(buyerIds.map(String)).size) reasons.push('Unknown buyer');
+  if (publishers !== new Set(publisherIds.map(String)).size) reasons.push('Unknown publisher');
+  return reasons;
+};
+
+// Validation shared by create (required) and update (optional)
+const campaignValidation = (isUpdate) => {
+  const field = (path) => (isUpdate ? body(path).optional() : body(path));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Campaign name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    field('type').isIn(['inbound', 'outbound', 'hybrid']).withMessage('Type must be inbound, outbound or hybrid'),
+    field('industry').isIn(INDUSTRIES).withMessage('Please provide a valid industry'),
+    body('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    field('budget.daily').isFloat({ min: 1 }).withMessage('Daily budget must be at least $1'),
+    field('budget.total').isFloat({ min: 1 }).withMessage('Total budget must be at least $1'),
+    body('budget.pacing').optional().isIn(['asap', 'even']).withMessage('Pacing must be asap or even'),
+    field('schedule.startDate').isISO8601().withMessage('Start date must be a valid date'),
+    field('schedule.endDate').isISO8601().withMessage('End date must be a valid date'),
+    body('schedule.timeZone').optional().custom(campaignSchedule.isValidTimeZone).withMessage('Please provide a valid IANA timezone'),
+    body('schedule.activeHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:MM'),
+    body('schedule.activeHours.end').optional().matches(campaignSchedule.TIME_PATTERN).withMessage('End time must be HH:MM'),
+    body('schedule.activeDays').optional().isArray().withMessage('Active days must be a list'),
+    body('schedule.activeDays.*').optional().isIn(DAYS).withMessage('Invalid active day'),
+    body('schedule.windows').optional().isArray().withMessage('Schedule windows must be a list'),
+    body('schedule.windows.*.day').isIn(DAYS).withMessage('Invalid window day'),
+    body('schedule.windows.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Window start must be HH:MM'),
+    body('schedule.windows.*.end').matches(campaignSchedule.TIME_PATTERN).withMessage('Window end must be HH:MM'),
+    body('schedule.blackoutDates').optional().isArray().withMessage('Blackout dates must be a list'),
+    body('schedule.blackoutDates.*.date').matches(campaignSchedule.DATE_PATTERN).withMessage('Blackout date must be YYYY-MM-DD'),
+    body('callSettings.minCallDuration').optional().isInt({ min: 15 }).withMessage('Minimum billable duration must be at least 15 seconds'),
+    body('callSettings.qualification.duplicateWindowDays').optional().isInt({ min: 0, max: 365 }).withMessage('Duplicate window must be between 0 and 365 days'),
+    body('callSettings.qualification.businessHoursOnly').optional().isBoolean().withMessage('businessHoursOnly must be a boolean'),
+    body('callSettings.qualification.excludedAreaCodes').optional().isArray().withMessage('Excluded area codes must be a list'),
+    body('callSettings.qualification.excludedAreaCodes.*').matches(/^\d{3}$/).withMessage('Area codes must be 3 digits'),
+    body('callSettings.recording.retention').optional().isInt({ min: 1 }).withMessage('Recording retention must be at least 1 day'),
+    body('phoneNumbers').optional().isArray().withMessage('Phone numbers must be a list'),
+    body('phoneNumbers.*.number').optional().matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+    body('routing.strategy').optional().isIn(ROUTING_STRATEGIES).withMessage('Routing strategy must be priority, weighted or round_robin'),
+    body('routing.destinations').optional().isArray().withMessage('Destinations must be a list'),
+    body('routing.destinations.*.number').matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid destination number'),
+    body('routing.destinations.*.priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer'),
+    body('routing.destinations.*.weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+    body('routing.destinations.*.ringTimeout').optional().isInt({ min: 5, max: 120 }).withMessage('Ring timeout must be between 5 and 120 seconds'),
+    body('routing.allowUnknownLocation').optional().isBoolean().withMessage('allowUnknownLocation must be a boolean'),
+    body('routing.destinations.*.buyerId').optional({ nullable: true }).isMongoId().withMessage('Invalid buyer id'),
+    body('phoneNumbers.*.publisherId').optional({ nullable: true }).isMongoId().withMessage('Invalid publisher id'),
+    body('buyers').optional().isArray().withMessage('Buyers must be a list'),
+    body('buyers.*.buyerId').isMongoId().withMessage('Invalid buyer id'),
+    ...pricingTermsValidation('buyers.*.bid'),
+    body('publishers').optional().isArray().withMessage('Publishers must be a list'),
+    body('publishers.*.publisherId').isMongoId().withMessage('Invalid publisher id'),
+    ...pricingTermsValidation('publishers.*.payout'),
+    body('autoOptimization.enabled').optional().isBoolean().withMessage('autoOptimization.enabled must be a boolean'),
+    ...optimizationRulesValidation('autoOptimization.rules')
+  ];
+};
+
+const findCampaign = (req) => Campaign.findOne({ _id: req.params.id, organizationId: req.organization._id });
+
+// Plan limits: tracking numbers a request adds, and the recording retention it sets
+const addedTrackingNumbers = async (req) => {
+  if (!Array.isArray(req.body.phoneNumbers)) return 0;
+  const campaign = req.params.id ? await findCampaign(req) : null;
+  return req.body.phoneNumbers.length - (campaign ? campaign.phoneNumbers.length : 0);
+};
+const requestedRetention = (req) => Number(req.body.callSettings?.recording?.retention) || 0;
+const planLimitChecks = [
+  requireQuota('trackingNumbers', addedTrackingNumbers),
+  requireQuota('recordingRetentionDays', requestedRetention)
+];
+
+// @route   GET /api/campaigns
+// @desc    List campaigns of the active organization
+// @access  Private
+router.get('/', [
+  requireScope('campaigns:read'),
+  query('status').optional().isIn(Campaign.schema.path('status').enumValues).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, type, industry, search } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = { organizationId: req.organization._id };
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (industry) filter.industry = industry;
+    if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter)
+        .select('-statusHistory')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Campaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        campaigns,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching campaigns'
+    });
+  }
+});
+
+// @route   POST /api/campaigns
+// @desc    Create a campaign (always starts as a draft)
+// @access  Private
+router.post('/', [
+  requireScope('campaigns:write'),
+  ...campaignValidation(false),
+  ...planLimitChecks
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const unknownPartners = await findUnknownPartners(req.organization._id, fields);
+    if (unknownPartners.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: unknownPartners.join(', ')
+      });
+    }
+
+    const campaign = new Campaign({
+      ...fields,
+      organizationId: req.organization._id,
+      userId: req.user.userId,
+      status: 'draft'
+    });
+    await campaign.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: { campaign }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating campaign'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id
+// @desc    Get campaign details including status history
+// @access  Private
+router.get('/:id', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid campaign id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        campaign,
+        availableActions: Object.keys(campaignLifecycle.TRANSITIONS)
+          .filter((action) => campaignLifecycle.TRANSITIONS[action].from.includes(campaign.status))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching campaign'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id/schedule
+// @desc    Whether the campaign is open now, when it next opens or closes, and upcoming windows
+// @access  Private
+router.get('/:id/schedule', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  query('at').optional().isISO8601().toDate(),
+  query('days').optional().isInt({ min: 1, max: 31 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const at = req.query.at || new Date();
+    const status = campaignSchedule.getScheduleStatus(campaign, at);
+
+    res.json({
+      success: true,
+      data: {
+        timeZone: campaign.schedule.timeZone,
+        at,
+        localTime: status.localTime,
+        open: status.open,
+        acceptingCalls: campaign.status === 'active' && status.open,
+        reasons: status.reasons,
+        opensAt: status.opensAt,
+        closesAt: status.closesAt,
+        upcoming: campaignSchedule.getUpcomingWindows(campaign, at, req.query.days || 7)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching campaign schedule'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id/budget
+// @desc    Today's spend against the daily cap, pacing allowance and recent daily spend
+// @access  Private
+router.get('/:id/budget', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const now = new Date();
+    const today = budgetControl.getBudgetDay(campaign, now);
+    const days = req.query.days || 14;
+    const history = await CampaignSpend.find({
+      campaignId: campaign._id,
+      date: { $gte: campaignSchedule.addDays(today, 1 - days) }
+    }).sort({ date: -1 });
+    const todaySpend = history.find((day) => day.date === today);
+    const { spent } = (await ledger.getCampaignTotals([campaign._id])).get(String(campaign._id));
+
+    res.json({
+      success: true,
+      data: {
+        timeZone: campaign.schedule.timeZone,
+        currency: campaign.currency,
+        today: {
+          date: today,
+          daily: campaign.budget.daily,
+          spent: todaySpend ? todaySpend.spent : 0,
+          reserved: todaySpend ? todaySpend.reserved : 0,
+          allowance: budgetControl.getDailyAllowance(campaign, today, now)
+        },
+        total: {
+          total: campaign.budget.total,
+          spent, // from the ledger
+          reserved: campaign.budget.reserved,
+          remaining: Math.max(0, campaign.budget.total - spent)
+        },
+        pacing: campaign.budget.pacing,
+        autoPause: campaign.budget.autoPause && campaign.budget.autoPause.reason ? campaign.budget.autoPause : null,
+        history: history.map((day) => ({
+          date: day.date,
+          spent: day.spent,
+          reserved: day.reserved,
+          calls: day.calls
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching campaign budget'
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id/optimization/firings
+// @desc    Auto-optimization rule firings, newest first
+// @access  Private
+router.get('/:id/optimization/firings', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  query('ruleId').optional().isMongoId().withMessage('Invalid rule id'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const filter = { campaignId: campaign._id };
+    if (req.query.ruleId) filter.ruleId = req.query.ruleId;
+
+    const [firings, total] = await Promise.all([
+      RuleFiring.find(filter)
+        .sort({ firedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RuleFiring.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        firings,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rule firings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rule firings'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/optimization/dry-run
+// @desc    Replay the campaign's rules (or the rules given) over past calls without changing anything
+// @access  Private
+router.post('/:id/optimization/dry-run', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  body('from').optional().isISO8601().toDate(),
+  body('to').optional().isISO8601().toDate(),
+  ...optimizationRulesValidation('rules')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const to = req.body.to || new Date();
+    const from = req.body.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const result = await autoOptimization.dryRun(campaign, { from, to, rules: req.body.rules });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Rule dry run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replaying rules'
+    });
+  }
+});
+
+// @route   PUT /api/campaigns/:id
+// @desc    Update campaign settings
+// @access  Private (organization admin/manager)
+router.put('/:id', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  ...campaignValidation(true),
+  ...planLimitChecks
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (campaignLifecycle.isTerminal(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Campaign is ${campaign.status} and can no longer be edited`
+      });
+    }
+
+    if (req.body.status !== undefined && req.body.status !== campaign.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the activate, pause, resume, complete and cancel endpoints to change status'
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const unknownPartners = await findUnknownPartners(req.organization._id, fields);
+    if (unknownPartners.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: unknownPartners.join(', ')
+      });
+    }
+
+    // Spend already recorded is in the current currency
+    if (fields.currency && fields.currency !== campaign.currency && (campaign.performance.totalCalls > 0 || campaign.budget.spent > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency cannot change once the campaign has calls or spend'
+      });
+    }
+
+    campaign.set(fields);
+
+    // A live campaign must keep satisfying the activation guards
+    if (campaign.status === 'active') {
+      const reasons = campaignLifecycle.checkActivationGuards(campaign);
+      if (reasons.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Change would leave an active campaign unable to run. Pause it first.',
+          reasons
+        });
+      }
+    }
+
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: { campaign }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating campaign'
+    });
+  }
+});
+
+// @route   DELETE /api/campaigns/:id
+// @desc    Delete a draft or cancelled campaign
+// @access  Private (organization admin/manager)
+router.delete('/:id', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid campaign id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!['draft', 'cancelled'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft or cancelled campaigns can be deleted. Cancel the campaign first.'
+      });
+    }
+
+    await campaign.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting campaign'
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/:action (activate | pause | resume | complete | cancel)
+// @desc    Move a campaign through its lifecycle
+// @access  Private (organization admin/manager)
+router.post('/:id/:action(activate|pause|resume|complete|cancel)', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid campaign id'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  requireQuota('activeCampaigns', (req) => (req.params.action === 'activate' ? 1 : 0))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const result = campaignLifecycle.applyTransition(campaign, req.params.action, {
+      actorId: req.user.userId,
+      reason: req.body.reason
+    });
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        message: result.error,
+        reasons: result.reasons
+      });
+    }
+
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: `Campaign is now ${campaign.status}`,
+      data: { campaign }
+    });
+
+  } catch (error) {
+    console.error('Campaign transition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing campaign status'
+    });
+  }
+});
+
+module.exports = router;
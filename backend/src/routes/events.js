@@ -0,0 +1,98 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Campaign = require('../models/Campaign');
+const { auth, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const liveEvents = require('../services/liveEvents');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization, requireScope('calls:read', 'campaigns:read'));
+
+// Comment line that keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Ask clients to wait this long before reconnecting
+const RETRY_MS = 3000;
+
+// @route   GET /api/events
+// @desc    Server-Sent Events stream of call status, campaign status (including
+//          budget auto-pauses) and budget changes in the organization's
+//          campaigns, and of the user's in-app notifications. Send
+//          Last-Event-ID to catch up after a reconnect; a resync event means
+//          the client missed events and should reload.
+// @access  Private
+router.get('/', [
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { campaignId } = req.query;
+    if (campaignId && !(await Campaign.exists({ _id: campaignId, organizationId: req.organization._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const organizationId = req.organization._id;
+    // Events addressed to one user (in-app notifications) only reach them
+    const matches = (event) => (!event.data.userId || String(event.data.userId) === String(req.user.userId))
+      && (!campaignId || String(event.data.campaignId) === campaignId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = (event) => {
+      if (matches(event)) res.write(liveEvents.formatEvent(event));
+    };
+
+    const lastEventId = req.header('Last-Event-ID');
+    if (lastEventId) {
+      const missed = liveEvents.getEventsSince(organizationId, lastEventId);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        res.write('event: resync\ndata: {}\n\n');
+      }
+    }
+
+    const unsubscribe = liveEvents.subscribe(organizationId, send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    // End the stream when the access token expires; the client reconnects
+    // with a fresh one and catches up from its last event
+    const expiresIn = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+    const expiry = expiresIn !== null ? setTimeout(() => res.end(), Math.max(expiresIn, 0)) : null;
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      if (expiry) clearTimeout(expiry);
+    });
+
+  } catch (error) {
+    console.error('Live events error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening live events'
+    });
+  }
+});
+
+module.exports = router;
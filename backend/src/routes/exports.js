@@ -0,0 +1,338 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ExportJob = require('../models/ExportJob');
+const { auth, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const dataExports = require('../services/exports');
+const { FORMATS } = require('../services/exportFormats');
+const { DATASETS, describeColumns } = require('../services/exportDatasets');
+const analytics = require('../services/analytics');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const DATASET_NAMES = Object.keys(DATASETS);
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// API keys need the read scope of the dataset being exported
+const requireDatasetScope = (getDataset) => (req, res, next) => requireScope(DATASETS[getDataset(req)].scope)(req, res, next);
+
+// Comma-separated list from a query string, or a list from a JSON body
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(',').map((item) => item.trim()).filter(Boolean));
+
+// Raw filter values the dataset accepts. Analytics exports default to the
+// user's timezone and reporting currency, fixed when the export is requested.
+const pickFilters = async (req, dataset, source) => {
+  const filters = {};
+  Object.keys(DATASETS[dataset].filters).forEach((name) => {
+    if (source[name] !== undefined && source[name] !== '') filters[name] = source[name];
+  });
+  if (dataset === 'analytics' && !filters.timeZone) {
+    filters.timeZone = await analytics.getPreferredTimeZone(req.user.userId);
+  }
+  if (dataset === 'analytics' && !filters.currency) {
+    filters.currency = await analytics.getPreferredCurrency(req.user.userId);
+  }
+  return filters;
+};
+
+const findOwnJob = (req) => ExportJob.findOne({
+  _id: req.params.id,
+  organizationId: req.organization._id,
+  userId: req.user.userId
+});
+
+// @route   GET /api/exports/jobs
+// @desc    List the current user's background exports
+// @access  Private
+router.get('/jobs', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const filter = { organizationId: req.organization._id, userId: req.user.userId };
+
+    const [jobs, total] = await Promise.all([
+      ExportJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExportJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map((job) => job.getPublicData()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List export jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export jobs'
+    });
+  }
+});
+
+// @route   GET /api/exports/jobs/:id
+// @desc    Get a background export's status
+// @access  Private
+router.get('/jobs/:id', [
+  param('id').isMongoId().withMessage('Invalid export job id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job: job.getPublicData() }
+    });
+
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching export job'
+    });
+  }
+});
+
+// @route   GET /api/exports/jobs/:id/download
+// @desc    Download a completed background export
+// @access  Private
+router.get('/jobs/:id/download', [
+  param('id').isMongoId().withMessage('Invalid export job id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export job not found'
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: job.status === 'expired' ? 'Export has expired; please export again' : `Export is ${job.status}`
+      });
+    }
+
+    requireScope(DATASETS[job.dataset].scope)(req, res, () => {
+      res.type(FORMATS[job.format].contentType);
+      res.download(job.file.path, job.file.name, (error) => {
+        if (!error) return;
+        console.error('Download export error:', error);
+        if (!res.headersSent) {
+          res.status(404).json({
+            success: false,
+            message: 'Export file not found'
+          });
+        }
+      });
+    });
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while downloading export'
+    });
+  }
+});
+
+// @route   POST /api/exports
+// @desc    Queue a background export of calls, campaigns or analytics
+// @access  Private
+router.post('/', [
+  body('dataset').isIn(DATASET_NAMES).withMessage(`Dataset must be one of ${DATASET_NAMES.join(', ')}`),
+  body('format').optional().isIn(FORMAT_NAMES).withMessage(`Format must be one of ${FORMAT_NAMES.join(', ')}`),
+  body('columns').optional().isArray().withMessage('Columns must be a list of column ids'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+], (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+}, requireDatasetScope((req) => req.body.dataset), async (req, res) => {
+  try {
+    const { dataset, format = 'csv' } = req.body;
+    const columns = req.body.columns ? toList(req.body.columns) : [];
+    const filters = await pickFilters(req, dataset, req.body.filters || {});
+
+    const prepared = dataExports.prepareExport(dataset, { columns, filters });
+    if (prepared.error) {
+      return res.status(400).json({
+        success: false,
+        message: prepared.error
+      });
+    }
+
+    const job = await dataExports.queueExport({
+      organizationId: req.organization._id,
+      userId: req.user.userId,
+      dataset,
+      format,
+      columns: prepared.columns.map((column) => column.id),
+      filters
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Export queued',
+      data: { job: job.getPublicData() }
+    });
+
+  } catch (error) {
+    console.error('Queue export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queueing export'
+    });
+  }
+});
+
+// @route   GET /api/exports/:dataset/columns
+// @desc    Columns available for a dataset, with the default selection
+// @access  Private
+router.get('/:dataset/columns', [
+  param('dataset').isIn(DATASET_NAMES).withMessage(`Dataset must be one of ${DATASET_NAMES.join(', ')}`)
+], (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      columns: describeColumns(req.params.dataset, { groupBy: req.query.groupBy }),
+      formats: FORMAT_NAMES
+    }
+  });
+});
+
+// @route   GET /api/exports/:dataset
+// @desc    Stream an export of calls, campaigns or analytics, filtered like
+//          the list views; exports too large to stream are queued instead (202)
+// @access  Private
+router.get('/:dataset', [
+  param('dataset').isIn(DATASET_NAMES).withMessage(`Dataset must be one of ${DATASET_NAMES.join(', ')}`),
+  query('format').optional().isIn(FORMAT_NAMES).withMessage(`Format must be one of ${FORMAT_NAMES.join(', ')}`)
+], (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+}, requireDatasetScope((req) => req.params.dataset), async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const format = req.query.format || 'csv';
+    const columns = req.query.columns ? toList(req.query.columns) : [];
+    const filters = await pickFilters(req, dataset, req.query);
+
+    const prepared = dataExports.prepareExport(dataset, { columns, filters });
+    if (prepared.error) {
+      return res.status(400).json({
+        success: false,
+        message: prepared.error
+      });
+    }
+
+    const rowCount = await dataExports.countRows(req.organization._id, dataset, prepared.filters);
+    if (dataExports.shouldRunInBackground(rowCount)) {
+      const job = await dataExports.queueExport({
+        organizationId: req.organization._id,
+        userId: req.user.userId,
+        dataset,
+        format,
+        columns: prepared.columns.map((column) => column.id),
+        filters
+      });
+      return res.status(202).json({
+        success: true,
+        message: `Export has ${rowCount} rows (more than ${dataExports.STREAM_ROW_LIMIT}) and was queued`,
+        data: { job: job.getPublicData() }
+      });
+    }
+
+    res.attachment(dataExports.getFileName(dataset, format));
+    res.type(FORMATS[format].contentType);
+    await dataExports.writeExport(res, {
+      organizationId: req.organization._id,
+      dataset,
+      format,
+      ...prepared
+    });
+
+  } catch (error) {
+    console.error('Export error:', error);
+    // Part of the file may already be sent; cut the download short
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting'
+    });
+  }
+});
+
+module.exports = router;
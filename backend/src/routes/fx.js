@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, requireUserRole, requireUserSession } = require('../middleware/auth');
+const fx = require('../services/fx');
+
+const router = express.Router();
+
+router.use(auth);
+
+// @route   GET /api/fx/rates
+// @desc    List exchange rates against the base currency, newest first
+// @access  Private
+router.get('/rates', [
+  query('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currency, from, to } = req.query;
+    const rates = await fx.listRates({
+      currency: currency && currency.toUpperCase(),
+      from: from && fx.getRateDate(from),
+      to: to && fx.getRateDate(to)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: fx.BASE_CURRENCY,
+        maxRateAgeDays: fx.MAX_RATE_AGE_DAYS,
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates'
+    });
+  }
+});
+
+// @route   PUT /api/fx/rates
+// @desc    Load or correct exchange rates: a list of { currency, date, rate }
+//          or an object of { date: { currency: rate } }
+// @access  Private (platform admin)
+router.put('/rates', [
+  requireUserSession,
+  requireUserRole('admin'),
+  body('rates').custom((rates) => rates && typeof rates === 'object').withMessage('Rates must be a list or an object keyed by date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { rates, reasons } = fx.checkRates(req.body.rates);
+    if (reasons.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some exchange rates are invalid',
+        reasons
+      });
+    }
+
+    const imported = await fx.importRates(rates, { source: 'api', userId: req.user.userId });
+
+    res.json({
+      success: true,
+      message: `Saved ${imported} exchange rate(s)`,
+      data: {
+        imported
+      }
+    });
+  } catch (error) {
+    console.error('Save exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving exchange rates'
+    });
+  }
+});
+
+// @route   POST /api/fx/rates/reload
+// @desc    Load FX_RATES_FILE now instead of waiting for the next check
+// @access  Private (platform admin)
+router.post('/rates/reload', [
+  requireUserSession,
+  requireUserRole('admin')
+], async (req, res) => {
+  try {
+    const loaded = await fx.loadRatesFile({ force: true });
+    if (!loaded) {
+      return res.status(400).json({
+        success: false,
+        message: 'No exchange rate file is configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Loaded ${loaded.imported} exchange rate(s)`,
+      data: loaded
+    });
+  } catch (error) {
+    console.error('Reload exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading the exchange rate file'
+    });
+  }
+});
+
+module.exports = router;
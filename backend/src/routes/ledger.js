@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const LedgerEntry = require('../models/LedgerEntry');
+const Campaign = require('../models/Campaign');
+const Call = require('../models/Call');
+const Publisher = require('../models/Publisher');
+const Buyer = require('../models/Buyer');
+const { auth, authorize, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const ledger = require('../services/ledger');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const MANUAL_KINDS = ['refund', 'chargeback', 'adjustment'];
+
+const SCOPE_MODELS = { Campaign, Publisher, Buyer };
+
+// Name the campaign, publisher or buyer each scoped balance belongs to
+const attachNames = async (organizationId, balances) => {
+  const idsByScope = {};
+  balances.forEach((balance) => {
+    const { scope } = LedgerEntry.ACCOUNTS[balance.account];
+    if (scope && balance.refId) (idsByScope[scope] = idsByScope[scope] || []).push(balance.refId);
+  });
+
+  const names = new Map();
+  await Promise.all(Object.entries(idsByScope).map(async ([scope, ids]) => {
+    const docs = await SCOPE_MODELS[scope].find({ _id: { $in: ids }, organizationId }).select('name');
+    docs.forEach((doc) => names.set(String(doc._id), doc.name));
+  }));
+
+  return balances.map((balance) => ({
+    ...balance,
+    name: balance.refId ? names.get(String(balance.refId)) || null : null
+  }));
+};
+
+// @route   GET /api/ledger/entries
+// @desc    List ledger entries of the active organization, newest first
+// @access  Private
+router.get('/entries', [
+  requireScope('analytics:read'),
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign id'),
+  query('callId').optional().isMongoId().withMessage('Invalid call id'),
+  query('kind').optional().isIn(LedgerEntry.KINDS).withMessage('Invalid entry kind'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { campaignId, callId, kind } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 25;
+
+    const filter = { organizationId: req.organization._id };
+    if (campaignId) filter.campaignId = campaignId;
+    if (callId) filter.callId = callId;
+    if (kind) filter.kind = kind;
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map((entry) => entry.getPublicData()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger entries'
+    });
+  }
+});
+
+// @route   GET /api/ledger/balances
+// @desc    Get account balances of the active organization
+// @access  Private
+router.get('/balances', [
+  requireScope('analytics:read'),
+  query('account').optional().isIn(Object.keys(LedgerEntry.ACCOUNTS)).withMessage('Invalid account')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const balances = await ledger.getBalances(req.organization._id, { account: req.query.account });
+
+    res.json({
+      success: true,
+      data: {
+        balances: await attachNames(req.organization._id, balances)
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger balances'
+    });
+  }
+});
+
+// @route   POST /api/ledger/entries
+// @desc    Post a refund, chargeback or adjustment. Send an Idempotency-Key
+//          header to make retries safe; reusing one for a different entry
+//          is rejected with 422.
+// @access  Private (admin/manager)
+router.post('/entries', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  body('kind').isIn(MANUAL_KINDS).withMessage(`Kind must be one of: ${MANUAL_KINDS.join(', ')}`),
+  body('amount').isFloat().withMessage('Amount must be a number').toFloat(),
+  body('target').optional().isIn(['spend', 'revenue']).withMessage('Target must be spend or revenue'),
+  body('campaignId').optional().isMongoId().withMessage('Invalid campaign id'),
+  body('callId').optional().isMongoId().withMessage('Invalid call id'),
+  body('memo').trim().isLength({ min: 1, max: 500 }).withMessage('Memo is required and cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { kind, amount, target, callId, memo } = req.body;
+    const organizationId = req.organization._id;
+
+    let call = null;
+    if (callId) {
+      call = await Call.findOne({ _id: callId, organizationId });
+      if (!call) {
+        return res.status(404).json({
+          success: false,
+          message: 'Call not found'
+        });
+      }
+    }
+
+    const campaignId = req.body.campaignId || (call && call.campaignId);
+    if (!campaignId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A campaign or call is required'
+      });
+    }
+    if (call && String(call.campaignId) !== String(campaignId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The call does not belong to this campaign'
+      });
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, organizationId });
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    const result = await ledger.recordManualEntry({
+      organizationId,
+      kind,
+      campaign,
+      call,
+      target: target || 'spend',
+      amount,
+      memo,
+      userId: req.user.userId,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+    if (result.error) {
+      return res.status(result.conflict ? 422 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Ledger entry posted' : 'Ledger entry already posted',
+      data: {
+        entry: result.entry.getPublicData()
+      }
+    });
+  } catch (error) {
+    console.error('Post ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while posting ledger entry'
+    });
+  }
+});
+
+// @route   GET /api/ledger/reconciliation
+// @desc    Compare cached campaign spend, cost and revenue with the ledger
+// @access  Private (admin/manager)
+router.get('/reconciliation', [
+  requireScope('analytics:read'),
+  authorize('admin', 'manager')
+], async (req, res) => {
+  try {
+    const drift = await ledger.reconcile({ organizationId: req.organization._id });
+
+    res.json({
+      success: true,
+      data: {
+        drift
+      }
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reconciling the ledger'
+    });
+  }
+});
+
+// @route   POST /api/ledger/reconciliation/repair
+// @desc    Reset drifted campaign counters to the ledger's figures
+// @access  Private (admin)
+router.post('/reconciliation/repair', [
+  requireScope('campaigns:write'),
+  authorize('admin')
+], async (req, res) => {
+  try {
+    const organizationId = req.organization._id;
+    await ledger.postPendingCalls({ organizationId });
+    const repaired = await ledger.reconcile({ organizationId, repair: true });
+
+    res.json({
+      success: true,
+      message: repaired.length ? `Repaired ${repaired.length} drifted counters` : 'No drift found',
+      data: {
+        repaired
+      }
+    });
+  } catch (error) {
+    console.error('Ledger repair error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while repairing the ledger'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const Buyer = require('../models/Buyer');
+const Publisher = require('../models/Publisher');
+const { auth, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const analytics = require('../services/analytics');
+const money = require('../services/money');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization, requireScope('analytics:read'));
+
+const GROUP_MODELS = {
+  campaign: Campaign,
+  buyer: Buyer,
+  publisher: Publisher
+};
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+const reportFilters = [
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('campaignId').optional().isMongoId().withMessage('Invalid campaign id'),
+  query('buyerId').optional().isMongoId().withMessage('Invalid buyer id'),
+  query('publisherId').optional().isMongoId().withMessage('Invalid publisher id')
+];
+
+const buildFilter = (req) => {
+  const filter = {};
+  ['campaignId', 'buyerId', 'publisherId'].forEach((field) => {
+    if (req.query[field]) filter[field] = new mongoose.Types.ObjectId(req.query[field]);
+  });
+  return filter;
+};
+
+// @route   GET /api/margins
+// @desc    Revenue, payout, telephony cost and margin grouped by campaign, buyer or publisher
+// @access  Private
+router.get('/', [
+  query('groupBy').optional().isIn(Call.MARGIN_GROUPS).withMessage('groupBy must be campaign, buyer or publisher'),
+  query('currency').optional().isISO4217().withMessage('Currency must be an ISO 4217 code'),
+  ...reportFilters
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const groupBy = req.query.groupBy || 'campaign';
+    const currency = req.query.currency || await analytics.getPreferredCurrency(req.user.userId);
+    const rows = await Call.getMarginReport(req.organization._id, {
+      groupBy,
+      start: req.query.from,
+      end: req.query.to,
+      filter: buildFilter(req),
+      currency
+    });
+    if (rows.error) {
+      return res.status(400).json({
+        success: false,
+        message: rows.error
+      });
+    }
+
+    // Label each group with its name; calls without a buyer or publisher group under null
+    const names = await GROUP_MODELS[groupBy]
+      .find({ _id: { $in: rows.map((row) => row._id).filter(Boolean) }, organizationId: req.organization._id })
+      .select('name');
+    const nameById = new Map(names.map((doc) => [doc._id.toString(), doc.name]));
+
+    // Minor units of the reporting currency until rendered
+    const toMajor = (minor) => money.fromMinor(minor, currency);
+    const totals = rows.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      revenue: sum.revenue + row.revenue,
+      payout: sum.payout + row.payout,
+      cost: sum.cost + row.cost,
+      margin: sum.margin + row.margin
+    }), { calls: 0, revenue: 0, payout: 0, cost: 0, margin: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        currency,
+        rows: rows.map((row) => ({
+          id: row._id,
+          name: row._id ? nameById.get(row._id.toString()) || 'Deleted' : `No ${groupBy}`,
+          calls: row.calls,
+          revenue: toMajor(row.revenue),
+          payout: toMajor(row.payout),
+          cost: toMajor(row.cost),
+          margin: toMajor(row.margin),
+          marginPercent: roundPercent(row.marginPercent)
+        })),
+        totals: {
+          calls: totals.calls,
+          revenue: toMajor(totals.revenue),
+          payout: toMajor(totals.payout),
+          cost: toMajor(totals.cost),
+          margin: toMajor(totals.margin),
+          marginPercent: totals.revenue > 0 ? roundPercent((totals.margin / totals.revenue) * 100) : 0
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Margin report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building margin report'
+    });
+  }
+});
+
+// @route   GET /api/margins/calls
+// @desc    Per-call revenue, payout, telephony cost and margin
+// @access  Private
+router.get('/calls', [
+  ...reportFilters,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = { organizationId: req.organization._id, ...buildFilter(req) };
+    if (req.query.from) filter.createdAt = { $gte: req.query.from };
+    if (req.query.to) filter.createdAt = { ...filter.createdAt, $lte: req.query.to };
+
+    const [calls, total] = await Promise.all([
+      Call.find(filter)
+        .select('callId campaignId buyerId publisherId status billable billableReason timing.duration revenue payout cost fx createdAt')
+        .populate('campaignId', 'name')
+        .populate('buyerId', 'name')
+        .populate('publisherId', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Call.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        calls: calls.map((call) => {
+          const amounts = call.getMoney();
+          return {
+            id: call._id,
+            callId: call.callId,
+            campaign: call.campaignId,
+            buyer: call.buyerId,
+            publisher: call.publisherId,
+            status: call.status,
+            billable: call.billable,
+            billableReason: call.billableReason,
+            duration: call.timing.duration,
+            revenue: call.revenue.amount,
+            revenueCurrency: call.revenue.currency,
+            payout: call.payout.amount,
+            payoutCurrency: call.payout.currency,
+            cost: money.toMajor(money.of(call.cost.total, call.cost.currency)),
+            costCurrency: call.cost.currency,
+            // Null when the amounts are in different currencies and not converted yet
+            margin: amounts ? money.fromMinor(amounts.revenue - amounts.payout - amounts.cost, amounts.currency) : null,
+            marginCurrency: amounts ? amounts.currency : null,
+            createdAt: call.createdAt
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Call margins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching call margins'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth, requireUserSession } = require('../middleware/auth');
+const { TIME_PATTERN } = require('../services/campaignSchedule');
+const { NOTIFICATION_EVENTS, EVENT_NAMES } = require('../services/notifications/events');
+const { getPublicKey } = require('../services/notifications/channels/push');
+
+const router = express.Router();
+
+const MAX_PUSH_SUBSCRIPTIONS = 10;
+
+// Notifications are personal; they are not available to API keys
+router.use(auth, requireUserSession);
+
+// In-app inbox entries: notifications with an in_app delivery
+const inboxFilter = (userId) => ({ userId, 'deliveries.channel': 'in_app' });
+
+// Notification preferences with the catalog of events for settings pages
+const describePreferences = (user) => ({
+  preferences: user.preferences.notifications,
+  timezone: user.preferences.timezone,
+  events: EVENT_NAMES.map((event) => ({
+    event,
+    label: NOTIFICATION_EVENTS[event].label,
+    urgent: Boolean(NOTIFICATION_EVENTS[event].urgent)
+  })),
+  hasPhone: Boolean(user.phone),
+  pushPublicKey: getPublicKey()
+});
+
+// @route   GET /api/notifications
+// @desc    In-app inbox of the current user, newest first
+// @access  Private
+router.get('/', [
+  query('unread').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = inboxFilter(req.user.userId);
+    if (req.query.unread) filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ ...inboxFilter(req.user.userId), readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map((notification) => notification.getPublicData()),
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @route   POST /api/notifications/read-all
+// @desc    Mark the whole inbox as read
+// @access  Private
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...inboxFilter(req.user.userId), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `Marked ${result.modifiedCount} notification(s) as read`,
+      data: { updated: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+// @route   POST /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.post('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.userId });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: { notification: notification.getPublicData() }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Channel switches, per-event subscriptions, quiet hours and digest
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describePreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences; fields left out are unchanged
+// @access  Private
+router.put('/preferences', [
+  body(['email', 'sms', 'push']).optional().isBoolean().withMessage('Channel switches must be true or false'),
+  body('events').optional().isObject().withMessage('Events must be an object')
+    .custom((events) => {
+      const unknown = Object.keys(events).filter((event) => !EVENT_NAMES.includes(event));
+      if (unknown.length > 0) throw new Error(`Unknown events: ${unknown.join(', ')}`);
+      return true;
+    }),
+  body('events.*.*').isBoolean().withMessage('Event subscriptions must be true or false'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('Quiet hours enabled must be true or false'),
+  body(['quietHours.start', 'quietHours.end']).optional().matches(TIME_PATTERN).withMessage('Quiet hours must be HH:mm times'),
+  body('digest.frequency').optional().isIn(['off', 'hourly', 'daily']).withMessage('Digest frequency must be off, hourly or daily'),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('Digest hour must be between 0 and 23')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const preferences = user.preferences.notifications;
+    ['email', 'sms', 'push'].forEach((channel) => {
+      if (req.body[channel] !== undefined) preferences[channel] = req.body[channel];
+    });
+    Object.entries(req.body.events || {}).forEach(([event, subscription]) => {
+      ['email', 'sms', 'push', 'inApp'].forEach((channel) => {
+        if (subscription[channel] !== undefined) preferences.events[event][channel] = subscription[channel];
+      });
+    });
+    ['enabled', 'start', 'end'].forEach((field) => {
+      if (req.body.quietHours && req.body.quietHours[field] !== undefined) preferences.quietHours[field] = req.body.quietHours[field];
+    });
+    ['frequency', 'hour'].forEach((field) => {
+      if (req.body.digest && req.body.digest[field] !== undefined) preferences.digest[field] = req.body.digest[field];
+    });
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: describePreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// @route   POST /api/notifications/push-subscriptions
+// @desc    Register this browser for push notifications (a PushSubscription)
+// @access  Private
+router.post('/push-subscriptions', [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('Endpoint must be an https URL'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+pushSubscriptions');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Re-registering a browser replaces its keys; the oldest browsers drop off
+    const { endpoint, keys } = req.body;
+    user.pushSubscriptions = [
+      ...user.pushSubscriptions.filter((subscription) => subscription.endpoint !== endpoint),
+      { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: req.get('User-Agent') }
+    ].slice(-MAX_PUSH_SUBSCRIPTIONS);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Push notifications enabled for this browser'
+    });
+
+  } catch (error) {
+    console.error('Add push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling push notifications'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/push-subscriptions
+// @desc    Stop push notifications to a browser
+// @access  Private
+router.delete('/push-subscriptions', [
+  body('endpoint').isString().notEmpty().withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await User.updateOne({ _id: req.user.userId }, { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } });
+
+    res.json({
+      success: true,
+      message: 'Push notifications disabled for this browser'
+    });
+
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling push notifications'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,498 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { auth, authorize, requireUserSession } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const { requireQuota } = require('../middleware/planLimits');
+const mailService = require('../services/mailService');
+
+const router = express.Router();
+
+// Organization management is only available from an interactive login
+router.use(auth, requireUserSession);
+
+const MEMBER_FIELDS = 'firstName lastName email';
+
+// An invitation takes a seat, unless it replaces a pending one for the same address
+const invitedSeats = (req) => {
+  const now = new Date();
+  const pending = req.organization.invitations.some((invitation) => invitation.email === req.body.email && invitation.expiresAt > now);
+  return pending ? 0 : 1;
+};
+
+// @route   GET /api/organizations
+// @desc    List organizations the current user belongs to
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await Organization.find({
+      'members.userId': req.user.userId,
+      isActive: true
+    }).sort({ createdAt: 1 });
+
+    const user = await User.findById(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        organizations: organizations.map((organization) => ({
+          id: organization._id,
+          name: organization.name,
+          accountType: organization.accountType,
+          memberCount: organization.memberCount,
+          role: organization.getMember(req.user.userId).role,
+          isDefault: !!user?.defaultOrganizationId?.equals(organization._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organizations'
+    });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization (the creator becomes its admin)
+// @access  Private
+router.post('/', [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Organization name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.create({
+      name: req.body.name,
+      ownerId: req.user.userId,
+      members: [{ userId: req.user.userId, role: 'admin' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: {
+        organization: organization.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating organization'
+    });
+  }
+});
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept an invitation sent to the current user's email
+// @access  Private
+router.post('/invitations/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const found = await Organization.findByInvitationToken(req.body.token);
+    if (!found) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const { organization, invitation } = found;
+    const user = await User.findById(req.user.userId);
+
+    if (invitation.email !== user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (!organization.getMember(user._id)) {
+      organization.members.push({
+        userId: user._id,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy
+      });
+    }
+    organization.invitations.pull(invitation._id);
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${organization.name}`,
+      data: {
+        organization: { id: organization._id, name: organization.name }
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// @route   GET /api/organizations/current
+// @desc    Get the active organization with its members
+// @access  Private
+router.get('/current', requireOrganization, async (req, res) => {
+  try {
+    await req.organization.populate('members.userId', MEMBER_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        organization: req.organization.getPublicData(),
+        role: req.membership.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching organization'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/current
+// @desc    Update the active organization
+// @access  Private (organization admin)
+router.put('/current', [
+  authorize('admin'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Organization name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    req.organization.name = req.body.name;
+    await req.organization.save();
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: {
+        organization: req.organization.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating organization'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/current/security
+// @desc    Update security policy (e.g. enforce 2FA for every member)
+// @access  Private (organization admin)
+router.put('/current/security', [
+  authorize('admin'),
+  body('requireTwoFactor').isBoolean().withMessage('requireTwoFactor must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    req.organization.security.requireTwoFactor = req.body.requireTwoFactor;
+    await req.organization.save();
+
+    res.json({
+      success: true,
+      message: 'Security settings updated',
+      data: {
+        security: req.organization.security
+      }
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating security settings'
+    });
+  }
+});
+
+// @route   POST /api/organizations/current/invitations
+// @desc    Invite someone to the active organization by email
+// @access  Private (organization admin)
+router.post('/current/invitations', [
+  authorize('admin'),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(Organization.ROLES).withMessage(`Role must be one of: ${Organization.ROLES.join(', ')}`),
+  requireQuota('seats', invitedSeats)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, role = 'user' } = req.body;
+    const organization = req.organization;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && organization.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the organization'
+      });
+    }
+
+    const token = organization.createInvitation(email, role, req.user.userId);
+    await organization.save();
+
+    const inviter = await User.findById(req.user.userId);
+    await mailService.sendOrganizationInvitation({ email, organization, inviter, token });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: {
+        organization: organization.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending invitation'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/current/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (organization admin)
+router.delete('/current/invitations/:invitationId', authorize('admin'), async (req, res) => {
+  try {
+    const invitation = req.organization.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    req.organization.invitations.pull(invitation._id);
+    await req.organization.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling invitation'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/current/members/:userId
+// @desc    Change a member's role
+// @access  Private (organization admin)
+router.put('/current/members/:userId', [
+  authorize('admin'),
+  param('userId').isMongoId().withMessage('Invalid user id'),
+  body('role').isIn(Organization.ROLES).withMessage(`Role must be one of: ${Organization.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'admin' && req.body.role !== 'admin' && organization.countAdmins() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: {
+        organization: organization.getPublicData()
+      }
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/current/members/:userId
+// @desc    Remove a member (admins), or leave the organization (own user id)
+// @access  Private
+router.delete('/current/members/:userId', [
+  requireOrganization,
+  param('userId').isMongoId().withMessage('Invalid user id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const isSelf = req.params.userId === String(req.user.userId);
+
+    if (!isSelf && req.membership.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'admin' && organization.countAdmins() === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one admin'
+      });
+    }
+
+    organization.members = organization.members.filter((item) => !item.userId.equals(member.userId));
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:id/default
+// @desc    Make an organization the user's default
+// @access  Private
+router.post('/:id/default', [
+  param('id').isMongoId().withMessage('Invalid organization id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.findOne({
+      _id: req.params.id,
+      'members.userId': req.user.userId,
+      isActive: true
+    });
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    await User.updateOne({ _id: req.user.userId }, { $set: { defaultOrganizationId: organization._id } });
+
+    res.json({
+      success: true,
+      message: `${organization.name} is now your default organization`
+    });
+
+  } catch (error) {
+    console.error('Set default organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating default organization'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, requireUserSession } = require('../middleware/auth');
+const billing = require('../services/billing');
+
+const router = express.Router();
+
+// Subscriptions belong to the user; they are not available to API keys
+router.use(auth, requireUserSession);
+
+// Every route below talks to Stripe
+const requireStripe = (req, res, next) => {
+  if (!billing.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Billing is not configured'
+    });
+  }
+  next();
+};
+
+const loadUser = async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  return user;
+};
+
+const planValidator = (location) => location('plan')
+  .isIn(billing.PLAN_ORDER)
+  .withMessage(`Plan must be one of: ${billing.PLAN_ORDER.join(', ')}`);
+
+// @route   GET /api/payments/subscription
+// @desc    Current plan, subscription status and the plans on offer
+// @access  Private
+router.get('/subscription', async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: {
+        billing: billing.describeBilling(user),
+        plans: billing.describePlans(),
+        configured: billing.isConfigured()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subscription'
+    });
+  }
+});
+
+// @route   POST /api/payments/checkout
+// @desc    Start a Stripe Checkout session for a paid plan
+// @access  Private
+router.post('/checkout', requireStripe, [
+  planValidator(body)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const result = await billing.createCheckoutSession(user, req.body.plan);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Create checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting checkout'
+    });
+  }
+});
+
+// @route   GET /api/payments/change-plan/preview
+// @desc    Prorated amount due for switching plans
+// @access  Private
+router.get('/change-plan/preview', requireStripe, [
+  planValidator(query)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const result = await billing.previewPlanChange(user, req.query.plan);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Preview plan change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while previewing plan change'
+    });
+  }
+});
+
+// @route   POST /api/payments/change-plan
+// @desc    Upgrade or downgrade the subscription, with proration. An
+//          upgrade whose invoice is not paid stays pending.
+// @access  Private
+router.post('/change-plan', requireStripe, [
+  planValidator(body)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const result = await billing.changePlan(user, req.body.plan);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    let message = 'Plan changed successfully';
+    if (req.body.plan === 'basic') message = 'Subscription will end at the close of the billing period';
+    else if (result.pending) message = 'The upgrade takes effect once its invoice is paid';
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        billing: billing.describeBilling(result.user),
+        pending: result.pending
+      }
+    });
+
+  } catch (error) {
+    console.error('Change plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing plan'
+    });
+  }
+});
+
+// @route   POST /api/payments/portal
+// @desc    Open the Stripe billing portal (payment methods, invoices)
+// @access  Private
+router.post('/portal', requireStripe, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const result = await billing.createPortalSession(user);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Create portal session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening billing portal'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Publisher = require('../models/Publisher');
+const { auth, authorize, requireScope } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+
+const router = express.Router();
+
+router.use(auth, requireOrganization);
+
+const EDITABLE_FIELDS = ['name', 'company', 'contact', 'notes', 'isActive'];
+
+const pickEditableFields = (source) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+};
+
+const publisherValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name')).trim().isLength({ min: 1, max: 100 }).withMessage('Publisher name must be between 1 and 100 characters'),
+  body('company').optional().trim().isLength({ max: 100 }).withMessage('Company name cannot exceed 100 characters'),
+  body('contact.email').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('contact.phone').optional({ checkFalsy: true }).matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const findPublisher = (req) => Publisher.findOne({ _id: req.params.id, organizationId: req.organization._id });
+
+// @route   GET /api/publishers
+// @desc    List publishers of the active organization
+// @access  Private
+router.get('/', [
+  requireScope('campaigns:read'),
+  query('active').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { active, search } = req.query;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const filter = { organizationId: req.organization._id };
+    if (active !== undefined) filter.isActive = active;
+    if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [publishers, total] = await Promise.all([
+      Publisher.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Publisher.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        publishers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('List publishers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching publishers'
+    });
+  }
+});
+
+// @route   POST /api/publishers
+// @desc    Create a publisher
+// @access  Private (organization admin/manager)
+router.post('/', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  ...publisherValidation(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const publisher = await Publisher.create({
+      ...pickEditableFields(req.body),
+      organizationId: req.organization._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Publisher created successfully',
+      data: { publisher }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create publisher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating publisher'
+    });
+  }
+});
+
+// @route   GET /api/publishers/:id
+// @desc    Get publisher details
+// @access  Private
+router.get('/:id', [
+  requireScope('campaigns:read'),
+  param('id').isMongoId().withMessage('Invalid publisher id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const publisher = await findPublisher(req);
+    if (!publisher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Publisher not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { publisher }
+    });
+
+  } catch (error) {
+    console.error('Get publisher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching publisher'
+    });
+  }
+});
+
+// @route   PUT /api/publishers/:id
+// @desc    Update a publisher (set isActive to false to retire it)
+// @access  Private (organization admin/manager)
+router.put('/:id', [
+  requireScope('campaigns:write'),
+  authorize('admin', 'manager'),
+  param('id').isMongoId().withMessage('Invalid publisher id'),
+  ...publisherValidation(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const publisher = await findPublisher(req);
+    if (!publisher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Publisher not found'
+      });
+    }
+
+    publisher.set(pickEditableFields(req.body));
+    await publisher.save();
+
+    res.json({
+      success: true,
+      message: 'Publisher updated successfully',
+      data: { publisher }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update publisher error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating publisher'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const localRecordings = require('../services/recordingStorage/local');
+
+const router = express.Router();
+
+// @route   GET /api/recordings/:organizationId/:file
+// @desc    Play a recording kept in local storage through a signed, expiring
+//          link from GET /api/calls/:id/recording. Supports range requests.
+// @access  Public (signed link)
+router.get('/:organizationId/:file', (req, res) => {
+  const key = `${req.params.organizationId}/${req.params.file}`;
+  if (!localRecordings.verifyPlayback(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired recording link'
+    });
+  }
+
+  // Played from the frontend's origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(localRecordings.getFilePath(key), { headers: { 'Cache-Control': 'private, no-store' } }, (error) => {
+    if (!error || res.headersSent) return;
+    if (error.code !== 'ENOENT') console.error('Recording playback error:', error);
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
+      success: false,
+      message: error.code === 'ENOENT' ? 'Recording not found' : 'Server error while playing recording'
+    });
+  });
+});
+
+module.exports = router;
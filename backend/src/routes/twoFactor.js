@@ -0,0 +1,338 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, requireUserSession } = require('../middleware/auth');
+const tokenService = require('../services/tokenService');
+const totpService = require('../services/totpService');
+const twoFactorService = require('../services/twoFactorService');
+
+const router = express.Router();
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Codes are only six digits, so guessing must be throttled hard
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many verification attempts. Please try again later.'
+  }
+});
+
+// Enrollment works for a signed-in user, or with the setup challenge issued
+// at login when an organization requires 2FA and the user has none yet
+const authOrSetupChallenge = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return auth(req, res, () => requireUserSession(req, res, next));
+  }
+
+  try {
+    const decoded = tokenService.verifyChallengeToken(req.body.challengeToken, ['2fa_setup']);
+    req.user = { userId: decoded.userId };
+    req.isSetupChallenge = true;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Setup session has expired. Please sign in again.'
+    });
+  }
+};
+
+// Start a session once both factors are satisfied
+const completeLogin = async (user, req) => {
+  const { token, refreshToken } = await tokenService.createSession(user, req);
+  user.lastLogin = new Date();
+  await user.save();
+  return { user: user.getPublicProfile(), token, refreshToken };
+};
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and return the otpauth URI and QR code
+// @access  Private (or 2FA setup challenge)
+router.post('/setup', authOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = totpService.encryptSecret(secret);
+    await user.save();
+
+    const otpauthUrl = totpService.buildOtpauthUrl(secret, user.email);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await totpService.buildQrCode(otpauthUrl)
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private (or 2FA setup challenge)
+router.post('/enable', [
+  verifyLimiter,
+  authOrSetupChallenge,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = totpService.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = twoFactorService.issueRecoveryCodes(user);
+
+    const data = req.isSetupChallenge
+      ? { ...(await completeLogin(user, req)), recoveryCodes }
+      : { user: (await user.save()).getPublicProfile(), recoveryCodes };
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish a login with a TOTP code or a recovery code
+// @access  Public (2FA login challenge)
+router.post('/verify', [
+  verifyLimiter,
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().isString(),
+  body().custom((value) => !!(value.code || value.recoveryCode)).withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = tokenService.verifyChallengeToken(req.body.challengeToken, ['2fa_login']);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const result = twoFactorService.verifySecondFactor(user, req.body);
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const session = await completeLogin(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...session,
+        remainingRecoveryCodes: result.usedRecoveryCode ? result.remainingRecoveryCodes : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/recovery-codes', [
+  verifyLimiter,
+  auth,
+  requireUserSession,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!twoFactorService.verifySecondFactor(user, { code: req.body.code }).valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = twoFactorService.issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', [
+  verifyLimiter,
+  auth,
+  requireUserSession,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select(`+password ${SECRET_FIELDS}`);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await twoFactorService.isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required by your organization and cannot be disabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !twoFactorService.verifySecondFactor(user, { code: req.body.code }).valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { auth, requireUserSession } = require('../middleware/auth');
+const { requireOrganization } = require('../middleware/organization');
+const planLimits = require('../services/planLimits');
+const usage = require('../services/usage');
+
+const router = express.Router();
+
+router.use(auth, requireUserSession, requireOrganization);
+
+// @route   GET /api/usage
+// @desc    Usage of the active organization against its plan limits
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const current = await usage.getUsage(req.organization);
+
+    res.json({
+      success: true,
+      data: {
+        ...current,
+        plans: planLimits.PLAN_LIMITS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching usage'
+    });
+  }
+});
+
+module.exports = router;
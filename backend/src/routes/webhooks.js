@@ -0,0 +1,233 @@
+const express = require('express');
+const { getProvider, buildWebhookUrl, buildProviderUrl } = require('../services/telephony');
+const { processStatusEvent } = require('../services/telephony/statusCallbacks');
+const { handleInboundCall, handleDialOutcome } = require('../services/telephony/inboundCalls');
+const Campaign = require('../models/Campaign');
+const recordings = require('../services/recordings');
+const billing = require('../services/billing');
+
+const router = express.Router();
+
+// Resolve :provider and check the request was signed by it
+const verifyTelephonyProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown telephony provider'
+    });
+  }
+
+  if (!provider.verifySignature(req, buildWebhookUrl(req))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  req.telephonyProvider = provider;
+  next();
+};
+
+// Where the provider reports the finished recording, when the campaign records calls
+const buildRecordingStatusUrl = (req, provider, campaign) => (
+  recordings.isRecordingEnabled(campaign) ? buildProviderUrl(req, provider.name, 'recording') : undefined
+);
+
+const sendRoutingResponse = (res, provider, instruction) => {
+  const { contentType, body } = provider.buildRoutingResponse(instruction);
+  res.type(contentType).send(body);
+};
+
+// @route   POST /api/webhooks/telephony/:provider
+// @desc    Receive call status callbacks (Twilio or generic SIP/CDR)
+// @access  Public (signed by the provider)
+router.post('/telephony/:provider', verifyTelephonyProvider, async (req, res) => {
+  try {
+    const provider = req.telephonyProvider;
+
+    const event = provider.parseEvent(req.body);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognized status callback payload'
+      });
+    }
+
+    const result = await processStatusEvent(provider.name, event);
+
+    // Answer 200 for unknown numbers so the provider does not keep retrying
+    if (result.ignored) {
+      return res.json({
+        success: true,
+        message: result.ignored
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        callId: result.call._id,
+        status: result.call.status,
+        applied: result.applied
+      }
+    });
+
+  } catch (error) {
+    console.error('Telephony webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing status callback'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/telephony/:provider/inbound
+// @desc    Route a new inbound call to a campaign destination
+// @access  Public (signed by the provider)
+router.post('/telephony/:provider/inbound', verifyTelephonyProvider, async (req, res) => {
+  try {
+    const provider = req.telephonyProvider;
+
+    const event = provider.parseEvent(req.body);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognized inbound call payload'
+      });
+    }
+
+    const { decision, destination } = await handleInboundCall(provider.name, event);
+
+    if (!destination) {
+      console.log(`📵 Rejected inbound call ${event.callSid}: ${decision.reasons.join('; ')}`);
+      return sendRoutingResponse(res, provider, { action: 'reject' });
+    }
+
+    sendRoutingResponse(res, provider, {
+      action: 'dial',
+      destination,
+      dialStatusUrl: buildProviderUrl(req, provider.name, 'dial-status'),
+      recordingStatusUrl: buildRecordingStatusUrl(req, provider, decision.campaign),
+      callerId: event.from.number
+    });
+
+  } catch (error) {
+    console.error('Inbound call routing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while routing call'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/telephony/:provider/dial-status
+// @desc    Record a dial attempt's outcome and fail over to the next destination
+// @access  Public (signed by the provider)
+router.post('/telephony/:provider/dial-status', verifyTelephonyProvider, async (req, res) => {
+  try {
+    const provider = req.telephonyProvider;
+
+    const outcome = provider.parseDialOutcome(req.body);
+    if (!outcome) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognized dial status payload'
+      });
+    }
+
+    const { call, destination } = await handleDialOutcome(provider.name, outcome);
+
+    if (!destination) {
+      return sendRoutingResponse(res, provider, { action: 'hangup' });
+    }
+
+    const campaign = await Campaign.findById(call.campaignId).select('callSettings.recording');
+    sendRoutingResponse(res, provider, {
+      action: 'dial',
+      destination,
+      dialStatusUrl: buildProviderUrl(req, provider.name, 'dial-status'),
+      recordingStatusUrl: buildRecordingStatusUrl(req, provider, campaign),
+      callerId: call.from.number
+    });
+
+  } catch (error) {
+    console.error('Dial status webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing dial status'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/telephony/:provider/recording
+// @desc    Queue a finished call recording for copying into recording storage
+// @access  Public (signed by the provider)
+router.post('/telephony/:provider/recording', verifyTelephonyProvider, async (req, res) => {
+  try {
+    const provider = req.telephonyProvider;
+
+    const recording = provider.parseRecording(req.body);
+    if (!recording) {
+      // Twilio also reports recordings that failed or are still processing
+      return res.json({
+        success: true,
+        message: 'No finished recording in this callback'
+      });
+    }
+
+    const result = await recordings.handleRecordingEvent(provider.name, recording);
+    if (result.ignored) {
+      return res.json({
+        success: true,
+        message: result.ignored
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        callId: result.call._id
+      }
+    });
+
+  } catch (error) {
+    console.error('Recording webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing recording callback'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/stripe
+// @desc    Keep subscriptions in sync with Stripe billing events
+// @access  Public (signed by Stripe)
+router.post('/stripe', async (req, res) => {
+  try {
+    const event = billing.constructWebhookEvent(req.rawBody, req.get('Stripe-Signature'));
+    if (!event) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await billing.handleWebhookEvent(event);
+
+    // Answer 200 for events we skip so Stripe does not keep retrying
+    res.json({
+      success: true,
+      message: result.ignored || 'Event processed'
+    });
+
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing billing event'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,51 +5,94 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-// For demo purposes, comment out database-dependent routes
-// const connectDB = require('./config/database');
-// const authRoutes = require('./routes/auth');
+const requestContext = require('./services/requestContext');
+
+const connectDB = require('../config/database');
+const { startJobs } = require('./jobs');
+const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
+const organizationRoutes = require('./routes/organizations');
+const auditRoutes = require('./routes/audit');
+const campaignRoutes = require('./routes/campaigns');
+const buyerRoutes = require('./routes/buyers');
+const publisherRoutes = require('./routes/publishers');
+const marginRoutes = require('./routes/margins');
+const analyticsRoutes = require('./routes/analytics');
+const exportRoutes = require('./routes/exports');
+const callRoutes = require('./routes/calls');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const paymentRoutes = require('./routes/payments');
+const usageRoutes = require('./routes/usage');
+const ledgerRoutes = require('./routes/ledger');
+const fxRoutes = require('./routes/fx');
+const recordingRoutes = require('./routes/recordings');
+const webhookRoutes = require('./routes/webhooks');
+
+// Route below is not implemented yet
 // const userRoutes = require('./routes/users');
-// const campaignRoutes = require('./routes/campaigns');
-// const callRoutes = require('./routes/calls');
-// const paymentRoutes = require('./routes/payments');
-// const analyticsRoutes = require('./routes/analytics');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Database connection disabled for demo
-console.log('📋 Running in demo mode without database');
+// Connect to database (falls back to demo mode if unavailable)
+connectDB();
 
 // Security Middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Content-Disposition'] // export file names
 }));
 
 // Rate Limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Providers send bursts of callbacks; audio players send a range request per seek
+  skip: (req) => req.path.startsWith('/webhooks/') || req.path.startsWith('/recordings/')
 });
 app.use('/api/', limiter);
 
-// Body Parser
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Body Parser (raw body kept for webhook signature checks)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// Request context (actor, IP) for audit logging
+app.use(requestContext.middleware);
 
 // Logging
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
-// Demo routes (database routes commented out for now)
-// app.use('/api/auth', authRoutes);
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/buyers', buyerRoutes);
+app.use('/api/publishers', publisherRoutes);
+app.use('/api/margins', marginRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/fx', fxRoutes);
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/webhooks', webhookRoutes);
 // app.use('/api/users', userRoutes);
-// app.use('/api/campaigns', campaignRoutes);
-// app.use('/api/calls', callRoutes);
-// app.use('/api/payments', paymentRoutes);
-// app.use('/api/analytics', analyticsRoutes);
 
 // Demo API endpoints
 app.get('/api/demo/status', (req, res) => {
@@ -87,4 +130,5 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 CallFlow Pro Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  startJobs();
 });
\ No newline at end of file
@@ -0,0 +1,289 @@
+const Call = require('../models/Call');
+const CallRollup = require('../models/CallRollup');
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const fx = require('./fx');
+const money = require('./money');
+const { DAYS, getLocalTime, getOffset, zonedTimeToUtc, addDays, isValidTimeZone } = require('./campaignSchedule');
+
+// Call analytics: totals, a time series bucketed in the viewer's timezone,
+// an optional breakdown and an optional comparison with an earlier period.
+// Whole UTC days and hours are read from CallRollup when the timezone and
+// breakdown allow it; only the partial hours at the edges of the range
+// (or everything, for breakdowns rollups do not keep) come from calls.
+// Money is reported in one currency, each call converted at its day's rate.
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const COMPARISONS = ['previous_period', 'previous_year'];
+
+// Most buckets one report may return
+const MAX_BUCKETS = 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const addMonths = (dateString, months) => {
+  const [year, month] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-01`;
+};
+
+// Start of the bucket containing a moment, as a local date (and hour)
+const truncate = (at, interval, timeZone) => {
+  const local = getLocalTime(at, timeZone);
+  switch (interval) {
+    case 'hour':
+      return zonedTimeToUtc(local.date, `${pad(local.hour)}:00`, timeZone);
+    case 'week': {
+      const daysSinceMonday = (DAYS.indexOf(local.weekday) + 6) % 7;
+      return zonedTimeToUtc(addDays(local.date, -daysSinceMonday), '00:00', timeZone);
+    }
+    case 'month':
+      return zonedTimeToUtc(`${local.date.slice(0, 7)}-01`, '00:00', timeZone);
+    default:
+      return zonedTimeToUtc(local.date, '00:00', timeZone);
+  }
+};
+
+const nextBucket = (bucket, interval, timeZone) => {
+  // Offsets change by whole hours, so hourly buckets stay aligned in UTC
+  if (interval === 'hour') return new Date(bucket.getTime() + HOUR_MS);
+
+  const { date } = getLocalTime(bucket, timeZone);
+  const next = interval === 'month' ? addMonths(date, 1) : addDays(date, interval === 'week' ? 7 : 1);
+  return zonedTimeToUtc(next, '00:00', timeZone);
+};
+
+// Start of every bucket overlapping [start, end)
+const getBuckets = (start, end, interval, timeZone) => {
+  const buckets = [];
+  for (let bucket = truncate(start, interval, timeZone); bucket < end; bucket = nextBucket(bucket, interval, timeZone)) {
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) return null;
+  }
+  return buckets;
+};
+
+// Offsets of a timezone seen across a range, sampled daily
+const offsetsWithin = (timeZone, start, end) => {
+  const offsets = new Set([getOffset(end, timeZone)]);
+  for (let at = start.getTime(); at < end.getTime(); at += CallRollup.BUCKET_MS.day) {
+    offsets.add(getOffset(new Date(at), timeZone));
+  }
+  return [...offsets];
+};
+
+// Rollup granularities whose UTC buckets fall wholly inside one report bucket
+const usableGranularities = ({ start, end, interval, timeZone, groupBy }) => {
+  if (groupBy && groupBy !== 'campaign') return [];
+
+  const offsets = offsetsWithin(timeZone, start, end);
+  const granularities = [];
+  if (interval !== 'hour' && offsets.every((offset) => offset === 0)) granularities.push('day');
+  if (offsets.every((offset) => offset % CallRollup.BUCKET_MS.hour === 0)) granularities.push('hour');
+  return granularities;
+};
+
+// Cover [start, end) with whole buckets of the coarsest granularity first,
+// then finer ones, leaving the rest to be read from calls
+const planSegments = (start, end, granularities) => {
+  if (start >= end) return [];
+  if (granularities.length === 0) return [{ source: 'calls', start, end }];
+
+  const [granularity, ...finer] = granularities;
+  const size = CallRollup.BUCKET_MS[granularity];
+  const wholeStart = new Date(Math.ceil(start.getTime() / size) * size);
+  const wholeEnd = CallRollup.floorBucket(end, granularity);
+  if (wholeStart >= wholeEnd) return planSegments(start, end, finer);
+
+  return [
+    ...planSegments(start, wholeStart, finer),
+    { source: granularity, start: wholeStart, end: wholeEnd },
+    ...planSegments(wholeEnd, end, finer)
+  ];
+};
+
+const TOTAL_FIELDS = ['calls', 'answered', 'answeredDuration', 'cost', 'revenue', 'qualifiedLeads', 'billable'];
+
+const addTotals = (a, b) => {
+  if (!a) return b;
+  return TOTAL_FIELDS.reduce((sum, field) => ({ ...sum, [field]: a[field] + b[field] }), { _id: a._id });
+};
+
+const mergeRows = (rowLists, keyOf) => {
+  const merged = new Map();
+  rowLists.flat().forEach((row) => {
+    const key = keyOf(row._id);
+    merged.set(key, addTotals(merged.get(key), row));
+  });
+  return [...merged.values()];
+};
+
+// Totals, series and groups for a range, combined from rollups and calls.
+// Returns { error } when an exchange rate is missing.
+const queryTotals = async (organizationId, options) => {
+  const segments = planSegments(options.start, options.end, usableGranularities(options));
+  const results = await Promise.all(segments.map((segment) => {
+    const query = { ...options, start: segment.start, end: segment.end };
+    if (segment.source === 'calls') return Call.getAnalytics(organizationId, query);
+    return CallRollup.getAnalytics(organizationId, { ...query, granularity: segment.source });
+  }));
+
+  const failed = results.find((result) => result.error);
+  if (failed) return { error: failed.error };
+
+  return {
+    totals: results.map((result) => result.totals).filter(Boolean).reduce(addTotals, null),
+    series: mergeRows(results.map((result) => result.series), (id) => id.getTime())
+      .sort((a, b) => a._id - b._id),
+    groups: mergeRows(results.map((result) => result.groups), (id) => JSON.stringify(id))
+      .sort((a, b) => b.calls - a.calls)
+  };
+};
+
+const EMPTY_TOTALS = { calls: 0, answered: 0, answeredDuration: 0, cost: 0, revenue: 0, qualifiedLeads: 0, billable: 0 };
+
+// Rates and averages from summed totals, with money in minor units of currency
+const deriveMetrics = (totals, currency) => {
+  const { calls, answered, answeredDuration, cost, revenue, qualifiedLeads, billable } = totals || EMPTY_TOTALS;
+  return {
+    calls,
+    answered,
+    answerRate: calls > 0 ? round((answered / calls) * 100) : 0,
+    averageDuration: answered > 0 ? round(answeredDuration / answered) : 0,
+    cost: money.fromMinor(cost, currency),
+    revenue: money.fromMinor(revenue, currency),
+    roi: cost > 0 ? round(((revenue - cost) / cost) * 100) : 0,
+    qualifiedLeads,
+    qualifiedLeadRate: calls > 0 ? round((qualifiedLeads / calls) * 100) : 0,
+    billable,
+    billableRate: calls > 0 ? round((billable / calls) * 100) : 0
+  };
+};
+
+// Percentage change of each metric; null when the earlier value is zero
+const compareMetrics = (current, previous) => {
+  return Object.keys(current).reduce((change, metric) => ({
+    ...change,
+    [metric]: previous[metric] ? round(((current[metric] - previous[metric]) / Math.abs(previous[metric])) * 100) : null
+  }), {});
+};
+
+const getComparisonRange = (start, end, compare) => {
+  if (compare === 'previous_year') {
+    const shift = (date) => {
+      const shifted = new Date(date);
+      shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+      return shifted;
+    };
+    return { start: shift(start), end: shift(end) };
+  }
+  return { start: new Date(start.getTime() - (end - start)), end: new Date(start) };
+};
+
+const fillSeries = (buckets, rows, currency) => {
+  const byBucket = new Map(rows.map((row) => [row._id.getTime(), row]));
+  return buckets.map((bucket) => ({
+    bucket,
+    ...deriveMetrics(byBucket.get(bucket.getTime()), currency)
+  }));
+};
+
+const GROUP_LABELS = {
+  campaign: 'No campaign',
+  state: 'Unknown location',
+  city: 'Unknown location',
+  utmSource: 'No UTM source',
+  utmMedium: 'No UTM medium',
+  deviceType: 'Unknown device'
+};
+
+const labelGroups = async (organizationId, groupBy, rows, currency) => {
+  let names = new Map();
+  if (groupBy === 'campaign') {
+    const campaigns = await Campaign.find({ _id: { $in: rows.map((row) => row._id).filter(Boolean) }, organizationId }).select('name');
+    names = new Map(campaigns.map((campaign) => [campaign._id.toString(), campaign.name]));
+  }
+
+  return rows.map((row) => {
+    let name;
+    if (groupBy === 'campaign') {
+      name = row._id ? names.get(row._id.toString()) || 'Deleted' : null;
+    } else if (groupBy === 'city') {
+      name = row._id && row._id.city ? [row._id.city, row._id.state].filter(Boolean).join(', ') : null;
+    } else {
+      name = row._id || null;
+    }
+    return { key: row._id || null, name: name || GROUP_LABELS[groupBy], ...deriveMetrics(row, currency) };
+  });
+};
+
+// The user's preferred timezone, else UTC
+const getPreferredTimeZone = async (userId) => {
+  const user = await User.findById(userId).select('preferences.timezone');
+  const preferred = user && user.preferences && user.preferences.timezone;
+  return isValidTimeZone(preferred) ? preferred : 'UTC';
+};
+
+// The user's reporting currency, else the base currency
+const getPreferredCurrency = async (userId) => {
+  const user = await User.findById(userId).select('preferences.currency');
+  const preferred = user && user.preferences && user.preferences.currency;
+  return money.isCurrencyCode(preferred) ? preferred : fx.BASE_CURRENCY;
+};
+
+// Build an analytics report in a reporting currency. Returns { error } when
+// the range would need too many buckets or an exchange rate is missing.
+const buildReport = async (organizationId, { start, end, interval, timeZone, groupBy, compare, filter, currency = fx.BASE_CURRENCY }) => {
+  const buckets = getBuckets(start, end, interval, timeZone);
+  if (!buckets) {
+    return { error: `Too many ${interval} buckets in range (maximum ${MAX_BUCKETS}); use a larger interval` };
+  }
+
+  const current = await queryTotals(organizationId, { start, end, interval, timeZone, groupBy, filter, currency });
+  if (current.error) return current;
+
+  const report = {
+    range: { start, end },
+    timeZone,
+    currency,
+    interval,
+    groupBy: groupBy || null,
+    totals: deriveMetrics(current.totals, currency),
+    series: fillSeries(buckets, current.series, currency),
+    groups: groupBy ? await labelGroups(organizationId, groupBy, current.groups, currency) : undefined
+  };
+
+  if (compare) {
+    const range = getComparisonRange(start, end, compare);
+    const previous = await queryTotals(organizationId, { ...range, interval, timeZone, filter, currency });
+    if (previous.error) return previous;
+    const totals = deriveMetrics(previous.totals, currency);
+    report.comparison = {
+      type: compare,
+      range,
+      totals,
+      // Aligned with series by position
+      series: fillSeries(getBuckets(range.start, range.end, interval, timeZone) || [], previous.series, currency),
+      change: compareMetrics(report.totals, totals)
+    };
+  }
+
+  return report;
+};
+
+module.exports = {
+  INTERVALS,
+  COMPARISONS,
+  MAX_BUCKETS,
+  getBuckets,
+  deriveMetrics,
+  compareMetrics,
+  getComparisonRange,
+  planSegments,
+  getPreferredTimeZone,
+  getPreferredCurrency,
+  buildReport
+};
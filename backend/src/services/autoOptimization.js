@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const RuleFiring = require('../models/RuleFiring');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { applyTransition } = require('./campaignLifecycle');
+const optimizationRules = require('./optimizationRules');
+const fx = require('./fx');
+const money = require('./money');
+
+const MAX_ATTEMPTS = 3;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'no_answer', 'busy'];
+
+// Most calls a dry run replays
+const REPLAY_LIMIT = 10000;
+
+const CALL_FIELDS = 'status to publisherId timing billable revenue payout cost fx';
+
+const finishedCalls = (campaignId) => ({ campaignId, status: { $in: FINISHED_STATUSES }, isTest: { $ne: true } });
+
+const activeRulesOf = (campaign) => campaign.autoOptimization.rules.filter((rule) => rule.isActive);
+
+// Rules breached right now, with the tracking number for per-number rules.
+// Rules still inside their cooldown are left out.
+const findBreaches = async (campaign, now) => {
+  const rules = activeRulesOf(campaign);
+  if (rules.length === 0) return [];
+
+  const activeNumbers = campaign.phoneNumbers.filter((entry) => entry.isActive).map((entry) => entry.normalized);
+  const window = Math.max(...rules.map((rule) => Math.min(rule.window.calls, optimizationRules.MAX_WINDOW_CALLS)));
+  const perNumberLimit = rules.some(optimizationRules.isPerNumber) ? window * Math.max(activeNumbers.length, 1) : 0;
+
+  const calls = await Call.find(finishedCalls(campaign._id))
+    .select(CALL_FIELDS)
+    .sort({ 'timing.initiatedAt': -1 })
+    .limit(Math.max(window, perNumberLimit))
+    .lean();
+  const byNumber = optimizationRules.groupByTrackingNumber(calls);
+
+  const breaches = [];
+  rules.forEach((rule) => {
+    if (optimizationRules.isPerNumber(rule)) {
+      activeNumbers.forEach((number) => {
+        const result = optimizationRules.evaluateRule(rule, byNumber.get(number) || []);
+        if (result.breached) breaches.push({ rule, result, phoneNumber: number });
+      });
+    } else {
+      const result = optimizationRules.evaluateRule(rule, calls);
+      if (result.breached) breaches.push({ rule, result });
+    }
+  });
+
+  const cooling = await Promise.all(breaches.map(({ rule, phoneNumber }) => RuleFiring.exists({
+    campaignId: campaign._id,
+    ruleId: rule._id,
+    phoneNumber,
+    firedAt: { $gt: new Date(now.getTime() - optimizationRules.cooldownMs(rule)) }
+  })));
+  return breaches.filter((breach, index) => !cooling[index]);
+};
+
+// Lower publisher payouts by a percentage, not below the rule's floor
+const lowerPayouts = (campaign, action) => {
+  const factor = 1 - action.percent / 100;
+  const floor = action.floor || 0;
+  const lower = (amount, currency) => (amount > floor ? Math.max(floor, money.toMajor(money.of(amount * factor, currency))) : amount);
+
+  let lowered = 0;
+  campaign.publishers
+    .filter((entry) => !action.publisherId || entry.publisherId.equals(action.publisherId))
+    .forEach((entry) => {
+      const { payout } = entry;
+      const before = JSON.stringify([payout.amount, payout.tiers.map((tier) => tier.amount)]);
+      payout.amount = lower(payout.amount, payout.currency);
+      payout.tiers.forEach((tier) => {
+        tier.amount = lower(tier.amount, payout.currency);
+      });
+      if (JSON.stringify([payout.amount, payout.tiers.map((tier) => tier.amount)]) !== before) lowered += 1;
+    });
+  return lowered;
+};
+
+// Apply one breach's action to the campaign document (not saved).
+// Returns { outcome, detail } for the firing record.
+const applyAction = (campaign, { rule, result, phoneNumber }) => {
+  const reason = optimizationRules.describeFiring(rule, result, phoneNumber);
+
+  switch (rule.action.type) {
+    case 'pause_campaign': {
+      const transition = applyTransition(campaign, 'pause', { reason });
+      return transition.error
+        ? { outcome: 'skipped', detail: transition.error }
+        : { outcome: 'applied', detail: 'Campaign paused' };
+    }
+    case 'lower_bid': {
+      const lowered = lowerPayouts(campaign, rule.action);
+      return lowered > 0
+        ? { outcome: 'applied', detail: `Lowered payout by ${rule.action.percent}% for ${lowered} publisher(s)` }
+        : { outcome: 'skipped', detail: 'No publisher payout above the floor to lower' };
+    }
+    case 'deactivate_phone_number': {
+      const entry = campaign.phoneNumbers.find((item) => item.normalized === phoneNumber && item.isActive);
+      if (!entry) return { outcome: 'skipped', detail: `${phoneNumber} is no longer active` };
+      entry.isActive = false;
+      return { outcome: 'applied', detail: `Deactivated ${entry.number}` };
+    }
+    default:
+      return { outcome: 'applied', detail: 'Alert sent' };
+  }
+};
+
+// Apply the actions of the breached rules in one campaign save, retrying
+// on concurrent edits
+const applyActions = async (campaignId, breaches) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return { campaign: null, results: [] };
+
+    const results = breaches.map((breach) => applyAction(campaign, breach));
+    if (!results.some((result, index) => result.outcome === 'applied' && breaches[index].rule.action.type !== 'send_alert')) {
+      return { campaign, results };
+    }
+
+    campaign.increment();
+    try {
+      await campaign.save();
+      return { campaign, results };
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt === MAX_ATTEMPTS) throw error;
+    }
+  }
+  return { campaign: null, results: [] };
+};
+
+const sendAlerts = async (campaign, firings) => {
+  const alerts = firings.filter((firing) => firing.action === 'send_alert');
+  if (alerts.length === 0) return;
+
+  const owner = await User.findById(campaign.userId).select('email firstName');
+  if (!owner) {
+    alerts.forEach((firing) => {
+      firing.outcome = 'failed';
+      firing.detail = 'Campaign owner not found';
+    });
+    return;
+  }
+
+  try {
+    await mailService.sendOptimizationAlert(owner, campaign, alerts);
+  } catch (error) {
+    console.error(`Optimization alert for campaign ${campaign._id} error:`, error);
+    alerts.forEach((firing) => {
+      firing.outcome = 'failed';
+      firing.detail = 'Alert email could not be sent';
+    });
+  }
+};
+
+// Evaluate a live campaign's rules, apply the actions of those breached and
+// record every firing. Returns the stored firings.
+const evaluateCampaign = async (campaignId, now = new Date()) => {
+  const current = await Campaign.findById(campaignId);
+  if (!current || current.status !== 'active' || !current.autoOptimization.enabled) return [];
+
+  const breaches = await findBreaches(current, now);
+  if (breaches.length === 0) return [];
+
+  const { campaign, results } = await applyActions(campaignId, breaches);
+  if (!campaign) return [];
+
+  const firings = breaches.map(({ rule, result, phoneNumber }, index) => ({
+    organizationId: campaign.organizationId,
+    campaignId: campaign._id,
+    ruleId: rule._id,
+    ruleName: rule.name,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    value: result.value,
+    sampleSize: result.sampleSize,
+    phoneNumber,
+    action: rule.action.type,
+    outcome: results[index].outcome,
+    detail: `${optimizationRules.describeFiring(rule, result, phoneNumber)}. ${results[index].detail}`,
+    firedAt: now
+  }));
+
+  await sendAlerts(campaign, firings);
+  const stored = await RuleFiring.insertMany(firings);
+  firings.forEach((firing) => console.log(`🤖 Campaign ${campaign._id}: ${firing.detail}`));
+  return stored;
+};
+
+// Evaluate every live campaign with auto-optimization enabled
+const runAutoOptimization = async (now = new Date()) => {
+  const campaigns = await Campaign.find({ status: 'active', 'autoOptimization.enabled': true }).select('_id');
+
+  let fired = 0;
+  for (const { _id } of campaigns) {
+    try {
+      fired += (await evaluateCampaign(_id, now)).length;
+    } catch (error) {
+      console.error(`Auto-optimization of campaign ${_id} error:`, error);
+    }
+  }
+  return fired;
+};
+
+// Replay rules (the campaign's own unless given) over the campaign's calls
+// in a period and report what they would have done. Nothing is changed.
+const dryRun = async (campaign, { from, to, rules } = {}) => {
+  const filter = finishedCalls(campaign._id);
+  filter['timing.initiatedAt'] = { $gte: from, $lte: to };
+
+  const calls = await Call.find(filter)
+    .select(CALL_FIELDS)
+    .sort({ 'timing.initiatedAt': 1 })
+    .limit(REPLAY_LIMIT)
+    .lean();
+
+  const replay = optimizationRules.replayRules(rules || campaign.autoOptimization.rules, calls);
+  return {
+    from,
+    to,
+    truncated: calls.length === REPLAY_LIMIT,
+    currency: fx.BASE_CURRENCY,
+    ...replay
+  };
+};
+
+module.exports = {
+  evaluateCampaign,
+  runAutoOptimization,
+  dryRun
+};
@@ -0,0 +1,371 @@
+const Stripe = require('stripe');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const alerts = require('./notifications/alerts');
+const money = require('./money');
+
+// Subscription billing through Stripe. A user subscribes to a plan; their
+// plan (accountType) and billing state are mirrored onto every organization
+// they own, where feature gates read them. Stripe webhooks are the source of
+// truth: handleWebhookEvent() keeps the subscription status and plan in
+// sync. past_due and unpaid accounts keep their plan for BILLING_GRACE_DAYS,
+// then are restricted (read-only, inbound calls rejected) until they pay.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plans from lowest to highest. basic is free; paid plans map to a Stripe
+// price each.
+const PLANS = {
+  basic: { name: 'Basic', priceId: () => null },
+  premium: { name: 'Premium', priceId: () => process.env.STRIPE_PRICE_PREMIUM },
+  enterprise: { name: 'Enterprise', priceId: () => process.env.STRIPE_PRICE_ENTERPRISE }
+};
+const PLAN_ORDER = Object.keys(PLANS);
+
+// Statuses that keep the paid plan; delinquent ones only until restricted
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due', 'unpaid'];
+const DELINQUENT_STATUSES = ['past_due', 'unpaid'];
+
+const SUBSCRIPTION_EVENTS = ['customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted'];
+
+const getGraceDays = () => Number(process.env.BILLING_GRACE_DAYS) || 7;
+
+let stripe = null;
+
+// Stripe client, or null when STRIPE_SECRET_KEY is not set. STRIPE_API_HOST,
+// STRIPE_API_PORT and STRIPE_API_PROTOCOL point it elsewhere, e.g. at a
+// local stripe-mock.
+const getStripe = () => {
+  if (!stripe && process.env.STRIPE_SECRET_KEY) {
+    const options = {};
+    if (process.env.STRIPE_API_HOST) {
+      options.host = process.env.STRIPE_API_HOST;
+      options.port = process.env.STRIPE_API_PORT;
+      options.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+    }
+    stripe = Stripe(process.env.STRIPE_SECRET_KEY, options);
+  }
+  return stripe;
+};
+
+// Swap the Stripe client at runtime
+const setStripe = (client) => {
+  stripe = client;
+};
+
+const isConfigured = () => Boolean(getStripe());
+
+const planForPrice = (priceId) => PLAN_ORDER.find((plan) => priceId && PLANS[plan].priceId() === priceId) || null;
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+const hasSubscription = (user) => Boolean(user.billing.subscriptionId) && user.billing.subscriptionStatus !== 'canceled';
+
+// Plans with their availability, for plan pickers
+const describePlans = () => PLAN_ORDER.map((plan) => ({
+  id: plan,
+  name: PLANS[plan].name,
+  available: plan === 'basic' || Boolean(PLANS[plan].priceId())
+}));
+
+// Billing state as shown to the user
+const describeBilling = (user) => ({
+  plan: user.accountType,
+  subscriptionStatus: user.billing.subscriptionStatus,
+  hasSubscription: hasSubscription(user),
+  nextBillingDate: user.billing.nextBillingDate,
+  cancelAtPeriodEnd: user.billing.cancelAtPeriodEnd,
+  gracePeriodEndsAt: user.billing.gracePeriodEndsAt,
+  restricted: Boolean(user.billing.restrictedAt),
+  restrictedAt: user.billing.restrictedAt
+});
+
+// Copy the user's plan and billing state onto the organizations they own
+const syncOrganizations = (user) => {
+  const { billing } = user;
+  return Organization.updateMany({ ownerId: user._id }, {
+    $set: {
+      accountType: user.accountType,
+      'billing.stripeCustomerId': billing.stripeCustomerId || null,
+      'billing.subscriptionId': billing.subscriptionId || null,
+      'billing.subscriptionStatus': billing.subscriptionStatus,
+      'billing.nextBillingDate': billing.nextBillingDate || null,
+      'billing.cancelAtPeriodEnd': billing.cancelAtPeriodEnd,
+      'billing.gracePeriodEndsAt': billing.gracePeriodEndsAt || null,
+      'billing.restrictedAt': billing.restrictedAt || null
+    }
+  });
+};
+
+const saveBilling = async (user) => {
+  await user.save();
+  await syncOrganizations(user);
+  return user;
+};
+
+// The user's Stripe customer, created on first checkout
+const ensureCustomer = async (user) => {
+  if (user.billing.stripeCustomerId) return user.billing.stripeCustomerId;
+
+  const customer = await getStripe().customers.create({
+    email: user.email,
+    name: `${user.firstName} ${user.lastName}`,
+    metadata: { userId: String(user._id) }
+  });
+  user.billing.stripeCustomerId = customer.id;
+  await saveBilling(user);
+  return customer.id;
+};
+
+// Start a hosted checkout for a paid plan. Returns { url } or { error }.
+const createCheckoutSession = async (user, plan) => {
+  const priceId = PLANS[plan] && PLANS[plan].priceId();
+  if (!priceId) return { error: `The ${plan} plan cannot be bought` };
+  if (hasSubscription(user)) return { error: 'You already have a subscription; change plans instead' };
+
+  const customer = await ensureCustomer(user);
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'subscription',
+    customer,
+    client_reference_id: String(user._id),
+    line_items: [{ price: priceId, quantity: 1 }],
+    subscription_data: { metadata: { userId: String(user._id), plan } },
+    success_url: frontendUrl('/billing?checkout=success'),
+    cancel_url: frontendUrl('/billing?checkout=canceled')
+  });
+  return { url: session.url, sessionId: session.id };
+};
+
+// Apply a Stripe subscription to the user: status, plan, renewal date and
+// the grace period of delinquent accounts
+const applySubscription = (user, subscription, at = new Date()) => {
+  const { billing } = user;
+  const item = subscription.items && subscription.items.data[0];
+  const plan = planForPrice(item && item.price && item.price.id) || (subscription.metadata && subscription.metadata.plan);
+  const ended = subscription.status === 'canceled' || subscription.status === 'incomplete_expired';
+
+  billing.subscriptionId = ended ? undefined : subscription.id;
+  billing.subscriptionStatus = subscription.status;
+  billing.nextBillingDate = !ended && subscription.current_period_end
+    ? new Date(subscription.current_period_end * 1000)
+    : undefined;
+  billing.cancelAtPeriodEnd = !ended && Boolean(subscription.cancel_at_period_end);
+
+  if (ENTITLED_STATUSES.includes(subscription.status) && PLANS[plan]) {
+    user.accountType = plan;
+  } else if (ended || subscription.status === 'paused') {
+    user.accountType = 'basic';
+  }
+
+  if (DELINQUENT_STATUSES.includes(subscription.status)) {
+    if (!billing.gracePeriodEndsAt) billing.gracePeriodEndsAt = new Date(at.getTime() + getGraceDays() * DAY_MS);
+  } else {
+    billing.gracePeriodEndsAt = undefined;
+    billing.restrictedAt = undefined;
+  }
+};
+
+// Move a subscription to another plan. Upgrades invoice the prorated
+// difference at once and only take effect once it is paid (Stripe keeps
+// them as a pending update until then); downgrades credit the unused time
+// to the next invoice. Going back to basic cancels at the end of the paid
+// period. Returns { user, pending } or { error }.
+const changePlan = async (user, plan) => {
+  if (!PLANS[plan]) return { error: 'Unknown plan' };
+  if (!hasSubscription(user)) return { error: 'You have no subscription; start a checkout first' };
+
+  let subscription;
+  if (plan === 'basic') {
+    subscription = await getStripe().subscriptions.update(user.billing.subscriptionId, { cancel_at_period_end: true });
+  } else {
+    const priceId = PLANS[plan].priceId();
+    if (!priceId) return { error: `The ${plan} plan cannot be bought` };
+
+    const current = await getStripe().subscriptions.retrieve(user.billing.subscriptionId);
+    const items = [{ id: current.items.data[0].id, price: priceId }];
+    if (PLAN_ORDER.indexOf(plan) > PLAN_ORDER.indexOf(user.accountType)) {
+      // Pending updates take no metadata or cancellation changes, so a
+      // scheduled cancellation is lifted separately
+      if (current.cancel_at_period_end) {
+        await getStripe().subscriptions.update(user.billing.subscriptionId, { cancel_at_period_end: false });
+      }
+      subscription = await getStripe().subscriptions.update(user.billing.subscriptionId, {
+        items,
+        proration_behavior: 'always_invoice',
+        payment_behavior: 'pending_if_incomplete'
+      });
+    } else {
+      subscription = await getStripe().subscriptions.update(user.billing.subscriptionId, {
+        items,
+        cancel_at_period_end: false,
+        proration_behavior: 'create_prorations',
+        metadata: { plan }
+      });
+    }
+  }
+
+  applySubscription(user, subscription);
+  // Webhooks created before this change must not roll it back. Stripe event
+  // times are whole seconds, so those from this same second still apply.
+  user.billing.lastEventAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  return { user: await saveBilling(user), pending: Boolean(subscription.pending_update) };
+};
+
+// What changing plans would cost. prorationAmount is the difference for the
+// rest of the period: charged at once on upgrades, credited to the next
+// invoice on downgrades. Returns { amountDue, prorationAmount, currency,
+// effectiveAt, lines } or { error }.
+const previewPlanChange = async (user, plan) => {
+  if (!PLANS[plan]) return { error: 'Unknown plan' };
+  if (!hasSubscription(user)) return { error: 'You have no subscription; start a checkout first' };
+
+  if (plan === 'basic') {
+    return { amountDue: 0, prorationAmount: 0, currency: null, effectiveAt: user.billing.nextBillingDate, lines: [] };
+  }
+
+  const priceId = PLANS[plan].priceId();
+  if (!priceId) return { error: `The ${plan} plan cannot be bought` };
+
+  const current = await getStripe().subscriptions.retrieve(user.billing.subscriptionId);
+  const invoice = await getStripe().invoices.retrieveUpcoming({
+    customer: user.billing.stripeCustomerId,
+    subscription: user.billing.subscriptionId,
+    subscription_items: [{ id: current.items.data[0].id, price: priceId }],
+    subscription_proration_behavior: 'create_prorations',
+    subscription_proration_date: Math.floor(Date.now() / 1000)
+  });
+
+  // Stripe amounts are in minor units of the invoice currency
+  const currency = (invoice.currency || 'usd').toUpperCase();
+  const lines = invoice.lines.data.map((line) => ({
+    description: line.description,
+    amount: money.fromMinor(line.amount, currency),
+    proration: Boolean(line.proration)
+  }));
+  const prorationMinor = invoice.lines.data.filter((line) => line.proration).reduce((sum, line) => sum + line.amount, 0);
+  return {
+    amountDue: money.fromMinor(invoice.amount_due, currency),
+    prorationAmount: money.fromMinor(prorationMinor, currency),
+    currency,
+    effectiveAt: new Date(),
+    lines
+  };
+};
+
+// Stripe's hosted page for payment methods and invoices. Returns { url } or
+// { error }.
+const createPortalSession = async (user) => {
+  if (!user.billing.stripeCustomerId) return { error: 'You have no billing account yet' };
+
+  const session = await getStripe().billingPortal.sessions.create({
+    customer: user.billing.stripeCustomerId,
+    return_url: frontendUrl('/billing')
+  });
+  return { url: session.url };
+};
+
+// Check a webhook's Stripe-Signature against STRIPE_WEBHOOK_SECRET. Returns
+// the event, or null when the signature does not match.
+const constructWebhookEvent = (rawBody, signature) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret || !signature || !rawBody) return null;
+  try {
+    return Stripe.webhooks.constructEvent(rawBody, signature, secret);
+  } catch (error) {
+    return null;
+  }
+};
+
+const findUser = async (customerId, userId) => {
+  const user = customerId ? await User.findOne({ 'billing.stripeCustomerId': customerId }) : null;
+  if (user || !userId) return user;
+  return User.findById(userId);
+};
+
+// Apply a verified Stripe event. Returns { handled } or { ignored: reason }.
+// Subscription events older than the last one applied are skipped, so
+// retried or out-of-order deliveries cannot roll the state back.
+const handleWebhookEvent = async (event) => {
+  const object = event.data.object;
+  const occurredAt = new Date(event.created * 1000);
+
+  if (event.type === 'checkout.session.completed') {
+    if (object.mode !== 'subscription') return { ignored: 'Not a subscription checkout' };
+    const user = await findUser(object.customer, object.client_reference_id);
+    if (!user) return { ignored: 'No user for this checkout' };
+
+    user.billing.stripeCustomerId = object.customer;
+    user.billing.subscriptionId = object.subscription;
+    await saveBilling(user);
+    return { handled: true };
+  }
+
+  if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+    const user = await findUser(object.customer, object.metadata && object.metadata.userId);
+    if (!user) return { ignored: 'No user for this subscription' };
+    if (user.billing.subscriptionId && user.billing.subscriptionId !== object.id && hasSubscription(user)) {
+      return { ignored: 'Not the current subscription' };
+    }
+    if (user.billing.lastEventAt && occurredAt < user.billing.lastEventAt) {
+      return { ignored: 'Older than the last applied event' };
+    }
+
+    user.billing.stripeCustomerId = object.customer;
+    user.billing.lastEventAt = occurredAt;
+    applySubscription(user, object, occurredAt);
+    await saveBilling(user);
+    return { handled: true };
+  }
+
+  if (event.type === 'invoice.payment_failed') {
+    const user = await findUser(object.customer);
+    if (!user) return { ignored: 'No user for this invoice' };
+
+    const currency = (object.currency || 'usd').toUpperCase();
+    await alerts.paymentFailed(user, {
+      amount: money.fromMinor(object.amount_due, currency),
+      currency,
+      reason: object.next_payment_attempt
+        ? `we will try again on ${new Date(object.next_payment_attempt * 1000).toDateString()}`
+        : undefined,
+      reference: object.id
+    });
+    return { handled: true };
+  }
+
+  return { ignored: `Unhandled event type ${event.type}` };
+};
+
+// Restrict delinquent accounts whose grace period is over. Returns the
+// number restricted.
+const enforceGracePeriods = async (now = new Date()) => {
+  const users = await User.find({
+    'billing.subscriptionStatus': { $in: DELINQUENT_STATUSES },
+    'billing.gracePeriodEndsAt': { $lte: now },
+    'billing.restrictedAt': null
+  });
+
+  for (const user of users) {
+    user.billing.restrictedAt = now;
+    await saveBilling(user);
+  }
+  return users.length;
+};
+
+module.exports = {
+  PLANS,
+  PLAN_ORDER,
+  getStripe,
+  setStripe,
+  isConfigured,
+  describePlans,
+  describeBilling,
+  createCheckoutSession,
+  changePlan,
+  previewPlanChange,
+  createPortalSession,
+  applySubscription,
+  constructWebhookEvent,
+  handleWebhookEvent,
+  enforceGracePeriods
+};
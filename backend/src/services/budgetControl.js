@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const CampaignSpend = require('../models/CampaignSpend');
+const { applyTransition } = require('./campaignLifecycle');
+const { getLocalTime, getDayRange, getDayIntervals } = require('./campaignSchedule');
+const { calculateAmount } = require('./callPricing');
+const fx = require('./fx');
+const money = require('./money');
+const liveEvents = require('./liveEvents');
+const alerts = require('./notifications/alerts');
+
+const MAX_ATTEMPTS = 3;
+
+// With even pacing, let spend run this far ahead of the elapsed share of the
+// day so the first call after opening is not refused
+const PACING_SLICE_MS = 15 * 60 * 1000;
+
+// Reservations of calls that never reported a final status are released after this
+const RESERVATION_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+// Calls record their telephony cost in this currency
+const TELEPHONY_CURRENCY = Call.schema.path('cost.currency').defaultValue;
+
+// The campaign's budget day (local calendar date) at a moment
+const getBudgetDay = (campaign, at = new Date()) => {
+  const local = getLocalTime(at, campaign.schedule.timeZone) || getLocalTime(at, 'UTC');
+  return local.date;
+};
+
+// Worst-case cost of a call in the campaign's currency: the publisher
+// payout and telephony cost of a call lasting the campaign's maximum
+// duration, each converted at the rate of the day it starts. Null when a
+// rate is missing.
+const estimateCallCost = async (campaign, publisherId, at = new Date()) => {
+  const maxDuration = campaign.callSettings.maxCallDuration;
+  const terms = campaign.getPayoutTerms(publisherId);
+  const converted = await fx.convertAmounts({
+    payout: { amount: calculateAmount(terms, maxDuration), currency: terms ? terms.currency : campaign.currency },
+    telephony: {
+      amount: (Number(process.env.TELEPHONY_DEFAULT_COST_PER_MINUTE) || 0) * (maxDuration / 60),
+      currency: TELEPHONY_CURRENCY
+    }
+  }, campaign.currency, at);
+  if (!converted) return null;
+  return money.fromMinor(converted.payout + converted.telephony, campaign.currency);
+};
+
+// Spend allowed so far today: the daily budget, or with even pacing the
+// share of it matching the active time elapsed today
+const getDailyAllowance = (campaign, date, at = new Date()) => {
+  const { daily } = campaign.budget;
+  if (campaign.budget.pacing !== 'even') return daily;
+
+  const intervals = getDayIntervals(campaign, date);
+  const total = intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+  if (total === 0) return daily;
+
+  const elapsed = intervals.reduce((sum, interval) => {
+    return sum + Math.min(Math.max(at - interval.start, 0), interval.end - interval.start);
+  }, 0);
+  return daily * Math.min(1, (elapsed + PACING_SLICE_MS) / total);
+};
+
+const ensureSpendDay = async (campaign, date) => {
+  try {
+    await CampaignSpend.updateOne(
+      { campaignId: campaign._id, date },
+      { $setOnInsert: { organizationId: campaign.organizationId, timeZone: campaign.schedule.timeZone } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two calls created the day at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const releaseFromBudget = async (campaignId, date, amount) => {
+  if (!(amount > 0)) return;
+  await Promise.all([
+    CampaignSpend.updateOne({ campaignId, date }, { $inc: { reserved: -amount } }),
+    Campaign.updateOne({ _id: campaignId }, [{
+      $set: { 'budget.reserved': { $max: [0, { $subtract: ['$budget.reserved', amount] }] } }
+    }])
+  ]);
+};
+
+// Reserve a call's expected cost against today's and the total budget in
+// two conditional atomic updates, so concurrent calls cannot overshoot
+// either cap. Returns { reservation } or { reasons, capReached } where
+// capReached is 'daily_cap' or 'total_cap' once no more spend is possible.
+const reserveCallBudget = async (campaign, amount, at = new Date()) => {
+  const date = getBudgetDay(campaign, at);
+  const allowance = getDailyAllowance(campaign, date, at);
+  await ensureSpendDay(campaign, date);
+
+  const day = await CampaignSpend.findOneAndUpdate(
+    {
+      campaignId: campaign._id,
+      date,
+      $expr: {
+        $and: [
+          { $lt: ['$spent', allowance] },
+          { $lte: [{ $add: ['$spent', '$reserved', amount] }, allowance] }
+        ]
+      }
+    },
+    { $inc: { reserved: amount } },
+    { new: true }
+  );
+
+  if (!day) {
+    const current = await CampaignSpend.findOne({ campaignId: campaign._id, date });
+    if (current && current.spent >= campaign.budget.daily) {
+      return { reasons: ['Daily budget reached'], capReached: 'daily_cap' };
+    }
+    if (allowance < campaign.budget.daily) {
+      return { reasons: ['Daily budget is paced across active hours; try again later'] };
+    }
+    return { reasons: ['Daily budget is committed to calls in progress'] };
+  }
+
+  const total = await Campaign.updateOne(
+    {
+      _id: campaign._id,
+      $expr: {
+        $and: [
+          { $lt: ['$budget.spent', '$budget.total'] },
+          { $lte: [{ $add: ['$budget.spent', '$budget.reserved', amount] }, '$budget.total'] }
+        ]
+      }
+    },
+    { $inc: { 'budget.reserved': amount } }
+  );
+
+  if (total.matchedCount === 0) {
+    await CampaignSpend.updateOne({ campaignId: campaign._id, date }, { $inc: { reserved: -amount } });
+    const current = await Campaign.findById(campaign._id).select('budget');
+    if (current && current.budget.spent >= current.budget.total) {
+      return { reasons: ['Total budget reached'], capReached: 'total_cap' };
+    }
+    return { reasons: ['Total budget is committed to calls in progress'] };
+  }
+
+  return { reservation: { date, amount, reservedAt: at } };
+};
+
+// Give back a reservation that was never attached to a call
+const releaseReservation = (campaign, reservation) => {
+  return releaseFromBudget(campaign._id, reservation.date, reservation.amount);
+};
+
+// Claim a call's reservation for settlement; only the first claim releases it
+const claimReservation = async (call, fields = {}) => {
+  const reservation = call.budgetReservation;
+  if (!reservation || !reservation.date) return null;
+
+  const claim = await Call.updateOne(
+    { _id: call._id, 'budgetReservation.settledAt': null },
+    { $set: { 'budgetReservation.settledAt': new Date(), ...fields } }
+  );
+  return claim.modifiedCount > 0 ? reservation : null;
+};
+
+// Raise budget_threshold when this spend carried the day's or the campaign's
+// total spend across BUDGET_ALERT_PERCENT of its budget
+const alertBudgetThresholds = (campaign, day, amount) => {
+  const percent = Number(process.env.BUDGET_ALERT_PERCENT) || 80;
+  const crossed = (after, budget) => {
+    const limit = (budget * percent) / 100;
+    return budget > 0 && after >= limit && after - amount < limit;
+  };
+
+  if (day && crossed(day.spent, campaign.budget.daily)) {
+    alerts.budgetThreshold(campaign, { period: 'daily', percent, spent: day.spent, budget: campaign.budget.daily, date: day.date });
+  }
+  if (crossed(campaign.budget.spent, campaign.budget.total)) {
+    alerts.budgetThreshold(campaign, { period: 'total', percent, spent: campaign.budget.spent, budget: campaign.budget.total });
+  }
+};
+
+// Move a finished call from reserved to spent, on its budget day and the
+// campaign total. Returns the updated campaign.
+const recordSpend = async (campaign, call, cost) => {
+  const reservation = await claimReservation(call);
+  const released = reservation ? reservation.amount : 0;
+  const date = reservation ? reservation.date : getBudgetDay(campaign, call.timing.initiatedAt);
+  const spent = money.toMajor(money.of(cost, campaign.currency));
+
+  await ensureSpendDay(campaign, date);
+  const day = await CampaignSpend.findOneAndUpdate(
+    { campaignId: campaign._id, date },
+    { $inc: { spent, reserved: -released, calls: 1 } },
+    { new: true }
+  );
+
+  const updated = await Campaign.findOneAndUpdate({ _id: campaign._id }, [{
+    $set: {
+      'budget.spent': { $add: ['$budget.spent', spent] },
+      'budget.reserved': { $max: [0, { $subtract: ['$budget.reserved', released] }] },
+      'budget.remaining': { $max: [0, { $subtract: ['$budget.total', { $add: ['$budget.spent', spent] }] }] }
+    }
+  }], { new: true });
+  if (updated) {
+    liveEvents.publishCampaignBudget(updated);
+    alertBudgetThresholds(updated, day, spent);
+  }
+  return updated;
+};
+
+// Correct a campaign's cached total spend by `amount` in its currency
+// (negative lowers it), for ledger adjustments and reconciliation. Returns
+// the updated campaign.
+const adjustSpend = async (campaignId, delta) => {
+  const updated = await Campaign.findOneAndUpdate({ _id: campaignId }, [{
+    $set: {
+      'budget.spent': { $add: ['$budget.spent', delta] },
+      'budget.remaining': { $max: [0, { $subtract: ['$budget.total', { $add: ['$budget.spent', delta] }] }] }
+    }
+  }], { new: true });
+  if (updated) liveEvents.publishCampaignBudget(updated);
+  return updated;
+};
+
+const PAUSE_REASONS = {
+  daily_cap: 'Daily budget reached',
+  total_cap: 'Total budget reached'
+};
+
+// Pause a live campaign that hit a budget cap. Daily caps resume at the
+// start of the next budget day; total caps stay paused.
+const autoPause = async (campaignId, cap, at = new Date()) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'active') return null;
+
+    const result = applyTransition(campaign, 'pause', { reason: PAUSE_REASONS[cap] });
+    if (result.error) return null;
+
+    const resumeAt = cap === 'daily_cap'
+      ? getDayRange(getBudgetDay(campaign, at), campaign.schedule.timeZone).end
+      : undefined;
+    campaign.budget.autoPause = { reason: cap, pausedAt: at, resumeAt };
+
+    campaign.increment();
+    try {
+      await campaign.save();
+      console.log(`⏸️  Paused campaign ${campaign._id}: ${PAUSE_REASONS[cap]}`);
+      alerts.campaignAutoPaused(campaign);
+      return campaign;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt === MAX_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+};
+
+// Pause the campaign if a cap has been reached
+const enforceCaps = async (campaign, at = new Date()) => {
+  if (!campaign || campaign.status !== 'active') return null;
+
+  if (campaign.budget.spent >= campaign.budget.total) {
+    return autoPause(campaign._id, 'total_cap', at);
+  }
+
+  const day = await CampaignSpend.findOne({ campaignId: campaign._id, date: getBudgetDay(campaign, at) });
+  if (day && day.spent >= campaign.budget.daily) {
+    return autoPause(campaign._id, 'daily_cap', at);
+  }
+  return null;
+};
+
+// Resume campaigns paused for their daily cap once their next budget day starts
+const resumeDailyCappedCampaigns = async (now = new Date()) => {
+  const campaigns = await Campaign.find({
+    status: 'paused',
+    'budget.autoPause.reason': 'daily_cap',
+    'budget.autoPause.resumeAt': { $lte: now }
+  });
+
+  let resumed = 0;
+  for (const campaign of campaigns) {
+    const result = applyTransition(campaign, 'resume', { reason: 'New budget day' });
+    if (result.error) {
+      // Leave it paused for a person to look at; do not retry every run
+      console.log(`⚠️ Could not auto-resume campaign ${campaign._id}: ${[result.error, ...(result.reasons || [])].join('; ')}`);
+      campaign.budget.autoPause.resumeAt = undefined;
+    } else {
+      resumed += 1;
+    }
+
+    try {
+      await campaign.save();
+    } catch (error) {
+      console.error(`Auto-resume campaign ${campaign._id} error:`, error);
+    }
+  }
+  return resumed;
+};
+
+// Release reservations of calls whose final status never arrived
+const releaseStaleReservations = async (now = new Date()) => {
+  const calls = await Call.find({
+    'budgetReservation.amount': { $gt: 0 },
+    'budgetReservation.settledAt': null,
+    'budgetReservation.reservedAt': { $lt: new Date(now.getTime() - RESERVATION_TIMEOUT_MS) }
+  }).select('campaignId budgetReservation');
+
+  let released = 0;
+  for (const call of calls) {
+    const reservation = await claimReservation(call, { 'budgetReservation.expired': true });
+    if (reservation) {
+      await releaseFromBudget(call.campaignId, reservation.date, reservation.amount);
+      released += 1;
+    }
+  }
+  return released;
+};
+
+module.exports = {
+  getBudgetDay,
+  estimateCallCost,
+  getDailyAllowance,
+  reserveCallBudget,
+  releaseReservation,
+  recordSpend,
+  adjustSpend,
+  autoPause,
+  enforceCaps,
+  resumeDailyCappedCampaigns,
+  releaseStaleReservations
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const { priceCall } = require('./callPricing');
+const { qualifyCall } = require('./callQualification');
+const budgetControl = require('./budgetControl');
+const ledger = require('./ledger');
+const fx = require('./fx');
+const money = require('./money');
+
+const MAX_ATTEMPTS = 3;
+const PENDING_BATCH_SIZE = 200;
+
+// Telephony cost, payout and revenue of a priced call in minor units of the
+// base currency and of its campaign's currency, at the rate of the call's
+// day. Returns null when a rate is missing.
+const convertCallMoney = async (call, campaign, pricing) => {
+  const at = call.timing.initiatedAt;
+  const amounts = {
+    cost: { amount: call.cost.total, currency: call.cost.currency },
+    payout: pricing.payout,
+    revenue: pricing.revenue || { amount: call.revenue.amount, currency: call.revenue.currency }
+  };
+  const converter = fx.createConverter();
+  const [base, inCampaign] = await Promise.all([
+    fx.convertAmounts(amounts, fx.BASE_CURRENCY, at, converter),
+    fx.convertAmounts(amounts, campaign.currency, at, converter)
+  ]);
+  if (!base || !inCampaign) return null;
+  return {
+    fx: { currency: fx.BASE_CURRENCY, rateDate: fx.getRateDate(at), ...base },
+    campaign: inCampaign
+  };
+};
+
+// Roll a finished call into its campaign's performance exactly once. The
+// call is qualified as billable or not and priced (publisher payout, buyer
+// revenue) in the same atomic update
+// that claims performanceRecordedAt, so retried or duplicated callbacks can
+// neither count nor price a call twice. Its cost then moves from reserved to
+// spent on the campaign budget, which may pause the campaign at a cap, and
+// its priced values are added to the metric rollups and posted to the
+// ledger. Amounts are converted to the campaign's currency for its budget
+// and performance, and to the base currency for reporting; a call whose
+// rates are missing waits (fxPendingSince) until retryPendingCalls finds
+// them.
+const recordCallPerformance = async (call) => {
+  let campaign = await Campaign.findById(call.campaignId);
+  if (!campaign) return false;
+
+  const qualification = await qualifyCall(call, campaign);
+  const pricing = priceCall(call, campaign, qualification);
+  const converted = await convertCallMoney(call, campaign, pricing);
+  if (!converted) {
+    await Call.updateOne(
+      { _id: call._id, 'telephony.performanceRecordedAt': null, fxPendingSince: null },
+      { $set: { fxPendingSince: new Date() } }
+    );
+    console.error(`Call ${call._id} is waiting for an exchange rate for ${fx.getRateDate(call.timing.initiatedAt)}`);
+    return false;
+  }
+
+  const now = new Date();
+  const update = {
+    'telephony.performanceRecordedAt': now,
+    pricedAt: now,
+    billable: qualification.billable,
+    billableReason: qualification.reason,
+    payout: pricing.payout,
+    fx: converted.fx,
+    fxPendingSince: null
+  };
+  if (qualification.duplicateOf) update.duplicateOf = qualification.duplicateOf;
+  if (pricing.revenue) {
+    update['revenue.amount'] = pricing.revenue.amount;
+    update['revenue.currency'] = pricing.revenue.currency;
+  }
+
+  const claim = await Call.updateOne(
+    { _id: call._id, 'telephony.performanceRecordedAt': null },
+    { $set: update }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  // Priced values went in with updateOne, so the save hook did not see them
+  await Call.syncRollup(call._id);
+  await ledger.postCallEntries(call._id);
+
+  const revenue = money.fromMinor(converted.campaign.revenue, campaign.currency);
+
+  // Campaign spend is what the publisher is paid plus telephony cost
+  const cost = money.fromMinor(converted.campaign.payout + converted.campaign.cost, campaign.currency);
+  campaign = (await budgetControl.recordSpend(campaign, call, cost)) || campaign;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      campaign = await Campaign.findById(call.campaignId);
+      if (!campaign) return false;
+    }
+
+    campaign.updatePerformance({
+      billable: qualification.billable,
+      duration: call.timing.duration,
+      cost,
+      revenue
+    });
+
+    // Force a version check so concurrent updates retry instead of overwriting
+    campaign.increment();
+    try {
+      await campaign.save();
+      break;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt === MAX_ATTEMPTS) throw error;
+    }
+  }
+
+  await budgetControl.enforceCaps(campaign);
+  return true;
+};
+
+// Recount a campaign's performance from every call already rolled into it,
+// e.g. after calls were imported in bulk. Cost and revenue come from the
+// ledger, so refunds and adjustments are kept.
+const recalculateCampaignPerformance = async (campaignId) => {
+  await ledger.postPendingCalls({ campaignId });
+  const ledgerTotals = (await ledger.getCampaignTotals([campaignId])).get(String(campaignId));
+
+  const [totals] = await Call.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId), 'telephony.performanceRecordedAt': { $ne: null } } },
+    {
+      $group: {
+        _id: null,
+        totalCalls: { $sum: 1 },
+        billableCalls: { $sum: { $cond: ['$billable', 1, 0] } },
+        totalDuration: { $sum: { $ifNull: ['$timing.duration', 0] } }
+      }
+    }
+  ]);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return null;
+
+    campaign.setPerformanceTotals({ ...totals, totalCost: ledgerTotals.cost, totalRevenue: ledgerTotals.revenue });
+    campaign.increment();
+    try {
+      return await campaign.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt === MAX_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+};
+
+// Price finished calls that were waiting for an exchange rate. Returns the
+// number priced.
+const retryPendingCalls = async () => {
+  const calls = await Call.find({ fxPendingSince: { $ne: null }, 'telephony.performanceRecordedAt': null })
+    .sort({ fxPendingSince: 1 })
+    .limit(PENDING_BATCH_SIZE);
+
+  let priced = 0;
+  for (const call of calls) {
+    if (await recordCallPerformance(call)) priced++;
+  }
+  return priced;
+};
+
+// Fix base-currency amounts on calls priced without them (before currency
+// conversion existed), so they count in reports and rollups. Returns the
+// number converted; calls whose rates are missing are left for later.
+const convertPricedCalls = async (filter = {}) => {
+  const calls = await Call.find({ ...filter, 'telephony.performanceRecordedAt': { $ne: null }, 'fx.rateDate': null })
+    .limit(PENDING_BATCH_SIZE);
+
+  const converter = fx.createConverter();
+  let converted = 0;
+  for (const call of calls) {
+    const at = call.timing.initiatedAt;
+    const base = await fx.convertAmounts({
+      cost: { amount: call.cost.total, currency: call.cost.currency },
+      payout: { amount: call.payout.amount, currency: call.payout.currency },
+      revenue: { amount: call.revenue.amount, currency: call.revenue.currency }
+    }, fx.BASE_CURRENCY, at, converter);
+    if (!base) continue;
+
+    await Call.updateOne({ _id: call._id, 'fx.rateDate': null }, {
+      $set: { fx: { currency: fx.BASE_CURRENCY, rateDate: fx.getRateDate(at), ...base } }
+    });
+    await Call.syncRollup(call._id);
+    converted++;
+  }
+  return converted;
+};
+
+module.exports = {
+  recordCallPerformance,
+  recalculateCampaignPerformance,
+  retryPendingCalls,
+  convertPricedCalls
+};
@@ -0,0 +1,55 @@
+const money = require('./money');
+
+// Prices both sides of a call: what the publisher is paid and what the
+// buyer pays, from the terms agreed on the campaign
+
+// Amount owed under one set of terms for a call of the given duration
+// (seconds), rounded to the minor unit of the terms' currency. Per-minute
+// terms bill every started minute.
+const calculateAmount = (terms, duration) => {
+  if (!terms) return 0;
+  const round = (amount) => money.toMajor(money.of(amount, terms.currency));
+
+  switch (terms.model) {
+    case 'per_minute':
+      return round(Math.ceil(duration / 60) * terms.amount);
+    case 'tiered': {
+      const tier = [...terms.tiers]
+        .sort((a, b) => b.minDuration - a.minDuration)
+        .find((candidate) => duration >= candidate.minDuration);
+      return tier ? round(tier.amount) : 0;
+    }
+    default:
+      return round(terms.amount);
+  }
+};
+
+// Payout and revenue for a finished call. Only billable calls (see
+// services/callQualification) are worth anything; revenue is left out when
+// no buyer took the call so manually entered revenue is kept.
+const priceCall = (call, campaign, { billable } = {}) => {
+  const duration = billable ? call.timing.duration : 0;
+
+  const payoutTerms = campaign.getPayoutTerms(call.publisherId);
+  const pricing = {
+    payout: {
+      amount: billable ? calculateAmount(payoutTerms, duration) : 0,
+      currency: payoutTerms ? payoutTerms.currency : call.payout.currency
+    }
+  };
+
+  const bidTerms = campaign.getBidTerms(call.buyerId);
+  if (bidTerms) {
+    pricing.revenue = {
+      amount: billable ? calculateAmount(bidTerms, duration) : 0,
+      currency: bidTerms.currency
+    };
+  }
+
+  return pricing;
+};
+
+module.exports = {
+  calculateAmount,
+  priceCall
+};
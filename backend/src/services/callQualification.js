@@ -0,0 +1,84 @@
+const Call = require('../models/Call');
+const campaignSchedule = require('./campaignSchedule');
+const { normalizePhoneNumber } = require('../utils/phone');
+
+// Billable-call qualification. A finished call is billable (paid to the
+// publisher and charged to the buyer) only when it passes every rule of its
+// campaign, checked in this order:
+//   - it connected
+//   - it lasted at least callSettings.minCallDuration seconds (the buffer)
+//   - the caller's area code is not excluded
+//   - with businessHoursOnly, it started inside the campaign schedule
+//   - the same caller had no billable call on the campaign within
+//     duplicateWindowDays days before it
+const REASONS = {
+  qualified: 'Qualified',
+  not_connected: 'Call did not connect',
+  below_minimum_duration: 'Shorter than the minimum billable duration',
+  excluded_area_code: 'Caller area code is excluded',
+  outside_business_hours: 'Outside the campaign schedule',
+  duplicate_caller: 'Repeat caller within the duplicate window'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Three-digit area code of a North American number; null for other numbers
+const getAreaCode = (number) => {
+  const normalized = normalizePhoneNumber(number);
+  return normalized && /^\+1\d{10}$/.test(normalized) ? normalized.slice(2, 5) : null;
+};
+
+// Qualification of a call against every rule except the duplicate window,
+// which needs the call history. Returns { billable, reason }.
+const checkQualification = (call, campaign) => {
+  const { minCallDuration, qualification = {} } = campaign.callSettings;
+  const fail = (reason) => ({ billable: false, reason });
+
+  if (call.status !== 'completed' || !(call.timing.duration > 0)) return fail('not_connected');
+  if (call.timing.duration < (minCallDuration || 0)) return fail('below_minimum_duration');
+
+  const areaCode = getAreaCode(call.callerNumber);
+  if (areaCode && (qualification.excludedAreaCodes || []).includes(areaCode)) return fail('excluded_area_code');
+
+  if (qualification.businessHoursOnly && !campaignSchedule.isOpen(campaign, call.timing.initiatedAt)) {
+    return fail('outside_business_hours');
+  }
+
+  return { billable: true, reason: 'qualified' };
+};
+
+// The caller's last billable call on the campaign inside the duplicate window
+const findDuplicateCall = (call, campaign) => {
+  const days = (campaign.callSettings.qualification || {}).duplicateWindowDays;
+  if (!days || !call.callerNumber) return null;
+
+  const startedAt = call.timing.initiatedAt;
+  return Call.findOne({
+    _id: { $ne: call._id },
+    campaignId: campaign._id,
+    callerNumber: call.callerNumber,
+    billable: true,
+    'timing.initiatedAt': { $gte: new Date(startedAt.getTime() - days * DAY_MS), $lte: startedAt }
+  }).select('_id').sort({ 'timing.initiatedAt': -1 });
+};
+
+// Decide whether a finished call is billable. Returns
+// { billable, reason, duplicateOf }.
+const qualifyCall = async (call, campaign) => {
+  const result = checkQualification(call, campaign);
+  if (!result.billable) return result;
+
+  const duplicate = await findDuplicateCall(call, campaign);
+  if (duplicate) {
+    return { billable: false, reason: 'duplicate_caller', duplicateOf: duplicate._id };
+  }
+  return result;
+};
+
+module.exports = {
+  REASONS,
+  getAreaCode,
+  checkQualification,
+  findDuplicateCall,
+  qualifyCall
+};
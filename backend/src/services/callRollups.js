@@ -0,0 +1,105 @@
+const Call = require('../models/Call');
+const CallRollup = require('../models/CallRollup');
+
+// Rebuild of CallRollup buckets from calls, for backfills and repairs.
+// Incremental upkeep happens in Call.syncRollup.
+
+const DAY_MS = CallRollup.BUCKET_MS.day;
+
+const answeredExpression = { $cond: [{ $ifNull: ['$timing.answeredAt', false] }, 1, 0] };
+
+// Snapshot expression matching Call's rollup contribution
+const SNAPSHOT = {
+  version: { $add: [{ $ifNull: ['$rollup.version', 0] }, 1] },
+  organizationId: '$organizationId',
+  campaignId: '$campaignId',
+  at: '$timing.initiatedAt',
+  calls: 1,
+  answered: answeredExpression,
+  answeredDuration: { $cond: [{ $ifNull: ['$timing.answeredAt', false] }, { $ifNull: ['$timing.duration', 0] }, 0] },
+  cost: { $ifNull: ['$fx.cost', 0] },
+  payout: { $ifNull: ['$fx.payout', 0] },
+  revenue: { $ifNull: ['$fx.revenue', 0] },
+  qualifiedLeads: { $cond: ['$leadData.isQualified', 1, 0] },
+  billable: { $cond: ['$billable', 1, 0] }
+};
+
+// Recompute the rollups of whole UTC days between from and to (widened to
+// day boundaries), optionally for one organization or campaign. Call
+// snapshots are reset from the calls first, then every bucket in the range
+// is replaced by a fresh aggregation of those snapshots. Calls changing
+// while it runs may need another rebuild.
+const rebuildRollups = async ({ from, to, organizationId, campaignId } = {}) => {
+  const start = CallRollup.floorBucket(from, 'day');
+  const end = new Date(CallRollup.floorBucket(new Date(to.getTime() - 1), 'day').getTime() + DAY_MS);
+
+  const scope = {};
+  if (organizationId) scope.organizationId = organizationId;
+  if (campaignId) scope.campaignId = campaignId;
+
+  // Rollup snapshots are not audited; skipping the audit hooks keeps these
+  // writes from reading every call in the range
+  const inRange = { ...scope, 'timing.initiatedAt': { $gte: start, $lt: end } };
+  const snapshots = await Call.updateMany(
+    { ...inRange, status: { $in: Call.FINISHED_STATUSES } },
+    [{ $set: { rollup: SNAPSHOT } }],
+    { audit: false }
+  );
+  await Call.updateMany(
+    { ...inRange, status: { $nin: Call.FINISHED_STATUSES }, rollup: { $exists: true } },
+    { $unset: { rollup: 1 } },
+    { audit: false }
+  );
+
+  const removed = await CallRollup.deleteMany({ ...scope, bucket: { $gte: start, $lt: end } });
+
+  const buckets = {};
+  for (const granularity of CallRollup.GRANULARITIES) {
+    await Call.aggregate([
+      { $match: { ...scope, 'rollup.at': { $gte: start, $lt: end }, 'rollup.version': { $gte: 1 } } },
+      {
+        $group: {
+          _id: {
+            campaignId: '$rollup.campaignId',
+            bucket: { $dateTrunc: { date: '$rollup.at', unit: granularity } }
+          },
+          organizationId: { $first: '$rollup.organizationId' },
+          ...CallRollup.METRICS.reduce((sums, metric) => ({ ...sums, [metric]: { $sum: `$rollup.${metric}` } }), {})
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          organizationId: 1,
+          campaignId: '$_id.campaignId',
+          granularity: { $literal: granularity },
+          bucket: '$_id.bucket',
+          ...CallRollup.METRICS.reduce((fields, metric) => ({ ...fields, [metric]: 1 }), {}),
+          createdAt: '$$NOW',
+          updatedAt: '$$NOW'
+        }
+      },
+      {
+        $merge: {
+          into: CallRollup.collection.collectionName,
+          on: ['campaignId', 'granularity', 'bucket'],
+          whenMatched: 'replace',
+          whenNotMatched: 'insert'
+        }
+      }
+    ]);
+    buckets[granularity] = await CallRollup.countDocuments({ ...scope, granularity, bucket: { $gte: start, $lt: end } });
+  }
+
+  return {
+    start,
+    end,
+    calls: snapshots.modifiedCount,
+    removed: removed.deletedCount,
+    buckets
+  };
+};
+
+module.exports = {
+  rebuildRollups
+};
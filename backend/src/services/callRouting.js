@@ -0,0 +1,224 @@
+const Campaign = require('../models/Campaign');
+const Organization = require('../models/Organization');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { checkSchedule } = require('./campaignSchedule');
+const usage = require('./usage');
+
+const LOCATION_FIELDS = ['country', 'state', 'city', 'zipCode'];
+
+// Dial outcomes that move the call on to the next destination
+const FAILOVER_OUTCOMES = ['busy', 'no_answer', 'failed'];
+
+// The campaign owning a tracking number. Live campaigns win over old ones.
+const findCampaignByTrackingNumber = async (number) => {
+  const trackingNumber = normalizePhoneNumber(number);
+  if (!trackingNumber) return null;
+
+  const campaigns = await Campaign.find({ 'phoneNumbers.normalized': trackingNumber }).sort({ updatedAt: -1 });
+  return campaigns.find((campaign) => campaign.status === 'active') || campaigns[0] || null;
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// A target location matches when every field it sets matches the caller's
+const matchesLocation = (target, caller) => {
+  return LOCATION_FIELDS.every((field) => !target[field] || sameText(target[field], caller[field]));
+};
+
+const checkGeoTargeting = (campaign, callerLocation = {}) => {
+  const targets = ((campaign.targetAudience && campaign.targetAudience.locations) || [])
+    .filter((location) => LOCATION_FIELDS.some((field) => location[field]));
+  if (targets.length === 0) return [];
+
+  if (!LOCATION_FIELDS.some((field) => callerLocation[field])) {
+    return campaign.routing.allowUnknownLocation ? [] : ['Caller location is unknown and the campaign is geo-targeted'];
+  }
+
+  return targets.some((target) => matchesLocation(target, callerLocation))
+    ? []
+    : ['Caller location is outside the campaign targeting'];
+};
+
+const checkCampaign = (campaign, trackingNumber, at) => {
+  const reasons = [];
+
+  if (campaign.status !== 'active') {
+    reasons.push(`Campaign is ${campaign.status}`);
+  }
+
+  const phoneNumber = campaign.phoneNumbers.find((entry) => entry.normalized === trackingNumber);
+  if (phoneNumber && !phoneNumber.isActive) {
+    reasons.push('Tracking number is inactive');
+  }
+
+  reasons.push(...checkSchedule(campaign, at));
+
+  if (!(campaign.budget.total - campaign.budget.spent > 0)) {
+    reasons.push('Campaign has no remaining budget');
+  }
+
+  return reasons;
+};
+
+const byPriority = (destinations) => {
+  return [...destinations].sort((a, b) => a.priority - b.priority);
+};
+
+// Weighted random order without replacement, so failover also follows the
+// weights. Zero-weight destinations only take overflow, in priority order.
+const byWeight = (destinations, random = Math.random) => {
+  const pool = destinations.filter((destination) => destination.weight > 0);
+  const order = [];
+
+  while (pool.length > 0) {
+    const totalWeight = pool.reduce((sum, destination) => sum + destination.weight, 0);
+    let roll = random() * totalWeight;
+    let index = pool.findIndex((destination) => (roll -= destination.weight) < 0);
+    if (index === -1) index = pool.length - 1;
+    order.push(...pool.splice(index, 1));
+  }
+
+  return [...order, ...byPriority(destinations.filter((destination) => !(destination.weight > 0)))];
+};
+
+// Rotate the starting destination on every call; the cursor is shared
+// between server instances through an atomic increment
+const byRoundRobin = async (campaign, destinations) => {
+  const previous = await Campaign.findOneAndUpdate(
+    { _id: campaign._id },
+    { $inc: { 'routing.roundRobinCursor': 1 } },
+    { projection: { 'routing.roundRobinCursor': 1 } }
+  );
+  const cursor = ((previous && previous.routing.roundRobinCursor) || 0) % destinations.length;
+  return [...destinations.slice(cursor), ...destinations.slice(0, cursor)];
+};
+
+const orderDestinations = async (campaign, destinations) => {
+  switch (campaign.routing.strategy) {
+    case 'weighted':
+      return byWeight(destinations);
+    case 'round_robin':
+      return byRoundRobin(campaign, destinations);
+    default:
+      return byPriority(destinations);
+  }
+};
+
+// Decide where an inbound call should go. Returns { accepted, reasons,
+// campaign, strategy, destinations } with destinations in dial order (the
+// first one rings, the rest are failover). campaign is null when no campaign
+// owns the dialed number.
+const routeInboundCall = async ({ from = {}, to = {} }, at = new Date()) => {
+  const trackingNumber = normalizePhoneNumber(to.number);
+  const campaign = await findCampaignByTrackingNumber(trackingNumber);
+  if (!campaign) {
+    return { accepted: false, reasons: ['No campaign owns this tracking number'], campaign: null, destinations: [] };
+  }
+
+  const reasons = [
+    ...checkCampaign(campaign, trackingNumber, at),
+    ...checkGeoTargeting(campaign, from.location)
+  ];
+
+  const organization = await Organization.findById(campaign.organizationId).select('accountType billing');
+  if (organization && organization.billing.restrictedAt) {
+    reasons.push('Account is restricted for non-payment');
+  }
+  if (organization) {
+    const quota = await usage.checkLimit(organization, 'callsPerMonth', 1, at);
+    if (!quota.allowed) reasons.push(`Plan limit of ${quota.limit} calls per billing period reached`);
+  }
+
+  const candidates = campaign.routing.destinations.filter((destination) => destination.isActive);
+  if (candidates.length === 0) {
+    reasons.push('Campaign has no active destinations');
+  }
+
+  const { strategy } = campaign.routing;
+  if (reasons.length > 0) {
+    return { accepted: false, reasons, campaign, strategy, destinations: [] };
+  }
+
+  const destinations = await orderDestinations(campaign, candidates);
+  return {
+    accepted: true,
+    reasons: [`Destinations ordered by ${strategy.replace('_', '-')}`],
+    campaign,
+    strategy,
+    destinations
+  };
+};
+
+// Store the decision on the call (not saved)
+const recordRoutingDecision = (call, decision, at = new Date()) => {
+  call.routing = {
+    decision: decision.accepted ? 'routed' : 'rejected',
+    strategy: decision.strategy,
+    reasons: decision.reasons,
+    decidedAt: at,
+    destinations: decision.destinations.map((destination) => ({
+      destinationId: destination._id,
+      buyerId: destination.buyerId,
+      name: destination.name,
+      number: destination.number,
+      ringTimeout: destination.ringTimeout
+    })),
+    attempts: []
+  };
+};
+
+// The destination currently being dialed, if any
+const currentAttempt = (call) => {
+  const attempts = call.routing.attempts;
+  const last = attempts[attempts.length - 1];
+  return last && last.outcome === 'dialing' ? last : null;
+};
+
+// Start dialing the next destination that has not been tried (not saved).
+// Returns the destination, or null when every destination has been tried.
+const startNextAttempt = (call, at = new Date()) => {
+  const tried = new Set(call.routing.attempts.map((attempt) => String(attempt.destinationId)));
+  const destination = call.routing.destinations.find((candidate) => !tried.has(String(candidate.destinationId)));
+  if (!destination) {
+    call.routing.reasons.push('No destination answered');
+    return null;
+  }
+
+  call.routing.attempts.push({
+    destinationId: destination.destinationId,
+    number: destination.number,
+    outcome: 'dialing',
+    startedAt: at
+  });
+  return destination;
+};
+
+// Record how the current dial attempt ended (not saved). Returns
+// { recorded: false } for a duplicate report, otherwise whether to fail over.
+const recordAttemptOutcome = (call, outcome, at = new Date()) => {
+  const attempt = currentAttempt(call);
+  if (!attempt) return { recorded: false, failover: false };
+
+  attempt.outcome = outcome;
+  attempt.endedAt = at;
+  if (outcome === 'answered') {
+    const destination = call.routing.destinations.find((candidate) => String(candidate.destinationId) === String(attempt.destinationId));
+    call.routing.connectedDestinationId = attempt.destinationId;
+    call.buyerId = destination && destination.buyerId;
+  }
+
+  return { recorded: true, failover: FAILOVER_OUTCOMES.includes(outcome) };
+};
+
+module.exports = {
+  FAILOVER_OUTCOMES,
+  findCampaignByTrackingNumber,
+  checkGeoTargeting,
+  byPriority,
+  byWeight,
+  routeInboundCall,
+  recordRoutingDecision,
+  currentAttempt,
+  startNextAttempt,
+  recordAttemptOutcome
+};
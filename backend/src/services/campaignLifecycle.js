@@ -0,0 +1,94 @@
+const { validateSchedule } = require('./campaignSchedule');
+
+// Campaign lifecycle: which actions are allowed from which status.
+// completed and cancelled are terminal.
+const TRANSITIONS = {
+  activate: { from: ['draft'], to: 'active' },
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  complete: { from: ['active', 'paused'], to: 'completed' },
+  cancel: { from: ['draft', 'active', 'paused'], to: 'cancelled' }
+};
+
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+const isTerminal = (status) => TERMINAL_STATUSES.includes(status);
+
+const isAllowedStatusChange = (from, to) => {
+  if (from === to) return true;
+  return Object.values(TRANSITIONS).some((transition) => transition.from.includes(from) && transition.to === to);
+};
+
+// Reasons a campaign cannot go live; empty when it can
+const checkActivationGuards = (campaign, now = new Date()) => {
+  const reasons = [];
+  const { schedule, budget } = campaign;
+
+  if (!campaign.phoneNumbers.some((phoneNumber) => phoneNumber.isActive)) {
+    reasons.push('Campaign needs at least one active phone number');
+  }
+
+  if (!schedule.startDate || !schedule.endDate || schedule.endDate <= schedule.startDate) {
+    reasons.push('Schedule end date must be after the start date');
+  } else if (schedule.endDate <= now) {
+    reasons.push('Schedule end date has already passed');
+  }
+
+  reasons.push(...validateSchedule(schedule));
+
+  if (!(budget.total - budget.spent > 0)) {
+    reasons.push('Campaign has no remaining budget');
+  }
+
+  return reasons;
+};
+
+const GUARDS = {
+  activate: checkActivationGuards,
+  resume: checkActivationGuards
+};
+
+// Apply a lifecycle action to a campaign (not saved). Returns
+// { error, reasons } when the action is not allowed.
+const applyTransition = (campaign, action, { actorId, reason } = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { error: `Unknown action: ${action}` };
+  }
+
+  if (!transition.from.includes(campaign.status)) {
+    return {
+      error: isTerminal(campaign.status)
+        ? `Campaign is ${campaign.status} and can no longer change status`
+        : `Cannot ${action} a campaign that is ${campaign.status}`
+    };
+  }
+
+  const reasons = GUARDS[action] ? GUARDS[action](campaign) : [];
+  if (reasons.length > 0) {
+    return { error: 'Campaign does not meet the requirements to go live', reasons };
+  }
+
+  campaign.statusHistory.push({
+    from: campaign.status,
+    to: transition.to,
+    action,
+    reason,
+    actorId,
+    at: new Date()
+  });
+  campaign.status = transition.to;
+  // Any status change supersedes a budget auto-pause
+  campaign.budget.autoPause = undefined;
+
+  return { campaign };
+};
+
+module.exports = {
+  TRANSITIONS,
+  TERMINAL_STATUSES,
+  isTerminal,
+  isAllowedStatusChange,
+  checkActivationGuards,
+  applyTransition
+};
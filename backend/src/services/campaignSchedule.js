@@ -0,0 +1,298 @@
+// Campaign scheduling engine. Schedules are wall-clock windows in the
+// campaign's IANA timezone, so every evaluation converts through that zone
+// and daylight saving changes are handled by Intl rather than fixed offsets.
+//
+// A window runs from `start` to `end` on its weekday; an `end` at or before
+// `start` means the window crosses midnight into the next day ('22:00' to
+// '02:00'). '24:00' is accepted as an end time for "until midnight".
+// Blackout dates close the whole local calendar day.
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// How far ahead to look for the next open or close time
+const LOOKAHEAD_DAYS = 35;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock reading of a moment in a timezone. Returns null for an unknown
+// timezone.
+const getLocalTime = (date, timeZone = 'UTC') => {
+  if (!isValidTimeZone(timeZone)) return null;
+
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase(),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at a moment
+const getOffset = (date, timeZone) => {
+  const local = getLocalTime(date, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The moment a wall-clock time occurs in a timezone. A time skipped by a
+// daylight saving jump moves forward by the length of the jump ('02:30' on a
+// spring-forward night is '03:30'); a repeated time resolves to one of its
+// two occurrences.
+const zonedTimeToUtc = (dateString, time, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const firstOffset = getOffset(new Date(wallClock), timeZone);
+  const secondOffset = getOffset(new Date(wallClock - firstOffset), timeZone);
+  if (firstOffset === secondOffset) return new Date(wallClock - firstOffset);
+
+  // The probes straddle a transition: keep the candidate that reads back as
+  // the requested time, or the later one when the time falls in the gap
+  const candidates = [wallClock - firstOffset, wallClock - secondOffset].sort((a, b) => a - b);
+  const exact = candidates.find((candidate) => getOffset(new Date(candidate), timeZone) === wallClock - candidate);
+  return new Date(exact === undefined ? candidates[1] : exact);
+};
+
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// The UTC range of a local calendar day
+const getDayRange = (dateString, timeZone) => ({
+  start: zonedTimeToUtc(dateString, '00:00', timeZone),
+  end: zonedTimeToUtc(addDays(dateString, 1), '00:00', timeZone)
+});
+
+const weekdayOf = (dateString) => DAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+
+// Per-weekday windows, falling back to the single activeDays/activeHours window
+const getWindows = (schedule) => {
+  if (schedule.windows && schedule.windows.length > 0) {
+    return schedule.windows;
+  }
+  const { start, end } = schedule.activeHours || {};
+  return (schedule.activeDays || []).map((day) => ({ day, start, end }));
+};
+
+const windowInterval = (dateString, window, timeZone) => {
+  const start = zonedTimeToUtc(dateString, window.start, timeZone);
+  let end;
+  if (window.end === '24:00') {
+    end = zonedTimeToUtc(addDays(dateString, 1), '00:00', timeZone);
+  } else {
+    const crossesMidnight = window.end <= window.start;
+    end = zonedTimeToUtc(crossesMidnight ? addDays(dateString, 1) : dateString, window.end, timeZone);
+  }
+  return { start, end };
+};
+
+// Remove a closed range from a list of open intervals
+const subtractRange = (intervals, range) => {
+  return intervals.flatMap((interval) => {
+    if (range.end <= interval.start || range.start >= interval.end) return [interval];
+    const pieces = [];
+    if (interval.start < range.start) pieces.push({ start: interval.start, end: range.start });
+    if (range.end < interval.end) pieces.push({ start: range.end, end: interval.end });
+    return pieces;
+  });
+};
+
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+};
+
+// Open intervals (UTC) from the local day before `from` through `days` days
+// after it, with blackouts and the campaign start/end dates applied
+const buildIntervals = (schedule, from, days) => {
+  const { timeZone } = schedule;
+  // Start a day early: yesterday's window may cross midnight into today
+  const firstDate = addDays(getLocalTime(from, timeZone).date, -1);
+  const windows = getWindows(schedule);
+
+  let intervals = [];
+  for (let offset = 0; offset <= days + 1; offset++) {
+    const dateString = addDays(firstDate, offset);
+    const weekday = weekdayOf(dateString);
+    windows
+      .filter((window) => window.day === weekday)
+      .forEach((window) => intervals.push(windowInterval(dateString, window, timeZone)));
+  }
+
+  (schedule.blackoutDates || []).forEach((blackout) => {
+    intervals = subtractRange(intervals, getDayRange(blackout.date, timeZone));
+  });
+
+  if (schedule.startDate) {
+    intervals = subtractRange(intervals, { start: new Date(-8.64e15), end: new Date(schedule.startDate) });
+  }
+  if (schedule.endDate) {
+    intervals = subtractRange(intervals, { start: new Date(schedule.endDate), end: new Date(8.64e15) });
+  }
+
+  return mergeIntervals(intervals);
+};
+
+const closedReason = (schedule, at, local) => {
+  if (schedule.startDate && at < schedule.startDate) return 'Campaign has not started yet';
+  if (schedule.endDate && at >= schedule.endDate) return 'Campaign has ended';
+
+  const blackout = (schedule.blackoutDates || []).find((entry) => entry.date === local.date);
+  if (blackout) return `Blackout date: ${blackout.name || blackout.date}`;
+
+  return `Outside scheduled hours (${local.weekday} ${local.time} ${schedule.timeZone})`;
+};
+
+// Whether the campaign's schedule is open at a moment, and when it next
+// opens or closes. opensAt/closesAt are null when beyond the lookahead
+// window (or never, once the campaign has ended).
+const getScheduleStatus = (campaign, at = new Date()) => {
+  const { schedule } = campaign;
+  const local = getLocalTime(at, schedule.timeZone);
+  if (!local) {
+    return { open: false, reasons: [`Unknown schedule timezone: ${schedule.timeZone}`], opensAt: null, closesAt: null };
+  }
+
+  const horizon = new Date(at.getTime() + LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  const intervals = buildIntervals(schedule, at, LOOKAHEAD_DAYS).filter((interval) => interval.start < horizon);
+
+  const current = intervals.find((interval) => interval.start <= at && at < interval.end);
+  if (current) {
+    return {
+      open: true,
+      reasons: [],
+      localTime: local,
+      opensAt: null,
+      closesAt: current.end < horizon ? current.end : null
+    };
+  }
+
+  const next = intervals.find((interval) => interval.start > at);
+  const reason = closedReason(schedule, at, local);
+  return {
+    open: false,
+    reasons: [next ? `${reason}; opens at ${next.start.toISOString()}` : reason],
+    localTime: local,
+    opensAt: next ? next.start : null,
+    closesAt: next && next.end < horizon ? next.end : null
+  };
+};
+
+// Reasons the campaign's schedule is closed at the given moment; empty when open
+const checkSchedule = (campaign, at = new Date()) => getScheduleStatus(campaign, at).reasons;
+
+const isOpen = (campaign, at = new Date()) => getScheduleStatus(campaign, at).open;
+
+// Open intervals starting within the next `days` days, for display
+const getUpcomingWindows = (campaign, from = new Date(), days = 7) => {
+  const { schedule } = campaign;
+  if (!isValidTimeZone(schedule.timeZone)) return [];
+
+  const until = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+  return buildIntervals(schedule, from, days)
+    .filter((interval) => interval.end > from && interval.start < until);
+};
+
+// Open intervals falling on one local calendar day, clipped to that day
+const getDayIntervals = (campaign, dateString) => {
+  const { schedule } = campaign;
+  if (!isValidTimeZone(schedule.timeZone)) return [];
+
+  const day = getDayRange(dateString, schedule.timeZone);
+  return buildIntervals(schedule, day.start, 1)
+    .filter((interval) => interval.end > day.start && interval.start < day.end)
+    .map((interval) => ({
+      start: interval.start < day.start ? day.start : interval.start,
+      end: interval.end > day.end ? day.end : interval.end
+    }));
+};
+
+// Reasons a schedule definition is unusable; empty when valid
+const validateSchedule = (schedule) => {
+  const reasons = [];
+
+  if (!isValidTimeZone(schedule.timeZone)) {
+    reasons.push(`Unknown schedule timezone: ${schedule.timeZone}`);
+  }
+
+  const windows = getWindows(schedule);
+  if (windows.length === 0) {
+    reasons.push('Schedule needs at least one active window');
+  }
+  if (windows.some((window) => !DAYS.includes(window.day) || !TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '') || window.start === '24:00')) {
+    reasons.push('Schedule windows need a weekday and HH:MM start and end times');
+  }
+
+  if ((schedule.blackoutDates || []).some((blackout) => !DATE_PATTERN.test(blackout.date || ''))) {
+    reasons.push('Blackout dates must be YYYY-MM-DD');
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  DAYS,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  getLocalTime,
+  getOffset,
+  zonedTimeToUtc,
+  addDays,
+  getDayRange,
+  getDayIntervals,
+  getScheduleStatus,
+  checkSchedule,
+  isOpen,
+  getUpcomingWindows,
+  validateSchedule
+};
@@ -0,0 +1,543 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const CallImport = require('../models/CallImport');
+const { checkQualification } = require('./callQualification');
+const { priceCall } = require('./callPricing');
+const { rebuildRollups } = require('./callRollups');
+const { recalculateCampaignPerformance } = require('./callPerformance');
+const fx = require('./fx');
+const recordings = require('./recordings');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { parseCsv } = require('../utils/csv');
+
+// Bulk import of call detail records (CDRs) exported by another platform.
+// A mapping names, for each Call field, the file column (CSV header or
+// dotted JSON path) it is read from; defaults fill fields a row leaves
+// empty. Every row is validated on its own, so bad rows are reported
+// without stopping the rest. Rows whose callId already exists, or repeats
+// earlier in the file, are skipped as duplicates.
+//
+// Imported calls are finished calls: they are qualified with the campaign's
+// billable rules (except the duplicate-caller window, which needs the calls
+// in order), priced with its publisher terms unless the file has a payout,
+// and counted straight into campaign performance and rollups. Budgets are
+// not charged. Recordings named by quality.recordingUrl are copied into
+// recording storage when the campaign records calls.
+//
+// Imports run in the background: the upload is kept under IMPORT_DIR and
+// the 'imports:run' job imports it, so large files never hold a request.
+const IMPORT_DIR = process.env.IMPORT_DIR || path.join(os.tmpdir(), 'callflow-imports');
+const BATCH_SIZE = 500;
+
+// Running imports older than this were cut short by a restart
+const STALE_RUNNING_MS = 2 * 60 * 60 * 1000;
+
+// Most rows a preview maps
+const MAX_PREVIEW_ROWS = 100;
+
+const LOCATION_FIELDS = ['country', 'state', 'city', 'zipCode'];
+
+const text = { type: 'string' };
+const amount = { type: 'number', min: 0 };
+
+const FIELDS = {
+  callId: { type: 'string', required: true },
+  direction: { type: 'enum', values: ['inbound', 'outbound'], default: 'inbound' },
+  status: { type: 'enum', values: Call.FINISHED_STATUSES, default: 'completed' },
+  'from.number': { type: 'phone', required: true },
+  'from.name': text,
+  ...Object.fromEntries(LOCATION_FIELDS.map((field) => [`from.location.${field}`, text])),
+  'to.number': { type: 'phone', required: true },
+  'to.name': text,
+  ...Object.fromEntries(LOCATION_FIELDS.map((field) => [`to.location.${field}`, text])),
+  'timing.initiatedAt': { type: 'date', required: true },
+  'timing.ringingAt': { type: 'date' },
+  'timing.answeredAt': { type: 'date' },
+  'timing.endedAt': { type: 'date' },
+  'timing.duration': { type: 'number', min: 0 },
+  'timing.waitTime': { type: 'number', min: 0 },
+  'cost.perMinute': { ...amount, default: 0 },
+  'cost.total': amount,
+  'cost.currency': text,
+  'revenue.amount': amount,
+  'revenue.currency': text,
+  'revenue.source': text,
+  'payout.amount': amount,
+  'payout.currency': text,
+  'quality.score': { type: 'number', min: 1, max: 5 },
+  'quality.recordingUrl': text,
+  'quality.transcription': text,
+  'leadData.isQualified': { type: 'boolean' },
+  'leadData.qualificationScore': { type: 'number', min: 0, max: 100 },
+  'leadData.notes': text,
+  'tracking.utmSource': text,
+  'tracking.utmMedium': text,
+  'tracking.utmCampaign': text,
+  'tracking.utmTerm': text,
+  'tracking.utmContent': text,
+  'tracking.referrer': text,
+  'tracking.deviceType': text,
+  tags: { type: 'list' },
+  notes: text
+};
+
+const REQUIRED_FIELDS = Object.keys(FIELDS).filter((field) => FIELDS[field].required);
+
+const BOOLEANS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+// Parse one raw value for a field. Returns { value } or { error }; value is
+// undefined for empty input.
+const parseValue = (field, raw) => {
+  const spec = FIELDS[field];
+  if (raw === undefined || raw === null) return { value: undefined };
+  const input = typeof raw === 'string' ? raw.trim() : raw;
+  if (input === '') return { value: undefined };
+
+  switch (spec.type) {
+    case 'phone': {
+      const normalized = normalizePhoneNumber(input);
+      return normalized && normalized.length >= 11 && normalized.length <= 16
+        ? { value: normalized }
+        : { error: `${field} is not a valid phone number` };
+    }
+    case 'date': {
+      // Numbers are Unix timestamps, in seconds or milliseconds
+      const numeric = typeof input === 'number' || /^\d+(\.\d+)?$/.test(input) ? Number(input) : null;
+      const date = numeric === null ? new Date(input) : new Date(numeric < 1e11 ? numeric * 1000 : numeric);
+      return isNaN(date.getTime()) ? { error: `${field} is not a valid date` } : { value: date };
+    }
+    case 'number': {
+      const number = typeof input === 'number' ? input : Number(String(input).replace(/[$,]/g, ''));
+      if (!Number.isFinite(number)) return { error: `${field} must be a number` };
+      if (spec.max !== undefined && (number < spec.min || number > spec.max)) {
+        return { error: `${field} must be between ${spec.min} and ${spec.max}` };
+      }
+      if (number < spec.min) return { error: `${field} cannot be negative` };
+      return { value: number };
+    }
+    case 'boolean': {
+      const value = BOOLEANS[String(input).toLowerCase()];
+      return value === undefined ? { error: `${field} must be true or false` } : { value };
+    }
+    case 'enum': {
+      const value = String(input).toLowerCase().replace(/[\s-]+/g, '_');
+      return spec.values.includes(value) ? { value } : { error: `${field} must be one of ${spec.values.join(', ')}` };
+    }
+    case 'list':
+      return { value: (Array.isArray(input) ? input : String(input).split(/[;,]/)).map((item) => String(item).trim()).filter(Boolean) };
+    default:
+      return { value: String(input) };
+  }
+};
+
+const getPath = (source, path) => {
+  if (Object.prototype.hasOwnProperty.call(source, path)) return source[path];
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key]) node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Check a mapping and its defaults. Returns a list of problems.
+const validateMapping = (mapping, defaults = {}) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return ['Mapping must be an object of Call field to column'];
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) return ['Defaults must be an object of Call field to value'];
+
+  const reasons = [];
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!FIELDS[field]) reasons.push(`Unknown Call field ${field}`);
+    else if (typeof column !== 'string' || !column.trim()) reasons.push(`Column for ${field} must be a name`);
+  });
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (!FIELDS[field]) {
+      reasons.push(`Unknown Call field ${field}`);
+    } else {
+      const parsed = parseValue(field, value);
+      if (parsed.error) reasons.push(`Default ${parsed.error}`);
+    }
+  });
+  REQUIRED_FIELDS
+    .filter((field) => !mapping[field] && defaults[field] === undefined)
+    .forEach((field) => reasons.push(`${field} must be mapped to a column`));
+  return reasons;
+};
+
+// Map one record to Call fields. Returns { call, errors }.
+const mapRecord = (record, mapping, defaults = {}) => {
+  const call = {};
+  const errors = [];
+
+  Object.keys(FIELDS).forEach((field) => {
+    let parsed = mapping[field] ? parseValue(field, getPath(record, mapping[field])) : { value: undefined };
+    if (parsed.error) {
+      errors.push(parsed.error);
+      return;
+    }
+    if (parsed.value === undefined && defaults[field] !== undefined) parsed = parseValue(field, defaults[field]);
+    const value = parsed.value === undefined ? FIELDS[field].default : parsed.value;
+
+    if (value === undefined) {
+      if (FIELDS[field].required) errors.push(`${field} is required`);
+      return;
+    }
+    setPath(call, field, value);
+  });
+  if (errors.length > 0) return { call, errors };
+
+  // Derived like Call's pre-save hook, which insertMany does not run
+  const { timing, cost } = call;
+  if (timing.answeredAt && timing.endedAt) {
+    timing.duration = Math.floor((timing.endedAt - timing.answeredAt) / 1000);
+  } else if (call.status === 'completed' && timing.duration > 0) {
+    // Without an answer time, derive it from the talk time, as for callbacks
+    const durationMs = timing.duration * 1000;
+    if (timing.endedAt) {
+      timing.answeredAt = new Date(timing.endedAt.getTime() - durationMs);
+    } else {
+      timing.answeredAt = timing.answeredAt || timing.initiatedAt;
+      timing.endedAt = new Date(timing.answeredAt.getTime() + durationMs);
+    }
+  }
+  if (timing.ringingAt && timing.answeredAt) {
+    timing.waitTime = Math.floor((timing.answeredAt - timing.ringingAt) / 1000);
+  }
+  if (timing.duration < 0) errors.push('Call ends before it starts');
+  if (cost.total === undefined && timing.duration > 0 && cost.perMinute > 0) {
+    cost.total = (timing.duration / 60) * cost.perMinute;
+  }
+  call.callerNumber = call.direction === 'outbound' ? call.to.number : call.from.number;
+
+  return { call, errors };
+};
+
+// Attach a mapped call to a campaign, qualify and price it
+const prepareCall = (mapped, campaign, { importId, now }) => {
+  const trackingNumber = mapped.direction === 'outbound' ? mapped.from.number : mapped.to.number;
+  const call = {
+    ...mapped,
+    organizationId: campaign.organizationId,
+    campaignId: campaign._id,
+    userId: campaign.userId,
+    publisherId: campaign.getPublisherForNumber(trackingNumber),
+    payout: { ...mapped.payout },
+    importId,
+    pricedAt: now,
+    telephony: { performanceRecordedAt: now }
+  };
+
+  const qualification = checkQualification(call, campaign);
+  call.billable = qualification.billable;
+  call.billableReason = qualification.reason;
+
+  if (call.payout.amount === undefined) {
+    const pricing = priceCall({ ...call, payout: { currency: call.payout.currency || 'USD' } }, campaign, qualification);
+    call.payout = { currency: pricing.payout.currency, ...call.payout, amount: pricing.payout.amount };
+  }
+  return call;
+};
+
+// Fix a prepared call's base-currency amounts at its day's rate. The
+// campaign currency must convert too, for campaign totals from the ledger.
+// Returns an error message when a rate is missing.
+const convertCall = async (call, campaign, converter) => {
+  const at = call.timing.initiatedAt;
+  const amounts = {
+    cost: { amount: call.cost.total, currency: call.cost.currency || 'USD' },
+    payout: { amount: call.payout.amount, currency: call.payout.currency || 'USD' },
+    revenue: { amount: call.revenue && call.revenue.amount, currency: (call.revenue && call.revenue.currency) || 'USD' }
+  };
+  const [base, inCampaign] = await Promise.all([
+    fx.convertAmounts(amounts, fx.BASE_CURRENCY, at, converter),
+    fx.convertAmounts(amounts, campaign.currency, at, converter)
+  ]);
+  if (!base || !inCampaign) return `No exchange rate for ${fx.getRateDate(at)}`;
+  call.fx = { currency: fx.BASE_CURRENCY, rateDate: fx.getRateDate(at), ...base };
+  return null;
+};
+
+// Read an uploaded CSV or JSON file. JSON may be an array of objects, an
+// object with a calls array, or one object per line. Returns
+// { columns, records } or { error }.
+const parseFile = (buffer, format) => {
+  const content = buffer.toString('utf8');
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return { error: 'The file is empty' };
+    const columns = header.map((column) => column.trim());
+    const records = rows.map((row) => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+    return { columns, records };
+  }
+
+  let records;
+  try {
+    const parsed = JSON.parse(content);
+    records = Array.isArray(parsed) ? parsed : parsed && parsed.calls;
+  } catch (error) {
+    try {
+      records = content.split(/\r?\n/).filter((line) => line.trim()).map((line) => JSON.parse(line));
+    } catch (lineError) {
+      return { error: 'The file is not valid JSON' };
+    }
+  }
+  if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object' || Array.isArray(record))) {
+    return { error: 'JSON files must hold a list of call objects' };
+  }
+
+  // Dotted paths of the leaf values in the first records
+  const columns = new Set();
+  const collect = (value, prefix) => {
+    Object.entries(value).forEach(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (child && typeof child === 'object' && !Array.isArray(child)) collect(child, path);
+      else columns.add(path);
+    });
+  };
+  records.slice(0, MAX_PREVIEW_ROWS).forEach((record) => collect(record, ''));
+  return { columns: [...columns], records };
+};
+
+// callIds among the given that already exist in the organization. callIds
+// are vendor ids, so other tenants may hold the same ones.
+const findExistingCallIds = async (organizationId, callIds) => {
+  if (callIds.length === 0) return new Set();
+  const existing = await Call.find({ organizationId, callId: { $in: callIds } }).select('callId').lean();
+  return new Set(existing.map((call) => call.callId));
+};
+
+// Map and check the first rows without writing anything
+const previewImport = async (campaign, records, { mapping, defaults = {}, limit = 20 }) => {
+  const now = new Date();
+  const sample = records.slice(0, Math.min(limit, MAX_PREVIEW_ROWS));
+  const mapped = sample.map((record) => mapRecord(record, mapping, defaults));
+  const existing = await findExistingCallIds(campaign.organizationId, mapped.map(({ call }) => call.callId).filter(Boolean));
+
+  const converter = fx.createConverter();
+  const seen = new Set();
+  const rows = [];
+  for (const [index, { call, errors }] of mapped.entries()) {
+    const duplicate = Boolean(call.callId) && (existing.has(call.callId) || seen.has(call.callId));
+    if (call.callId) seen.add(call.callId);
+
+    let prepared = call;
+    if (errors.length === 0) {
+      prepared = prepareCall(call, campaign, { now });
+      const conversionError = await convertCall(prepared, campaign, converter);
+      if (conversionError) errors.push(conversionError);
+    }
+    rows.push({ row: index + 1, call: prepared, errors, duplicate });
+  }
+
+  return { totalRows: records.length, rows };
+};
+
+// Insert one batch of prepared calls into the report; callIds taken in the
+// meantime count as duplicates
+const insertBatch = async (entries, report) => {
+  if (entries.length === 0) return;
+  try {
+    await Call.insertMany(entries.map((entry) => entry.call), { ordered: false });
+    report.imported += entries.length;
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    report.imported += (error.insertedDocs || []).length;
+    error.writeErrors.forEach((writeError) => {
+      const entry = entries[writeError.index];
+      if (writeError.code === 11000) {
+        report.duplicates += 1;
+      } else {
+        report.addError(entry.row, entry.call.callId, [writeError.errmsg || 'Call could not be saved']);
+      }
+    });
+  }
+};
+
+const getFilePath = (callImport) => path.join(IMPORT_DIR, `${callImport._id}.${callImport.format}`);
+
+// Keep an uploaded file and queue its import. mapping and defaults are
+// checked by the caller with validateMapping first.
+const queueImport = async (campaign, buffer, { mapping, defaults = {}, userId, fileName, format }) => {
+  const callImport = new CallImport({
+    organizationId: campaign.organizationId,
+    campaignId: campaign._id,
+    userId,
+    fileName,
+    fileSize: buffer.length,
+    format,
+    mapping,
+    defaults
+  });
+
+  await fs.promises.mkdir(IMPORT_DIR, { recursive: true });
+  await fs.promises.writeFile(getFilePath(callImport), buffer);
+  try {
+    return await callImport.save();
+  } catch (error) {
+    await fs.promises.rm(getFilePath(callImport), { force: true });
+    throw error;
+  }
+};
+
+// Import every record into the import's campaign and store the report on
+// it. Campaign performance and rollups are recounted afterwards.
+const importRecords = async (callImport, campaign, records) => {
+  const { mapping, defaults = {} } = callImport;
+  const now = new Date();
+  const converter = fx.createConverter();
+  const seen = new Set();
+  const rowErrors = [];
+  const report = {
+    imported: 0,
+    duplicates: 0,
+    failed: 0,
+    addError(row, callId, messages) {
+      this.failed += 1;
+      if (rowErrors.length < CallImport.MAX_STORED_ERRORS) rowErrors.push({ row, callId, messages });
+    }
+  };
+  let from = null;
+  let to = null;
+
+  try {
+    for (let start = 0; start < records.length; start += BATCH_SIZE) {
+      const batch = records.slice(start, start + BATCH_SIZE).map((record, offset) => ({
+        row: start + offset + 1,
+        ...mapRecord(record, mapping, defaults)
+      }));
+      const existing = await findExistingCallIds(campaign.organizationId, batch.map(({ call }) => call.callId).filter(Boolean));
+
+      const entries = [];
+      for (const { row, call: mapped, errors } of batch) {
+        if (errors.length > 0) {
+          report.addError(row, mapped.callId, errors);
+          continue;
+        }
+        if (existing.has(mapped.callId) || seen.has(mapped.callId)) {
+          report.duplicates += 1;
+          continue;
+        }
+        seen.add(mapped.callId);
+
+        const call = prepareCall(mapped, campaign, { importId: callImport._id, now });
+        const invalid = new Call(call).validateSync();
+        if (invalid) {
+          report.addError(row, mapped.callId, Object.values(invalid.errors).map((item) => item.message));
+          continue;
+        }
+        const conversionError = await convertCall(call, campaign, converter);
+        if (conversionError) {
+          report.addError(row, mapped.callId, [conversionError]);
+          continue;
+        }
+
+        const startedAt = call.timing.initiatedAt;
+        if (!from || startedAt < from) from = startedAt;
+        if (!to || startedAt > to) to = startedAt;
+        entries.push({ row, call });
+      }
+
+      await insertBatch(entries, report);
+    }
+
+    if (report.imported > 0) {
+      await rebuildRollups({ from, to: new Date(to.getTime() + 1), campaignId: campaign._id });
+      await recalculateCampaignPerformance(campaign._id);
+      await recordings.queueImportedRecordings(callImport._id, campaign);
+    }
+    callImport.status = 'completed';
+  } catch (error) {
+    console.error(`Call import ${callImport._id} error:`, error);
+    callImport.set({ status: 'failed', error: `Import stopped after ${report.imported} calls` });
+  }
+
+  callImport.set({
+    totals: { rows: records.length, imported: report.imported, duplicates: report.duplicates, failed: report.failed },
+    rowErrors,
+    range: { from, to },
+    completedAt: new Date()
+  });
+  return callImport.save();
+};
+
+const failImport = (callImport, error, at = new Date()) => {
+  callImport.set({ status: 'failed', error, completedAt: at });
+  return callImport.save();
+};
+
+// Import a claimed import from its kept file, which is deleted afterwards
+const runImport = async (callImport) => {
+  const filePath = getFilePath(callImport);
+  try {
+    const campaign = await Campaign.findOne({ _id: callImport.campaignId, organizationId: callImport.organizationId });
+    if (!campaign) return await failImport(callImport, 'Campaign not found');
+
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(filePath);
+    } catch (error) {
+      return await failImport(callImport, 'The uploaded file is no longer available');
+    }
+
+    const parsed = parseFile(buffer, callImport.format);
+    if (parsed.error) return await failImport(callImport, parsed.error);
+    return await importRecords(callImport, campaign, parsed.records);
+  } finally {
+    await fs.promises.rm(filePath, { force: true });
+  }
+};
+
+// Run queued imports oldest first, claiming each atomically so that several
+// server instances never run the same one. Returns the imports run.
+const runQueuedImports = async () => {
+  let ran = 0;
+  for (;;) {
+    const callImport = await CallImport.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!callImport) return ran;
+
+    await runImport(callImport);
+    ran += 1;
+  }
+};
+
+// Fail imports a restart cut short and delete their files. Their calls
+// already inserted stay; import the file again to add the rest, as
+// duplicates are skipped. Returns the number failed.
+const cleanupImports = async (now = new Date()) => {
+  const stale = await CallImport.find({
+    status: 'running',
+    startedAt: { $lt: new Date(now.getTime() - STALE_RUNNING_MS) }
+  });
+  for (const callImport of stale) {
+    await fs.promises.rm(getFilePath(callImport), { force: true });
+    await failImport(callImport, 'Import was interrupted', now);
+  }
+  return stale.length;
+};
+
+module.exports = {
+  FIELDS,
+  MAX_PREVIEW_ROWS,
+  parseValue,
+  validateMapping,
+  mapRecord,
+  parseFile,
+  previewImport,
+  queueImport,
+  runImport,
+  runQueuedImports,
+  cleanupImports
+};
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const Buyer = require('../models/Buyer');
+const Publisher = require('../models/Publisher');
+const analytics = require('./analytics');
+const money = require('./money');
+const { isValidTimeZone } = require('./campaignSchedule');
+
+// Exportable datasets: their columns, the filters they accept (the same as
+// their list views), a row count (for choosing between streaming and a
+// background job) and a row source. Call and campaign rows are read
+// through a database cursor one batch at a time; analytics rows come from
+// one report, which is at most MAX_BUCKETS rows.
+const CURSOR_BATCH_SIZE = 1000;
+
+// Value at a dotted path of a plain object
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// A column reads the path of its id unless given a value function
+const column = (id, header, value) => ({ id, header, value: value || ((doc) => getPath(doc, id)) });
+
+const locationColumns = (party, label) => [
+  column(`${party}.number`, `${label} Number`),
+  column(`${party}.name`, `${label} Name`),
+  column(`${party}.location.country`, `${label} Country`),
+  column(`${party}.location.state`, `${label} State`),
+  column(`${party}.location.city`, `${label} City`),
+  column(`${party}.location.zipCode`, `${label} Zip Code`)
+];
+
+const trackingColumns = [
+  column('tracking.utmSource', 'UTM Source'),
+  column('tracking.utmMedium', 'UTM Medium'),
+  column('tracking.utmCampaign', 'UTM Campaign'),
+  column('tracking.utmTerm', 'UTM Term'),
+  column('tracking.utmContent', 'UTM Content')
+];
+
+const CALL_COLUMNS = [
+  column('id', 'ID', (call) => call._id),
+  column('callId', 'Call ID'),
+  column('status', 'Status'),
+  column('direction', 'Direction'),
+  column('campaignId', 'Campaign ID'),
+  column('campaignName', 'Campaign'),
+  column('buyerId', 'Buyer ID'),
+  column('buyerName', 'Buyer'),
+  column('publisherId', 'Publisher ID'),
+  column('publisherName', 'Publisher'),
+  ...locationColumns('from', 'From'),
+  ...locationColumns('to', 'To'),
+  column('callerNumber', 'Caller Number'),
+  column('timing.initiatedAt', 'Initiated At'),
+  column('timing.ringingAt', 'Ringing At'),
+  column('timing.answeredAt', 'Answered At'),
+  column('timing.endedAt', 'Ended At'),
+  column('timing.duration', 'Duration (s)'),
+  column('timing.waitTime', 'Wait Time (s)'),
+  column('quality.score', 'Quality Score'),
+  column('quality.issues', 'Quality Issues'),
+  column('quality.recordingUrl', 'Recording URL'),
+  column('quality.transcription', 'Transcription'),
+  column('cost.perMinute', 'Cost Per Minute'),
+  column('cost.total', 'Telephony Cost', (call) => money.toMajor(money.of(getPath(call, 'cost.total'), getPath(call, 'cost.currency') || 'USD'))),
+  column('cost.currency', 'Cost Currency'),
+  column('revenue.amount', 'Revenue'),
+  column('revenue.currency', 'Revenue Currency'),
+  column('revenue.source', 'Revenue Source'),
+  column('payout.amount', 'Payout'),
+  column('payout.currency', 'Payout Currency'),
+  column('margin', 'Margin', (call) => {
+    const amounts = Call.moneyOf(call);
+    return amounts ? money.fromMinor(amounts.revenue - amounts.payout - amounts.cost, amounts.currency) : undefined;
+  }),
+  column('marginCurrency', 'Margin Currency', (call) => {
+    const amounts = Call.moneyOf(call);
+    return amounts ? amounts.currency : undefined;
+  }),
+  column('billable', 'Billable'),
+  column('billableReason', 'Billable Reason'),
+  column('duplicateOf', 'Duplicate Of'),
+  column('leadData.isQualified', 'Qualified Lead'),
+  column('leadData.qualificationScore', 'Qualification Score'),
+  column('leadData.interests', 'Interests'),
+  column('leadData.budget.min', 'Lead Budget Min'),
+  column('leadData.budget.max', 'Lead Budget Max'),
+  column('leadData.budget.currency', 'Lead Budget Currency'),
+  column('leadData.timeline', 'Lead Timeline'),
+  column('leadData.notes', 'Lead Notes'),
+  column('leadData.followUpRequired', 'Follow-up Required'),
+  column('leadData.followUpDate', 'Follow-up Date'),
+  ...trackingColumns,
+  column('tracking.referrer', 'Referrer'),
+  column('tracking.userAgent', 'User Agent'),
+  column('tracking.ipAddress', 'IP Address'),
+  column('tracking.deviceType', 'Device Type'),
+  column('routing.decision', 'Routing Decision'),
+  column('routing.strategy', 'Routing Strategy'),
+  column('tags', 'Tags'),
+  column('notes', 'Notes'),
+  column('isTest', 'Test Call'),
+  column('createdAt', 'Created At')
+];
+
+const CAMPAIGN_COLUMNS = [
+  column('id', 'ID', (campaign) => campaign._id),
+  column('name', 'Name'),
+  column('description', 'Description'),
+  column('status', 'Status'),
+  column('type', 'Type'),
+  column('industry', 'Industry'),
+  column('budget.daily', 'Daily Budget'),
+  column('budget.total', 'Total Budget'),
+  column('budget.spent', 'Spent'),
+  column('budget.remaining', 'Remaining'),
+  column('budget.pacing', 'Pacing'),
+  column('schedule.startDate', 'Start Date'),
+  column('schedule.endDate', 'End Date'),
+  column('schedule.timeZone', 'Time Zone'),
+  column('callSettings.minCallDuration', 'Min Call Duration (s)'),
+  column('callSettings.maxCallDuration', 'Max Call Duration (s)'),
+  column('routing.strategy', 'Routing Strategy'),
+  column('phoneNumbers', 'Phone Numbers', (campaign) => (campaign.phoneNumbers || []).map((entry) => entry.number)),
+  column('publishers', 'Publishers', (campaign) => (campaign.publishers || []).length),
+  column('buyers', 'Buyers', (campaign) => (campaign.buyers || []).length),
+  ...trackingColumns,
+  column('performance.totalCalls', 'Total Calls'),
+  column('performance.billableCalls', 'Billable Calls'),
+  column('performance.totalCost', 'Total Cost'),
+  column('performance.totalRevenue', 'Total Revenue'),
+  column('performance.totalDuration', 'Total Duration (s)'),
+  column('performance.averageDuration', 'Average Duration (s)'),
+  column('performance.conversionRate', 'Conversion Rate (%)'),
+  column('performance.costPerCall', 'Cost Per Call'),
+  column('performance.revenuePerCall', 'Revenue Per Call'),
+  column('performance.roi', 'ROI (%)'),
+  column('autoOptimization.enabled', 'Auto-optimization'),
+  column('createdAt', 'Created At'),
+  column('updatedAt', 'Updated At')
+];
+
+const ANALYTICS_COLUMNS = [
+  column('bucket', 'Period Start'),
+  column('group', 'Group', (row) => (row.key && typeof row.key === 'object' && !(row.key instanceof mongoose.Types.ObjectId)
+    ? Object.values(row.key).join(', ')
+    : row.key)),
+  column('groupName', 'Group Name', (row) => row.name),
+  column('calls', 'Calls'),
+  column('answered', 'Answered'),
+  column('answerRate', 'Answer Rate (%)'),
+  column('averageDuration', 'Average Duration (s)'),
+  column('cost', 'Cost'),
+  column('revenue', 'Revenue'),
+  column('currency', 'Currency'),
+  column('roi', 'ROI (%)'),
+  column('qualifiedLeads', 'Qualified Leads'),
+  column('qualifiedLeadRate', 'Qualified Lead Rate (%)'),
+  column('billable', 'Billable'),
+  column('billableRate', 'Billable Rate (%)')
+];
+
+// Filter parsers; each returns the parsed value or undefined when invalid
+const FILTER_TYPES = {
+  date: (value) => {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : undefined;
+  },
+  id: (value) => (typeof value === 'string' && /^[a-f\d]{24}$/i.test(value) ? new mongoose.Types.ObjectId(value) : undefined),
+  boolean: (value) => ({ true: true, false: false })[String(value)],
+  text: (value) => (typeof value === 'string' && value.trim().length <= 100 ? value.trim() : undefined),
+  timeZone: (value) => (isValidTimeZone(value) ? value : undefined),
+  currency: (value) => (money.isCurrencyCode(value) ? value : undefined)
+};
+
+const oneOf = (values) => (value) => (values.includes(value) ? value : undefined);
+
+// Names of an organization's campaigns, buyers or publishers by id
+const namesById = async (Model, organizationId) => {
+  const docs = await Model.find({ organizationId }).select('name').lean();
+  return new Map(docs.map((doc) => [doc._id.toString(), doc.name]));
+};
+
+const nameOf = (names, id) => (id ? names.get(id.toString()) : undefined);
+
+// Heavy per-call history left out of exports
+const CALL_EXCLUDED_FIELDS = '-telephony.events -routing.destinations -routing.attempts -rollup -budgetReservation';
+
+const DATASETS = {
+  calls: {
+    scope: 'calls:read',
+    sheetName: 'Calls',
+    columns: CALL_COLUMNS,
+    defaultColumns: () => CALL_COLUMNS.map((item) => item.id),
+    filters: {
+      from: FILTER_TYPES.date,
+      to: FILTER_TYPES.date,
+      campaignId: FILTER_TYPES.id,
+      buyerId: FILTER_TYPES.id,
+      publisherId: FILTER_TYPES.id,
+      status: oneOf(Call.schema.path('status').enumValues),
+      direction: oneOf(Call.schema.path('direction').enumValues),
+      billable: FILTER_TYPES.boolean
+    },
+    // Same filter as GET /api/margins/calls, plus status, direction and billable
+    query: (organizationId, filters) => {
+      const query = { organizationId };
+      ['campaignId', 'buyerId', 'publisherId', 'status', 'direction', 'billable'].forEach((field) => {
+        if (filters[field] !== undefined) query[field] = filters[field];
+      });
+      if (filters.from) query.createdAt = { $gte: filters.from };
+      if (filters.to) query.createdAt = { ...query.createdAt, $lte: filters.to };
+      return query;
+    },
+    count(organizationId, filters) {
+      return Call.countDocuments(this.query(organizationId, filters));
+    },
+    async* rows(organizationId, filters) {
+      const [campaigns, buyers, publishers] = await Promise.all([
+        namesById(Campaign, organizationId),
+        namesById(Buyer, organizationId),
+        namesById(Publisher, organizationId)
+      ]);
+      const cursor = Call.find(this.query(organizationId, filters))
+        .select(CALL_EXCLUDED_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+      for await (const call of cursor) {
+        yield {
+          ...call,
+          campaignName: nameOf(campaigns, call.campaignId),
+          buyerName: nameOf(buyers, call.buyerId),
+          publisherName: nameOf(publishers, call.publisherId)
+        };
+      }
+    }
+  },
+
+  campaigns: {
+    scope: 'campaigns:read',
+    sheetName: 'Campaigns',
+    columns: CAMPAIGN_COLUMNS,
+    defaultColumns: () => CAMPAIGN_COLUMNS.map((item) => item.id),
+    filters: {
+      status: oneOf(Campaign.schema.path('status').enumValues),
+      type: oneOf(Campaign.schema.path('type').enumValues),
+      industry: oneOf(Campaign.schema.path('industry').enumValues),
+      search: FILTER_TYPES.text
+    },
+    // Same filter as GET /api/campaigns
+    query: (organizationId, filters) => {
+      const query = { organizationId };
+      ['status', 'type', 'industry'].forEach((field) => {
+        if (filters[field]) query[field] = filters[field];
+      });
+      if (filters.search) query.name = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      return query;
+    },
+    count(organizationId, filters) {
+      return Campaign.countDocuments(this.query(organizationId, filters));
+    },
+    async* rows(organizationId, filters) {
+      yield* Campaign.find(this.query(organizationId, filters))
+        .select('-statusHistory -routing.destinations -autoOptimization.rules -targetAudience')
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor({ batchSize: CURSOR_BATCH_SIZE });
+    }
+  },
+
+  analytics: {
+    scope: 'analytics:read',
+    sheetName: 'Analytics',
+    columns: ANALYTICS_COLUMNS,
+    // A time series, or one row per group when grouped
+    defaultColumns: (filters) => ANALYTICS_COLUMNS
+      .map((item) => item.id)
+      .filter((id) => (filters.groupBy ? id !== 'bucket' : !id.startsWith('group'))),
+    filters: {
+      from: FILTER_TYPES.date,
+      to: FILTER_TYPES.date,
+      interval: oneOf(analytics.INTERVALS),
+      timeZone: FILTER_TYPES.timeZone,
+      currency: FILTER_TYPES.currency,
+      groupBy: oneOf(Call.ANALYTICS_GROUPS),
+      campaignId: FILTER_TYPES.id
+    },
+    // Same defaults as GET /api/analytics; timeZone and currency are resolved by the caller
+    range: (filters) => {
+      const end = filters.to || new Date();
+      const start = filters.from || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+      return { start, end };
+    },
+    // Reports are capped at MAX_BUCKETS rows, so there is no count and
+    // analytics exports always stream
+    check(filters) {
+      const { start, end } = this.range(filters);
+      if (start >= end) return { error: 'from must be before to' };
+      const interval = filters.interval || 'day';
+      if (!analytics.getBuckets(start, end, interval, filters.timeZone || 'UTC')) {
+        return { error: `Too many ${interval} buckets in range (maximum ${analytics.MAX_BUCKETS}); use a larger interval` };
+      }
+      return {};
+    },
+    report(organizationId, filters) {
+      const { start, end } = this.range(filters);
+      return analytics.buildReport(organizationId, {
+        start,
+        end,
+        interval: filters.interval || 'day',
+        timeZone: filters.timeZone || 'UTC',
+        currency: filters.currency,
+        groupBy: filters.groupBy,
+        filter: filters.campaignId ? { campaignId: filters.campaignId } : {}
+      });
+    },
+    async* rows(organizationId, filters) {
+      const report = await this.report(organizationId, filters);
+      if (report.error) throw new Error(report.error);
+      const rows = filters.groupBy ? report.groups : report.series;
+      yield* rows.map((row) => ({ ...row, currency: report.currency }));
+    }
+  }
+};
+
+// Parse raw filter values (query strings or a stored job's filters) of a
+// dataset. Returns { filters, reasons }.
+const parseFilters = (dataset, raw = {}) => {
+  const filters = {};
+  const reasons = [];
+  Object.entries(DATASETS[dataset].filters).forEach(([name, parse]) => {
+    if (raw[name] === undefined || raw[name] === '') return;
+    const value = parse(raw[name]);
+    if (value === undefined) {
+      reasons.push(`Invalid ${name} filter`);
+    } else {
+      filters[name] = value;
+    }
+  });
+  return { filters, reasons };
+};
+
+// Columns to export, in the requested order (defaults when none are
+// requested). Returns { columns } or { error }.
+const resolveColumns = (dataset, ids, filters = {}) => {
+  const { columns, defaultColumns } = DATASETS[dataset];
+  const requested = ids && ids.length > 0 ? [...new Set(ids)] : defaultColumns(filters);
+  const unknown = requested.filter((id) => !columns.some((item) => item.id === id));
+  if (unknown.length > 0) return { error: `Unknown columns: ${unknown.join(', ')}` };
+  return { columns: requested.map((id) => columns.find((item) => item.id === id)) };
+};
+
+// Column ids and headers of a dataset, for column pickers
+const describeColumns = (dataset, filters = {}) => {
+  const defaults = DATASETS[dataset].defaultColumns(filters);
+  return DATASETS[dataset].columns.map(({ id, header }) => ({ id, header, default: defaults.includes(id) }));
+};
+
+module.exports = {
+  DATASETS,
+  getPath,
+  parseFilters,
+  resolveColumns,
+  describeColumns
+};
@@ -0,0 +1,120 @@
+const ExcelJS = require('exceljs');
+
+// Row writers for data exports. Each writes rows (arrays of values in
+// column order) to a writable stream as they arrive and waits whenever the
+// stream is backed up, so an export never holds more than a few rows.
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Resolve once the stream can take more data, or has closed
+const drained = (output) => new Promise((resolve) => {
+  const done = () => {
+    output.off('drain', done);
+    output.off('close', done);
+    resolve();
+  };
+  output.on('drain', done);
+  output.on('close', done);
+});
+
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) await drained(output);
+};
+
+// Plain value for a cell: dates as ISO strings, lists joined
+const toCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return String(value); // ObjectIds
+  return value;
+};
+
+// Text a spreadsheet would read as a formula ('=HYPERLINK(...)', '+1...',
+// '@SUM(...)') gets a leading quote, since exported columns such as UTM
+// fields, referrers and imported names come from outside parties
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (cell) => (typeof cell === 'string' && FORMULA_START.test(cell) ? `'${cell}` : cell);
+
+const escapeCsv = (value) => {
+  const cell = neutralizeFormula(toCell(value));
+  if (cell === null) return '';
+  const text = String(cell);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvWriter = (output, columns) => {
+  const line = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+  let started = false;
+  return {
+    async write(values) {
+      if (!started) {
+        started = true;
+        await write(output, line(columns.map((column) => column.header)));
+      }
+      await write(output, line(values));
+    },
+    async end() {
+      if (!started) await write(output, line(columns.map((column) => column.header)));
+      output.end();
+    }
+  };
+};
+
+// A JSON array of objects keyed by column id
+const jsonWriter = (output, columns) => {
+  let count = 0;
+  return {
+    async write(values) {
+      const row = {};
+      columns.forEach((column, index) => {
+        row[column.id] = toCell(values[index]);
+      });
+      await write(output, `${count === 0 ? '[\n' : ',\n'}${JSON.stringify(row)}`);
+      count += 1;
+    },
+    async end() {
+      await write(output, count === 0 ? '[]\n' : '\n]\n');
+      output.end();
+    }
+  };
+};
+
+// One worksheet, rows committed as they are written. Dates stay dates so
+// spreadsheets can format and sort them.
+const xlsxWriter = (output, columns, { sheetName = 'Export' } = {}) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((column) => ({ header: column.header, key: column.id, width: Math.max(12, column.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+
+  return {
+    async write(values) {
+      sheet.addRow(values.map((value) => (value instanceof Date ? value : neutralizeFormula(toCell(value))))).commit();
+      if (output.writableNeedDrain) await drained(output);
+    },
+    async end() {
+      sheet.commit();
+      // Finishing the workbook ends the stream
+      await workbook.commit();
+    }
+  };
+};
+
+const WRITERS = {
+  csv: csvWriter,
+  json: jsonWriter,
+  xlsx: xlsxWriter
+};
+
+// Writer for a format; call write(values) per row, then end() once
+const createWriter = (format, output, columns, options) => WRITERS[format](output, columns, options);
+
+module.exports = {
+  FORMATS,
+  createWriter
+};
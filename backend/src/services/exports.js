@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
+const ExportJob = require('../models/ExportJob');
+const { FORMATS, createWriter } = require('./exportFormats');
+const { DATASETS, parseFilters, resolveColumns } = require('./exportDatasets');
+
+// Data exports. Small exports stream straight into the response; larger
+// ones (more than EXPORT_STREAM_ROW_LIMIT rows) are queued as ExportJobs,
+// written to files under EXPORT_DIR by the 'exports:run' job and kept for
+// EXPORT_TTL_HOURS.
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), 'callflow-exports');
+const STREAM_ROW_LIMIT = parseInt(process.env.EXPORT_STREAM_ROW_LIMIT, 10) || 50000;
+const TTL_MS = (parseInt(process.env.EXPORT_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Running jobs older than this were cut short by a restart
+const STALE_RUNNING_MS = 2 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// calls-20240131-142501.csv
+const getFileName = (dataset, format, at = new Date()) => {
+  const date = `${at.getUTCFullYear()}${pad(at.getUTCMonth() + 1)}${pad(at.getUTCDate())}`;
+  const time = `${pad(at.getUTCHours())}${pad(at.getUTCMinutes())}${pad(at.getUTCSeconds())}`;
+  return `${dataset}-${date}-${time}.${FORMATS[format].extension}`;
+};
+
+// Check an export request before anything is written. Returns
+// { filters, columns } or { error }.
+const prepareExport = (dataset, { columns, filters } = {}) => {
+  const parsed = parseFilters(dataset, filters);
+  if (parsed.reasons.length > 0) return { error: parsed.reasons.join('; ') };
+
+  const resolved = resolveColumns(dataset, columns, parsed.filters);
+  if (resolved.error) return { error: resolved.error };
+
+  const check = DATASETS[dataset].check ? DATASETS[dataset].check(parsed.filters) : {};
+  if (check.error) return { error: check.error };
+
+  return { filters: parsed.filters, columns: resolved.columns };
+};
+
+// Rows a prepared export would write; null when the dataset cannot tell
+// cheaply (it is then small enough to stream)
+const countRows = async (organizationId, dataset, filters) => {
+  const source = DATASETS[dataset];
+  return source.count ? source.count(organizationId, filters) : null;
+};
+
+const shouldRunInBackground = (rowCount) => rowCount !== null && rowCount > STREAM_ROW_LIMIT;
+
+// Write a prepared export to a stream and end it. Stops early when the
+// stream is closed (a client that went away). Returns the rows written.
+const writeExport = async (output, { organizationId, dataset, format, columns, filters }) => {
+  const writer = createWriter(format, output, columns, { sheetName: DATASETS[dataset].sheetName });
+
+  let rowCount = 0;
+  for await (const row of DATASETS[dataset].rows(organizationId, filters)) {
+    if (output.destroyed) return rowCount;
+    await writer.write(columns.map((column) => column.value(row)));
+    rowCount += 1;
+  }
+
+  await writer.end();
+  return rowCount;
+};
+
+// Queue a background export; raw columns and filters are checked by the
+// caller with prepareExport first
+const queueExport = ({ organizationId, userId, dataset, format, columns, filters }) => ExportJob.create({
+  organizationId,
+  userId,
+  dataset,
+  format,
+  columns,
+  filters
+});
+
+const getFilePath = (job) => path.join(EXPORT_DIR, `${job._id}.${FORMATS[job.format].extension}`);
+
+// Write a claimed job's file and record the result
+const runExportJob = async (job) => {
+  const prepared = prepareExport(job.dataset, { columns: job.columns, filters: job.filters });
+  if (prepared.error) {
+    job.set({ status: 'failed', error: prepared.error, completedAt: new Date() });
+    return job.save();
+  }
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const filePath = getFilePath(job);
+  const output = fs.createWriteStream(filePath);
+
+  try {
+    const rowCount = await writeExport(output, {
+      organizationId: job.organizationId,
+      dataset: job.dataset,
+      format: job.format,
+      ...prepared
+    });
+    await finished(output);
+    const { size } = await fs.promises.stat(filePath);
+
+    const completedAt = new Date();
+    job.set({
+      status: 'completed',
+      rowCount,
+      file: { path: filePath, name: getFileName(job.dataset, job.format, job.createdAt), size },
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + TTL_MS)
+    });
+  } catch (error) {
+    console.error(`Export job ${job._id} error:`, error);
+    output.destroy();
+    await fs.promises.rm(filePath, { force: true });
+    job.set({ status: 'failed', error: 'Export could not be written', completedAt: new Date() });
+  }
+  return job.save();
+};
+
+// Run queued jobs oldest first, claiming each atomically so that several
+// server instances never run the same job. Returns the jobs run.
+const runQueuedExports = async () => {
+  let ran = 0;
+  for (;;) {
+    const job = await ExportJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!job) return ran;
+
+    await runExportJob(job);
+    ran += 1;
+  }
+};
+
+// Delete the files of expired exports and fail jobs a restart cut short.
+// Returns the number of jobs changed.
+const cleanupExports = async (now = new Date()) => {
+  const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lte: now } });
+  for (const job of expired) {
+    await fs.promises.rm(job.file.path, { force: true });
+    job.status = 'expired';
+    await job.save();
+  }
+
+  const stale = await ExportJob.find({
+    status: 'running',
+    startedAt: { $lt: new Date(now.getTime() - STALE_RUNNING_MS) }
+  });
+  for (const job of stale) {
+    await fs.promises.rm(getFilePath(job), { force: true });
+    job.set({ status: 'failed', error: 'Export was interrupted', completedAt: now });
+    await job.save();
+  }
+  return expired.length + stale.length;
+};
+
+module.exports = {
+  STREAM_ROW_LIMIT,
+  getFileName,
+  prepareExport,
+  countRows,
+  shouldRunInBackground,
+  writeExport,
+  queueExport,
+  runExportJob,
+  runQueuedExports,
+  cleanupExports
+};
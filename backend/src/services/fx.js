@@ -0,0 +1,216 @@
+const fs = require('fs/promises');
+const path = require('path');
+const FxRate = require('../models/FxRate');
+const money = require('./money');
+
+// Currency conversion from the daily rate table (models/FxRate). An amount
+// is converted at the rate of the UTC day it happened on: a call at its
+// start, a ledger entry when it occurred. A day without its own rate uses
+// the latest earlier one, up to FX_MAX_RATE_AGE_DAYS old; past that the
+// rate is missing and conversion refuses rather than guessing.
+
+const BASE_CURRENCY = (process.env.FX_BASE_CURRENCY || 'USD').toUpperCase();
+const MAX_RATE_AGE_DAYS = parseInt(process.env.FX_MAX_RATE_AGE_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// UTC day (YYYY-MM-DD) whose rate applies to a moment
+const getRateDate = (at) => new Date(at).toISOString().slice(0, 10);
+
+const daysBefore = (date, days) => getRateDate(new Date(`${date}T00:00:00Z`).getTime() - days * DAY_MS);
+
+// Check one { currency, date, rate } row. Returns the cleaned row or { error }.
+const normalizeRate = ({ currency, date, rate }) => {
+  const code = String(currency || '').trim().toUpperCase();
+  const value = Number(rate);
+  if (!money.isCurrencyCode(code)) return { error: `Invalid currency ${currency}` };
+  if (code === BASE_CURRENCY) return { error: `${code} is the base currency; its rate is always 1` };
+  if (!DATE_PATTERN.test(String(date)) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) return { error: `Invalid date ${date}` };
+  if (!(value > 0) || !Number.isFinite(value)) return { error: `Invalid rate ${rate} for ${code} on ${date}` };
+  return { currency: code, date: String(date), rate: value };
+};
+
+// Check rate rows: a list of { currency, date, rate } or an object of
+// { date: { currency: rate } }. Returns { rates, reasons }.
+const checkRates = (input) => {
+  const rows = Array.isArray(input)
+    ? input
+    : Object.entries(input || {}).flatMap(([date, rates]) => Object.entries(rates || {}).map(([currency, rate]) => ({ date, currency, rate })));
+
+  const rates = [];
+  const reasons = [];
+  rows.forEach((row, index) => {
+    const normalized = normalizeRate(row || {});
+    if (normalized.error) {
+      reasons.push(`Row ${index + 1}: ${normalized.error}`);
+    } else {
+      rates.push(normalized);
+    }
+  });
+  return { rates, reasons };
+};
+
+// Parse a rate table: JSON in either checkRates shape, or CSV with a header
+// naming the date, currency and rate columns. Returns { rates, reasons }.
+const parseRates = (text, format) => {
+  if (format === 'csv') {
+    const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim());
+    const columns = (header || '').split(',').map((column) => column.trim().toLowerCase());
+    if (!['date', 'currency', 'rate'].every((column) => columns.includes(column))) {
+      return { rates: [], reasons: ['CSV header must name date, currency and rate columns'] };
+    }
+    return checkRates(lines.map((line) => {
+      const values = line.split(',').map((value) => value.trim());
+      return columns.reduce((row, column, index) => ({ ...row, [column]: values[index] }), {});
+    }));
+  }
+
+  try {
+    return checkRates(JSON.parse(text));
+  } catch (error) {
+    return { rates: [], reasons: [`Invalid JSON: ${error.message}`] };
+  }
+};
+
+// Insert or correct rates. Returns the number written.
+const importRates = async (rates, { source = 'api', userId } = {}) => {
+  if (rates.length === 0) return 0;
+  const result = await FxRate.bulkWrite(rates.map(({ currency, date, rate }) => ({
+    updateOne: {
+      filter: { currency, date },
+      update: { $set: { rate, source, updatedBy: userId } },
+      upsert: true
+    }
+  })), { ordered: false });
+  return result.upsertedCount + result.modifiedCount;
+};
+
+// Modification time of the rate file when it was last loaded
+let loadedFileVersion = null;
+
+// Load FX_RATES_FILE (.json or .csv) when it changed since the last load,
+// or always with force. Returns { imported, reasons }, or null when no
+// file is configured or it is unchanged.
+const loadRatesFile = async ({ file = process.env.FX_RATES_FILE, force = false } = {}) => {
+  if (!file) return null;
+  const { mtimeMs } = await fs.stat(file);
+  if (!force && loadedFileVersion === `${file}:${mtimeMs}`) return null;
+
+  const text = await fs.readFile(file, 'utf8');
+  const { rates, reasons } = parseRates(text, path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+  const imported = await importRates(rates, { source: 'file' });
+  loadedFileVersion = `${file}:${mtimeMs}`;
+  return { imported, reasons };
+};
+
+const listRates = ({ currency, from, to } = {}) => {
+  const filter = {};
+  if (currency) filter.currency = currency;
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+  return FxRate.find(filter).sort({ date: -1, currency: 1 }).limit(1000);
+};
+
+// A converter memoizes rate lookups, so one report or job reads each
+// currency's rate for a day once
+const createConverter = () => {
+  const rates = new Map();
+
+  const rateOf = (currency, date) => {
+    if (currency === BASE_CURRENCY) return Promise.resolve(1);
+    const key = `${currency}:${date}`;
+    if (!rates.has(key)) {
+      rates.set(key, FxRate.findOne({ currency, date: { $lte: date, $gte: daysBefore(date, MAX_RATE_AGE_DAYS) } })
+        .sort({ date: -1 })
+        .lean()
+        .then((rate) => (rate ? rate.rate : null)));
+    }
+    return rates.get(key);
+  };
+
+  // Convert minor units between currencies at the rate of a moment's day.
+  // Returns null when a rate is missing.
+  const convert = async (amount, from, to, at) => {
+    if (amount === 0 || from === to) return amount;
+    const date = getRateDate(at);
+    const [fromRate, toRate] = await Promise.all([rateOf(from, date), rateOf(to, date)]);
+    if (!fromRate || !toRate) return null;
+    return money.roundMinor(amount * (toRate / fromRate) * 10 ** (money.getExponent(to) - money.getExponent(from)));
+  };
+
+  return { convert };
+};
+
+// Convert named { amount (major units), currency } values to minor units
+// of one currency. Returns { name: minor } or null when a rate is missing.
+const convertAmounts = async (amounts, currency, at, converter = createConverter()) => {
+  const converted = {};
+  for (const [name, value] of Object.entries(amounts)) {
+    const amount = await converter.convert(money.toMinor(value.amount, value.currency), value.currency, currency, at);
+    if (amount === null) return null;
+    converted[name] = amount;
+  }
+  return converted;
+};
+
+// Fold aggregation rows split by rate day ({ _id: { key, day }, ... }) into
+// one row per key, converting the base-currency minor `fields` to
+// `currency` at each day's rate and summing everything else. Returns
+// { rows } or { error } when a day has no rate.
+const foldDailyRows = async (rows, { currency, fields, converter = createConverter() }) => {
+  const merged = new Map();
+  for (const row of rows) {
+    const { day } = row._id;
+    const key = row._id.key === undefined ? null : row._id.key;
+    const converted = { ...row, _id: key };
+    for (const field of fields) {
+      if (!row[field] || !day) continue;
+      const amount = await converter.convert(row[field], BASE_CURRENCY, currency, `${day}T00:00:00Z`);
+      if (amount === null) return { error: `No ${currency} exchange rate for ${day}` };
+      converted[field] = amount;
+    }
+
+    const mapKey = JSON.stringify(key);
+    const existing = merged.get(mapKey);
+    merged.set(mapKey, existing
+      ? Object.keys(converted).reduce((sum, name) => (name === '_id' ? sum : { ...sum, [name]: (existing[name] || 0) + converted[name] }), existing)
+      : converted);
+  }
+  return { rows: [...merged.values()] };
+};
+
+// Fold the totals, series and groups facets of an analytics aggregation
+// (cost and revenue in base minor units). Returns { totals, series,
+// groups } or { error }.
+const foldAnalytics = async (result, { currency, converter = createConverter() }) => {
+  const folded = {};
+  for (const facet of ['totals', 'series', 'groups']) {
+    const { rows, error } = await foldDailyRows(result[facet] || [], { currency, fields: ['cost', 'revenue'], converter });
+    if (error) return { error };
+    folded[facet] = rows;
+  }
+  return {
+    totals: folded.totals[0] || null,
+    series: folded.series.sort((a, b) => a._id - b._id),
+    groups: folded.groups.sort((a, b) => b.calls - a.calls)
+  };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  MAX_RATE_AGE_DAYS,
+  getRateDate,
+  checkRates,
+  parseRates,
+  importRates,
+  loadRatesFile,
+  listRates,
+  createConverter,
+  convertAmounts,
+  foldDailyRows,
+  foldAnalytics
+};
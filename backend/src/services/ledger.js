@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const LedgerEntry = require('../models/LedgerEntry');
+const budgetControl = require('./budgetControl');
+const fx = require('./fx');
+const money = require('./money');
+
+// Double-entry ledger of every money movement. Entries are immutable and
+// keyed for idempotency, so a retried callback or job cannot post twice.
+// Entries keep the currency the money moved in, with amounts in its minor
+// units; campaign lines also carry the amount in the campaign's currency,
+// converted at the rate of the entry's day when posted. Campaign spend,
+// cost and revenue are derived from those. The counters on Campaign (budget.spent, performance.totalCost/totalRevenue)
+// are caches kept for fast budget checks, and reconcile() finds where they
+// drifted.
+
+const MAX_ATTEMPTS = 3;
+const PENDING_BATCH_SIZE = 500;
+const RECONCILE_BATCH_SIZE = 200;
+
+// Drift below half a minor unit is rounding, not drift
+const DRIFT_TOLERANCE_MINOR = 0.5;
+
+// Insert an entry once per idempotencyKey. Returns { entry, created }.
+const post = async (fields) => {
+  try {
+    return { entry: await LedgerEntry.create(fields), created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return {
+      entry: await LedgerEntry.findOne({ organizationId: fields.organizationId, idempotencyKey: fields.idempotencyKey }),
+      created: false
+    };
+  }
+};
+
+// Entries of a priced call: telephony cost and publisher payout charged to
+// the campaign, buyer revenue earned by it. inCampaign holds the same
+// amounts in minor units of the campaign's currency.
+const buildCallEntries = (call, inCampaign) => {
+  const base = {
+    organizationId: call.organizationId,
+    campaignId: call.campaignId,
+    callId: call._id,
+    affectsBudget: !call.importId,
+    occurredAt: call.timing.initiatedAt // converted at the same rate as when priced
+  };
+  const entry = (kind, currency, lines) => ({ ...base, kind, currency, lines, idempotencyKey: `call:${call._id}:${kind}` });
+
+  const entries = [];
+  const cost = money.toMinor(call.cost.total, call.cost.currency);
+  if (cost > 0) {
+    entries.push(entry('call_cost', call.cost.currency, [
+      { account: 'campaign_spend', refId: call.campaignId, amount: cost, campaignAmount: inCampaign.cost },
+      { account: 'telephony_payable', amount: -cost }
+    ]));
+  }
+
+  const payout = money.toMinor(call.payout.amount, call.payout.currency);
+  if (payout > 0) {
+    entries.push(entry('publisher_payout', call.payout.currency, [
+      { account: 'campaign_spend', refId: call.campaignId, amount: payout, campaignAmount: inCampaign.payout },
+      { account: 'publisher_payable', refId: call.publisherId, amount: -payout }
+    ]));
+  }
+
+  const revenue = money.toMinor(call.revenue.amount, call.revenue.currency);
+  if (revenue > 0) {
+    entries.push(entry('buyer_revenue', call.revenue.currency, [
+      { account: 'buyer_receivable', refId: call.buyerId, amount: revenue },
+      { account: 'campaign_revenue', refId: call.campaignId, amount: -revenue, campaignAmount: -inCampaign.revenue }
+    ]));
+  }
+
+  return entries;
+};
+
+// Post a priced call's entries and mark the call posted. Safe to repeat.
+// A call whose rate is missing stays unposted for postPendingCalls.
+const postCallEntries = async (callId) => {
+  const call = await Call.findById(callId);
+  if (!call || !call.telephony.performanceRecordedAt) return false;
+  const campaign = await Campaign.findById(call.campaignId).select('currency');
+  if (!campaign) return false;
+
+  const inCampaign = await fx.convertAmounts({
+    cost: { amount: call.cost.total, currency: call.cost.currency },
+    payout: { amount: call.payout.amount, currency: call.payout.currency },
+    revenue: { amount: call.revenue.amount, currency: call.revenue.currency }
+  }, campaign.currency, call.timing.initiatedAt);
+  if (!inCampaign) return false;
+
+  for (const entry of buildCallEntries(call, inCampaign)) {
+    await post(entry);
+  }
+  await Call.updateOne({ _id: call._id, ledgerPostedAt: null }, { $set: { ledgerPostedAt: new Date() } });
+  return true;
+};
+
+// Post calls that were priced but never reached the ledger (a crash between
+// pricing and posting, imports, or calls from before the ledger existed).
+// Returns the number posted.
+const postPendingCalls = async (filter = {}) => {
+  let posted = 0;
+  for (;;) {
+    const calls = await Call.find({ ...filter, 'telephony.performanceRecordedAt': { $ne: null }, ledgerPostedAt: null })
+      .select('_id')
+      .limit(PENDING_BATCH_SIZE);
+
+    let batchPosted = 0;
+    for (const call of calls) {
+      if (await postCallEntries(call._id)) batchPosted++;
+    }
+    posted += batchPosted;
+    // Calls still waiting for a rate would come back in the next batch
+    if (calls.length < PENDING_BATCH_SIZE || batchPosted === 0) return posted;
+  }
+};
+
+const CAMPAIGN_ACCOUNTS = ['campaign_spend', 'campaign_revenue'];
+
+// Spend (budget-affecting), cost (all spend) and revenue of campaigns, from
+// the ledger, in each campaign's currency. Returns a Map of campaign id ->
+// { currency, spent, cost, revenue }.
+const getCampaignTotals = async (campaignIds) => {
+  const ids = campaignIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const lineMatch = { 'lines.refId': { $in: ids }, 'lines.account': { $in: CAMPAIGN_ACCOUNTS } };
+  const isSpend = { $eq: ['$lines.account', 'campaign_spend'] };
+  const amount = { $ifNull: ['$lines.campaignAmount', '$lines.amount'] };
+
+  const [campaigns, rows] = await Promise.all([
+    Campaign.find({ _id: { $in: ids } }).select('currency').lean(),
+    LedgerEntry.aggregate([
+      { $match: lineMatch },
+      { $unwind: '$lines' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: '$lines.refId',
+          spent: { $sum: { $cond: [{ $and: [isSpend, '$affectsBudget'] }, amount, 0] } },
+          cost: { $sum: { $cond: [isSpend, amount, 0] } },
+          revenue: { $sum: { $cond: [isSpend, 0, { $multiply: [amount, -1] }] } }
+        }
+      }
+    ])
+  ]);
+
+  const currencyOf = new Map(campaigns.map((campaign) => [String(campaign._id), campaign.currency]));
+  const sums = new Map(rows.map((row) => [String(row._id), row]));
+  return new Map(campaignIds.map((id) => {
+    const currency = currencyOf.get(String(id)) || fx.BASE_CURRENCY;
+    const row = sums.get(String(id)) || { spent: 0, cost: 0, revenue: 0 };
+    return [String(id), {
+      currency,
+      spent: money.fromMinor(row.spent, currency),
+      cost: money.fromMinor(row.cost, currency),
+      revenue: money.fromMinor(row.revenue, currency)
+    }];
+  }));
+};
+
+// Balance of every account of an organization, in its normal direction
+// (what a publisher is owed is positive, as is what a buyer owes)
+const getBalances = async (organizationId, { account } = {}) => {
+  const lineMatch = account ? { 'lines.account': account } : {};
+  const rows = await LedgerEntry.aggregate([
+    { $match: { organizationId: new mongoose.Types.ObjectId(String(organizationId)), ...lineMatch } },
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: { account: '$lines.account', refId: '$lines.refId', currency: '$currency' },
+        amount: { $sum: '$lines.amount' },
+        entries: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.account': 1, '_id.refId': 1 } }
+  ]);
+
+  return rows.map(({ _id, amount, entries }) => ({
+    account: _id.account,
+    refId: _id.refId || null,
+    currency: _id.currency,
+    balance: money.fromMinor(LedgerEntry.ACCOUNTS[_id.account].normalBalance === 'debit' ? amount : -amount, _id.currency),
+    entries
+  }));
+};
+
+// Add spend, cost and revenue deltas to a campaign's cached counters
+const applyToCampaignCache = async (campaignId, { spent = 0, cost = 0, revenue = 0 }) => {
+  if (spent !== 0) await budgetControl.adjustSpend(campaignId, spent);
+  if (cost === 0 && revenue === 0) return;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) return;
+
+    const { performance } = campaign;
+    campaign.setPerformanceTotals({
+      totalCalls: performance.totalCalls,
+      billableCalls: performance.billableCalls,
+      totalDuration: performance.totalDuration,
+      totalCost: performance.totalCost + cost,
+      totalRevenue: performance.totalRevenue + revenue
+    });
+
+    // Force a version check so concurrent updates retry instead of overwriting
+    campaign.increment();
+    try {
+      await campaign.save();
+      return;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt === MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Revenue of a call still in the ledger after earlier refunds and
+// chargebacks, in minor units of the call's revenue currency
+const getNetCallRevenue = async (call) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { callId: call._id, kind: { $in: ['buyer_revenue', 'refund', 'chargeback'] }, currency: call.revenue.currency } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'campaign_revenue' } },
+    { $group: { _id: null, amount: { $sum: '$lines.amount' } } }
+  ]);
+  return row ? -row.amount : 0;
+};
+
+const isRefund = (kind) => kind === 'refund' || kind === 'chargeback';
+
+// The campaign line a manual entry request posts: its account, and its
+// amount in minor units of the entry's currency
+const requestedLine = ({ kind, campaign, call, target, amount }) => {
+  if (isRefund(kind)) {
+    const { currency } = call.revenue;
+    return { account: 'campaign_revenue', currency, amount: money.toMinor(amount, currency) };
+  }
+  const sign = target === 'revenue' ? -1 : 1;
+  return {
+    account: target === 'revenue' ? 'campaign_revenue' : 'campaign_spend',
+    currency: campaign.currency,
+    amount: sign * money.toMinor(amount, campaign.currency)
+  };
+};
+
+// Whether a posted entry is the one a replayed request asks for
+const matchesRequest = (entry, request) => {
+  const line = requestedLine(request);
+  return entry.kind === request.kind &&
+    String(entry.campaignId) === String(request.campaign._id) &&
+    String(entry.callId || '') === String(request.call ? request.call._id : '') &&
+    entry.currency === line.currency &&
+    entry.lines[0].account === line.account &&
+    entry.lines[0].amount === line.amount;
+};
+
+// A replayed manual entry, or { error, conflict } when its key was used for
+// a different request
+const replayResult = (entry, request) => (matchesRequest(entry, request)
+  ? { entry, created: false }
+  : { error: 'This Idempotency-Key was already used for a different entry', conflict: true });
+
+// Post a refund or chargeback of a call's revenue (in the revenue's
+// currency), or an adjustment of a campaign's spend or revenue (in the
+// campaign's currency), and update the campaign's cached counters. amount
+// is in major units; adjustments may be negative. Idempotency keys are
+// scoped to the organization. Returns { entry, created } or { error }, with
+// conflict set when the key was already used for a different request.
+const recordManualEntry = async (request) => {
+  const { organizationId, kind, campaign, call, memo, userId, idempotencyKey } = request;
+  if (isRefund(kind) && !call) return { error: 'A refund or chargeback needs a call' };
+
+  const key = `manual:${organizationId}:${idempotencyKey || crypto.randomUUID()}`;
+  if (idempotencyKey) {
+    const existing = await LedgerEntry.findOne({ organizationId, idempotencyKey: key });
+    if (existing) return replayResult(existing, request);
+  }
+
+  const occurredAt = new Date();
+  const line = requestedLine(request);
+  const base = {
+    organizationId,
+    kind,
+    campaignId: campaign._id,
+    memo,
+    createdBy: userId,
+    occurredAt,
+    currency: line.currency,
+    idempotencyKey: key
+  };
+
+  let fields;
+  let cacheDelta;
+  if (isRefund(kind)) {
+    const { currency, amount: minor } = line;
+    if (!(minor > 0)) return { error: 'Amount must be positive' };
+    const refundable = await getNetCallRevenue(call);
+    if (minor > refundable) {
+      return { error: `Only ${money.fromMinor(refundable, currency)} ${currency} of this call's revenue is left to refund` };
+    }
+
+    // The campaign's revenue falls by the refund at today's rate
+    const inCampaign = await fx.createConverter().convert(minor, currency, campaign.currency, occurredAt);
+    if (inCampaign === null) return { error: `No exchange rate from ${currency} to ${campaign.currency} for today` };
+
+    fields = {
+      ...base,
+      callId: call._id,
+      lines: [
+        { account: 'campaign_revenue', refId: campaign._id, amount: minor, campaignAmount: inCampaign },
+        { account: 'buyer_receivable', refId: call.buyerId, amount: -minor }
+      ]
+    };
+    cacheDelta = { revenue: -money.fromMinor(inCampaign, campaign.currency) };
+  } else {
+    if (line.amount === 0) return { error: 'Amount cannot be zero' };
+
+    fields = {
+      ...base,
+      callId: call ? call._id : undefined,
+      lines: [
+        { account: line.account, refId: campaign._id, amount: line.amount, campaignAmount: line.amount },
+        { account: 'adjustments', amount: -line.amount }
+      ]
+    };
+    // Revenue lines are negative when revenue grows
+    const delta = money.fromMinor(line.amount, campaign.currency);
+    cacheDelta = line.account === 'campaign_revenue' ? { revenue: -delta } : { spent: delta, cost: delta };
+  }
+
+  const result = await post(fields);
+  if (!result.created) return replayResult(result.entry, request);
+
+  await applyToCampaignCache(campaign._id, cacheDelta);
+  if (cacheDelta.spent > 0) await budgetControl.enforceCaps(await Campaign.findById(campaign._id));
+  return result;
+};
+
+const differs = (cached, ledger, currency) => Math.abs(money.toMinor(cached, currency) - money.toMinor(ledger, currency)) > DRIFT_TOLERANCE_MINOR;
+
+// Compare cached campaign counters with the ledger. Returns the drifted
+// fields as { campaignId, organizationId, name, field, cached, ledger,
+// difference }. With repair, the difference is applied to the cache.
+const reconcile = async ({ organizationId, repair = false } = {}) => {
+  const filter = organizationId ? { organizationId } : {};
+  const drift = [];
+  let lastId = null;
+
+  for (;;) {
+    const campaigns = await Campaign.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .sort({ _id: 1 })
+      .limit(RECONCILE_BATCH_SIZE)
+      .select('name organizationId budget.spent performance.totalCost performance.totalRevenue');
+    if (campaigns.length === 0) break;
+    lastId = campaigns[campaigns.length - 1]._id;
+
+    const totals = await getCampaignTotals(campaigns.map((campaign) => campaign._id));
+    for (const campaign of campaigns) {
+      const ledger = totals.get(String(campaign._id));
+      const fields = [
+        ['budget.spent', campaign.budget.spent, ledger.spent, 'spent'],
+        ['performance.totalCost', campaign.performance.totalCost, ledger.cost, 'cost'],
+        ['performance.totalRevenue', campaign.performance.totalRevenue, ledger.revenue, 'revenue']
+      ].filter(([, cached, fromLedger]) => differs(cached, fromLedger, ledger.currency));
+      if (fields.length === 0) continue;
+
+      const correction = {};
+      fields.forEach(([field, cached, fromLedger, key]) => {
+        const difference = money.fromMinor(money.toMinor(fromLedger, ledger.currency) - money.toMinor(cached, ledger.currency), ledger.currency);
+        correction[key] = difference;
+        drift.push({
+          campaignId: campaign._id,
+          organizationId: campaign.organizationId,
+          name: campaign.name,
+          currency: ledger.currency,
+          field,
+          cached: cached || 0,
+          ledger: fromLedger,
+          difference
+        });
+      });
+
+      if (repair) await applyToCampaignCache(campaign._id, correction);
+    }
+  }
+
+  return drift;
+};
+
+module.exports = {
+  post,
+  buildCallEntries,
+  postCallEntries,
+  postPendingCalls,
+  getCampaignTotals,
+  getBalances,
+  getNetCallRevenue,
+  recordManualEntry,
+  reconcile
+};
@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+
+// In-process publish/subscribe of live updates (call status, campaign
+// status and budget, in-app notifications) per organization, streamed to
+// browsers by GET /api/events. Events carrying data.userId are for that
+// user only. The latest BUFFER_SIZE events of each organization are
+// kept so a reconnecting client can catch up from the last event it saw;
+// when that is no longer possible (too far behind, or the server restarted)
+// the client is told to resync instead. Events only reach clients connected
+// to the process that published them.
+const BUFFER_SIZE = 500;
+
+// Event ids are <boot>-<sequence>, the sequence counting per organization
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffers = new Map();
+const sequences = new Map();
+
+const publish = (organizationId, type, data) => {
+  if (!organizationId) return null;
+  const key = String(organizationId);
+
+  const sequence = (sequences.get(key) || 0) + 1;
+  sequences.set(key, sequence);
+  const event = { id: `${BOOT_ID}-${sequence}`, sequence, type, data, at: new Date() };
+
+  const buffer = buffers.get(key) || [];
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+  buffers.set(key, buffer);
+
+  emitter.emit(key, event);
+  return event;
+};
+
+// Listen to an organization's events. Returns the unsubscribe function.
+const subscribe = (organizationId, listener) => {
+  const key = String(organizationId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+// Events published after lastEventId, or null when some can no longer be
+// replayed
+const getEventsSince = (organizationId, lastEventId) => {
+  const key = String(organizationId);
+  const [boot, value] = String(lastEventId).split('-');
+  const after = Number(value);
+  const latest = sequences.get(key) || 0;
+  if (boot !== BOOT_ID || !Number.isInteger(after) || after > latest) return null;
+  if (after === latest) return [];
+
+  const buffer = buffers.get(key);
+  if (buffer[0].sequence > after + 1) return null;
+  return buffer.filter((event) => event.sequence > after);
+};
+
+// A call was created or changed status
+const publishCallStatus = (call) => publish(call.organizationId, 'call.status', {
+  id: call._id,
+  callId: call.callId,
+  campaignId: call.campaignId,
+  status: call.status,
+  direction: call.direction,
+  from: call.from && call.from.number,
+  to: call.to && call.to.number,
+  duration: call.timing && call.timing.duration,
+  billable: call.billable,
+  startedAt: call.timing && call.timing.initiatedAt
+});
+
+// A campaign changed status; autoPause is set when a budget cap paused it
+const publishCampaignStatus = (campaign, previousStatus) => {
+  const change = campaign.statusHistory[campaign.statusHistory.length - 1] || {};
+  return publish(campaign.organizationId, 'campaign.status', {
+    campaignId: campaign._id,
+    name: campaign.name,
+    status: campaign.status,
+    previousStatus,
+    action: change.action,
+    reason: change.reason,
+    autoPause: campaign.status === 'paused' && campaign.budget.autoPause && campaign.budget.autoPause.reason
+      ? campaign.budget.autoPause
+      : undefined
+  });
+};
+
+// A campaign's budget or spend changed
+const publishCampaignBudget = (campaign) => {
+  const { daily, total, spent, remaining, reserved } = campaign.budget;
+  return publish(campaign.organizationId, 'campaign.budget', {
+    campaignId: campaign._id,
+    name: campaign.name,
+    currency: campaign.currency,
+    budget: { daily, total, spent, remaining, reserved }
+  });
+};
+
+// Wrap an event in Server-Sent Events framing
+const formatEvent = ({ id, type, data, at }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at })}\n\n`;
+
+module.exports = {
+  publish,
+  publishCallStatus,
+  publishCampaignStatus,
+  publishCampaignBudget,
+  subscribe,
+  getEventsSince,
+  formatEvent
+};
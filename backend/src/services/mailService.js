@@ -0,0 +1,129 @@
+const nodemailer = require('nodemailer');
+
+// Messages delivered through the stub transport, newest last. Only the
+// latest OUTBOX_SIZE are kept so a long-running dev server does not grow.
+const OUTBOX_SIZE = 100;
+const outbox = [];
+let stubCount = 0;
+
+// Stub transport used in development and tests: keeps messages in memory
+// and logs them instead of talking to an SMTP server
+const createStubTransport = () => ({
+  name: 'stub',
+  sendMail: async (message) => {
+    const delivered = {
+      ...message,
+      messageId: `<stub-${Date.now()}-${stubCount++}@callflow.local>`,
+      sentAt: new Date()
+    };
+    outbox.push(delivered);
+    if (outbox.length > OUTBOX_SIZE) outbox.splice(0, outbox.length - OUTBOX_SIZE);
+    console.log(`📧 [mail:stub] To: ${message.to} | Subject: ${message.subject}`);
+    return delivered;
+  }
+});
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  } : undefined
+});
+
+const createDefaultTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'stub');
+  return kind === 'smtp' ? createSmtpTransport() : createStubTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (any object exposing sendMail(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'CallFlow Pro <no-reply@callflow.pro>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Every user-supplied value interpolated into an HTML body goes through this
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const buildLink = (path, token) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (user, token) => {
+  const link = buildLink('/verify-email', token);
+  return await sendMail({
+    to: user.email,
+    subject: 'Verify your CallFlow Pro account',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user, token) => {
+  const link = buildLink('/reset-password', token);
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your CallFlow Pro password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. The link below is valid for 1 hour:\n\n${link}\n\nIf you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>We received a request to reset your password. The link below is valid for 1 hour:</p><p><a href="${link}">Reset my password</a></p><p>If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+const sendOrganizationInvitation = async ({ email, organization, inviter, token }) => {
+  const link = buildLink('/invitations/accept', token);
+  return await sendMail({
+    to: email,
+    subject: `You've been invited to join ${organization.name} on CallFlow Pro`,
+    text: `${inviter.firstName} ${inviter.lastName} invited you to join ${organization.name} on CallFlow Pro. The invitation is valid for 7 days:\n\n${link}\n\nIf you don't have an account yet, register with this email address first.`,
+    html: `<p>${escapeHtml(inviter.firstName)} ${escapeHtml(inviter.lastName)} invited you to join <strong>${escapeHtml(organization.name)}</strong> on CallFlow Pro. The invitation is valid for 7 days:</p><p><a href="${link}">Accept invitation</a></p><p>If you don't have an account yet, register with this email address first.</p>`
+  });
+};
+
+const sendOptimizationAlert = async (user, campaign, firings) => {
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/campaigns/${campaign._id}`;
+  const lines = firings.map((firing) => firing.detail);
+  return await sendMail({
+    to: user.email,
+    subject: `Optimization alert for ${campaign.name}`,
+    text: `Hi ${user.firstName},\n\nAuto-optimization rules fired for ${campaign.name}:\n\n${lines.map((line) => `- ${line}`).join('\n')}\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Auto-optimization rules fired for <strong>${escapeHtml(campaign.name)}</strong>:</p><ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul><p><a href="${link}">Open the campaign</a></p>`
+  });
+};
+
+module.exports = {
+  outbox,
+  escapeHtml,
+  getTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrganizationInvitation,
+  sendOptimizationAlert
+};
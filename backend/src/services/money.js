@@ -0,0 +1,68 @@
+// Money as integer minor units of an ISO 4217 currency (cents for USD,
+// yen for JPY). Amounts are only floats at the edges: when parsed from
+// input and when rendered in responses. Amounts in different currencies
+// are never combined without conversion (see services/fx).
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const exponents = new Map();
+
+const isCurrencyCode = (code) => typeof code === 'string' && CURRENCY_PATTERN.test(code);
+
+// Digits after the decimal point of a currency: 2 for USD, 0 for JPY, 3 for BHD
+const getExponent = (currency) => {
+  if (!exponents.has(currency)) {
+    const format = new Intl.NumberFormat('en', { style: 'currency', currency });
+    exponents.set(currency, format.resolvedOptions().maximumFractionDigits);
+  }
+  return exponents.get(currency);
+};
+
+// Round half away from zero, so a refund rounds like the charge it reverses
+const roundMinor = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+// Major units (12.34) to minor units (1234). toFixed absorbs float noise
+// such as 1.005 * 100 = 100.49999999999999.
+const toMinor = (amount, currency) => {
+  const scaled = (Number(amount) || 0) * 10 ** getExponent(currency);
+  return roundMinor(Number(scaled.toFixed(6))) || 0;
+};
+
+const fromMinor = (minor, currency) => minor / 10 ** getExponent(currency);
+
+const assertSameCurrency = (a, b) => {
+  if (a.currency !== b.currency) {
+    throw new Error(`Cannot combine ${a.currency} and ${b.currency} amounts without conversion`);
+  }
+};
+
+// { amount, currency } values with amount in minor units
+const of = (amount, currency) => ({ amount: toMinor(amount, currency), currency });
+
+const add = (a, b) => {
+  assertSameCurrency(a, b);
+  return { amount: a.amount + b.amount, currency: a.currency };
+};
+
+const subtract = (a, b) => {
+  assertSameCurrency(a, b);
+  return { amount: a.amount - b.amount, currency: a.currency };
+};
+
+const sum = (values, currency) => values.reduce(add, { amount: 0, currency });
+
+const toMajor = (value) => fromMinor(value.amount, value.currency);
+
+module.exports = {
+  isCurrencyCode,
+  getExponent,
+  roundMinor,
+  toMinor,
+  fromMinor,
+  assertSameCurrency,
+  of,
+  add,
+  subtract,
+  sum,
+  toMajor
+};
@@ -0,0 +1,85 @@
+const { notify } = require('./index');
+
+// The alerts the platform raises, one function per notification event. They
+// never throw: a failed alert is logged and must not break the code path
+// that raised it.
+
+const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const send = (options) => notify(options).catch((error) => {
+  console.error(`Notification ${options.event} error:`, error);
+  return [];
+});
+
+// Spend crossed a share of the daily or total budget. period is 'daily'
+// (with the budget day) or 'total'.
+const budgetThreshold = (campaign, { period, percent, spent, budget, date }) => send({
+  event: 'budget_threshold',
+  organizationId: campaign.organizationId,
+  title: `${campaign.name} has used ${percent}% of its ${period} budget`,
+  body: `${formatMoney(spent)} of ${formatMoney(budget)} ${period === 'daily' ? `spent on ${date}` : 'spent so far'}.`,
+  link: `/campaigns/${campaign._id}`,
+  data: { campaignId: campaign._id, period, percent, spent, budget, date },
+  dedupeKey: `budget_threshold:${campaign._id}:${period === 'daily' ? date : 'total'}:${percent}`
+});
+
+// A budget cap paused the campaign
+const campaignAutoPaused = (campaign) => {
+  const { reason, pausedAt, resumeAt } = campaign.budget.autoPause;
+  return send({
+    event: 'campaign_auto_paused',
+    organizationId: campaign.organizationId,
+    title: `${campaign.name} was paused`,
+    body: `${reason === 'daily_cap' ? 'Daily' : 'Total'} budget reached.${resumeAt ? ` It resumes at ${resumeAt.toISOString()}.` : ''}`,
+    link: `/campaigns/${campaign._id}`,
+    data: { campaignId: campaign._id, reason, pausedAt, resumeAt },
+    dedupeKey: `campaign_auto_paused:${campaign._id}:${pausedAt.getTime()}`
+  });
+};
+
+// A campaign's recent answer rate fell below the alert threshold. window
+// identifies the alerting period so each one alerts once.
+const answerRateDropped = (campaign, { answerRate, threshold, calls, since, window }) => send({
+  event: 'answer_rate_dropped',
+  organizationId: campaign.organizationId,
+  title: `Answer rate dropped to ${answerRate}% on ${campaign.name}`,
+  body: `${calls} calls since ${since.toISOString()}, below the ${threshold}% alert threshold.`,
+  link: `/campaigns/${campaign._id}`,
+  data: { campaignId: campaign._id, answerRate, threshold, calls, since },
+  dedupeKey: `answer_rate_dropped:${campaign._id}:${window}`
+});
+
+// A qualified lead was flagged for follow-up
+const qualifiedLead = (call) => send({
+  event: 'qualified_lead',
+  organizationId: call.organizationId,
+  title: `Qualified lead from ${call.from.number} needs follow-up`,
+  body: [
+    call.leadData.qualificationScore !== undefined ? `Score ${call.leadData.qualificationScore}` : null,
+    call.leadData.followUpDate ? `follow up by ${call.leadData.followUpDate.toISOString()}` : null,
+    call.leadData.notes
+  ].filter(Boolean).join('; ') || undefined,
+  link: `/calls/${call._id}`,
+  data: { callId: call._id, campaignId: call.campaignId, followUpDate: call.leadData.followUpDate },
+  dedupeKey: `qualified_lead:${call._id}`
+});
+
+// A charge failed. Goes to the paying user; reference identifies the
+// charge (e.g. the invoice id) so retries of the same failure alert once.
+const paymentFailed = (user, { amount, currency = 'USD', reason, reference }) => send({
+  event: 'payment_failed',
+  userIds: [user._id],
+  title: 'Your payment failed',
+  body: `We could not charge ${amount !== undefined ? `${Number(amount).toFixed(2)} ${currency}` : 'your payment method'}${reason ? `: ${reason}` : ''}. Please update your billing details.`,
+  link: '/billing',
+  data: { amount, currency, reason, reference },
+  dedupeKey: reference ? `payment_failed:${reference}` : undefined
+});
+
+module.exports = {
+  budgetThreshold,
+  campaignAutoPaused,
+  answerRateDropped,
+  qualifiedLead,
+  paymentFailed
+};
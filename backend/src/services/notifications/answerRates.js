@@ -0,0 +1,62 @@
+const Call = require('../../models/Call');
+const Campaign = require('../../models/Campaign');
+const alerts = require('./alerts');
+
+// Answer rate watch: an active campaign whose finished calls over the last
+// ANSWER_RATE_ALERT_WINDOW_MINUTES were answered less often than
+// ANSWER_RATE_ALERT_PERCENT raises answer_rate_dropped, at most once per
+// window. Campaigns with fewer than ANSWER_RATE_ALERT_MIN_CALLS finished
+// calls in the window are not judged.
+const getSettings = () => ({
+  threshold: Number(process.env.ANSWER_RATE_ALERT_PERCENT) || 50,
+  minCalls: Number(process.env.ANSWER_RATE_ALERT_MIN_CALLS) || 20,
+  windowMs: (Number(process.env.ANSWER_RATE_ALERT_WINDOW_MINUTES) || 60) * 60 * 1000
+});
+
+// Check every active campaign. Returns the number of alerts raised.
+const checkAnswerRates = async (now = new Date()) => {
+  const { threshold, minCalls, windowMs } = getSettings();
+  const since = new Date(now.getTime() - windowMs);
+
+  const campaigns = await Campaign.find({ status: 'active' }).select('organizationId name');
+  if (campaigns.length === 0) return 0;
+
+  const rates = await Call.aggregate([
+    {
+      $match: {
+        campaignId: { $in: campaigns.map((campaign) => campaign._id) },
+        status: { $in: Call.FINISHED_STATUSES },
+        'timing.initiatedAt': { $gte: since, $lte: now }
+      }
+    },
+    {
+      $group: {
+        _id: '$campaignId',
+        calls: { $sum: 1 },
+        answered: { $sum: { $cond: [{ $ifNull: ['$timing.answeredAt', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  let raised = 0;
+  for (const rate of rates) {
+    if (rate.calls < minCalls) continue;
+    const answerRate = Math.round((rate.answered / rate.calls) * 1000) / 10;
+    if (answerRate >= threshold) continue;
+
+    const campaign = campaigns.find((item) => item._id.equals(rate._id));
+    const created = await alerts.answerRateDropped(campaign, {
+      answerRate,
+      threshold,
+      calls: rate.calls,
+      since,
+      window: Math.floor(now.getTime() / windowMs)
+    });
+    if (created.length > 0) raised += 1;
+  }
+  return raised;
+};
+
+module.exports = {
+  checkAnswerRates
+};
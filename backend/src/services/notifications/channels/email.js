@@ -0,0 +1,43 @@
+const mailService = require('../../mailService');
+
+const { escapeHtml } = mailService;
+
+// Email goes through mailService, whose stub transport is used unless
+// MAIL_TRANSPORT=smtp (or in production)
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+const send = async (user, notification) => {
+  const link = notification.link ? frontendUrl(notification.link) : null;
+  await mailService.sendMail({
+    to: user.email,
+    subject: notification.title,
+    text: `Hi ${user.firstName},\n\n${notification.body || notification.title}${link ? `\n\n${link}` : ''}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>${escapeHtml(notification.body || notification.title)}</p>${link ? `<p><a href="${escapeHtml(link)}">Open in CallFlow Pro</a></p>` : ''}`
+  });
+};
+
+// One email listing several notifications, oldest first
+const sendDigest = async (user, notifications) => {
+  const items = notifications.map((notification) => ({
+    title: notification.title,
+    body: notification.body,
+    link: notification.link ? frontendUrl(notification.link) : null
+  }));
+  await mailService.sendMail({
+    to: user.email,
+    subject: `CallFlow Pro digest: ${items.length} notification${items.length === 1 ? '' : 's'}`,
+    text: `Hi ${user.firstName},\n\nHere is what happened since your last digest:\n\n${items
+      .map((item) => `- ${item.title}${item.body ? `: ${item.body}` : ''}${item.link ? ` (${item.link})` : ''}`)
+      .join('\n')}`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Here is what happened since your last digest:</p><ul>${items
+      .map((item) => `<li><strong>${item.link ? `<a href="${escapeHtml(item.link)}">${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}</strong>${item.body ? `<br>${escapeHtml(item.body)}` : ''}</li>`)
+      .join('')}</ul>`
+  });
+};
+
+module.exports = {
+  name: 'email',
+  send,
+  sendDigest
+};
@@ -0,0 +1,19 @@
+const liveEvents = require('../../liveEvents');
+
+// The inbox entry is the notification document itself; delivering it only
+// tells the user's open browsers about it over the live event stream
+const send = async (user, notification) => {
+  liveEvents.publish(notification.organizationId, 'notification', {
+    userId: user._id,
+    id: notification._id,
+    event: notification.event,
+    title: notification.title,
+    body: notification.body,
+    link: notification.link
+  });
+};
+
+module.exports = {
+  name: 'in_app',
+  send
+};
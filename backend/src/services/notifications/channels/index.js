@@ -0,0 +1,26 @@
+const email = require('./email');
+const sms = require('./sms');
+const push = require('./push');
+const inApp = require('./inApp');
+
+// Delivery channels by Notification channel name. A channel exposes
+// send(user, notification), resolving with { skipped: reason } when the user
+// cannot be reached on it and throwing when delivery failed.
+const channels = {
+  email,
+  sms,
+  push,
+  in_app: inApp
+};
+
+const getChannel = (name) => channels[name] || null;
+
+// Replace a channel, e.g. with a different provider
+const setChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+module.exports = {
+  getChannel,
+  setChannel
+};
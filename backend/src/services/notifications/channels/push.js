@@ -0,0 +1,104 @@
+const webpush = require('web-push');
+const User = require('../../../models/User');
+
+// Messages delivered through the stub transport, newest last. Only the
+// latest OUTBOX_SIZE are kept so a long-running dev server does not grow.
+const OUTBOX_SIZE = 100;
+const outbox = [];
+
+// Stub transport used in development and tests: keeps messages in memory
+// and logs them instead of calling browser push services
+const createStubTransport = () => ({
+  name: 'stub',
+  sendPush: async (subscription, payload) => {
+    outbox.push({ endpoint: subscription.endpoint, payload, sentAt: new Date() });
+    if (outbox.length > OUTBOX_SIZE) outbox.splice(0, outbox.length - OUTBOX_SIZE);
+    console.log(`🔔 [push:stub] To: ${subscription.endpoint} | ${payload.title}`);
+  }
+});
+
+// Web Push with VAPID keys (generate a pair with `npx web-push generate-vapid-keys`)
+const createWebPushTransport = () => {
+  const vapidDetails = {
+    subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@callflow.pro',
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY
+  };
+  return {
+    name: 'webpush',
+    sendPush: (subscription, payload) => webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify(payload),
+      { vapidDetails, TTL: 24 * 60 * 60 }
+    )
+  };
+};
+
+const createDefaultTransport = () => {
+  const kind = process.env.PUSH_TRANSPORT || (process.env.VAPID_PRIVATE_KEY ? 'webpush' : 'stub');
+  return kind === 'webpush' ? createWebPushTransport() : createStubTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (any object exposing sendPush(subscription, payload))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Public VAPID key browsers subscribe with; null while push is stubbed
+const getPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+// Send to every browser the user subscribed. Subscriptions the push service
+// reports as gone are removed; fails only if no browser was reached.
+const send = async (user, notification) => {
+  const subscriptions = user.pushSubscriptions || [];
+  if (subscriptions.length === 0) return { skipped: 'No browser subscribed to push notifications' };
+
+  const payload = {
+    title: notification.title,
+    body: notification.body,
+    link: notification.link,
+    notificationId: notification._id
+  };
+  const expired = [];
+  let lastError = null;
+  let reached = 0;
+
+  for (const subscription of subscriptions) {
+    try {
+      await getTransport().sendPush(subscription, payload);
+      reached += 1;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        expired.push(subscription.endpoint);
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (expired.length > 0) {
+    await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } });
+  }
+  if (reached === 0) {
+    if (lastError) throw lastError;
+    return { skipped: 'Every push subscription has expired' };
+  }
+};
+
+module.exports = {
+  name: 'push',
+  outbox,
+  getTransport,
+  setTransport,
+  getPublicKey,
+  send
+};
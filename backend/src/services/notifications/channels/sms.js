@@ -0,0 +1,67 @@
+const twilio = require('twilio');
+
+// Messages delivered through the stub transport, newest last. Only the
+// latest OUTBOX_SIZE are kept so a long-running dev server does not grow.
+const OUTBOX_SIZE = 100;
+const outbox = [];
+let stubCount = 0;
+
+// Stub transport used in development and tests: keeps messages in memory
+// and logs them instead of talking to an SMS gateway
+const createStubTransport = () => ({
+  name: 'stub',
+  sendSms: async (message) => {
+    const delivered = { ...message, sid: `stub-${Date.now()}-${stubCount++}`, sentAt: new Date() };
+    outbox.push(delivered);
+    if (outbox.length > OUTBOX_SIZE) outbox.splice(0, outbox.length - OUTBOX_SIZE);
+    console.log(`📱 [sms:stub] To: ${message.to} | ${message.body}`);
+    return delivered;
+  }
+});
+
+const createTwilioTransport = () => {
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  return {
+    name: 'twilio',
+    sendSms: ({ to, body }) => client.messages.create({
+      to,
+      body,
+      from: process.env.SMS_FROM || process.env.TWILIO_PHONE_NUMBER
+    })
+  };
+};
+
+const createDefaultTransport = () => {
+  const kind = process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'twilio' : 'stub');
+  return kind === 'twilio' ? createTwilioTransport() : createStubTransport();
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+// Swap the transport at runtime (any object exposing sendSms(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const send = async (user, notification) => {
+  if (!user.phone) return { skipped: 'No phone number on the account' };
+  await getTransport().sendSms({
+    to: user.phone,
+    body: `CallFlow Pro: ${notification.title}${notification.body ? ` - ${notification.body}` : ''}`
+  });
+};
+
+module.exports = {
+  name: 'sms',
+  outbox,
+  getTransport,
+  setTransport,
+  send
+};
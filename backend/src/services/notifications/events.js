@@ -0,0 +1,34 @@
+// Events users can be alerted about, with the channels each one is sent on
+// until the user changes their subscriptions. Urgent events skip the
+// digest and go out as soon as quiet hours allow.
+const NOTIFICATION_EVENTS = {
+  budget_threshold: {
+    label: 'Budget threshold reached',
+    defaults: { email: true, sms: false, push: false, inApp: true }
+  },
+  campaign_auto_paused: {
+    label: 'Campaign auto-paused',
+    defaults: { email: true, sms: false, push: true, inApp: true },
+    urgent: true
+  },
+  answer_rate_dropped: {
+    label: 'Answer rate dropped',
+    defaults: { email: true, sms: false, push: false, inApp: true }
+  },
+  qualified_lead: {
+    label: 'Qualified lead needs follow-up',
+    defaults: { email: false, sms: false, push: true, inApp: true }
+  },
+  payment_failed: {
+    label: 'Payment failed',
+    defaults: { email: true, sms: true, push: true, inApp: true },
+    urgent: true
+  }
+};
+
+const EVENT_NAMES = Object.keys(NOTIFICATION_EVENTS);
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  EVENT_NAMES
+};
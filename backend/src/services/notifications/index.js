@@ -0,0 +1,233 @@
+const Notification = require('../../models/Notification');
+const Organization = require('../../models/Organization');
+const User = require('../../models/User');
+const { getLocalTime, zonedTimeToUtc, addDays } = require('../campaignSchedule');
+const { NOTIFICATION_EVENTS } = require('./events');
+const { getChannel } = require('./channels');
+
+// Alerting: notify() stores one Notification per recipient with a pending
+// delivery on each channel the recipient subscribed to, scheduled around
+// their quiet hours and email digest. processDeliveries() then sends what is
+// due; it runs right after notify() and every minute from the job runner.
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000; // times the attempt number
+const BATCH_SIZE = 200;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Subscription flag of each channel under preferences.notifications.events
+const SUBSCRIPTION_KEYS = { email: 'email', sms: 'sms', push: 'push', in_app: 'inApp' };
+
+const timeZoneOf = (user) => (getLocalTime(new Date(), user.preferences.timezone) ? user.preferences.timezone : 'UTC');
+
+// When the quiet hours a moment falls in end, or null outside quiet hours.
+// A window whose end is at or before its start runs past midnight.
+const getQuietHoursEnd = (user, at) => {
+  const { enabled, start, end } = user.preferences.notifications.quietHours || {};
+  if (!enabled || !start || !end || start === end) return null;
+
+  const timeZone = timeZoneOf(user);
+  const local = getLocalTime(at, timeZone);
+  const inside = end <= start
+    ? local.time >= start || local.time < end
+    : local.time >= start && local.time < end;
+  if (!inside) return null;
+
+  return zonedTimeToUtc(local.time < end ? local.date : addDays(local.date, 1), end, timeZone);
+};
+
+// When the user's next email digest goes out
+const getNextDigestAt = (user, at) => {
+  const { frequency, hour } = user.preferences.notifications.digest;
+  if (frequency === 'hourly') return new Date(Math.floor(at.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS);
+
+  const timeZone = timeZoneOf(user);
+  const local = getLocalTime(at, timeZone);
+  const time = `${String(hour).padStart(2, '0')}:00`;
+  return zonedTimeToUtc(local.time < time ? local.date : addDays(local.date, 1), time, timeZone);
+};
+
+// Channels the user gets an event on: subscribed, and switched on overall
+const getChannels = (user, event) => {
+  const preferences = user.preferences.notifications;
+  const subscription = (preferences.events && preferences.events[event]) || NOTIFICATION_EVENTS[event].defaults;
+  return Notification.CHANNELS.filter((channel) => (
+    subscription[SUBSCRIPTION_KEYS[channel]] && (channel === 'in_app' || preferences[channel])
+  ));
+};
+
+// The in-app inbox fills at once. Other channels wait out quiet hours, and
+// non-urgent emails wait for the next digest when the user has one.
+const scheduleDelivery = (user, channel, event, at) => {
+  if (channel === 'in_app') return { channel, deliverAfter: at };
+
+  const digest = channel === 'email'
+    && user.preferences.notifications.digest.frequency !== 'off'
+    && !NOTIFICATION_EVENTS[event].urgent;
+  const due = digest ? getNextDigestAt(user, at) : at;
+  return { channel, digest, deliverAfter: getQuietHoursEnd(user, due) || due };
+};
+
+// Record a send attempt's outcome on deliveries; failures are retried with
+// a growing delay until MAX_ATTEMPTS
+const applyOutcome = (deliveries, outcome, now) => {
+  deliveries.forEach((delivery) => {
+    delivery.attempts += 1;
+    if (outcome.error) {
+      delivery.error = outcome.error.message;
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+      } else {
+        delivery.deliverAfter = new Date(now.getTime() + RETRY_DELAY_MS * delivery.attempts);
+      }
+    } else if (outcome.skipped) {
+      delivery.status = 'skipped';
+      delivery.error = outcome.skipped;
+    } else {
+      delivery.status = 'sent';
+      delivery.sentAt = now;
+      delivery.error = undefined;
+    }
+  });
+};
+
+const attempt = async (send) => {
+  try {
+    return (await send()) || {};
+  } catch (error) {
+    return { error };
+  }
+};
+
+// Send one user's due deliveries; digest emails go out together
+const deliverToUser = async (user, notifications, now) => {
+  const digest = [];
+  let sent = 0;
+
+  for (const notification of notifications) {
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'pending' || delivery.deliverAfter > now) continue;
+
+      const channel = getChannel(delivery.channel);
+      let outcome;
+      if (!user) {
+        outcome = { skipped: 'User not found' };
+      } else if (delivery.channel !== 'in_app' && !user.preferences.notifications[delivery.channel]) {
+        outcome = { skipped: 'Channel turned off' };
+      } else if (!channel) {
+        outcome = { error: new Error(`Unknown channel ${delivery.channel}`) };
+      } else if (delivery.digest) {
+        digest.push({ notification, delivery });
+        continue;
+      } else {
+        outcome = await attempt(() => channel.send(user, notification));
+      }
+
+      applyOutcome([delivery], outcome, now);
+      if (delivery.status === 'sent') sent += 1;
+    }
+  }
+
+  if (digest.length > 0) {
+    const included = [...new Set(digest.map((item) => item.notification))];
+    const outcome = await attempt(() => getChannel('email').sendDigest(user, included));
+    applyOutcome(digest.map((item) => item.delivery), outcome, now);
+    if (!outcome.error && !outcome.skipped) sent += digest.length;
+  }
+
+  await Promise.all(notifications.map((notification) => notification.save()));
+  return sent;
+};
+
+// Send every delivery that is due. Returns the number sent.
+const deliverDue = async (now = new Date()) => {
+  const due = { deliveries: { $elemMatch: { status: 'pending', deliverAfter: { $lte: now } } } };
+  let sent = 0;
+  let batch;
+
+  do {
+    batch = await Notification.find(due).sort({ createdAt: 1 }).limit(BATCH_SIZE);
+    const userIds = [...new Set(batch.map((notification) => String(notification.userId)))];
+    const users = await User.find({ _id: { $in: userIds } }).select('+pushSubscriptions');
+
+    for (const userId of userIds) {
+      const user = users.find((item) => String(item._id) === userId) || null;
+      sent += await deliverToUser(user, batch.filter((notification) => String(notification.userId) === userId), now);
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return sent;
+};
+
+let running = null;
+let rerun = false;
+
+// deliverDue, one pass at a time: a call made while a pass is going gets
+// another pass right after it
+const processDeliveries = () => {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    let sent = 0;
+    do {
+      rerun = false;
+      sent += await deliverDue();
+    } while (rerun);
+    return sent;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+};
+
+// Alert users about an event on every channel they subscribed to. Goes to
+// userIds, or else every member of the organization. Users already notified
+// under the same dedupeKey are skipped. Returns the notifications created.
+const notify = async ({ event, organizationId, userIds, title, body, link, data, dedupeKey }, at = new Date()) => {
+  let recipients = userIds;
+  if (!recipients) {
+    const organization = await Organization.findById(organizationId).select('members');
+    recipients = organization ? organization.members.map((member) => member.userId) : [];
+  }
+
+  const users = await User.find({ _id: { $in: recipients }, isActive: true }).select('preferences');
+  const created = [];
+  for (const user of users) {
+    const channels = getChannels(user, event);
+    if (channels.length === 0) continue;
+
+    try {
+      created.push(await Notification.create({
+        userId: user._id,
+        organizationId,
+        event,
+        title,
+        body,
+        link,
+        data,
+        dedupeKey,
+        deliveries: channels.map((channel) => scheduleDelivery(user, channel, event, at))
+      }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (created.length > 0) {
+    processDeliveries().catch((error) => console.error('Notification delivery error:', error));
+  }
+  return created;
+};
+
+module.exports = {
+  getQuietHoursEnd,
+  getNextDigestAt,
+  getChannels,
+  scheduleDelivery,
+  notify,
+  deliverDue,
+  processDeliveries
+};
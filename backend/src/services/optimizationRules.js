@@ -0,0 +1,248 @@
+const { normalizePhoneNumber } = require('../utils/phone');
+const money = require('./money');
+
+// Auto-optimization rule DSL. A rule compares one metric, computed over a
+// campaign's last N finished calls, against a threshold:
+//
+//   { metric: 'roi', operator: 'lt', threshold: 20, window: { calls: 50, minCalls: 20 },
+//     action: { type: 'pause_campaign' }, cooldownMinutes: 60 }
+//
+// reads "pause the campaign when ROI over the last 50 calls drops below 20%,
+// once at least 20 calls are available". deactivate_phone_number rules are
+// evaluated per tracking number and switch off the numbers that breach.
+// Costs are what the campaign pays for a call: publisher payout plus
+// telephony cost. As in campaign performance, conversions are billable calls
+// and per-call figures are per billable call. Money metrics and thresholds
+// are in the base currency (FX_BASE_CURRENCY) the calls were converted to.
+const METRICS = {
+  roi: 'ROI (%)',
+  conversionRate: 'Conversion rate (%)',
+  costPerCall: 'Cost per billable call',
+  revenuePerCall: 'Revenue per billable call',
+  marginPerCall: 'Margin per billable call',
+  answerRate: 'Answer rate (%)',
+  averageDuration: 'Average answered duration (s)'
+};
+
+const OPERATORS = {
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold,
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold
+};
+
+const OPERATOR_SYMBOLS = { lt: '<', lte: '<=', gt: '>', gte: '>=' };
+
+const ACTIONS = ['pause_campaign', 'lower_bid', 'deactivate_phone_number', 'send_alert'];
+
+const MAX_WINDOW_CALLS = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Calls priced before currency conversion existed only have their own amounts
+const baseAmount = (call, field, amount) => (call.fx && call.fx.rateDate
+  ? money.fromMinor(call.fx[field], call.fx.currency)
+  : amount || 0);
+
+const callPayout = (call) => baseAmount(call, 'payout', call.payout && call.payout.amount);
+const callCost = (call) => callPayout(call) + baseAmount(call, 'cost', call.cost && call.cost.total);
+const callRevenue = (call) => baseAmount(call, 'revenue', call.revenue && call.revenue.amount);
+
+// Metrics over a list of finished calls. A metric is null when it is
+// undefined for the sample (no cost for ROI, no billable call for per-call
+// figures, no answered call for duration).
+const computeMetrics = (calls) => {
+  const count = calls.length;
+  const answered = calls.filter((call) => call.timing && call.timing.answeredAt);
+  const billable = calls.filter((call) => call.billable).length;
+  const cost = calls.reduce((sum, call) => sum + callCost(call), 0);
+  const revenue = calls.reduce((sum, call) => sum + callRevenue(call), 0);
+  const duration = answered.reduce((sum, call) => sum + (call.timing.duration || 0), 0);
+
+  if (count === 0) {
+    return Object.keys(METRICS).reduce((metrics, metric) => ({ ...metrics, [metric]: null }), { calls: 0 });
+  }
+
+  return {
+    calls: count,
+    roi: cost > 0 ? round(((revenue - cost) / cost) * 100) : null,
+    conversionRate: round((billable / count) * 100),
+    costPerCall: billable > 0 ? round(cost / billable) : null,
+    revenuePerCall: billable > 0 ? round(revenue / billable) : null,
+    marginPerCall: billable > 0 ? round((revenue - cost) / billable) : null,
+    answerRate: round((answered.length / count) * 100),
+    averageDuration: answered.length > 0 ? round(duration / answered.length) : null
+  };
+};
+
+const windowSize = (rule) => Math.min((rule.window && rule.window.calls) || 50, MAX_WINDOW_CALLS);
+const minimumCalls = (rule) => Math.min((rule.window && rule.window.minCalls) || 10, windowSize(rule));
+
+// Evaluate a rule over calls ordered newest first. Returns
+// { breached, value, sampleSize }; never breached below the minimum sample.
+const evaluateRule = (rule, calls) => {
+  const sample = calls.slice(0, windowSize(rule));
+  if (sample.length < minimumCalls(rule)) {
+    return { breached: false, value: null, sampleSize: sample.length };
+  }
+
+  const value = computeMetrics(sample)[rule.metric];
+  const breached = value !== null && value !== undefined && OPERATORS[rule.operator](value, rule.threshold);
+  return { breached, value, sampleSize: sample.length };
+};
+
+const isPerNumber = (rule) => rule.action && rule.action.type === 'deactivate_phone_number';
+
+const trackingNumberOf = (call) => normalizePhoneNumber(call.to && call.to.number);
+
+// Group calls (newest first) by the tracking number they were placed to
+const groupByTrackingNumber = (calls) => {
+  return calls.reduce((groups, call) => {
+    const number = trackingNumberOf(call);
+    if (!groups.has(number)) groups.set(number, []);
+    groups.get(number).push(call);
+    return groups;
+  }, new Map());
+};
+
+const describeRule = (rule) => {
+  const label = rule.name ? `"${rule.name}"` : `${rule.metric} ${OPERATOR_SYMBOLS[rule.operator]} ${rule.threshold}`;
+  return `Rule ${label}`;
+};
+
+const describeFiring = (rule, result, phoneNumber) => {
+  const scope = phoneNumber ? ` on ${phoneNumber}` : '';
+  return `${describeRule(rule)}: ${rule.metric} ${result.value} ${OPERATOR_SYMBOLS[rule.operator]} ${rule.threshold} over the last ${result.sampleSize} calls${scope}`;
+};
+
+const cooldownMs = (rule) => (rule.cooldownMinutes === undefined ? 60 : rule.cooldownMinutes) * 60 * 1000;
+
+// Reasons a rule definition is unusable; empty when valid
+const validateRule = (rule) => {
+  const reasons = [];
+  if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+  if (!METRICS[rule.metric]) reasons.push(`Metric must be one of ${Object.keys(METRICS).join(', ')}`);
+  if (!OPERATORS[rule.operator]) reasons.push('Operator must be lt, lte, gt or gte');
+  if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) reasons.push('Threshold must be a number');
+
+  const action = rule.action || {};
+  if (!ACTIONS.includes(action.type)) {
+    reasons.push(`Action must be one of ${ACTIONS.join(', ')}`);
+  } else if (action.type === 'lower_bid' && !(action.percent > 0 && action.percent < 100)) {
+    reasons.push('lower_bid needs a percent between 0 and 100');
+  }
+
+  return reasons;
+};
+
+// Replay rules over historical calls (ordered oldest first) as if they had
+// been evaluated after every call, and report what they would have done.
+// Calls after a pause, or to a number after it was deactivated, count as
+// blocked; later payouts are scaled by any bid reductions (ignoring floors,
+// so payoutSaved is an upper estimate).
+const replayRules = (rules, calls) => {
+  const activeRules = rules.filter((rule) => rule.isActive !== false);
+  const history = [];
+  const byNumber = new Map();
+  const lastFired = new Map();
+  const deactivated = new Set();
+  const firings = [];
+  const impact = { pausedAt: null, callsBlocked: 0, revenueBlocked: 0, marginBlocked: 0, payoutSaved: 0 };
+  const payoutFactors = new Map(); // publisher id (or '*' for all) -> remaining share of payout
+
+  const payoutFactor = (call) => {
+    const all = payoutFactors.has('*') ? payoutFactors.get('*') : 1;
+    const publisher = call.publisherId && payoutFactors.get(String(call.publisherId));
+    return all * (publisher === undefined ? 1 : publisher);
+  };
+
+  const fire = (rule, result, at, phoneNumber) => {
+    const key = `${rule._id || rules.indexOf(rule)}|${phoneNumber || ''}`;
+    if (lastFired.has(key) && at - lastFired.get(key) < cooldownMs(rule)) return false;
+    lastFired.set(key, at);
+
+    firings.push({
+      firedAt: at,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      value: result.value,
+      sampleSize: result.sampleSize,
+      phoneNumber,
+      action: rule.action.type,
+      detail: describeFiring(rule, result, phoneNumber)
+    });
+    return true;
+  };
+
+  calls.forEach((call) => {
+    const at = new Date(call.timing.initiatedAt);
+    const number = trackingNumberOf(call);
+
+    if (impact.pausedAt || deactivated.has(number)) {
+      impact.callsBlocked += 1;
+      impact.revenueBlocked += callRevenue(call);
+      impact.marginBlocked += callRevenue(call) - callCost(call);
+      return;
+    }
+    impact.payoutSaved += callPayout(call) * (1 - payoutFactor(call));
+
+    history.unshift(call);
+    if (!byNumber.has(number)) byNumber.set(number, []);
+    byNumber.get(number).unshift(call);
+
+    activeRules.forEach((rule) => {
+      if (impact.pausedAt) return;
+
+      if (isPerNumber(rule)) {
+        if (deactivated.has(number)) return;
+        const result = evaluateRule(rule, byNumber.get(number));
+        if (result.breached && fire(rule, result, at, number)) deactivated.add(number);
+        return;
+      }
+
+      const result = evaluateRule(rule, history);
+      if (!result.breached || !fire(rule, result, at)) return;
+
+      if (rule.action.type === 'pause_campaign') impact.pausedAt = at;
+      if (rule.action.type === 'lower_bid') {
+        const key = rule.action.publisherId ? String(rule.action.publisherId) : '*';
+        const current = payoutFactors.has(key) ? payoutFactors.get(key) : 1;
+        payoutFactors.set(key, current * (1 - rule.action.percent / 100));
+      }
+    });
+  });
+
+  return {
+    calls: calls.length,
+    firings,
+    impact: {
+      pausedAt: impact.pausedAt,
+      deactivatedNumbers: [...deactivated],
+      callsBlocked: impact.callsBlocked,
+      revenueBlocked: round(impact.revenueBlocked),
+      marginBlocked: round(impact.marginBlocked),
+      payoutSaved: round(impact.payoutSaved)
+    }
+  };
+};
+
+module.exports = {
+  METRICS,
+  OPERATORS,
+  OPERATOR_SYMBOLS,
+  ACTIONS,
+  MAX_WINDOW_CALLS,
+  computeMetrics,
+  evaluateRule,
+  isPerNumber,
+  trackingNumberOf,
+  groupByTrackingNumber,
+  describeFiring,
+  cooldownMs,
+  validateRule,
+  replayRules
+};
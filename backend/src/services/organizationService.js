@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+
+// Every user gets a personal workspace so data always has an owning organization
+const createPersonalOrganization = async (user) => {
+  const organization = await Organization.create({
+    name: user.company || `${user.firstName}'s Workspace`,
+    ownerId: user._id,
+    accountType: user.accountType,
+    members: [{ userId: user._id, role: 'admin' }]
+  });
+
+  user.defaultOrganizationId = organization._id;
+  await User.updateOne({ _id: user._id }, { $set: { defaultOrganizationId: organization._id } });
+
+  return organization;
+};
+
+// Resolve the organization a request acts on: the requested one if the user
+// belongs to it, otherwise the user's default (created on first use)
+const resolveActiveOrganization = async (user, requestedId) => {
+  if (requestedId) {
+    if (!mongoose.Types.ObjectId.isValid(requestedId)) return null;
+
+    const organization = await Organization.findOne({ _id: requestedId, isActive: true });
+    const membership = organization && organization.getMember(user._id);
+    return membership ? { organization, membership } : null;
+  }
+
+  let organization = user.defaultOrganizationId
+    ? await Organization.findOne({ _id: user.defaultOrganizationId, isActive: true })
+    : null;
+
+  if (!organization || !organization.getMember(user._id)) {
+    organization = await Organization.findOne({ 'members.userId': user._id, isActive: true }).sort({ createdAt: 1 });
+  }
+
+  if (!organization) {
+    organization = await createPersonalOrganization(user);
+  }
+
+  return { organization, membership: organization.getMember(user._id) };
+};
+
+module.exports = {
+  createPersonalOrganization,
+  resolveActiveOrganization
+};
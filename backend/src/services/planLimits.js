@@ -0,0 +1,59 @@
+// What each plan allows, from lowest to highest plan. null means unlimited.
+// Quotas cap how many of a resource an organization may have at once (or,
+// for calls, receive in a billing period); caps bound a single setting.
+const PLAN_LIMITS = {
+  basic: {
+    activeCampaigns: 3,
+    trackingNumbers: 5,
+    callsPerMonth: 1000,
+    recordingRetentionDays: 30,
+    seats: 3
+  },
+  premium: {
+    activeCampaigns: 25,
+    trackingNumbers: 50,
+    callsPerMonth: 25000,
+    recordingRetentionDays: 90,
+    seats: 15
+  },
+  enterprise: {
+    activeCampaigns: null,
+    trackingNumbers: null,
+    callsPerMonth: null,
+    recordingRetentionDays: 365,
+    seats: null
+  }
+};
+
+const PLAN_NAMES = Object.keys(PLAN_LIMITS);
+
+const RESOURCES = {
+  activeCampaigns: { label: 'Live campaigns', kind: 'quota', unit: 'live campaigns' },
+  trackingNumbers: { label: 'Tracking numbers', kind: 'quota', unit: 'tracking numbers' },
+  callsPerMonth: { label: 'Calls this billing period', kind: 'quota', unit: 'calls per billing period' },
+  recordingRetentionDays: { label: 'Recording retention', kind: 'cap', unit: 'days of recording retention' },
+  seats: { label: 'Seats', kind: 'quota', unit: 'seats' } // members and pending invitations
+};
+
+const getLimits = (plan) => PLAN_LIMITS[plan] || PLAN_LIMITS.basic;
+
+const getLimit = (plan, resource) => getLimits(plan)[resource];
+
+const isWithin = (limit, amount) => limit === null || amount <= limit;
+
+// The cheapest plan above `plan` that would allow `amount` of the resource,
+// or null when none does
+const findUpgrade = (plan, resource, amount) => {
+  const higher = PLAN_NAMES.slice(PLAN_NAMES.indexOf(plan) + 1);
+  const upgrade = higher.find((candidate) => isWithin(PLAN_LIMITS[candidate][resource], amount));
+  return upgrade ? { plan: upgrade, limit: PLAN_LIMITS[upgrade][resource] } : null;
+};
+
+module.exports = {
+  PLAN_LIMITS,
+  RESOURCES,
+  getLimits,
+  getLimit,
+  isWithin,
+  findUpgrade
+};
@@ -0,0 +1,25 @@
+const local = require('./local');
+const s3 = require('./s3');
+
+// Recording storage backends by name. A backend exposes put(key, body,
+// { contentType }), remove(key) and getPlaybackUrl(key, { expiresIn,
+// baseUrl }) resolving with a URL that stops working after expiresIn
+// seconds. New recordings go to RECORDING_STORAGE (local by default); a
+// stored recording remembers its backend, so switching keeps older ones
+// playable and purgeable.
+const storages = { local, s3 };
+
+const getDefaultName = () => process.env.RECORDING_STORAGE || 'local';
+
+const getStorage = (name = getDefaultName()) => storages[name] || null;
+
+// Replace a backend, e.g. with an in-memory one
+const setStorage = (name, storage) => {
+  storages[name] = storage;
+};
+
+module.exports = {
+  getDefaultName,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Recordings as files under RECORDING_DIR, played back through
+// GET /api/recordings/... with an HMAC-signed, expiring query string since
+// an <audio> element cannot send our Authorization header.
+const RECORDING_DIR = process.env.RECORDING_DIR || path.join(os.tmpdir(), 'callflow-recordings');
+
+// <organization id>/<call id>.<extension>; nothing else is ever read or written
+const KEY_PATTERN = /^[a-f\d]{24}\/[a-f\d]{24}\.[a-z\d]{2,4}$/;
+
+const getSecret = () => process.env.RECORDING_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) => crypto.createHmac('sha256', getSecret()).update(`${key}:${expires}`).digest('hex');
+
+const getFilePath = (key) => {
+  if (!KEY_PATTERN.test(key)) throw new Error(`Invalid recording key ${key}`);
+  return path.join(RECORDING_DIR, key);
+};
+
+// Written to a temporary file first so a crash never leaves half a recording
+const put = async (key, body) => {
+  const filePath = getFilePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const partialPath = `${filePath}.${process.pid}.partial`;
+  await fs.writeFile(partialPath, body);
+  await fs.rename(partialPath, filePath);
+};
+
+const remove = async (key) => {
+  await fs.rm(getFilePath(key), { force: true });
+};
+
+const getPlaybackUrl = async (key, { expiresIn, baseUrl }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${baseUrl}/api/recordings/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+// Check a playback link's signature and expiry
+const verifyPlayback = (key, expires, signature) => {
+  if (!KEY_PATTERN.test(key) || !getSecret() || !signature) return false;
+  if (!(Number(expires) > Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(sign(key, Number(expires)));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  remove,
+  getPlaybackUrl,
+  verifyPlayback,
+  getFilePath
+};
@@ -0,0 +1,56 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Recordings as objects in RECORDING_S3_BUCKET, played back through
+// presigned GET URLs. RECORDING_S3_ENDPOINT points the client at any
+// S3-compatible service (MinIO, Ceph, R2) and switches to path-style
+// addressing; without it the client talks to AWS. Credentials fall back to
+// the AWS default chain (environment, profile, instance role).
+let client = null;
+
+const getBucket = () => {
+  const bucket = process.env.RECORDING_S3_BUCKET;
+  if (!bucket) throw new Error('RECORDING_S3_BUCKET is not set');
+  return bucket;
+};
+
+const getClient = () => {
+  if (!client) {
+    const endpoint = process.env.RECORDING_S3_ENDPOINT;
+    const accessKeyId = process.env.RECORDING_S3_ACCESS_KEY_ID;
+    client = new S3Client({
+      region: process.env.RECORDING_S3_REGION || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle: !!endpoint,
+      credentials: accessKeyId
+        ? { accessKeyId, secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+  }
+  return client;
+};
+
+const put = async (key, body, { contentType }) => {
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: key,
+    Body: body,
+    ContentType: contentType
+  }));
+};
+
+// Deleting a missing object succeeds, so a retried purge is harmless
+const remove = async (key) => {
+  await getClient().send(new DeleteObjectCommand({ Bucket: getBucket(), Key: key }));
+};
+
+const getPlaybackUrl = async (key, { expiresIn }) => {
+  return getSignedUrl(getClient(), new GetObjectCommand({ Bucket: getBucket(), Key: key }), { expiresIn });
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  remove,
+  getPlaybackUrl
+};
@@ -0,0 +1,369 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const Organization = require('../models/Organization');
+const planLimits = require('./planLimits');
+const { getProvider } = require('./telephony');
+const recordingStorage = require('./recordingStorage');
+
+// Call recordings. The provider reports a finished recording, the
+// 'recordings:fetch' job copies it into our storage (recordingStorage), and
+// playback hands out links that expire after RECORDING_URL_TTL_SECONDS. The
+// 'recordings:purge' job deletes recordings older than their campaign's
+// callSettings.recording.retention, capped by the plan's
+// recordingRetentionDays; calls under legal hold are never purged.
+const URL_TTL_SECONDS = parseInt(process.env.RECORDING_URL_TTL_SECONDS, 10) || 15 * 60;
+const FETCH_TIMEOUT_MS = parseInt(process.env.RECORDING_FETCH_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+const MAX_BYTES = parseInt(process.env.RECORDING_MAX_BYTES, 10) || 100 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+const MAX_FETCH_ATTEMPTS = 5;
+const FETCH_BATCH_SIZE = 50;
+const PURGE_BATCH_SIZE = 500;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm'
+};
+
+// Addresses an imported recording URL may not reach: this host, private
+// networks, link-local ranges (cloud metadata services) and reserved ones.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => !BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// DNS lookup for sockets that may only connect to public addresses. It runs
+// as the socket connects, so a name cannot resolve to a public address when
+// checked and a private one when used.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(new Error(`Recording host ${hostname} resolves to the non-public address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Download an audio file, following up to MAX_REDIRECTS redirects (request
+// headers only go to the original origin). publicOnly limits every hop to
+// http(s) on public addresses. Fails after FETCH_TIMEOUT_MS and past
+// MAX_BYTES. Resolves { contentType, body }.
+const download = ({ url, headers = {}, publicOnly = false }, signal = AbortSignal.timeout(FETCH_TIMEOUT_MS), redirects = 0) => {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      reject(new Error(`Invalid recording URL ${url}`));
+      return;
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      reject(new Error(`Recording URLs must use http or https, not ${target.protocol}`));
+      return;
+    }
+    // Literal addresses are connected to without a lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (publicOnly && net.isIP(host) && !isPublicAddress(host)) {
+      reject(new Error(`Recording URL points at the non-public address ${host}`));
+      return;
+    }
+
+    const fail = (error) => {
+      reject(error.name === 'AbortError' ? new Error(`Recording download timed out after ${FETCH_TIMEOUT_MS} ms`) : error);
+    };
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.get(target, { headers, signal, lookup: publicOnly ? publicLookup : undefined }, (response) => {
+      const { statusCode } = response;
+      if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Recording download redirected too many times'));
+          return;
+        }
+        const next = new URL(response.headers.location, target);
+        resolve(download({
+          url: next.href,
+          headers: next.origin === target.origin ? headers : {},
+          publicOnly
+        }, signal, redirects + 1));
+        return;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        reject(new Error(`Recording download failed with HTTP ${statusCode}`));
+        return;
+      }
+
+      const contentType = (response.headers['content-type'] || 'audio/mpeg').split(';')[0].trim().toLowerCase();
+      if (!contentType.startsWith('audio/')) {
+        response.resume();
+        reject(new Error(`Recording download returned ${contentType}, not audio`));
+        return;
+      }
+      if (Number(response.headers['content-length']) > MAX_BYTES) {
+        response.destroy();
+        reject(new Error(`Recording is larger than ${MAX_BYTES} bytes`));
+        return;
+      }
+
+      // Content-Length may be missing or wrong, so count what arrives
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BYTES) {
+          response.destroy();
+          reject(new Error(`Recording is larger than ${MAX_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ contentType, body: Buffer.concat(chunks) }));
+      response.on('error', fail);
+    });
+    request.on('error', fail);
+  });
+};
+
+const isRecordingEnabled = (campaign) => !!(campaign && campaign.callSettings.recording.enabled);
+
+// Days a campaign's recordings are kept: its own setting, never more than
+// its organization's plan allows
+const getRetentionDays = (campaign, organization) => {
+  const requested = (campaign && campaign.callSettings.recording.retention) || DEFAULT_RETENTION_DAYS;
+  const cap = planLimits.getLimit(organization && organization.accountType, 'recordingRetentionDays');
+  return cap === null ? requested : Math.min(requested, cap);
+};
+
+// Queue a finished recording reported by a provider for fetching. Returns
+// { call } or { ignored: reason }.
+const handleRecordingEvent = async (providerName, { callSid, recordingId, url, duration }) => {
+  const call = await Call.findOne({ 'telephony.provider': providerName, 'telephony.callSid': callSid });
+  if (!call) return { ignored: 'No call matches this recording' };
+
+  const campaign = await Campaign.findById(call.campaignId).select('callSettings.recording');
+  if (!isRecordingEnabled(campaign)) return { ignored: 'Recording is disabled for this campaign' };
+
+  // A repeated callback must not replace a recording already stored or purged
+  await Call.updateOne(
+    { _id: call._id, 'recording.status': { $nin: ['stored', 'purged'] } },
+    {
+      $set: {
+        'recording.status': 'pending',
+        'recording.providerRecordingId': recordingId,
+        'recording.sourceUrl': url,
+        'recording.duration': duration,
+        'recording.attempts': 0
+      }
+    }
+  );
+  return { call };
+};
+
+// Queue recordings of imported calls whose CDR named one (quality.recordingUrl)
+const queueImportedRecordings = async (importId, campaign) => {
+  if (!isRecordingEnabled(campaign)) return 0;
+  const calls = await Call.find({ importId, 'quality.recordingUrl': { $nin: [null, ''] }, 'recording.status': null })
+    .select('quality.recordingUrl');
+  if (calls.length === 0) return 0;
+
+  const result = await Call.bulkWrite(calls.map((call) => ({
+    updateOne: {
+      filter: { _id: call._id, 'recording.status': null },
+      update: { $set: { 'recording.status': 'pending', 'recording.sourceUrl': call.quality.recordingUrl, 'recording.attempts': 0 } }
+    }
+  })));
+  return result.modifiedCount;
+};
+
+// Provider recordings need its credentials; imported URLs are fetched as
+// is, and only from public addresses since anyone importing a CDR names them
+const buildSourceRequest = (call) => {
+  const provider = call.telephony && getProvider(call.telephony.provider);
+  return provider
+    ? provider.buildRecordingRequest(call.recording.sourceUrl)
+    : { url: call.recording.sourceUrl, headers: {}, publicOnly: true };
+};
+
+// Copy one pending recording into storage. Throws when the download or the
+// upload fails.
+const storeRecording = async (call) => {
+  const { contentType, body } = await download(buildSourceRequest(call));
+
+  const storageName = recordingStorage.getDefaultName();
+  const key = `${call.organizationId}/${call._id}.${EXTENSIONS[contentType] || 'mp3'}`;
+  await recordingStorage.getStorage(storageName).put(key, body, { contentType });
+
+  await Call.updateOne({ _id: call._id, 'recording.status': 'pending' }, {
+    $set: {
+      'recording.status': 'stored',
+      'recording.storage': storageName,
+      'recording.key': key,
+      'recording.contentType': contentType,
+      'recording.size': body.length,
+      'recording.storedAt': new Date()
+    },
+    $unset: { 'recording.lastError': 1 }
+  });
+};
+
+// Copy pending recordings into storage, giving up on one after
+// MAX_FETCH_ATTEMPTS failures. Returns { stored, failed }.
+const fetchPendingRecordings = async () => {
+  const calls = await Call.find({ 'recording.status': 'pending' })
+    .select('organizationId telephony.provider recording')
+    .sort({ updatedAt: 1 })
+    .limit(FETCH_BATCH_SIZE);
+
+  let stored = 0;
+  let failed = 0;
+  for (const call of calls) {
+    try {
+      await storeRecording(call);
+      stored++;
+    } catch (error) {
+      const attempts = (call.recording.attempts || 0) + 1;
+      const giveUp = attempts >= MAX_FETCH_ATTEMPTS;
+      if (giveUp) failed++;
+      console.error(`Recording of call ${call._id} ${giveUp ? 'failed' : 'will be retried'}: ${error.message}`);
+      await Call.updateOne({ _id: call._id, 'recording.status': 'pending' }, {
+        $set: {
+          'recording.status': giveUp ? 'failed' : 'pending',
+          'recording.attempts': attempts,
+          'recording.lastError': error.message
+        }
+      });
+    }
+  }
+  return { stored, failed };
+};
+
+// A link to play a stored recording, or null when there is none. baseUrl is
+// the API's public URL, for backends served by this server.
+const getPlayback = async (call, { baseUrl }) => {
+  if (!call.recording || call.recording.status !== 'stored') return null;
+
+  const storage = recordingStorage.getStorage(call.recording.storage);
+  const url = await storage.getPlaybackUrl(call.recording.key, { expiresIn: URL_TTL_SECONDS, baseUrl });
+  return {
+    url,
+    expiresAt: new Date(Date.now() + URL_TTL_SECONDS * 1000),
+    contentType: call.recording.contentType,
+    duration: call.recording.duration,
+    size: call.recording.size
+  };
+};
+
+// Place or lift a legal hold on a call's recording. Returns the updated call
+// or { error } when there is no recording left to hold.
+const setLegalHold = async (organizationId, callId, { enabled, reason, userId }) => {
+  const call = await Call.findOneAndUpdate(
+    { _id: callId, organizationId, 'recording.status': { $in: ['pending', 'stored'] } },
+    {
+      $set: {
+        'recording.legalHold': {
+          enabled,
+          reason,
+          setBy: userId,
+          setAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (call) return call;
+
+  const exists = await Call.exists({ _id: callId, organizationId });
+  return { error: exists ? 'This call has no recording to hold' : 'Call not found', notFound: !exists };
+};
+
+// Delete one expired recording. The status is claimed first so a legal hold
+// placed meanwhile wins; a failed delete is retried on the next run.
+const purgeRecording = async (call, now) => {
+  const claim = await Call.updateOne(
+    { _id: call._id, 'recording.status': 'stored', 'recording.legalHold.enabled': { $ne: true } },
+    { $set: { 'recording.status': 'purged', 'recording.purgedAt': now } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    await recordingStorage.getStorage(call.recording.storage).remove(call.recording.key);
+    return true;
+  } catch (error) {
+    console.error(`Purging the recording of call ${call._id} failed:`, error.message);
+    await Call.updateOne(
+      { _id: call._id, 'recording.status': 'purged' },
+      { $set: { 'recording.status': 'stored' }, $unset: { 'recording.purgedAt': 1 } }
+    );
+    return false;
+  }
+};
+
+// Delete recordings older than their campaign's retention. Returns the
+// number purged.
+const purgeExpiredRecordings = async ({ now = new Date() } = {}) => {
+  const groups = await Call.aggregate([
+    { $match: { 'recording.status': 'stored' } },
+    { $group: { _id: { organizationId: '$organizationId', campaignId: '$campaignId' } } }
+  ]);
+
+  let purged = 0;
+  for (const { _id: { organizationId, campaignId } } of groups) {
+    const [campaign, organization] = await Promise.all([
+      Campaign.findById(campaignId).select('callSettings.recording'),
+      Organization.findById(organizationId).select('accountType')
+    ]);
+    const cutoff = new Date(now.getTime() - getRetentionDays(campaign, organization) * DAY_MS);
+
+    let calls;
+    do {
+      calls = await Call.find({
+        campaignId,
+        'recording.status': 'stored',
+        'recording.legalHold.enabled': { $ne: true },
+        'timing.initiatedAt': { $lt: cutoff }
+      })
+        .select('recording')
+        .limit(PURGE_BATCH_SIZE);
+
+      let purgedInBatch = 0;
+      for (const call of calls) {
+        if (await purgeRecording(call, now)) purgedInBatch++;
+      }
+      purged += purgedInBatch;
+      if (purgedInBatch === 0) break;
+    } while (calls.length === PURGE_BATCH_SIZE);
+  }
+  return purged;
+};
+
+module.exports = {
+  URL_TTL_SECONDS,
+  isRecordingEnabled,
+  getRetentionDays,
+  handleRecordingEvent,
+  queueImportedRecordings,
+  fetchPendingRecordings,
+  getPlayback,
+  setLegalHold,
+  purgeExpiredRecordings
+};
@@ -0,0 +1,29 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (actor, organization, IP) readable from code that has
+// no access to req, such as Mongoose middleware
+const storage = new AsyncLocalStorage();
+
+const middleware = (req, res, next) => {
+  storage.run({
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }, next);
+};
+
+const get = () => storage.getStore() || {};
+
+const set = (values) => {
+  const store = storage.getStore();
+  if (store) Object.assign(store, values);
+};
+
+// Run background work (schedulers, scripts) under an explicit context
+const run = (values, callback) => storage.run({ ...values }, callback);
+
+module.exports = {
+  middleware,
+  get,
+  set,
+  run
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Minimal in-process job runner for periodic maintenance. A run is skipped
+// while the previous one is still going or the database is not connected.
+const jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running || mongoose.connection.readyState !== 1) return;
+
+  job.running = true;
+  try {
+    await job.task();
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} error:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const every = (name, intervalMs, task) => {
+  if (jobs.has(name)) return jobs.get(name);
+
+  const job = { name, intervalMs, task, running: false };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  // Do not keep the process alive just for maintenance jobs
+  job.timer.unref();
+  jobs.set(name, job);
+  return job;
+};
+
+const stopAll = () => {
+  jobs.forEach((job) => clearInterval(job.timer));
+  jobs.clear();
+};
+
+module.exports = {
+  every,
+  stopAll
+};
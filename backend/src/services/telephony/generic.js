@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Signed callbacks older than this are rejected to prevent replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Status and CDR disposition values from SIP switches (Asterisk, FreeSWITCH,
+// carrier CDR exports), normalized to lowercase with underscores
+const STATUS_MAP = {
+  initiated: 'initiated',
+  queued: 'initiated',
+  trying: 'initiated',
+  ringing: 'ringing',
+  early: 'ringing',
+  answered: 'answered',
+  in_progress: 'answered',
+  active: 'answered',
+  completed: 'completed',
+  hangup: 'completed',
+  busy: 'busy',
+  no_answer: 'no_answer',
+  noanswer: 'no_answer',
+  failed: 'failed',
+  congestion: 'failed',
+  cancelled: 'failed',
+  canceled: 'failed'
+};
+
+// SIP final response codes
+const SIP_CODE_MAP = {
+  180: 'ringing',
+  183: 'ringing',
+  200: 'answered',
+  408: 'no_answer',
+  480: 'no_answer',
+  486: 'busy',
+  600: 'busy',
+  603: 'failed'
+};
+
+// Header format: X-CallFlow-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+const sign = (secret, timestamp, rawBody) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+const verifySignature = (req) => {
+  const secret = process.env.TELEPHONY_WEBHOOK_SECRET;
+  const header = req.get('X-CallFlow-Signature');
+  if (!secret || !header || !req.rawBody) return false;
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, req.rawBody.toString('utf8')));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const mapStatus = (body) => {
+  if (body.sipCode && SIP_CODE_MAP[body.sipCode]) return SIP_CODE_MAP[body.sipCode];
+
+  const raw = String(body.status || body.disposition || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  let status = STATUS_MAP[raw];
+
+  // A CDR is written when the call ends, so an "answered" disposition with an
+  // end time means the answered call has completed
+  if (status === 'answered' && (body.endedAt || body.endTime)) status = 'completed';
+  return status;
+};
+
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const parseEvent = (body = {}) => {
+  const callSid = body.callSid || body.callId || body.uniqueId;
+  const status = mapStatus(body);
+  if (!callSid || !status) return null;
+
+  const timestamp = body.timestamp || body.endedAt || body.endTime;
+
+  return {
+    callSid: String(callSid),
+    status,
+    providerStatus: String(body.status || body.disposition || body.sipCode),
+    occurredAt: timestamp ? new Date(timestamp) : new Date(),
+    sequence: toNumber(body.sequence),
+    direction: body.direction === 'outbound' ? 'outbound' : 'inbound',
+    duration: toNumber(body.duration ?? body.billsec),
+    from: { number: body.from, name: body.callerName },
+    to: { number: body.to }
+  };
+};
+
+const DIAL_OUTCOMES = ['answered', 'busy', 'no_answer', 'failed'];
+
+// Dial leg result reported by the switch: { callId, outcome, sipCode? }
+const parseDialOutcome = (body = {}) => {
+  const callSid = body.callSid || body.callId || body.uniqueId;
+  let outcome = mapStatus({ sipCode: body.sipCode, status: body.outcome });
+  if (outcome === 'completed') outcome = 'answered';
+  if (!callSid || !DIAL_OUTCOMES.includes(outcome)) return null;
+
+  return {
+    callSid: String(callSid),
+    outcome,
+    occurredAt: body.timestamp ? new Date(body.timestamp) : new Date()
+  };
+};
+
+// Finished recording reported by the switch: { callId, recordingUrl,
+// recordingId?, duration? }
+const parseRecording = (body = {}) => {
+  const callSid = body.callSid || body.callId || body.uniqueId;
+  if (!callSid || !body.recordingUrl) return null;
+
+  return {
+    callSid: String(callSid),
+    recordingId: body.recordingId && String(body.recordingId),
+    url: body.recordingUrl,
+    duration: toNumber(body.duration)
+  };
+};
+
+// Switches serving recordings over authenticated HTTP take a bearer token
+const buildRecordingRequest = (url) => ({
+  url,
+  headers: process.env.TELEPHONY_RECORDING_TOKEN
+    ? { Authorization: `Bearer ${process.env.TELEPHONY_RECORDING_TOKEN}` }
+    : {}
+});
+
+// Routing instruction for the switch. After a "dial", the switch reports the
+// leg's outcome to dialStatusUrl and receives the next instruction; with
+// record set it records the answered leg and reports it to recordingStatusUrl.
+const buildRoutingResponse = ({ action, destination, dialStatusUrl, recordingStatusUrl, callerId }) => {
+  const instruction = { action };
+  if (action === 'dial') {
+    instruction.destination = {
+      number: destination.number,
+      ringTimeout: destination.ringTimeout
+    };
+    instruction.callerId = callerId;
+    instruction.dialStatusUrl = dialStatusUrl;
+    if (recordingStatusUrl) {
+      instruction.record = true;
+      instruction.recordingStatusUrl = recordingStatusUrl;
+    }
+  }
+  return { contentType: 'application/json', body: JSON.stringify(instruction) };
+};
+
+module.exports = {
+  name: 'generic',
+  sign,
+  verifySignature,
+  parseEvent,
+  parseDialOutcome,
+  parseRecording,
+  buildRecordingRequest,
+  buildRoutingResponse
+};
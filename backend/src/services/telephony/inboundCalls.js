@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Call = require('../../models/Call');
+const callRouting = require('../callRouting');
+const budgetControl = require('../budgetControl');
+const { createCall, applyEvent } = require('./statusCallbacks');
+
+const MAX_ATTEMPTS = 3;
+
+const findCall = (provider, callSid) => Call.findOne({ 'telephony.provider': provider, 'telephony.callSid': callSid });
+
+// The destination of the attempt currently ringing, if any
+const dialingDestination = (call) => {
+  const current = callRouting.currentAttempt(call);
+  if (!current) return null;
+  return call.routing.destinations.find((candidate) => String(candidate.destinationId) === String(current.destinationId)) || null;
+};
+
+// Hold the call's expected cost against the campaign budget. A refused
+// reservation turns the decision into a rejection (and pauses the campaign
+// when a cap has been reached), as does a cost that cannot be converted to
+// the campaign's currency.
+const reserveBudget = async (decision, event) => {
+  const { campaign } = decision;
+  const amount = await budgetControl.estimateCallCost(campaign, campaign.getPublisherForNumber(event.to.number), event.occurredAt);
+  if (amount === null) {
+    const reasons = [`No exchange rate to ${campaign.currency} for the call's cost`];
+    return { decision: { ...decision, accepted: false, reasons, destinations: [] }, reservation: null };
+  }
+  const result = await budgetControl.reserveCallBudget(campaign, amount, event.occurredAt);
+
+  if (result.capReached) {
+    await budgetControl.autoPause(campaign._id, result.capReached, event.occurredAt);
+  }
+  if (result.reasons) {
+    return { decision: { ...decision, accepted: false, reasons: result.reasons, destinations: [] }, reservation: null };
+  }
+  return { decision, reservation: result.reservation };
+};
+
+// Route a newly arrived inbound call and log the decision on its Call.
+// Returns { decision, call, destination }; destination is the one to dial
+// first, or null when the call should be rejected. call is null when no
+// campaign owns the dialed number.
+const handleInboundCall = async (provider, event) => {
+  let decision = await callRouting.routeInboundCall(event, event.occurredAt);
+  if (!decision.campaign) {
+    return { decision, call: null, destination: null };
+  }
+
+  let reservation = null;
+  try {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const call = (await findCall(provider, event.callSid)) || (await createCall(provider, event, decision.campaign));
+
+      // A retried webhook keeps the decision already made for this call
+      if (call.routing && call.routing.decision) {
+        if (reservation) await budgetControl.releaseReservation(decision.campaign, reservation);
+        return { decision, call, destination: dialingDestination(call) };
+      }
+
+      if (decision.accepted && !reservation) {
+        ({ decision, reservation } = await reserveBudget(decision, event));
+      }
+
+      applyEvent(call, event);
+      callRouting.recordRoutingDecision(call, decision);
+      call.budgetReservation = reservation || undefined;
+      const destination = decision.accepted ? callRouting.startNextAttempt(call) : null;
+
+      call.increment();
+      try {
+        await call.save();
+      } catch (error) {
+        if (error instanceof mongoose.Error.VersionError && attempt < MAX_ATTEMPTS) continue;
+        throw error;
+      }
+
+      return { decision, call, destination };
+    }
+    throw new Error('Could not record routing decision after retries');
+  } catch (error) {
+    if (reservation) await budgetControl.releaseReservation(decision.campaign, reservation);
+    throw error;
+  }
+};
+
+// Record how a dial attempt ended and pick the failover destination.
+// Returns { call, destination }; destination is null when the call is done
+// (answered, or every destination has been tried).
+const handleDialOutcome = async (provider, { callSid, outcome, occurredAt = new Date() }) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const call = await findCall(provider, callSid);
+    if (!call || !call.routing || call.routing.decision !== 'routed') {
+      return { call, destination: null };
+    }
+
+    const { recorded, failover } = callRouting.recordAttemptOutcome(call, outcome, occurredAt);
+    // A retried callback gets the destination it was already answered with
+    if (!recorded) {
+      return { call, destination: dialingDestination(call) };
+    }
+    const destination = failover ? callRouting.startNextAttempt(call, occurredAt) : null;
+
+    call.increment();
+    try {
+      await call.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError && attempt < MAX_ATTEMPTS) continue;
+      throw error;
+    }
+
+    return { call, destination };
+  }
+  throw new Error('Could not record dial outcome after retries');
+};
+
+module.exports = {
+  handleInboundCall,
+  handleDialOutcome
+};
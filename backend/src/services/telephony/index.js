@@ -0,0 +1,25 @@
+const twilio = require('./twilio');
+const generic = require('./generic');
+
+const providers = { twilio, generic };
+
+const getProvider = (name) => providers[name] || null;
+
+const getBaseUrl = (req) => {
+  const baseUrl = process.env.TELEPHONY_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return baseUrl.replace(/\/$/, '');
+};
+
+// Public URL the provider called; needed for Twilio signature checks behind proxies
+const buildWebhookUrl = (req) => `${getBaseUrl(req)}${req.originalUrl}`;
+
+// Public URL of one of a provider's webhook endpoints, e.g. 'dial-status'
+const buildProviderUrl = (req, providerName, endpoint) => {
+  return `${getBaseUrl(req)}/api/webhooks/telephony/${providerName}/${endpoint}`;
+};
+
+module.exports = {
+  getProvider,
+  buildWebhookUrl,
+  buildProviderUrl
+};
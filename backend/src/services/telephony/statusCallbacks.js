@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Call = require('../../models/Call');
+const Organization = require('../../models/Organization');
+const { findCampaignByTrackingNumber } = require('../callRouting');
+const { recordCallPerformance } = require('../callPerformance');
+const usage = require('../usage');
+
+const MAX_ATTEMPTS = 3;
+const MAX_STORED_EVENTS = 50;
+
+// The tracking number: the dialed number for inbound calls, the caller ID
+// for outbound ones
+const getTrackingNumber = (event) => (event.direction === 'outbound' ? event.from.number : event.to.number);
+
+// The campaign owning the tracking number
+const findCampaignForEvent = (event) => findCampaignByTrackingNumber(getTrackingNumber(event));
+
+// Count a new call against the organization's plan
+const meterCall = async (call) => {
+  const organization = await Organization.findById(call.organizationId).select('billing.nextBillingDate');
+  if (organization) await usage.recordCall(organization, call.timing.initiatedAt);
+};
+
+const createCall = async (provider, event, campaign) => {
+  let call;
+  try {
+    call = await Call.create({
+      callId: `${provider}:${event.callSid}`,
+      organizationId: campaign.organizationId,
+      campaignId: campaign._id,
+      userId: campaign.userId,
+      publisherId: campaign.getPublisherForNumber(getTrackingNumber(event)),
+      direction: event.direction,
+      from: event.from,
+      to: event.to,
+      timing: { initiatedAt: event.occurredAt },
+      cost: { perMinute: Number(process.env.TELEPHONY_DEFAULT_COST_PER_MINUTE) || 0 },
+      telephony: { provider, callSid: event.callSid }
+    });
+  } catch (error) {
+    // Another callback for the same call created it first
+    if (error.code === 11000) {
+      return await Call.findOne({ 'telephony.provider': provider, 'telephony.callSid': event.callSid });
+    }
+    throw error;
+  }
+
+  await meterCall(call);
+  return call;
+};
+
+const applyEvent = (call, event) => {
+  const applied = call.applyStatusEvent(event.status, event.occurredAt);
+
+  // Without an answered callback, derive the answer time from the billed duration
+  if (call.isFinished && !call.timing.answeredAt && event.duration > 0 && call.status === 'completed') {
+    call.timing.answeredAt = new Date(call.timing.endedAt.getTime() - event.duration * 1000);
+  }
+
+  call.telephony.events.push({
+    status: event.status,
+    providerStatus: event.providerStatus,
+    occurredAt: event.occurredAt,
+    sequence: event.sequence,
+    applied
+  });
+  if (call.telephony.events.length > MAX_STORED_EVENTS) {
+    call.telephony.events.splice(0, call.telephony.events.length - MAX_STORED_EVENTS);
+  }
+
+  return applied;
+};
+
+// Apply one normalized provider status event. Returns { ignored } when no
+// campaign owns the number, otherwise the updated call.
+const processStatusEvent = async (provider, event) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let call = await Call.findOne({ 'telephony.provider': provider, 'telephony.callSid': event.callSid });
+
+    if (!call) {
+      const campaign = await findCampaignForEvent(event);
+      if (!campaign) return { ignored: 'No campaign owns this tracking number' };
+      call = await createCall(provider, event, campaign);
+    }
+
+    const applied = applyEvent(call, event);
+
+    // Version check so two callbacks racing on one call retry instead of clobbering
+    call.increment();
+    try {
+      await call.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError && attempt < MAX_ATTEMPTS) continue;
+      throw error;
+    }
+
+    if (call.isFinished) {
+      await recordCallPerformance(call);
+    }
+
+    return { call, applied };
+  }
+  return { ignored: 'Could not apply callback after retries' };
+};
+
+module.exports = {
+  findCampaignForEvent,
+  createCall,
+  applyEvent,
+  processStatusEvent
+};
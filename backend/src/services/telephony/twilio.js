@@ -0,0 +1,140 @@
+const twilio = require('twilio');
+
+// Twilio CallStatus values mapped to our call status enum
+const STATUS_MAP = {
+  queued: 'initiated',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'answered',
+  answered: 'answered',
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+// Twilio signs the full public URL plus the sorted form parameters
+const verifySignature = (req, webhookUrl) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get('X-Twilio-Signature');
+  if (!authToken || !signature) return false;
+
+  return twilio.validateRequest(authToken, signature, webhookUrl, req.body || {});
+};
+
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const parseEvent = (body = {}) => {
+  const providerStatus = String(body.CallStatus || '').toLowerCase();
+  const status = STATUS_MAP[providerStatus];
+  if (!body.CallSid || !status) return null;
+
+  return {
+    callSid: body.CallSid,
+    status,
+    providerStatus,
+    occurredAt: body.Timestamp ? new Date(body.Timestamp) : new Date(),
+    sequence: toNumber(body.SequenceNumber),
+    direction: String(body.Direction || 'inbound').startsWith('outbound') ? 'outbound' : 'inbound',
+    duration: toNumber(body.CallDuration),
+    from: {
+      number: body.From,
+      name: body.CallerName,
+      location: {
+        country: body.FromCountry,
+        state: body.FromState,
+        city: body.FromCity,
+        zipCode: body.FromZip
+      }
+    },
+    to: {
+      number: body.To,
+      location: {
+        country: body.ToCountry,
+        state: body.ToState,
+        city: body.ToCity,
+        zipCode: body.ToZip
+      }
+    }
+  };
+};
+
+// <Dial> action callback: how the leg to our destination ended
+const DIAL_OUTCOME_MAP = {
+  answered: 'answered',
+  completed: 'answered',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const parseDialOutcome = (body = {}) => {
+  const outcome = DIAL_OUTCOME_MAP[String(body.DialCallStatus || '').toLowerCase()];
+  if (!body.CallSid || !outcome) return null;
+  return { callSid: body.CallSid, outcome, occurredAt: new Date() };
+};
+
+// Recording status callback of a recorded <Dial>; null until the
+// recording is complete
+const parseRecording = (body = {}) => {
+  if (!body.CallSid || !body.RecordingUrl) return null;
+  if (String(body.RecordingStatus || 'completed').toLowerCase() !== 'completed') return null;
+
+  return {
+    callSid: body.CallSid,
+    recordingId: body.RecordingSid,
+    url: body.RecordingUrl,
+    duration: toNumber(body.RecordingDuration)
+  };
+};
+
+// Recording media needs the account's credentials; without an extension
+// Twilio serves WAV, so ask for the smaller MP3
+const buildRecordingRequest = (url) => {
+  const credentials = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  return {
+    url: /\.(mp3|wav)$/.test(url) ? url : `${url}.mp3`,
+    headers: { Authorization: `Basic ${credentials}` }
+  };
+};
+
+// TwiML answering a routing step: dial the destination (Twilio posts the
+// leg's outcome to dialStatusUrl so we can fail over), reject an unrouted
+// call before answering it, or hang up once routing is finished. With a
+// recordingStatusUrl the answered leg is recorded in dual channel.
+const buildRoutingResponse = ({ action, destination, dialStatusUrl, recordingStatusUrl, callerId }) => {
+  const response = new twilio.twiml.VoiceResponse();
+
+  if (action === 'dial') {
+    const dial = response.dial({
+      action: dialStatusUrl,
+      method: 'POST',
+      timeout: destination.ringTimeout,
+      callerId,
+      ...(recordingStatusUrl && {
+        record: 'record-from-answer-dual',
+        recordingStatusCallback: recordingStatusUrl,
+        recordingStatusCallbackEvent: 'completed'
+      })
+    });
+    dial.number(destination.number);
+  } else if (action === 'reject') {
+    response.reject({ reason: 'busy' });
+  } else {
+    response.hangup();
+  }
+
+  return { contentType: 'text/xml', body: response.toString() };
+};
+
+module.exports = {
+  name: 'twilio',
+  verifySignature,
+  parseEvent,
+  parseDialOutcome,
+  parseRecording,
+  buildRecordingRequest,
+  buildRoutingResponse
+};
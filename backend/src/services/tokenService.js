@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+const ROTATION_GRACE_SECONDS = 30;
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'callflow-dev-secret';
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Best-effort device description from the User-Agent header
+const parseDevice = (userAgent = '') => {
+  const ua = userAgent.toLowerCase();
+
+  let browser = 'Unknown';
+  if (ua.includes('edg/')) browser = 'Edge';
+  else if (ua.includes('opr/') || ua.includes('opera')) browser = 'Opera';
+  else if (ua.includes('chrome/')) browser = 'Chrome';
+  else if (ua.includes('firefox/')) browser = 'Firefox';
+  else if (ua.includes('safari/')) browser = 'Safari';
+
+  let os = 'Unknown';
+  if (ua.includes('windows')) os = 'Windows';
+  else if (ua.includes('android')) os = 'Android';
+  else if (ua.includes('iphone') || ua.includes('ipad')) os = 'iOS';
+  else if (ua.includes('mac os')) os = 'macOS';
+  else if (ua.includes('linux')) os = 'Linux';
+
+  let type = 'unknown';
+  if (ua.includes('ipad') || ua.includes('tablet')) type = 'tablet';
+  else if (ua.includes('mobi') || ua.includes('android')) type = 'mobile';
+  else if (browser !== 'Unknown') type = 'desktop';
+  else if (/curl|axios|node|python|postman/.test(ua)) type = 'api';
+
+  return { userAgent: userAgent.slice(0, 500), browser, os, type };
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Short-lived token proving the first login factor, used to finish a 2FA
+// login or enrollment. It carries no session so auth middleware rejects it.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, getJwtSecret(), { expiresIn: '5m' });
+};
+
+const verifyChallengeToken = (token, purposes) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (!purposes.includes(decoded.purpose)) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found directly
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    device: parseDevice(req.get('User-Agent')),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refresh = buildRefreshToken(session._id);
+  session.refreshTokenHash = refresh.hash;
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: refresh.token
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting a token
+// that was already rotated revokes the whole session, since it means the old
+// token leaked, except within ROTATION_GRACE_SECONDS of the rotation: two tabs
+// refreshing at once present the same token, and the slower one gets an
+// access token only and keeps the refresh token the faster one stored.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const now = new Date();
+  const refresh = buildRefreshToken(parsed.sessionId);
+
+  // Conditional on the presented hash, so only one concurrent refresh rotates
+  const rotated = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: refresh.hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ipAddress: req.ip
+      }
+    },
+    { new: true }
+  );
+  if (rotated) {
+    return {
+      session: rotated,
+      token: generateAccessToken(rotated.userId, rotated._id),
+      refreshToken: refresh.token
+    };
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+previousTokenHash');
+  if (!session || !session.isValid) return { error: 'Session has expired or was revoked' };
+  if (presentedHash !== session.previousTokenHash) return { error: 'Invalid refresh token' };
+
+  if (session.rotatedAt && now - session.rotatedAt <= ROTATION_GRACE_SECONDS * 1000) {
+    return {
+      session,
+      token: generateAccessToken(session.userId, session._id)
+    };
+  }
+
+  await Session.updateOne(
+    { _id: session._id, previousTokenHash: presentedHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+  );
+  console.warn(`Refresh token reuse detected for session ${session._id}`);
+  return { error: 'Invalid refresh token' };
+};
+
+module.exports = {
+  getJwtSecret,
+  parseDevice,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateSession
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// RFC 6238 parameters understood by every common authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1;
+const ISSUER = 'CallFlow Pro';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateCode = (secret, timestamp = Date.now()) => hotp(secret, currentStep(timestamp));
+
+// Returns the matched time step, or null. Steps at or before lastUsedStep are
+// rejected so a code cannot be replayed within its validity window.
+const verifyCode = (secret, code, lastUsedStep = -1, timestamp = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = currentStep(timestamp);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const buildQrCode = async (otpauthUrl) => await QRCode.toDataURL(otpauthUrl);
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'callflow-dev-secret';
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// One-time recovery codes formatted as xxxxx-xxxxx
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  buildQrCode,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,60 @@
+const Organization = require('../models/Organization');
+const totpService = require('./totpService');
+
+// Account types for which 2FA is mandatory platform-wide, e.g. "enterprise,premium"
+const getRequiredAccountTypes = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ACCOUNT_TYPES || '')
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean);
+};
+
+// 2FA is required when the platform policy covers the user's account type or
+// any organization the user belongs to, or an organization admin enforces it
+const isTwoFactorRequired = async (user) => {
+  const requiredAccountTypes = getRequiredAccountTypes();
+  if (requiredAccountTypes.includes(user.accountType)) return true;
+
+  const filter = { 'members.userId': user._id, isActive: true };
+  const enforcing = await Organization.exists({
+    ...filter,
+    $or: [
+      { 'security.requireTwoFactor': true },
+      { accountType: { $in: requiredAccountTypes } }
+    ]
+  });
+  return !!enforcing;
+};
+
+// Check a TOTP code or a recovery code against a user loaded with the
+// twoFactor secret fields; consumes the code on success (caller saves)
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = totpService.hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return { valid: false };
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return { valid: true, usedRecoveryCode: true, remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+  }
+
+  const secret = totpService.decryptSecret(user.twoFactor.secret);
+  const step = totpService.verifyCode(secret, code, user.twoFactor.lastUsedStep ?? -1);
+  if (step === null) return { valid: false };
+
+  user.twoFactor.lastUsedStep = step;
+  return { valid: true, usedRecoveryCode: false };
+};
+
+// Replace the user's recovery codes and return the new plain-text codes
+const issueRecoveryCodes = (user) => {
+  const codes = totpService.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(totpService.hashRecoveryCode);
+  return codes;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  verifySecondFactor,
+  issueRecoveryCodes
+};
@@ -0,0 +1,127 @@
+const Campaign = require('../models/Campaign');
+const UsageCounter = require('../models/UsageCounter');
+const planLimits = require('./planLimits');
+
+// Usage of plan-limited resources per organization. Calls are metered per
+// billing period in UsageCounter; everything else is counted from the
+// current state, so deleting or cancelling frees the allowance at once.
+
+// Paused campaigns can resume at any time, so they hold their slot
+const LIVE_CAMPAIGN_STATUSES = ['active', 'paused'];
+const ENDED_CAMPAIGN_STATUSES = ['completed', 'cancelled'];
+
+// The billing period containing `at`: the subscription's current period
+// when it renews in the future, otherwise the calendar month (UTC)
+const getBillingPeriod = (organization, at = new Date()) => {
+  const renewsAt = organization.billing && organization.billing.nextBillingDate;
+  if (renewsAt && renewsAt > at) {
+    const start = new Date(renewsAt);
+    start.setUTCMonth(start.getUTCMonth() - 1);
+    if (start <= at) return { start, end: new Date(renewsAt) };
+  }
+
+  const start = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+  return { start, end };
+};
+
+// Count one received call against the organization's current period
+const recordCall = async (organization, at = new Date()) => {
+  const period = getBillingPeriod(organization, at);
+  const increment = () => UsageCounter.updateOne(
+    { organizationId: organization._id, metric: 'calls', periodStart: period.start },
+    { $inc: { count: 1 }, $setOnInsert: { periodEnd: period.end } },
+    { upsert: true }
+  );
+
+  try {
+    await increment();
+  } catch (error) {
+    // A concurrent first call of the period created the counter; count again
+    if (error.code !== 11000) throw error;
+    await increment();
+  }
+};
+
+const countCalls = async (organization, at) => {
+  const period = getBillingPeriod(organization, at);
+  const counter = await UsageCounter.findOne({ organizationId: organization._id, metric: 'calls', periodStart: period.start });
+  return counter ? counter.count : 0;
+};
+
+const countTrackingNumbers = async (organization) => {
+  const [result] = await Campaign.aggregate([
+    { $match: { organizationId: organization._id, status: { $nin: ENDED_CAMPAIGN_STATUSES } } },
+    { $group: { _id: null, total: { $sum: { $size: { $ifNull: ['$phoneNumbers', []] } } } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+const countSeats = (organization, at) => {
+  const pending = organization.invitations.filter((invitation) => invitation.expiresAt > at).length;
+  return organization.members.length + pending;
+};
+
+// Current usage of a quota. Seats include pending invitations.
+const measure = (organization, resource, at = new Date()) => {
+  switch (resource) {
+    case 'activeCampaigns':
+      return Campaign.countDocuments({ organizationId: organization._id, status: { $in: LIVE_CAMPAIGN_STATUSES } });
+    case 'trackingNumbers':
+      return countTrackingNumbers(organization);
+    case 'callsPerMonth':
+      return countCalls(organization, at);
+    case 'seats':
+      return Promise.resolve(countSeats(organization, at));
+    default:
+      throw new Error(`Unknown plan resource ${resource}`);
+  }
+};
+
+// Whether the organization may add `requested` of a quota, or set a cap to
+// `requested`. Returns { allowed, resource, limit, used, requested, upgrade }
+// where upgrade is the cheapest plan that would allow it (or null); caps
+// have no usage.
+const checkLimit = async (organization, resource, requested, at = new Date()) => {
+  const plan = organization.accountType;
+  const limit = planLimits.getLimit(plan, resource);
+  const isCap = planLimits.RESOURCES[resource].kind === 'cap';
+  const used = isCap ? null : await measure(organization, resource, at);
+  const needed = isCap ? requested : used + requested;
+
+  const allowed = planLimits.isWithin(limit, needed);
+  return {
+    allowed,
+    resource,
+    limit,
+    used,
+    requested,
+    upgrade: allowed ? null : planLimits.findUpgrade(plan, resource, needed)
+  };
+};
+
+// Every resource against the organization's plan, for usage pages
+const getUsage = async (organization, at = new Date()) => {
+  const plan = organization.accountType;
+  const resources = await Promise.all(Object.entries(planLimits.RESOURCES).map(async ([resource, definition]) => ({
+    resource,
+    ...definition,
+    limit: planLimits.getLimit(plan, resource),
+    used: definition.kind === 'cap' ? null : await measure(organization, resource, at)
+  })));
+
+  return {
+    plan,
+    period: getBillingPeriod(organization, at),
+    resources
+  };
+};
+
+module.exports = {
+  LIVE_CAMPAIGN_STATUSES,
+  getBillingPeriod,
+  recordCall,
+  measure,
+  checkLimit,
+  getUsage
+};
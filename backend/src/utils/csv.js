@@ -0,0 +1,49 @@
+// Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line
+// breaks) into rows of strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  // Skip a byte order mark left by spreadsheet exports
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  parseCsv
+};
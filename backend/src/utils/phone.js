@@ -0,0 +1,12 @@
+// Normalize a phone number to +<digits> so differently formatted numbers
+// compare equal. 10-digit numbers are assumed to be North American.
+const normalizePhoneNumber = (number) => {
+  if (!number) return null;
+  const digits = String(number).replace(/\D/g, '');
+  if (!digits) return null;
+  return `+${digits.length === 10 ? `1${digits}` : digits}`;
+};
+
+module.exports = {
+  normalizePhoneNumber
+};
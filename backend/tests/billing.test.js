@@ -0,0 +1,275 @@
+const Stripe = require('stripe');
+const User = require('../src/models/User');
+const Organization = require('../src/models/Organization');
+const alerts = require('../src/services/notifications/alerts');
+const billing = require('../src/services/billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+const buildUser = (billingState = {}, accountType = 'basic') => new User({
+  email: 'owner@example.com',
+  firstName: 'Ada',
+  lastName: 'Owner',
+  accountType,
+  billing: { stripeCustomerId: 'cus_123', ...billingState }
+});
+
+const buildSubscription = (overrides = {}) => ({
+  id: 'sub_123',
+  object: 'subscription',
+  customer: 'cus_123',
+  status: 'active',
+  current_period_end: seconds(new Date('2024-07-01T00:00:00Z')),
+  cancel_at_period_end: false,
+  items: { data: [{ id: 'si_123', price: { id: 'price_premium' } }] },
+  metadata: {},
+  ...overrides
+});
+
+const buildEvent = (type, object, created = new Date('2024-06-01T00:00:00Z')) => ({
+  id: `evt_${type}`,
+  type,
+  created: seconds(created),
+  data: { object }
+});
+
+beforeEach(() => {
+  process.env.STRIPE_PRICE_PREMIUM = 'price_premium';
+  process.env.STRIPE_PRICE_ENTERPRISE = 'price_enterprise';
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  delete process.env.BILLING_GRACE_DAYS;
+
+  jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Organization, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(alerts, 'paymentFailed').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  billing.setStripe(null);
+});
+
+describe('applySubscription', () => {
+  it('grants the plan of an active subscription', () => {
+    const user = buildUser();
+    billing.applySubscription(user, buildSubscription());
+
+    expect(user.accountType).toBe('premium');
+    expect(user.billing.subscriptionId).toBe('sub_123');
+    expect(user.billing.subscriptionStatus).toBe('active');
+    expect(user.billing.nextBillingDate).toEqual(new Date('2024-07-01T00:00:00Z'));
+    expect(user.billing.gracePeriodEndsAt).toBeUndefined();
+  });
+
+  it('starts a grace period once when payment becomes overdue', () => {
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+    const at = new Date('2024-06-01T00:00:00Z');
+    billing.applySubscription(user, buildSubscription({ status: 'past_due' }), at);
+
+    expect(user.accountType).toBe('premium');
+    expect(user.billing.gracePeriodEndsAt).toEqual(new Date(at.getTime() + 7 * DAY_MS));
+
+    billing.applySubscription(user, buildSubscription({ status: 'unpaid' }), new Date(at.getTime() + 3 * DAY_MS));
+    expect(user.billing.gracePeriodEndsAt).toEqual(new Date(at.getTime() + 7 * DAY_MS));
+  });
+
+  it('lifts the grace period and restriction when payment recovers', () => {
+    const user = buildUser({
+      subscriptionId: 'sub_123',
+      subscriptionStatus: 'past_due',
+      gracePeriodEndsAt: new Date('2024-06-08T00:00:00Z'),
+      restrictedAt: new Date('2024-06-08T00:00:00Z')
+    }, 'premium');
+    billing.applySubscription(user, buildSubscription());
+
+    expect(user.billing.gracePeriodEndsAt).toBeUndefined();
+    expect(user.billing.restrictedAt).toBeUndefined();
+  });
+
+  it('drops a canceled subscription back to basic', () => {
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+    billing.applySubscription(user, buildSubscription({ status: 'canceled' }));
+
+    expect(user.accountType).toBe('basic');
+    expect(user.billing.subscriptionId).toBeUndefined();
+    expect(user.billing.nextBillingDate).toBeUndefined();
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  it('applies subscription updates and mirrors them onto owned organizations', async () => {
+    const user = buildUser({ subscriptionId: 'sub_123' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const result = await billing.handleWebhookEvent(buildEvent('customer.subscription.updated', buildSubscription()));
+
+    expect(result).toEqual({ handled: true });
+    expect(user.accountType).toBe('premium');
+    expect(user.save).toHaveBeenCalled();
+    expect(Organization.updateMany).toHaveBeenCalledWith(
+      { ownerId: user._id },
+      { $set: expect.objectContaining({ accountType: 'premium', 'billing.subscriptionStatus': 'active' }) }
+    );
+  });
+
+  it('skips subscription events older than the last applied one', async () => {
+    const user = buildUser({ subscriptionId: 'sub_123', lastEventAt: new Date('2024-06-02T00:00:00Z') }, 'premium');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const result = await billing.handleWebhookEvent(
+      buildEvent('customer.subscription.deleted', buildSubscription({ status: 'canceled' }), new Date('2024-06-01T00:00:00Z'))
+    );
+
+    expect(result.ignored).toBeDefined();
+    expect(user.accountType).toBe('premium');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('records the subscription of a completed checkout', async () => {
+    const user = buildUser({ stripeCustomerId: undefined });
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const result = await billing.handleWebhookEvent(buildEvent('checkout.session.completed', {
+      mode: 'subscription',
+      customer: 'cus_new',
+      subscription: 'sub_new',
+      client_reference_id: String(user._id)
+    }));
+
+    expect(result).toEqual({ handled: true });
+    expect(User.findById).toHaveBeenCalledWith(String(user._id));
+    expect(user.billing.stripeCustomerId).toBe('cus_new');
+    expect(user.billing.subscriptionId).toBe('sub_new');
+  });
+
+  it('reports failed payments in major units of the invoice currency', async () => {
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    await billing.handleWebhookEvent(buildEvent('invoice.payment_failed', { id: 'in_1', customer: 'cus_123', amount_due: 4900, currency: 'usd' }));
+    await billing.handleWebhookEvent(buildEvent('invoice.payment_failed', { id: 'in_2', customer: 'cus_123', amount_due: 4900, currency: 'jpy' }));
+
+    expect(alerts.paymentFailed).toHaveBeenNthCalledWith(1, user, expect.objectContaining({ amount: 49, currency: 'USD' }));
+    expect(alerts.paymentFailed).toHaveBeenNthCalledWith(2, user, expect.objectContaining({ amount: 4900, currency: 'JPY' }));
+  });
+
+  it('ignores unhandled event types', async () => {
+    const result = await billing.handleWebhookEvent(buildEvent('charge.succeeded', {}));
+    expect(result.ignored).toMatch('charge.succeeded');
+  });
+});
+
+describe('enforceGracePeriods', () => {
+  it('restricts delinquent accounts whose grace period is over', async () => {
+    const now = new Date('2024-06-10T00:00:00Z');
+    const users = [
+      buildUser({ subscriptionStatus: 'past_due', gracePeriodEndsAt: new Date('2024-06-08T00:00:00Z') }, 'premium'),
+      buildUser({ subscriptionStatus: 'unpaid', gracePeriodEndsAt: new Date('2024-06-09T00:00:00Z') }, 'enterprise')
+    ];
+    jest.spyOn(User, 'find').mockResolvedValue(users);
+
+    const restricted = await billing.enforceGracePeriods(now);
+
+    expect(restricted).toBe(2);
+    expect(User.find).toHaveBeenCalledWith({
+      'billing.subscriptionStatus': { $in: ['past_due', 'unpaid'] },
+      'billing.gracePeriodEndsAt': { $lte: now },
+      'billing.restrictedAt': null
+    });
+    users.forEach((user) => expect(user.billing.restrictedAt).toEqual(now));
+    expect(Organization.updateMany).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('changePlan', () => {
+  it('invoices upgrades at once through the Stripe client', async () => {
+    const stripe = {
+      subscriptions: {
+        retrieve: jest.fn().mockResolvedValue(buildSubscription()),
+        update: jest.fn().mockResolvedValue(buildSubscription({
+          items: { data: [{ id: 'si_123', price: { id: 'price_enterprise' } }] }
+        }))
+      }
+    };
+    billing.setStripe(stripe);
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+
+    const result = await billing.changePlan(user, 'enterprise');
+
+    expect(result.user.accountType).toBe('enterprise');
+    expect(result.pending).toBe(false);
+    expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_123', {
+      items: [{ id: 'si_123', price: 'price_enterprise' }],
+      proration_behavior: 'always_invoice',
+      payment_behavior: 'pending_if_incomplete'
+    });
+  });
+
+  it('keeps the current plan while an upgrade waits for payment', async () => {
+    const stripe = {
+      subscriptions: {
+        retrieve: jest.fn().mockResolvedValue(buildSubscription()),
+        update: jest.fn().mockResolvedValue(buildSubscription({
+          pending_update: { subscription_items: [{ id: 'si_123', price: { id: 'price_enterprise' } }] }
+        }))
+      }
+    };
+    billing.setStripe(stripe);
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+
+    const result = await billing.changePlan(user, 'enterprise');
+
+    expect(result.pending).toBe(true);
+    expect(result.user.accountType).toBe('premium');
+  });
+
+  it('keeps older webhooks from rolling a plan change back', async () => {
+    const stripe = {
+      subscriptions: {
+        retrieve: jest.fn().mockResolvedValue(buildSubscription()),
+        update: jest.fn().mockResolvedValue(buildSubscription({
+          items: { data: [{ id: 'si_123', price: { id: 'price_enterprise' } }] }
+        }))
+      }
+    };
+    billing.setStripe(stripe);
+    const user = buildUser({ subscriptionId: 'sub_123' }, 'premium');
+    await billing.changePlan(user, 'enterprise');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const stale = buildEvent('customer.subscription.updated', buildSubscription(), new Date(Date.now() - 60 * 1000));
+    const result = await billing.handleWebhookEvent(stale);
+
+    expect(result.ignored).toBeDefined();
+    expect(user.accountType).toBe('enterprise');
+  });
+});
+
+describe('constructWebhookEvent', () => {
+  const payload = JSON.stringify(buildEvent('customer.subscription.updated', buildSubscription()));
+  const sign = (body, secret = 'whsec_test') => Stripe.webhooks.generateTestHeaderString({ payload: body, secret });
+
+  it('accepts a payload signed with the webhook secret', () => {
+    const event = billing.constructWebhookEvent(Buffer.from(payload), sign(payload));
+    expect(event.type).toBe('customer.subscription.updated');
+  });
+
+  it('rejects a payload signed with another secret', () => {
+    expect(billing.constructWebhookEvent(Buffer.from(payload), sign(payload, 'whsec_other'))).toBeNull();
+  });
+
+  it('rejects a payload changed after signing', () => {
+    const tampered = payload.replace('"active"', '"canceled"');
+    expect(billing.constructWebhookEvent(Buffer.from(tampered), sign(payload))).toBeNull();
+  });
+
+  it('rejects unsigned payloads and a missing secret', () => {
+    expect(billing.constructWebhookEvent(Buffer.from(payload), undefined)).toBeNull();
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    expect(billing.constructWebhookEvent(Buffer.from(payload), sign(payload))).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Call = require('../src/models/Call');
+const CallRollup = require('../src/models/CallRollup');
+const FxRate = require('../src/models/FxRate');
+const AuditLog = require('../src/models/AuditLog');
+
+const INITIATED_AT = new Date('2024-06-03T10:15:00Z');
+
+// A priced, rolled up call; EUR revenue was converted at 0.8 EUR per USD
+const buildPricedCall = () => {
+  const contribution = {
+    organizationId: new mongoose.Types.ObjectId(),
+    campaignId: new mongoose.Types.ObjectId(),
+    at: INITIATED_AT,
+    calls: 1,
+    answered: 1,
+    answeredDuration: 120,
+    cost: 100,
+    payout: 1500,
+    revenue: 5000,
+    qualifiedLeads: 0,
+    billable: 1
+  };
+  return Call.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    callId: 'call-1',
+    campaignId: contribution.campaignId,
+    organizationId: contribution.organizationId,
+    userId: new mongoose.Types.ObjectId(),
+    direction: 'inbound',
+    status: 'completed',
+    from: { number: '+15551230001' },
+    to: { number: '+15551230002' },
+    timing: {
+      initiatedAt: INITIATED_AT,
+      answeredAt: new Date('2024-06-03T10:15:05Z'),
+      endedAt: new Date('2024-06-03T10:17:05Z'),
+      duration: 120
+    },
+    cost: { perMinute: 0.5, total: 1, currency: 'USD' },
+    payout: { amount: 15, currency: 'USD' },
+    revenue: { amount: 40, currency: 'EUR' },
+    billable: true,
+    fx: { currency: 'USD', rateDate: '2024-06-03', cost: 100, payout: 1500, revenue: 5000 },
+    rollup: { ...contribution, version: 1 }
+  });
+};
+
+beforeEach(() => {
+  jest.spyOn(FxRate, 'findOne').mockReturnValue({
+    sort: () => ({ lean: () => Promise.resolve({ currency: 'EUR', date: '2024-06-03', rate: 0.8 }) })
+  });
+  jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(Call.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(CallRollup, 'applyDelta').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('editing a priced call', () => {
+  it('converts the new revenue and adds the difference to its rollups', async () => {
+    const call = buildPricedCall();
+    jest.spyOn(Call, 'findById').mockImplementation(() => ({ lean: () => Promise.resolve(call.toObject()) }));
+
+    call.revenue.amount = 80;
+    await call.save();
+
+    expect(call.fx.revenue).toBe(10000);
+    expect(call.fx.payout).toBe(1500);
+    expect(CallRollup.applyDelta).toHaveBeenCalledTimes(1);
+    expect(CallRollup.applyDelta).toHaveBeenCalledWith(
+      expect.objectContaining({ campaignId: call.campaignId, revenue: 10000 }),
+      expect.objectContaining({ revenue: 5000, payout: 0, cost: 0, calls: 0 })
+    );
+  });
+
+  it('refuses the edit when the rate of the call day is gone', async () => {
+    const call = buildPricedCall();
+    FxRate.findOne.mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(null) }) });
+
+    call.revenue.amount = 80;
+    await expect(call.save()).rejects.toThrow('No exchange rate for 2024-06-03');
+    expect(CallRollup.applyDelta).not.toHaveBeenCalled();
+  });
+});
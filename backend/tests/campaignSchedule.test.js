@@ -0,0 +1,61 @@
+const { zonedTimeToUtc, getDayRange, isOpen } = require('../src/services/campaignSchedule');
+
+const campaignWithWindows = (timeZone, windows) => ({
+  schedule: { timeZone, windows, blackoutDates: [] }
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts ordinary times with the offset in effect', () => {
+    expect(zonedTimeToUtc('2024-01-15', '09:00', 'America/New_York').toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2024-07-15', '09:00', 'America/New_York').toISOString()).toBe('2024-07-15T13:00:00.000Z');
+    expect(zonedTimeToUtc('2024-07-15', '09:00', 'Europe/Berlin').toISOString()).toBe('2024-07-15T07:00:00.000Z');
+  });
+
+  it('moves US spring-forward gap times forward', () => {
+    // 02:00-03:00 does not exist in New York on 2024-03-10
+    expect(zonedTimeToUtc('2024-03-10', '02:30', 'America/New_York').toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    expect(zonedTimeToUtc('2024-03-10', '02:00', 'America/New_York').toISOString()).toBe('2024-03-10T07:00:00.000Z');
+    expect(zonedTimeToUtc('2024-03-10', '03:00', 'America/New_York').toISOString()).toBe('2024-03-10T07:00:00.000Z');
+  });
+
+  it('moves EU spring-forward gap times forward', () => {
+    // 02:00-03:00 does not exist in Berlin on 2024-03-31
+    expect(zonedTimeToUtc('2024-03-31', '02:30', 'Europe/Berlin').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+    expect(zonedTimeToUtc('2024-03-31', '01:30', 'Europe/Berlin').toISOString()).toBe('2024-03-31T00:30:00.000Z');
+    // 01:00-02:00 does not exist in London on 2024-03-31
+    expect(zonedTimeToUtc('2024-03-31', '01:30', 'Europe/London').toISOString()).toBe('2024-03-31T01:30:00.000Z');
+  });
+
+  it('resolves fall-back repeated times to a real occurrence', () => {
+    const newYork = zonedTimeToUtc('2024-11-03', '01:30', 'America/New_York').toISOString();
+    expect(['2024-11-03T05:30:00.000Z', '2024-11-03T06:30:00.000Z']).toContain(newYork);
+    const berlin = zonedTimeToUtc('2024-10-27', '02:30', 'Europe/Berlin').toISOString();
+    expect(['2024-10-27T00:30:00.000Z', '2024-10-27T01:30:00.000Z']).toContain(berlin);
+  });
+
+  it('gives transition days their real length', () => {
+    const springDay = getDayRange('2024-03-10', 'America/New_York');
+    expect(springDay.end - springDay.start).toBe(23 * 60 * 60 * 1000);
+    const fallDay = getDayRange('2024-10-27', 'Europe/Berlin');
+    expect(fallDay.end - fallDay.start).toBe(25 * 60 * 60 * 1000);
+  });
+});
+
+describe('schedule windows across daylight saving changes', () => {
+  const overnight = campaignWithWindows('America/New_York', [{ day: 'saturday', start: '22:00', end: '02:00' }]);
+
+  it('keeps an overnight window open until its gap-shifted end', () => {
+    // 01:30 EST on the spring-forward night
+    expect(isOpen(overnight, new Date('2024-03-10T06:30:00Z'))).toBe(true);
+    // 03:00 EDT, the first real minute after 02:00
+    expect(isOpen(overnight, new Date('2024-03-10T07:00:00Z'))).toBe(false);
+  });
+
+  it('opens an EU window at the local time after the clocks change', () => {
+    const morning = campaignWithWindows('Europe/Berlin', [{ day: 'sunday', start: '09:00', end: '17:00' }]);
+    expect(isOpen(morning, new Date('2024-03-31T06:59:00Z'))).toBe(false);
+    expect(isOpen(morning, new Date('2024-03-31T07:00:00Z'))).toBe(true);
+    expect(isOpen(morning, new Date('2024-10-27T07:59:00Z'))).toBe(false);
+    expect(isOpen(morning, new Date('2024-10-27T08:00:00Z'))).toBe(true);
+  });
+});
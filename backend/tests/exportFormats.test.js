@@ -0,0 +1,58 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { createWriter } = require('../src/services/exportFormats');
+
+const COLUMNS = [
+  { id: 'source', header: 'Source' },
+  { id: 'cost', header: 'Cost' }
+];
+
+// Run rows through a writer and collect what it wrote
+const exportRows = async (format, rows) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve) => output.on('end', resolve));
+
+  const writer = createWriter(format, output, COLUMNS);
+  for (const row of rows) await writer.write(row);
+  await writer.end();
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+const ROWS = [
+  ['=HYPERLINK("http://evil.example","click")', 1.5],
+  ['+15551234567', -2],
+  ['@SUM(A1:A2)', 0],
+  ['-1+1', 3],
+  ['\tindent', 4],
+  ['google', 5]
+];
+
+describe('csv export', () => {
+  it('quotes cells a spreadsheet would read as formulas', async () => {
+    const lines = (await exportRows('csv', ROWS)).toString().split('\r\n');
+
+    expect(lines[0]).toBe('Source,Cost');
+    expect(lines[1]).toBe('"\'=HYPERLINK(""http://evil.example"",""click"")",1.5');
+    expect(lines[2]).toBe("'+15551234567,-2");
+    expect(lines[3]).toBe("'@SUM(A1:A2),0");
+    expect(lines[4]).toBe("'-1+1,3");
+    expect(lines[5]).toBe("'\tindent,4");
+    expect(lines[6]).toBe('google,5');
+  });
+});
+
+describe('xlsx export', () => {
+  it('quotes formula-like text cells and keeps numbers as numbers', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportRows('xlsx', ROWS));
+    const sheet = workbook.worksheets[0];
+
+    expect(sheet.getCell('A2').value).toBe('\'=HYPERLINK("http://evil.example","click")');
+    expect(sheet.getCell('A3').value).toBe("'+15551234567");
+    expect(sheet.getCell('B3').value).toBe(-2);
+    expect(sheet.getCell('A7').value).toBe('google');
+  });
+});
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const RECORDING_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+process.env.RECORDING_DIR = RECORDING_DIR;
+
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const Call = require('../src/models/Call');
+const Campaign = require('../src/models/Campaign');
+const Organization = require('../src/models/Organization');
+const recordingStorage = require('../src/services/recordingStorage');
+const local = require('../src/services/recordingStorage/local');
+const s3 = require('../src/services/recordingStorage/s3');
+const recordings = require('../src/services/recordings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-30T00:00:00Z');
+
+const recordingKey = () => `${new mongoose.Types.ObjectId()}/${new mongoose.Types.ObjectId()}.mp3`;
+
+// Recordings kept in a Map, standing in for a real backend
+const createMemoryStorage = () => {
+  const objects = new Map();
+  return {
+    objects,
+    put: jest.fn(async (key, body) => {
+      objects.set(key, body);
+    }),
+    remove: jest.fn(async (key) => {
+      objects.delete(key);
+    }),
+    getPlaybackUrl: async (key) => `memory://${key}`
+  };
+};
+
+const buildStoredCall = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  recording: { status: 'stored', storage: 'memory', key: recordingKey(), ...overrides }
+});
+
+// Mongoose queries are chained before they are awaited
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+let memory;
+
+beforeEach(() => {
+  process.env.RECORDING_SIGNING_SECRET = 'recording-secret';
+  memory = createMemoryStorage();
+  recordingStorage.setStorage('memory', memory);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.RECORDING_STORAGE;
+});
+
+afterAll(() => {
+  fs.rmSync(RECORDING_DIR, { recursive: true, force: true });
+});
+
+describe('local storage', () => {
+  it('writes recordings under RECORDING_DIR and removes them', async () => {
+    const key = recordingKey();
+    await local.put(key, Buffer.from('audio'), { contentType: 'audio/mpeg' });
+
+    expect(fs.readFileSync(path.join(RECORDING_DIR, key), 'utf8')).toBe('audio');
+    expect(fs.readdirSync(path.dirname(local.getFilePath(key)))).toEqual([path.basename(key)]);
+
+    await local.remove(key);
+    expect(fs.existsSync(path.join(RECORDING_DIR, key))).toBe(false);
+    await expect(local.remove(key)).resolves.toBeUndefined();
+  });
+
+  it('refuses keys outside the recording layout', async () => {
+    await expect(local.put('../../etc/passwd', Buffer.from('x'))).rejects.toThrow('Invalid recording key');
+  });
+});
+
+describe('s3 storage', () => {
+  beforeEach(() => {
+    process.env.RECORDING_S3_BUCKET = 'recordings';
+    process.env.RECORDING_S3_ACCESS_KEY_ID = 'access';
+    process.env.RECORDING_S3_SECRET_ACCESS_KEY = 'secret';
+  });
+
+  it('puts and deletes objects in the bucket', async () => {
+    const send = jest.spyOn(S3Client.prototype, 'send').mockResolvedValue({});
+    const key = recordingKey();
+
+    await s3.put(key, Buffer.from('audio'), { contentType: 'audio/wav' });
+    await s3.remove(key);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][0]).toBeInstanceOf(PutObjectCommand);
+    expect(send.mock.calls[0][0].input).toEqual({ Bucket: 'recordings', Key: key, Body: Buffer.from('audio'), ContentType: 'audio/wav' });
+    expect(send.mock.calls[1][0]).toBeInstanceOf(DeleteObjectCommand);
+    expect(send.mock.calls[1][0].input).toEqual({ Bucket: 'recordings', Key: key });
+  });
+
+  it('presigns playback links that expire', async () => {
+    const url = new URL(await s3.getPlaybackUrl('org/call.mp3', { expiresIn: 900 }));
+
+    expect(url.pathname).toMatch(/org\/call\.mp3$/);
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('900');
+    expect(url.searchParams.get('X-Amz-Signature')).toBeTruthy();
+  });
+});
+
+describe('local playback links', () => {
+  const key = recordingKey();
+  const linkParams = async (expiresIn = 900) => {
+    const url = new URL(await local.getPlaybackUrl(key, { expiresIn, baseUrl: 'https://api.example.com' }));
+    return { expires: url.searchParams.get('expires'), signature: url.searchParams.get('signature') };
+  };
+
+  it('accepts a fresh link', async () => {
+    const { expires, signature } = await linkParams();
+    expect(local.verifyPlayback(key, expires, signature)).toBe(true);
+  });
+
+  it('rejects an expired link', async () => {
+    const { expires, signature } = await linkParams(-1);
+    expect(local.verifyPlayback(key, expires, signature)).toBe(false);
+  });
+
+  it('rejects a link whose expiry or signature was changed', async () => {
+    const { expires, signature } = await linkParams();
+    expect(local.verifyPlayback(key, String(Number(expires) + 3600), signature)).toBe(false);
+    expect(local.verifyPlayback(key, expires, `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`)).toBe(false);
+    expect(local.verifyPlayback(key, expires, undefined)).toBe(false);
+  });
+
+  it('rejects a link signed for another recording or with another secret', async () => {
+    const { expires, signature } = await linkParams();
+    expect(local.verifyPlayback(recordingKey(), expires, signature)).toBe(false);
+
+    process.env.RECORDING_SIGNING_SECRET = 'rotated-secret';
+    expect(local.verifyPlayback(key, expires, signature)).toBe(false);
+  });
+});
+
+describe('fetchPendingRecordings', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'audio/wav' });
+      res.end(Buffer.from('RIFF'));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const pendingCall = (url, provider) => ({
+    _id: new mongoose.Types.ObjectId(),
+    organizationId: new mongoose.Types.ObjectId(),
+    telephony: provider ? { provider } : {},
+    recording: { status: 'pending', sourceUrl: url, attempts: 0 }
+  });
+
+  it('copies a provider recording into storage', async () => {
+    process.env.RECORDING_STORAGE = 'memory';
+    const call = pendingCall(`${baseUrl}/recording.wav`, 'generic');
+    jest.spyOn(Call, 'find').mockReturnValue(query([call]));
+    jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await recordings.fetchPendingRecordings();
+
+    const key = `${call.organizationId}/${call._id}.wav`;
+    expect(result).toEqual({ stored: 1, failed: 0 });
+    expect(memory.objects.get(key)).toEqual(Buffer.from('RIFF'));
+    expect(Call.updateOne).toHaveBeenCalledWith(
+      { _id: call._id, 'recording.status': 'pending' },
+      expect.objectContaining({ $set: expect.objectContaining({ 'recording.status': 'stored', 'recording.key': key, 'recording.size': 4 }) })
+    );
+  });
+
+  it('refuses imported recording URLs on private addresses', async () => {
+    process.env.RECORDING_STORAGE = 'memory';
+    const calls = [
+      pendingCall(`${baseUrl}/recording.wav`),
+      pendingCall('http://169.254.169.254/latest/meta-data'),
+      pendingCall('file:///etc/passwd')
+    ];
+    jest.spyOn(Call, 'find').mockReturnValue(query(calls));
+    jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await recordings.fetchPendingRecordings();
+
+    expect(result).toEqual({ stored: 0, failed: 0 });
+    expect(memory.put).not.toHaveBeenCalled();
+    const errors = Call.updateOne.mock.calls.map(([, update]) => update.$set['recording.lastError']);
+    expect(errors).toEqual([
+      'Recording URL points at the non-public address 127.0.0.1',
+      'Recording URL points at the non-public address 169.254.169.254',
+      'Recording URLs must use http or https, not file:'
+    ]);
+  });
+});
+
+describe('purgeExpiredRecordings', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const campaignId = new mongoose.Types.ObjectId();
+
+  const stubGroup = ({ retention = 365, accountType = 'basic', calls }) => {
+    jest.spyOn(Call, 'aggregate').mockResolvedValue([{ _id: { organizationId, campaignId } }]);
+    jest.spyOn(Campaign, 'findById').mockReturnValue(query({ callSettings: { recording: { enabled: true, retention } } }));
+    jest.spyOn(Organization, 'findById').mockReturnValue(query({ accountType }));
+    jest.spyOn(Call, 'find').mockReturnValue(query(calls));
+  };
+
+  it('caps the campaign retention at the plan limit', async () => {
+    const call = buildStoredCall();
+    memory.objects.set(call.recording.key, Buffer.from('audio'));
+    stubGroup({ retention: 365, accountType: 'basic', calls: [call] });
+    jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const purged = await recordings.purgeExpiredRecordings({ now: NOW });
+
+    expect(purged).toBe(1);
+    expect(Call.find).toHaveBeenCalledWith(expect.objectContaining({
+      campaignId,
+      'timing.initiatedAt': { $lt: new Date(NOW.getTime() - 30 * DAY_MS) }
+    }));
+    expect(memory.objects.has(call.recording.key)).toBe(false);
+  });
+
+  it('keeps recordings placed under legal hold', async () => {
+    const free = buildStoredCall();
+    const held = buildStoredCall();
+    stubGroup({ calls: [free, held] });
+    // The hold was placed after the batch was read, so its claim matches nothing
+    jest.spyOn(Call, 'updateOne').mockImplementation(async (filter) => ({ modifiedCount: filter._id.equals(held._id) ? 0 : 1 }));
+
+    const purged = await recordings.purgeExpiredRecordings({ now: NOW });
+
+    expect(purged).toBe(1);
+    expect(Call.find).toHaveBeenCalledWith(expect.objectContaining({ 'recording.legalHold.enabled': { $ne: true } }));
+    expect(Call.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: held._id, 'recording.legalHold.enabled': { $ne: true } }),
+      expect.anything()
+    );
+    expect(memory.remove).toHaveBeenCalledTimes(1);
+    expect(memory.remove).toHaveBeenCalledWith(free.recording.key);
+  });
+
+  it('marks a recording stored again when its delete fails', async () => {
+    const call = buildStoredCall();
+    stubGroup({ calls: [call] });
+    jest.spyOn(Call, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    memory.remove.mockRejectedValue(new Error('bucket unavailable'));
+
+    const purged = await recordings.purgeExpiredRecordings({ now: NOW });
+
+    expect(purged).toBe(0);
+    expect(Call.updateOne).toHaveBeenLastCalledWith(
+      { _id: call._id, 'recording.status': 'purged' },
+      { $set: { 'recording.status': 'stored' }, $unset: { 'recording.purgedAt': 1 } }
+    );
+  });
+});
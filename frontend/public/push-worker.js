@@ -0,0 +1,20 @@
+/* eslint-disable no-restricted-globals */
+// Shows CallFlow Pro push notifications and opens their page when clicked.
+// Payload: { title, body, link, notificationId }, sent by the backend push
+// channel.
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'CallFlow Pro', {
+      body: payload.body,
+      tag: payload.notificationId,
+      data: { link: payload.link || '/dashboard' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.link));
+});
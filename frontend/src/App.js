@@ -5,6 +5,7 @@ import { Toaster } from 'react-hot-toast';
 
 // Context
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { LiveEventsProvider } from './contexts/LiveEventsContext';
 
 // Components
 import Layout from './components/Layout/Layout';
@@ -22,6 +23,7 @@ import CallsPage from './pages/Calls/CallsPage';
 import CallDetailPage from './pages/Calls/CallDetailPage';
 import AnalyticsPage from './pages/Analytics/AnalyticsPage';
 import ProfilePage from './pages/Profile/ProfilePage';
+import NotificationsPage from './pages/Notifications/NotificationsPage';
 import BillingPage from './pages/Billing/BillingPage';
 import NotFoundPage from './pages/NotFoundPage';
 
@@ -77,117 +79,127 @@ function App() {
   return (
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
-        <Router>
-          <div className="App">
-            <Toaster
-              position="top-right"
-              toastOptions={{
-                duration: 4000,
-                style: {
-                  background: '#363636',
-                  color: '#fff',
-                },
-                success: {
-                  duration: 3000,
-                  iconTheme: {
-                    primary: '#10B981',
-                    secondary: '#fff',
+        <LiveEventsProvider>
+          <Router>
+            <div className="App">
+              <Toaster
+                position="top-right"
+                toastOptions={{
+                  duration: 4000,
+                  style: {
+                    background: '#363636',
+                    color: '#fff',
                   },
-                },
-                error: {
-                  duration: 5000,
-                  iconTheme: {
-                    primary: '#EF4444',
-                    secondary: '#fff',
+                  success: {
+                    duration: 3000,
+                    iconTheme: {
+                      primary: '#10B981',
+                      secondary: '#fff',
+                    },
                   },
-                },
-              }}
-            />
-            
-            <Routes>
-              {/* Public Routes */}
-              <Route path="/" element={<LandingPage />} />
-              <Route path="/login" element={<PublicRoute><LoginPage /></PublicRoute>} />
-              <Route path="/register" element={<PublicRoute><RegisterPage /></PublicRoute>} />
-              
-              {/* Protected Routes */}
-              <Route path="/dashboard" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <DashboardPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/campaigns" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <CampaignsPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/campaigns/create" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <CreateCampaignPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/campaigns/:id" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <CampaignDetailPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/calls" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <CallsPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/calls/:id" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <CallDetailPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/analytics" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <AnalyticsPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/profile" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <ProfilePage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
-              
-              <Route path="/billing" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <BillingPage />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                  error: {
+                    duration: 5000,
+                    iconTheme: {
+                      primary: '#EF4444',
+                      secondary: '#fff',
+                    },
+                  },
+                }}
+              />
               
-              {/* 404 Route */}
-              <Route path="*" element={<NotFoundPage />} />
-            </Routes>
-          </div>
-        </Router>
+              <Routes>
+                {/* Public Routes */}
+                <Route path="/" element={<LandingPage />} />
+                <Route path="/login" element={<PublicRoute><LoginPage /></PublicRoute>} />
+                <Route path="/register" element={<PublicRoute><RegisterPage /></PublicRoute>} />
+                
+                {/* Protected Routes */}
+                <Route path="/dashboard" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <DashboardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/campaigns" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <CampaignsPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/campaigns/create" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <CreateCampaignPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/campaigns/:id" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <CampaignDetailPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/calls" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <CallsPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/calls/:id" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <CallDetailPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/analytics" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <AnalyticsPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/profile" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <ProfilePage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/notifications" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <NotificationsPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/billing" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <BillingPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
+                {/* 404 Route */}
+                <Route path="*" element={<NotFoundPage />} />
+              </Routes>
+            </div>
+          </Router>
+        </LiveEventsProvider>
       </AuthProvider>
     </QueryClientProvider>
   );
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { History } from 'lucide-react';
+import { auditService } from '../../services/auditService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const ACTION_LABELS = {
+  create: 'created the campaign',
+  update: 'updated',
+  delete: 'deleted the campaign',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const actorName = (actor) => {
+  if (actor?.userId?.firstName) return `${actor.userId.firstName} ${actor.userId.lastName}`;
+  if (actor?.type === 'api_key') return 'An API key';
+  return 'System';
+};
+
+const ActivityFeed = ({ campaignId }) => {
+  const [page, setPage] = useState(1);
+  const { data, isLoading } = useQuery(
+    ['campaignActivity', campaignId, page],
+    () => auditService.getCampaignActivity(campaignId, { page }),
+    { keepPreviousData: true }
+  );
+
+  const entries = data?.entries || [];
+  const pages = data?.pagination?.pages || 1;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center mb-4">
+        <History className="w-5 h-5 mr-2 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Activity</h2>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {entries.map((entry) => (
+            <li key={entry._id} className="text-sm">
+              <p className="text-gray-900">
+                <span className="font-medium">{actorName(entry.actor)}</span>{' '}
+                {ACTION_LABELS[entry.action]}
+                <span className="ml-2 text-xs text-gray-400">
+                  {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                  {entry.actor?.ipAddress && ` · ${entry.actor.ipAddress}`}
+                </span>
+              </p>
+              {entry.action === 'update' && (
+                <ul className="mt-1 ml-4 space-y-0.5 text-gray-600">
+                  {entry.changes.map((change) => (
+                    <li key={change.field}>
+                      <code className="text-xs">{change.field}</code>:{' '}
+                      <span className="line-through text-gray-400">{formatValue(change.from)}</span>
+                      {' → '}
+                      <span>{formatValue(change.to)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pages > 1 && (
+        <div className="flex justify-between mt-4 text-sm">
+          <button
+            type="button"
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="text-primary-600 disabled:text-gray-300"
+          >
+            Newer
+          </button>
+          <button
+            type="button"
+            disabled={page >= pages}
+            onClick={() => setPage(page + 1)}
+            className="text-primary-600 disabled:text-gray-300"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { usageService } from '../../services/usageService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const WARNING_RATIO = 0.8;
+
+const UsageBar = ({ used, limit }) => {
+  const ratio = limit ? Math.min(used / limit, 1) : 0;
+  return (
+    <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+      <div
+        className={clsx('h-2 rounded-full', ratio >= 1 ? 'bg-danger-500' : ratio >= WARNING_RATIO ? 'bg-warning-500' : 'bg-primary-500')}
+        style={{ width: `${ratio * 100}%` }}
+      />
+    </div>
+  );
+};
+
+// Consumption of the organization's plan limits in the current billing period
+const UsagePanel = () => {
+  const { data, isLoading } = useQuery('usage', usageService.getUsage);
+
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Usage</h2>
+        <p className="text-sm text-gray-500">
+          Billing period {format(new Date(data.period.start), 'MMM d')} – {format(new Date(data.period.end), 'MMM d, yyyy')}
+        </p>
+      </div>
+
+      <ul className="space-y-4">
+        {data.resources.map((resource) => (
+          <li key={resource.resource} className="space-y-1">
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-700">{resource.label}</span>
+              <span className="text-gray-900">
+                {resource.kind === 'cap'
+                  ? `Up to ${resource.limit} days`
+                  : `${resource.used.toLocaleString()} of ${resource.limit === null ? 'unlimited' : resource.limit.toLocaleString()}`}
+              </span>
+            </div>
+            {resource.kind === 'quota' && resource.limit !== null && (
+              <UsageBar used={resource.used} limit={resource.limit} />
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UsagePanel;
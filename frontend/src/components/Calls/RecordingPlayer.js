@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery } from 'react-query';
+import { Play, Pause } from 'lucide-react';
+import { callService } from '../../services/callService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const BARS = 160;
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds || 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Loudest sample in each of BARS slices of the recording, 0..1, across all channels
+const computePeaks = (audioBuffer) => {
+  const channels = [...Array(audioBuffer.numberOfChannels).keys()].map((index) => audioBuffer.getChannelData(index));
+  const size = Math.floor(audioBuffer.length / BARS) || 1;
+  const peaks = [...Array(BARS)].map((_, bar) => {
+    let peak = 0;
+    channels.forEach((samples) => {
+      for (let i = bar * size; i < Math.min((bar + 1) * size, samples.length); i += 1) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+    });
+    return peak;
+  });
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map((peak) => peak / loudest);
+};
+
+// Waveform of a call recording with play/pause and click-to-seek. Playback
+// links expire, so a fresh one is fetched once the current one has.
+const RecordingPlayer = ({ callId }) => {
+  const audioRef = useRef(null);
+  const [peaks, setPeaks] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(0);
+
+  const { data: recording, isLoading, error, refetch } = useQuery(
+    ['callRecording', callId],
+    () => callService.getRecording(callId),
+    { retry: false, refetchOnWindowFocus: false }
+  );
+
+  useEffect(() => {
+    if (!recording?.url || peaks) return undefined;
+    let cancelled = false;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+
+    fetch(recording.url)
+      .then((response) => response.arrayBuffer())
+      .then((data) => context.decodeAudioData(data))
+      .then((audioBuffer) => {
+        if (!cancelled) setPeaks(computePeaks(audioBuffer));
+      })
+      .catch(() => {
+        if (!cancelled) setPeaks([]);
+      })
+      .finally(() => context.close());
+
+    return () => {
+      cancelled = true;
+    };
+  }, [recording, peaks]);
+
+  // Only an expired link is worth replacing; other failures would just repeat
+  const renewExpiredLink = () => {
+    if (recording && new Date(recording.expiresAt) <= new Date()) refetch();
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (audio.paused) {
+      audio.play().catch(renewExpiredLink);
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (event) => {
+    const audio = audioRef.current;
+    if (!duration) return;
+    const { left, width } = event.currentTarget.getBoundingClientRect();
+    audio.currentTime = ((event.clientX - left) / width) * duration;
+    setPosition(audio.currentTime);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error || !recording) {
+    return <p className="text-sm text-gray-500">{error?.response?.data?.message || 'No recording available.'}</p>;
+  }
+
+  const progress = duration ? position / duration : 0;
+
+  return (
+    <div className="flex items-center gap-4">
+      <button
+        type="button"
+        onClick={togglePlay}
+        className="flex-shrink-0 inline-flex items-center justify-center w-10 h-10 rounded-full bg-primary-600 text-white hover:bg-primary-700"
+        aria-label={playing ? 'Pause recording' : 'Play recording'}
+      >
+        {playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+      </button>
+
+      <div className="flex-1 h-16 cursor-pointer" onClick={seek} role="presentation">
+        {peaks === null ? (
+          <div className="h-full flex items-center text-xs text-gray-400">Drawing waveform…</div>
+        ) : (
+          <svg viewBox={`0 0 ${BARS} 100`} preserveAspectRatio="none" className="w-full h-full">
+            {(peaks.length ? peaks : Array(BARS).fill(0.05)).map((peak, index) => {
+              const height = Math.max(peak * 100, 2);
+              return (
+                <rect
+                  key={index}
+                  x={index + 0.15}
+                  y={(100 - height) / 2}
+                  width={0.7}
+                  height={height}
+                  className={index / BARS < progress ? 'fill-primary-600' : 'fill-gray-300'}
+                />
+              );
+            })}
+          </svg>
+        )}
+      </div>
+
+      <span className="flex-shrink-0 w-24 text-right text-sm tabular-nums text-gray-500">
+        {formatTime(position)} / {formatTime(duration || recording.duration)}
+      </span>
+
+      <audio
+        ref={audioRef}
+        src={recording.url}
+        preload="metadata"
+        onLoadedMetadata={(event) => setDuration(event.currentTarget.duration)}
+        onTimeUpdate={(event) => setPosition(event.currentTarget.currentTime)}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => setPlaying(false)}
+        onError={renewExpiredLink}
+      />
+    </div>
+  );
+};
+
+export default RecordingPlayer;
@@ -0,0 +1,18 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  active: 'bg-success-100 text-success-800',
+  paused: 'bg-warning-100 text-warning-800',
+  completed: 'bg-primary-100 text-primary-800',
+  cancelled: 'bg-danger-100 text-danger-800',
+};
+
+const CampaignStatusBadge = ({ status }) => (
+  <span className={clsx('inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize', STATUS_STYLES[status])}>
+    {status}
+  </span>
+);
+
+export default CampaignStatusBadge;
@@ -0,0 +1,23 @@
+import React from 'react';
+import clsx from 'clsx';
+import { useLiveEvents } from '../../contexts/LiveEventsContext';
+
+const STATES = {
+  open: { label: 'Live', dot: 'bg-success-500' },
+  connecting: { label: 'Reconnecting…', dot: 'bg-warning-500 animate-pulse' },
+  closed: { label: 'Offline', dot: 'bg-gray-400' },
+};
+
+const LiveIndicator = () => {
+  const { status } = useLiveEvents();
+  const state = STATES[status] || STATES.closed;
+
+  return (
+    <span className="inline-flex items-center text-xs font-medium text-gray-500">
+      <span className={clsx('w-2 h-2 mr-1.5 rounded-full', state.dot)} />
+      {state.label}
+    </span>
+  );
+};
+
+export default LiveIndicator;
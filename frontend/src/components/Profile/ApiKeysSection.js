@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Copy, KeyRound, Plus, Trash2 } from 'lucide-react';
+import { apiKeyService } from '../../services/apiKeyService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM d, yyyy') : 'Never');
+
+const ApiKeysSection = () => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { name: '', scopes: [], expiresAt: '' },
+  });
+
+  const { data, isLoading } = useQuery('apiKeys', apiKeyService.getApiKeys);
+
+  const createMutation = useMutation(apiKeyService.createApiKey, {
+    onSuccess: (result) => {
+      setCreatedKey(result.key);
+      setShowForm(false);
+      reset();
+      queryClient.invalidateQueries('apiKeys');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to create API key');
+    },
+  });
+
+  const revokeMutation = useMutation(apiKeyService.revokeApiKey, {
+    onSuccess: () => {
+      toast.success('API key revoked');
+      queryClient.invalidateQueries('apiKeys');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to revoke API key');
+    },
+  });
+
+  const onSubmit = (values) => {
+    createMutation.mutate({
+      name: values.name,
+      scopes: values.scopes,
+      expiresAt: values.expiresAt ? new Date(values.expiresAt).toISOString() : undefined,
+    });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (window.confirm(`Revoke "${apiKey.name}"? Integrations using it will stop working.`)) {
+      revokeMutation.mutate(apiKey.id);
+    }
+  };
+
+  const copyKey = async () => {
+    await navigator.clipboard.writeText(createdKey);
+    toast.success('API key copied to clipboard');
+  };
+
+  const apiKeys = data?.apiKeys || [];
+  const availableScopes = data?.availableScopes || [];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">API Keys</h2>
+          <p className="text-sm text-gray-500">
+            Let ad servers and telephony scripts call the API without a user login.
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New key
+          </button>
+        )}
+      </div>
+
+      {createdKey && (
+        <div className="mb-4 p-4 rounded-md bg-success-50 border border-success-200">
+          <p className="text-sm font-medium text-success-800 mb-2">
+            Copy your new API key now. It will not be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-2 py-1 text-xs bg-white border rounded break-all">{createdKey}</code>
+            <button type="button" onClick={copyKey} className="p-2 text-success-700 hover:text-success-900">
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={() => setCreatedKey(null)}
+            className="mt-2 text-xs text-success-700 underline"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit(onSubmit)} className="mb-6 p-4 border rounded-md space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name</label>
+            <input
+              type="text"
+              {...register('name', { required: 'Name is required', maxLength: 100 })}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+              placeholder="e.g. Ad server production"
+            />
+            {errors.name && <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>}
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700">Scopes</span>
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    value={scope}
+                    {...register('scopes', { validate: (value) => value.length > 0 || 'Select at least one scope' })}
+                    className="mr-2 rounded border-gray-300 text-primary-600"
+                  />
+                  <code>{scope}</code>
+                </label>
+              ))}
+            </div>
+            {errors.scopes && <p className="mt-1 text-sm text-danger-600">{errors.scopes.message}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Expires (optional)</label>
+            <input
+              type="date"
+              {...register('expiresAt')}
+              className="mt-1 block rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setShowForm(false); reset(); }}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={createMutation.isLoading}
+              className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              Create key
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : apiKeys.length === 0 ? (
+        <p className="text-sm text-gray-500">You have not created any API keys yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey.id} className="py-3 flex items-center justify-between">
+              <div className="flex items-start">
+                <KeyRound className="w-5 h-5 mt-0.5 mr-3 text-gray-400" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {apiKey.name}
+                    {apiKey.revokedAt && <span className="ml-2 text-xs text-danger-600">Revoked</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    <code>{apiKey.prefix}…</code> · {apiKey.scopes.join(', ')}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    Last used {formatDate(apiKey.lastUsedAt)} · Expires {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'never'}
+                  </p>
+                </div>
+              </div>
+              {!apiKey.revokedAt && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(apiKey)}
+                  className="p-2 text-gray-400 hover:text-danger-600"
+                  title="Revoke key"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeysSection;
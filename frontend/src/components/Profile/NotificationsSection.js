@@ -0,0 +1,168 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { BellRing } from 'lucide-react';
+import { notificationService } from '../../services/notificationService';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const CHANNELS = [
+  { key: 'email', label: 'Email' },
+  { key: 'sms', label: 'SMS' },
+  { key: 'push', label: 'Push' },
+  { key: 'inApp', label: 'In-app' },
+];
+
+// Every change is saved as soon as it is made
+const NotificationsSection = () => {
+  const queryClient = useQueryClient();
+  const { data, isLoading } = useQuery('notificationPreferences', notificationService.getPreferences);
+
+  const updateMutation = useMutation(notificationService.updatePreferences, {
+    onSuccess: (result) => queryClient.setQueryData('notificationPreferences', result),
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to update notification preferences');
+    },
+  });
+  const pushMutation = useMutation(() => notificationService.enablePush(data.pushPublicKey), {
+    onSuccess: () => toast.success('Push notifications enabled for this browser'),
+    onError: () => toast.error('Could not enable push notifications in this browser'),
+  });
+
+  if (isLoading || !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const { preferences } = data;
+  const update = (changes) => updateMutation.mutate(changes);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+        <p className="text-sm text-gray-500">Choose which alerts reach you, and where.</p>
+      </div>
+
+      <div className="flex flex-wrap gap-6">
+        {CHANNELS.filter((channel) => channel.key !== 'inApp').map((channel) => (
+          <label key={channel.key} className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={preferences[channel.key]}
+              onChange={(event) => update({ [channel.key]: event.target.checked })}
+              className="mr-2 rounded border-gray-300"
+            />
+            {channel.label}
+          </label>
+        ))}
+        {data.pushPublicKey && notificationService.isPushSupported() && (
+          <button
+            type="button"
+            onClick={() => pushMutation.mutate()}
+            disabled={pushMutation.isLoading}
+            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+          >
+            <BellRing className="w-4 h-4 mr-1" />
+            Enable push in this browser
+          </button>
+        )}
+      </div>
+      {preferences.sms && !data.hasPhone && (
+        <p className="text-sm text-warning-700">Add a phone number to your profile to receive SMS alerts.</p>
+      )}
+
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead>
+          <tr>
+            <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+            {CHANNELS.map((channel) => (
+              <th key={channel.key} className="py-2 text-center text-xs font-medium text-gray-500 uppercase">{channel.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 text-sm">
+          {data.events.map(({ event, label }) => (
+            <tr key={event}>
+              <td className="py-2 text-gray-900">{label}</td>
+              {CHANNELS.map((channel) => (
+                <td key={channel.key} className="py-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={preferences.events[event][channel.key]}
+                    disabled={channel.key !== 'inApp' && !preferences[channel.key]}
+                    onChange={(changeEvent) => update({ events: { [event]: { [channel.key]: changeEvent.target.checked } } })}
+                    className="rounded border-gray-300 disabled:opacity-40"
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div className="space-y-2">
+          <label className="inline-flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={preferences.quietHours.enabled}
+              onChange={(event) => update({ quietHours: { enabled: event.target.checked } })}
+              className="mr-2 rounded border-gray-300"
+            />
+            Quiet hours
+          </label>
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="time"
+              defaultValue={preferences.quietHours.start}
+              onBlur={(event) => update({ quietHours: { start: event.target.value } })}
+              className="rounded-md border-gray-300 text-sm"
+            />
+            to
+            <input
+              type="time"
+              defaultValue={preferences.quietHours.end}
+              onBlur={(event) => update({ quietHours: { end: event.target.value } })}
+              className="rounded-md border-gray-300 text-sm"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Email, SMS and push wait until quiet hours end ({data.timezone}). The inbox still fills.
+          </p>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-gray-700">Email digest</p>
+          <div className="flex items-center gap-2">
+            <select
+              value={preferences.digest.frequency}
+              onChange={(event) => update({ digest: { frequency: event.target.value } })}
+              className="rounded-md border-gray-300 text-sm"
+            >
+              <option value="off">Send each email</option>
+              <option value="hourly">Hourly digest</option>
+              <option value="daily">Daily digest</option>
+            </select>
+            {preferences.digest.frequency === 'daily' && (
+              <select
+                value={preferences.digest.hour}
+                onChange={(event) => update({ digest: { hour: Number(event.target.value) } })}
+                className="rounded-md border-gray-300 text-sm"
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">Urgent alerts (auto-pauses, failed payments) skip the digest.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationsSection;
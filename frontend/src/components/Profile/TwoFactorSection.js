@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div className="p-4 rounded-md bg-warning-50 border border-warning-200">
+    <p className="text-sm font-medium text-warning-800 mb-2">
+      Save these recovery codes. Each one can be used once if you lose your authenticator.
+    </p>
+    <ul className="grid grid-cols-2 gap-1 mb-3">
+      {codes.map((code) => (
+        <li key={code}><code className="text-sm">{code}</code></li>
+      ))}
+    </ul>
+    <button type="button" onClick={onDone} className="text-sm text-warning-800 underline">
+      I have saved them
+    </button>
+  </div>
+);
+
+const TwoFactorSection = () => {
+  const { user, setupTwoFactor, enableTwoFactor, disableTwoFactor } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const enabled = !!user?.twoFactor?.enabled;
+
+  const startSetup = async () => {
+    const result = await setupTwoFactor();
+    if (result.success) {
+      setSetup(result);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const confirmSetup = async (event) => {
+    event.preventDefault();
+    const result = await enableTwoFactor(code);
+    if (result.success) {
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(result.recoveryCodes);
+      toast.success('Two-factor authentication enabled');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const confirmDisable = async (event) => {
+    event.preventDefault();
+    const result = await disableTwoFactor(password, code);
+    if (result.success) {
+      setShowDisable(false);
+      setPassword('');
+      setCode('');
+      toast.success('Two-factor authentication disabled');
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const regenerateCodes = async () => {
+    const currentCode = window.prompt('Enter a code from your authenticator app');
+    if (!currentCode) return;
+    try {
+      setRecoveryCodes(await authService.regenerateRecoveryCodes(currentCode));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not generate recovery codes');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          {enabled
+            ? <ShieldCheck className="w-5 h-5 mr-2 text-success-600" />
+            : <ShieldOff className="w-5 h-5 mr-2 text-gray-400" />}
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-500">
+              {enabled
+                ? 'Sign-ins require a code from your authenticator app.'
+                : 'Protect your account with an authenticator app.'}
+            </p>
+          </div>
+        </div>
+        {!enabled && !setup && (
+          <button
+            type="button"
+            onClick={startSetup}
+            className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+          >
+            Enable
+          </button>
+        )}
+        {enabled && !showDisable && (
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={regenerateCodes}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border rounded-md hover:bg-gray-50"
+            >
+              New recovery codes
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowDisable(true)}
+              className="px-3 py-2 text-sm font-medium text-danger-700 bg-white border border-danger-200 rounded-md hover:bg-danger-50"
+            >
+              Disable
+            </button>
+          </div>
+        )}
+      </div>
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+      {setup && (
+        <form onSubmit={confirmSetup} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40" />
+          <code className="block text-xs break-all text-gray-700">{setup.secret}</code>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Verification code</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setSetup(null); setCode(''); }}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+            >
+              Verify and enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {showDisable && (
+        <form onSubmit={confirmDisable} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Authenticator code</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => { setShowDisable(false); setCode(''); setPassword(''); }}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-2 text-sm font-medium text-white bg-danger-600 rounded-md hover:bg-danger-700"
+            >
+              Disable
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSection;
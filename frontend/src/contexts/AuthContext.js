@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useQueryClient } from 'react-query';
 import { authService } from '../services/authService';
+import { tokenStorage, organizationStorage } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -15,19 +17,22 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [organizationId, setOrganizationId] = useState(organizationStorage.get());
+  // Pending second login step: { type: 'verify' | 'setup', challengeToken }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const queryClient = useQueryClient();
 
   // Check if user is already logged in on app start
   useEffect(() => {
     const initAuth = async () => {
       try {
-        const token = localStorage.getItem('token');
-        if (token) {
+        if (tokenStorage.getAccessToken() || tokenStorage.getRefreshToken()) {
           const userData = await authService.getCurrentUser();
           setUser(userData);
         }
       } catch (error) {
         console.error('Auth initialization error:', error);
-        localStorage.removeItem('token');
+        tokenStorage.clear();
       } finally {
         setLoading(false);
       }
@@ -42,9 +47,21 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
       
       const response = await authService.login(email, password);
-      const { user: userData, token } = response.data;
+
+      // Password accepted, but a second factor is still needed
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        const type = response.data.twoFactorRequired ? 'verify' : 'setup';
+        setTwoFactorChallenge({ type, challengeToken: response.data.challengeToken });
+        return {
+          success: false,
+          twoFactorRequired: type === 'verify',
+          twoFactorSetupRequired: type === 'setup',
+        };
+      }
+
+      const { user: userData, token, refreshToken } = response.data;
       
-      localStorage.setItem('token', token);
+      tokenStorage.setTokens({ token, refreshToken });
       setUser(userData);
       
       return { success: true };
@@ -57,15 +74,96 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const completeLogin = ({ user: userData, token, refreshToken }) => {
+    tokenStorage.setTokens({ token, refreshToken });
+    setTwoFactorChallenge(null);
+    setUser(userData);
+  };
+
+  // Finish a login with an authenticator code or a recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      setError(null);
+
+      const response = await authService.verifyTwoFactor({
+        challengeToken: twoFactorChallenge?.challengeToken,
+        code,
+        recoveryCode,
+      });
+      completeLogin(response.data);
+
+      return { success: true, remainingRecoveryCodes: response.data.remainingRecoveryCodes };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      setError(errorMessage);
+      if (error.response?.status === 401 && /expired/i.test(errorMessage)) {
+        setTwoFactorChallenge(null);
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Start enrollment, either signed in or from an enforced-setup login
+  const setupTwoFactor = async () => {
+    try {
+      setError(null);
+
+      const setup = await authService.setupTwoFactor(twoFactorChallenge?.challengeToken);
+      return { success: true, ...setup };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Two-factor setup failed';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const enableTwoFactor = async (code) => {
+    try {
+      setError(null);
+
+      const response = await authService.enableTwoFactor(code, twoFactorChallenge?.challengeToken);
+      if (response.data.token) {
+        completeLogin(response.data);
+      } else {
+        setUser(response.data.user);
+      }
+
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Invalid verification code';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const disableTwoFactor = async (password, code) => {
+    try {
+      setError(null);
+
+      const response = await authService.disableTwoFactor(password, code);
+      setUser(response.data.user);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Could not disable two-factor authentication';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setError(null);
+  };
+
   const register = async (userData) => {
     try {
       setError(null);
       setLoading(true);
       
       const response = await authService.register(userData);
-      const { user: newUser, token } = response.data;
+      const { user: newUser, token, refreshToken } = response.data;
       
-      localStorage.setItem('token', token);
+      tokenStorage.setTokens({ token, refreshToken });
       setUser(newUser);
       
       return { success: true };
@@ -78,10 +176,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
-    setError(null);
+  const logout = async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      // The session is dropped locally even if the server call fails
+      console.error('Logout error:', error);
+    } finally {
+      tokenStorage.clear();
+      organizationStorage.clear();
+      queryClient.clear();
+      setOrganizationId(null);
+      setUser(null);
+      setError(null);
+    }
+  };
+
+  // Switch the organization every API request is scoped to
+  const switchOrganization = (nextOrganizationId) => {
+    organizationStorage.set(nextOrganizationId);
+    setOrganizationId(nextOrganizationId);
+    queryClient.clear();
   };
 
   const updateProfile = async (profileData) => {
@@ -139,6 +254,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyEmail = async (token) => {
+    try {
+      setError(null);
+      
+      const response = await authService.verifyEmail(token);
+      if (user) {
+        setUser(response.data.user);
+      }
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Email verification failed';
+      setError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   const clearError = () => {
     setError(null);
   };
@@ -154,6 +285,15 @@ export const AuthProvider = ({ children }) => {
     changePassword,
     forgotPassword,
     resetPassword,
+    verifyEmail,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    cancelTwoFactor,
+    organizationId: organizationId || user?.defaultOrganizationId || null,
+    switchOrganization,
     clearError,
     isAuthenticated: !!user
   };
@@ -0,0 +1,92 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { connectLiveEvents } from '../services/liveEvents';
+
+const LiveEventsContext = createContext();
+
+// Most recent events kept for live feeds
+const MAX_RECENT_EVENTS = 50;
+
+// Busy campaigns publish an event per call; cached queries are refreshed at
+// most this often
+const INVALIDATE_DELAY_MS = 1000;
+
+// Queries refreshed by each event type
+const QUERIES_BY_EVENT = {
+  'call.status': (data) => ['calls', 'dashboard', ['campaign', data.campaignId]],
+  'campaign.status': (data) => [
+    'campaigns',
+    'dashboard',
+    ['campaign', data.campaignId],
+    ['campaignActivity', data.campaignId],
+    ['campaignSchedule', data.campaignId],
+  ],
+  'campaign.budget': (data) => ['campaigns', 'dashboard', ['campaignBudget', data.campaignId]],
+  notification: () => ['notifications'],
+};
+
+export const useLiveEvents = () => {
+  const context = useContext(LiveEventsContext);
+  if (!context) {
+    throw new Error('useLiveEvents must be used within a LiveEventsProvider');
+  }
+  return context;
+};
+
+// Streams live updates while a user is signed in and keeps react-query
+// caches current: affected queries are invalidated as events arrive, and
+// everything is refetched when the server reports missed events (resync)
+export const LiveEventsProvider = ({ children }) => {
+  const { user, organizationId } = useAuth();
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('closed');
+  const [recentEvents, setRecentEvents] = useState([]);
+  const pending = useRef(new Map());
+  const timer = useRef(null);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const flush = () => {
+      timer.current = null;
+      pending.current.forEach((key) => queryClient.invalidateQueries(key));
+      pending.current.clear();
+    };
+
+    const onEvent = (type, data) => {
+      if (type === 'resync') {
+        pending.current.clear();
+        queryClient.invalidateQueries();
+        return;
+      }
+
+      const queries = QUERIES_BY_EVENT[type];
+      if (!queries) return;
+      queries(data).forEach((key) => pending.current.set(JSON.stringify(key), key));
+      if (!timer.current) timer.current = setTimeout(flush, INVALIDATE_DELAY_MS);
+
+      setRecentEvents((events) => [{ type, ...data }, ...events].slice(0, MAX_RECENT_EVENTS));
+
+      if (type === 'notification') {
+        toast(data.body ? `${data.title}: ${data.body}` : data.title);
+      }
+    };
+
+    const close = connectLiveEvents({ onEvent, onStatus: setStatus });
+    return () => {
+      close();
+      clearTimeout(timer.current);
+      timer.current = null;
+      pending.current.clear();
+      setRecentEvents([]);
+    };
+  }, [user, organizationId, queryClient]);
+
+  return (
+    <LiveEventsContext.Provider value={{ status, recentEvents }}>
+      {children}
+    </LiveEventsContext.Provider>
+  );
+};
@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { format } from 'date-fns';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import toast from 'react-hot-toast';
+import { analyticsService } from '../../services/analyticsService';
+import { exportService } from '../../services/exportService';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const RANGES = {
+  1: { label: 'Last 24 hours', interval: 'hour' },
+  7: { label: 'Last 7 days', interval: 'day' },
+  30: { label: 'Last 30 days', interval: 'day' },
+  90: { label: 'Last 90 days', interval: 'week' },
+  365: { label: 'Last 12 months', interval: 'month' },
+};
+
+const GROUPS = {
+  campaign: 'Campaign',
+  state: 'State',
+  city: 'City',
+  utmSource: 'UTM source',
+  utmMedium: 'UTM medium',
+  deviceType: 'Device',
+};
+
+const BUCKET_FORMATS = {
+  hour: 'MMM d HH:mm',
+  day: 'MMM d',
+  week: "'Week of' MMM d",
+  month: 'MMM yyyy',
+};
+
+const SUMMARY = [
+  { key: 'calls', label: 'Calls', format: (value) => value.toLocaleString() },
+  { key: 'answerRate', label: 'Answer rate', format: (value) => `${value}%` },
+  { key: 'averageDuration', label: 'Avg. duration', format: (value) => `${Math.round(value)}s` },
+  { key: 'cost', label: 'Cost', format: formatMoney },
+  { key: 'revenue', label: 'Revenue', format: formatMoney },
+  { key: 'roi', label: 'ROI', format: (value) => `${value}%` },
+  { key: 'qualifiedLeadRate', label: 'Qualified leads', format: (value) => `${value}%` },
+];
+
+const AnalyticsPage = () => {
+  const [days, setDays] = useState(30);
+  const [groupBy, setGroupBy] = useState('campaign');
+
+  const reportParams = () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval: RANGES[days].interval,
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      groupBy,
+    };
+  };
+
+  const { data, isLoading } = useQuery(['analytics', days, groupBy], () => (
+    analyticsService.getReport({ ...reportParams(), compare: 'previous_period' })
+  ), { keepPreviousData: true });
+
+  const handleExport = async () => {
+    try {
+      await exportService.download('analytics', { ...reportParams(), format: 'csv' });
+    } catch (error) {
+      toast.error('Export failed');
+    }
+  };
+
+  const series = (data?.series || []).map((point, index) => ({
+    label: format(new Date(point.bucket), BUCKET_FORMATS[data.interval]),
+    calls: point.calls,
+    previous: data.comparison?.series[index]?.calls,
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Analytics</h1>
+        <div className="flex gap-2">
+          <select
+            value={days}
+            onChange={(event) => setDays(Number(event.target.value))}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            {Object.entries(RANGES).map(([value, range]) => (
+              <option key={value} value={value}>{range.label}</option>
+            ))}
+          </select>
+          <select
+            value={groupBy}
+            onChange={(event) => setGroupBy(event.target.value)}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            {Object.entries(GROUPS).map(([value, label]) => (
+              <option key={value} value={value}>By {label.toLowerCase()}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleExport}
+            className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {isLoading || !data ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-4 sm:grid-cols-7">
+            {SUMMARY.map((metric) => {
+              const change = data.comparison?.change[metric.key];
+              return (
+                <div key={metric.key} className="bg-white rounded-lg shadow p-4">
+                  <p className="text-sm text-gray-500">{metric.label}</p>
+                  <p className="text-xl font-semibold">{metric.format(data.totals[metric.key], data.currency)}</p>
+                  {change !== null && change !== undefined && (
+                    <p className={`text-xs ${change >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
+                      {change >= 0 ? '+' : ''}{change}% vs previous period
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Call volume</h2>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                  <Tooltip />
+                  <Line type="monotone" dataKey="calls" name="Calls" stroke="#2563eb" dot={false} />
+                  <Line type="monotone" dataKey="previous" name="Previous period" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="mt-2 text-xs text-gray-400">Times shown in {data.timeZone}.</p>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {data.groups.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500">No calls in this period.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">{GROUPS[groupBy]}</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Calls</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Answer rate</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Avg. duration</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">ROI</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-sm">
+                  {data.groups.map((group) => (
+                    <tr key={JSON.stringify(group.key)}>
+                      <td className="px-6 py-3 text-gray-900">{group.name}</td>
+                      <td className="px-6 py-3 text-right">{group.calls.toLocaleString()}</td>
+                      <td className="px-6 py-3 text-right">{group.answerRate}%</td>
+                      <td className="px-6 py-3 text-right">{Math.round(group.averageDuration)}s</td>
+                      <td className="px-6 py-3 text-right">{formatMoney(group.revenue, data.currency)}</td>
+                      <td className="px-6 py-3 text-right">{group.roi}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { CreditCard, ExternalLink } from 'lucide-react';
+import { paymentService } from '../../services/paymentService';
+import UsagePanel from '../../components/Billing/UsagePanel';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+const formatDate = (value) => format(new Date(value), 'MMM d, yyyy');
+
+const formatAmount = (amount, currency) => `${amount < 0 ? '-' : ''}${Math.abs(amount).toFixed(2)} ${currency || ''}`.trim();
+
+const StatusBanner = ({ billing }) => {
+  if (billing.restricted) {
+    return (
+      <div className="p-4 rounded-md bg-danger-50 border border-danger-200 text-sm text-danger-700">
+        Your account is restricted for non-payment: changes are blocked and inbound calls are rejected.
+        Update your payment method to restore it.
+      </div>
+    );
+  }
+  if (billing.gracePeriodEndsAt) {
+    return (
+      <div className="p-4 rounded-md bg-warning-50 border border-warning-200 text-sm text-warning-800">
+        Your last payment failed. Update your payment method before {formatDate(billing.gracePeriodEndsAt)} to
+        avoid restrictions.
+      </div>
+    );
+  }
+  if (billing.cancelAtPeriodEnd && billing.nextBillingDate) {
+    return (
+      <div className="p-4 rounded-md bg-warning-50 border border-warning-200 text-sm text-warning-800">
+        Your subscription ends on {formatDate(billing.nextBillingDate)}; the account then moves to Basic.
+      </div>
+    );
+  }
+  return null;
+};
+
+// Plan changes go through a proration preview before they are confirmed
+const BillingPage = () => {
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedPlan, setSelectedPlan] = useState(null);
+  const { data, isLoading } = useQuery('subscription', paymentService.getSubscription);
+
+  // Back from Stripe Checkout; the webhook may land a moment later
+  useEffect(() => {
+    const checkout = searchParams.get('checkout');
+    if (!checkout) return;
+    if (checkout === 'success') {
+      toast.success('Thanks! Your subscription is being activated.');
+      setTimeout(() => queryClient.invalidateQueries('subscription'), 3000);
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams, queryClient]);
+
+  const onError = (error) => toast.error(error.response?.data?.message || 'Billing request failed');
+  const redirect = ({ url }) => window.location.assign(url);
+
+  const checkoutMutation = useMutation(paymentService.createCheckout, { onSuccess: redirect, onError });
+  const portalMutation = useMutation(paymentService.openPortal, { onSuccess: redirect, onError });
+  const changeMutation = useMutation(paymentService.changePlan, {
+    onSuccess: (result) => {
+      queryClient.setQueryData('subscription', (current) => ({ ...current, billing: result.billing }));
+      queryClient.invalidateQueries('usage');
+      setSelectedPlan(null);
+      toast.success(result.pending ? 'The upgrade takes effect once its invoice is paid' : 'Plan updated');
+    },
+    onError,
+  });
+
+  const { billing } = data || {};
+  const { data: preview, isLoading: isPreviewLoading } = useQuery(
+    ['planPreview', selectedPlan],
+    () => paymentService.previewPlanChange(selectedPlan),
+    { enabled: Boolean(selectedPlan && billing?.hasSubscription), onError }
+  );
+
+  if (isLoading || !data) {
+    return (
+      <div className="flex justify-center py-10">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const choosePlan = (plan) => {
+    if (billing.hasSubscription) {
+      setSelectedPlan(plan);
+    } else {
+      checkoutMutation.mutate(plan);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+          <p className="text-sm text-gray-500">
+            Status: {billing.subscriptionStatus.replace('_', ' ')}
+            {billing.nextBillingDate && !billing.cancelAtPeriodEnd && ` · renews ${formatDate(billing.nextBillingDate)}`}
+          </p>
+        </div>
+        {data.configured && billing.hasSubscription && (
+          <button
+            type="button"
+            onClick={() => portalMutation.mutate()}
+            disabled={portalMutation.isLoading}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <CreditCard className="w-4 h-4 mr-1" />
+            Payment methods & invoices
+            <ExternalLink className="w-3 h-3 ml-1" />
+          </button>
+        )}
+      </div>
+
+      <StatusBanner billing={billing} />
+      {!data.configured && (
+        <p className="text-sm text-gray-500">Online billing is not available yet.</p>
+      )}
+
+      <div className="grid gap-6 sm:grid-cols-3">
+        {data.plans.map((plan) => {
+          const current = plan.id === billing.plan;
+          const canChoose = data.configured && plan.available && !current && (plan.id !== 'basic' || billing.hasSubscription);
+          return (
+            <div
+              key={plan.id}
+              className={clsx('bg-white rounded-lg shadow p-6 space-y-4', current && 'ring-2 ring-primary-500')}
+            >
+              <h2 className="text-lg font-semibold text-gray-900">{plan.name}</h2>
+              {current ? (
+                <p className="text-sm font-medium text-primary-600">Current plan</p>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => choosePlan(plan.id)}
+                  disabled={!canChoose || checkoutMutation.isLoading}
+                  className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {billing.hasSubscription ? `Switch to ${plan.name}` : `Subscribe to ${plan.name}`}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {selectedPlan && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Switch to {data.plans.find((plan) => plan.id === selectedPlan).name}
+          </h2>
+          {isPreviewLoading ? (
+            <LoadingSpinner />
+          ) : !preview ? (
+            <p className="text-sm text-danger-600">The price of this change could not be calculated.</p>
+          ) : selectedPlan === 'basic' ? (
+            <p className="text-sm text-gray-700">
+              Your subscription stays active until {billing.nextBillingDate ? formatDate(billing.nextBillingDate) : 'the end of the period'}, then
+              the account moves to Basic.
+            </p>
+          ) : (
+            <div className="space-y-2 text-sm text-gray-700">
+              <ul className="divide-y divide-gray-100">
+                {preview.lines.filter((line) => line.proration).map((line, index) => (
+                  <li key={index} className="flex justify-between py-1">
+                    <span>{line.description}</span>
+                    <span>{formatAmount(line.amount, preview.currency)}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="font-medium">
+                {preview.prorationAmount >= 0
+                  ? `Charged now: ${formatAmount(preview.prorationAmount, preview.currency)}`
+                  : `Credited to your next invoice: ${formatAmount(-preview.prorationAmount, preview.currency)}`}
+              </p>
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => changeMutation.mutate(selectedPlan)}
+              disabled={changeMutation.isLoading || !preview}
+              className="px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              Confirm
+            </button>
+            <button
+              type="button"
+              onClick={() => setSelectedPlan(null)}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <UsagePanel />
+    </div>
+  );
+};
+
+export default BillingPage;
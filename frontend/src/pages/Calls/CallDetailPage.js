@@ -0,0 +1,145 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { callService } from '../../services/callService';
+import RecordingPlayer from '../../components/Calls/RecordingPlayer';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const statusLabel = (value) => value.replace('_', ' ').replace(/^\w/, (letter) => letter.toUpperCase());
+
+const RECORDING_MESSAGES = {
+  pending: 'The recording is being copied from the provider and will be playable shortly.',
+  failed: 'The recording could not be copied from the provider.',
+  purged: 'The recording was deleted at the end of its retention period.',
+};
+
+const CallDetailPage = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const { data: call, isLoading } = useQuery(['call', id], () => callService.getCall(id));
+
+  const legalHoldMutation = useMutation(
+    ({ enabled, reason }) => callService.setLegalHold(id, enabled, reason),
+    {
+      onSuccess: (legalHold) => {
+        toast.success(legalHold.enabled ? 'Legal hold placed' : 'Legal hold lifted');
+        queryClient.invalidateQueries(['call', id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Legal hold change failed');
+      },
+    }
+  );
+
+  const toggleLegalHold = () => {
+    if (call.recording.legalHold?.enabled) {
+      legalHoldMutation.mutate({ enabled: false });
+      return;
+    }
+    const reason = window.prompt('Reason for the legal hold (case or matter reference)');
+    if (!reason) return;
+    legalHoldMutation.mutate({ enabled: true, reason });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-10">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!call) {
+    return <p className="text-sm text-gray-500">Call not found.</p>;
+  }
+
+  const { recording } = call;
+  const legalHold = recording?.legalHold;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">
+          {call.from?.number || 'Unknown caller'} → {call.to?.number}
+        </h1>
+        <p className="mt-1 text-sm text-gray-500">
+          {statusLabel(call.status)} · {format(new Date(call.timing?.initiatedAt || call.createdAt), 'MMM d yyyy HH:mm:ss')}
+          {call.campaignId && (
+            <>
+              {' '}· <Link to={`/campaigns/${call.campaignId._id}`} className="text-primary-600">{call.campaignId.name}</Link>
+            </>
+          )}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Duration</p>
+          <p className="text-xl font-semibold">{call.timing?.duration || 0}s</p>
+          <p className="text-xs text-gray-500">{call.billable ? 'Billable' : `Not billable${call.billableReason ? ` (${call.billableReason.replace(/_/g, ' ')})` : ''}`}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Revenue</p>
+          <p className="text-xl font-semibold">{formatMoney(call.revenue?.amount || 0, call.revenue?.currency)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Payout</p>
+          <p className="text-xl font-semibold">{formatMoney(call.payout?.amount || 0, call.payout?.currency)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Telephony cost</p>
+          <p className="text-xl font-semibold">{formatMoney(call.cost?.total || 0, call.cost?.currency)}</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900">Recording</h2>
+          {recording && ['pending', 'stored'].includes(recording.status) && (
+            <button
+              type="button"
+              disabled={legalHoldMutation.isLoading}
+              onClick={toggleLegalHold}
+              className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              {legalHold?.enabled ? 'Lift legal hold' : 'Place legal hold'}
+            </button>
+          )}
+        </div>
+
+        {legalHold?.enabled && (
+          <div className="rounded-md bg-warning-50 border border-warning-200 p-3 text-sm text-warning-800">
+            On legal hold since {format(new Date(legalHold.setAt), 'MMM d yyyy')}: {legalHold.reason}. It will not be deleted at the end of its retention period.
+          </div>
+        )}
+
+        {recording?.status === 'stored' ? (
+          <RecordingPlayer callId={call._id} />
+        ) : (
+          <p className="text-sm text-gray-500">{RECORDING_MESSAGES[recording?.status] || 'This call was not recorded.'}</p>
+        )}
+      </div>
+
+      {call.routing?.attempts?.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-3">Routing</h2>
+          <ul className="divide-y divide-gray-100 text-sm">
+            {call.routing.attempts.map((attempt, index) => (
+              <li key={index} className="flex justify-between py-2">
+                <span>{attempt.number}</span>
+                <span className="text-gray-500">
+                  {statusLabel(attempt.outcome)} · {format(new Date(attempt.startedAt), 'HH:mm:ss')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CallDetailPage;
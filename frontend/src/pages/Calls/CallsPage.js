@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Download } from 'lucide-react';
+import { callService } from '../../services/callService';
+import { exportService } from '../../services/exportService';
+import LiveIndicator from '../../components/Live/LiveIndicator';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const STATUSES = ['', 'initiated', 'ringing', 'answered', 'completed', 'failed', 'no_answer', 'busy'];
+
+const statusLabel = (value) => value.replace('_', ' ').replace(/^\w/, (letter) => letter.toUpperCase());
+
+// Kept current by LiveEventsProvider, which refreshes 'calls' queries as
+// call status events arrive
+const CallsPage = () => {
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const { data, isLoading } = useQuery(
+    ['calls', status, page],
+    () => callService.getCalls({ status: status || undefined, page }),
+    { keepPreviousData: true }
+  );
+
+  const calls = data?.calls || [];
+  const pages = data?.pagination?.pages || 1;
+
+  const handleExport = async () => {
+    try {
+      const job = await exportService.download('calls', { format: 'csv', status: status || undefined });
+      if (job) toast.success('Export queued; it will be ready to download shortly');
+    } catch (error) {
+      toast.error('Export failed');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <h1 className="text-2xl font-bold text-gray-900">Calls</h1>
+          <LiveIndicator />
+        </div>
+        <button
+          type="button"
+          onClick={handleExport}
+          className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <Download className="w-4 h-4 mr-1" />
+          Export CSV
+        </button>
+      </div>
+
+      <select
+        value={status}
+        onChange={(event) => { setStatus(event.target.value); setPage(1); }}
+        className="rounded-md border-gray-300 text-sm"
+      >
+        {STATUSES.map((value) => (
+          <option key={value} value={value}>{value ? statusLabel(value) : 'All statuses'}</option>
+        ))}
+      </select>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center py-10">
+            <LoadingSpinner />
+          </div>
+        ) : calls.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No calls found.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Started</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">From</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Campaign</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Duration</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Payout</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {calls.map((call) => (
+                <tr key={call._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm text-primary-600">
+                    <Link to={`/calls/${call._id}`}>{format(new Date(call.createdAt), 'MMM d HH:mm:ss')}</Link>
+                  </td>
+                  <td className="px-6 py-4 text-sm">{call.from?.number}</td>
+                  <td className="px-6 py-4 text-sm">{call.campaignId?.name}</td>
+                  <td className="px-6 py-4 text-sm">{statusLabel(call.status)}</td>
+                  <td className="px-6 py-4 text-sm text-right">{call.timing?.duration || 0}s</td>
+                  <td className="px-6 py-4 text-sm text-right">{formatMoney(call.payout?.amount || 0, call.payout?.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex justify-between text-sm">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)} className="text-primary-600 disabled:text-gray-300">
+            Previous
+          </button>
+          <span className="text-gray-500">Page {page} of {pages}</span>
+          <button type="button" disabled={page >= pages} onClick={() => setPage(page + 1)} className="text-primary-600 disabled:text-gray-300">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CallsPage;
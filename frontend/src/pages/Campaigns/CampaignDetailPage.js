@@ -0,0 +1,302 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { campaignService } from '../../services/campaignService';
+import { marginService } from '../../services/marginService';
+import ActivityFeed from '../../components/Audit/ActivityFeed';
+import CampaignStatusBadge from '../../components/Campaigns/CampaignStatusBadge';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const ACTION_LABELS = {
+  activate: 'Activate',
+  pause: 'Pause',
+  resume: 'Resume',
+  complete: 'Complete',
+  cancel: 'Cancel campaign',
+};
+
+const STRATEGY_LABELS = {
+  priority: 'Lowest priority number rings first',
+  weighted: 'Traffic split by weight',
+  round_robin: 'Destinations take turns',
+};
+
+const OPERATOR_SYMBOLS = { lt: '<', lte: '≤', gt: '>', gte: '≥' };
+
+const RULE_ACTION_LABELS = {
+  pause_campaign: 'pause campaign',
+  lower_bid: 'lower payout',
+  deactivate_phone_number: 'deactivate number',
+  send_alert: 'send alert',
+};
+
+const CampaignDetailPage = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const { data, isLoading } = useQuery(['campaign', id], () => campaignService.getCampaign(id));
+  const { data: schedule } = useQuery(['campaignSchedule', id], () => campaignService.getSchedule(id), {
+    refetchInterval: 60000,
+  });
+  const { data: budget } = useQuery(['campaignBudget', id], () => campaignService.getBudget(id), {
+    refetchInterval: 60000,
+  });
+  const { data: margins } = useQuery(['campaignMargins', id], () => marginService.getReport({ campaignId: id }));
+  const { data: firings } = useQuery(['campaignRuleFirings', id], () => campaignService.getRuleFirings(id, { limit: 10 }));
+
+  const dryRunMutation = useMutation(() => campaignService.dryRunRules(id), {
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Dry run failed');
+    },
+  });
+
+  const transitionMutation = useMutation(
+    ({ action, reason }) => campaignService.transitionCampaign(id, action, reason),
+    {
+      onSuccess: (campaign) => {
+        toast.success(`Campaign is now ${campaign.status}`);
+        queryClient.invalidateQueries(['campaign', id]);
+        queryClient.invalidateQueries(['campaignActivity', id]);
+        queryClient.invalidateQueries(['campaignSchedule', id]);
+        queryClient.invalidateQueries(['campaignBudget', id]);
+        queryClient.invalidateQueries('campaigns');
+      },
+      onError: (error) => {
+        const { message, reasons } = error.response?.data || {};
+        toast.error([message || 'Status change failed', ...(reasons || [])].join('\n'));
+      },
+    }
+  );
+
+  const runAction = (action) => {
+    let reason;
+    if (action === 'cancel' || action === 'complete') {
+      reason = window.prompt(`Reason to ${action} this campaign (optional)`);
+      if (reason === null) return;
+    }
+    transitionMutation.mutate({ action, reason: reason || undefined });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-10">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const campaign = data?.campaign;
+  if (!campaign) {
+    return <p className="text-sm text-gray-500">Campaign not found.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{campaign.name}</h1>
+          <div className="mt-1 flex items-center gap-3">
+            <CampaignStatusBadge status={campaign.status} />
+            {schedule && (
+              <span className="text-sm text-gray-500">
+                {schedule.open
+                  ? `In hours${schedule.closesAt ? ` until ${format(new Date(schedule.closesAt), 'EEE HH:mm')}` : ''}`
+                  : `Out of hours${schedule.opensAt ? `, opens ${format(new Date(schedule.opensAt), 'EEE MMM d HH:mm')}` : ''}`}
+                {' '}(your time; campaign runs on {schedule.timeZone})
+              </span>
+            )}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {data.availableActions.map((action) => (
+            <button
+              key={action}
+              type="button"
+              disabled={transitionMutation.isLoading}
+              onClick={() => runAction(action)}
+              className={
+                action === 'cancel'
+                  ? 'px-3 py-2 text-sm font-medium text-danger-700 bg-white border border-danger-200 rounded-md hover:bg-danger-50'
+                  : 'px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700'
+              }
+            >
+              {ACTION_LABELS[action]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {budget?.autoPause && (
+        <div className="rounded-md bg-warning-50 border border-warning-200 p-4 text-sm text-warning-800">
+          {budget.autoPause.reason === 'daily_cap'
+            ? `Paused automatically: daily budget reached. Resumes ${budget.autoPause.resumeAt ? format(new Date(budget.autoPause.resumeAt), 'EEE MMM d HH:mm') : 'after review'}.`
+            : 'Paused automatically: total budget reached. Raise the total budget to resume.'}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-5">
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Spent today</p>
+          <p className="text-xl font-semibold">
+            {formatMoney(budget?.today.spent ?? 0, campaign.currency)}
+            <span className="text-sm font-normal text-gray-500"> / {formatMoney(campaign.budget.daily, campaign.currency)}</span>
+          </p>
+          {budget?.pacing === 'even' && (
+            <p className="text-xs text-gray-500">Paced: {formatMoney(budget.today.allowance, campaign.currency)} allowed so far</p>
+          )}
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Remaining</p>
+          <p className="text-xl font-semibold">{formatMoney(campaign.budget.remaining, campaign.currency)}</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Calls</p>
+          <p className="text-xl font-semibold">{campaign.performance.totalCalls}</p>
+          <p className="text-xs text-gray-500">
+            {campaign.performance.billableCalls} billable (min {campaign.callSettings.minCallDuration}s)
+          </p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">ROI</p>
+          <p className="text-xl font-semibold">{campaign.performance.roi.toFixed(1)}%</p>
+        </div>
+        <div className="bg-white rounded-lg shadow p-4">
+          <p className="text-sm text-gray-500">Margin</p>
+          <p className="text-xl font-semibold">
+            {margins ? formatMoney(margins.totals.margin, margins.currency) : '—'}
+          </p>
+          {margins && (
+            <p className="text-xs text-gray-500">
+              {formatMoney(margins.totals.revenue, margins.currency)} revenue · {formatMoney(margins.totals.payout, margins.currency)} payouts
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">Routing</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {STRATEGY_LABELS[campaign.routing.strategy]}; unanswered calls fail over to the next destination.
+        </p>
+        {campaign.routing.destinations.length === 0 ? (
+          <p className="text-sm text-gray-500">No destinations yet. Calls to this campaign are rejected.</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 font-medium">Destination</th>
+                <th className="py-2 font-medium">Number</th>
+                <th className="py-2 font-medium">Priority</th>
+                <th className="py-2 font-medium">Weight</th>
+                <th className="py-2 font-medium">Ring timeout</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {campaign.routing.destinations.map((destination) => (
+                <tr key={destination._id} className={destination.isActive ? 'text-gray-700' : 'text-gray-400'}>
+                  <td className="py-2">{destination.name || '—'}{!destination.isActive && ' (inactive)'}</td>
+                  <td className="py-2">{destination.number}</td>
+                  <td className="py-2">{destination.priority}</td>
+                  <td className="py-2">{destination.weight}</td>
+                  <td className="py-2">{destination.ringTimeout}s</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-lg font-semibold text-gray-900">Auto-optimization</h2>
+          {campaign.autoOptimization.rules.length > 0 && (
+            <button
+              type="button"
+              disabled={dryRunMutation.isLoading}
+              onClick={() => dryRunMutation.mutate()}
+              className="px-3 py-2 text-sm font-medium text-primary-700 bg-white border border-primary-200 rounded-md hover:bg-primary-50"
+            >
+              Dry run last 30 days
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {campaign.autoOptimization.enabled ? 'Rules are evaluated every 5 minutes.' : 'Disabled: rules are not evaluated.'}
+        </p>
+        {campaign.autoOptimization.rules.length === 0 ? (
+          <p className="text-sm text-gray-500">No rules yet.</p>
+        ) : (
+          <ul className="space-y-1 text-sm">
+            {campaign.autoOptimization.rules.map((rule) => (
+              <li key={rule._id} className={rule.isActive ? 'text-gray-700' : 'text-gray-400'}>
+                {rule.name && <span className="font-medium">{rule.name}: </span>}
+                {rule.metric} {OPERATOR_SYMBOLS[rule.operator]} {rule.threshold} over the last {rule.window.calls} calls
+                {' '}→ {RULE_ACTION_LABELS[rule.action.type]}
+                {rule.action.type === 'lower_bid' && ` by ${rule.action.percent}%`}
+                {!rule.isActive && ' (inactive)'}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {dryRunMutation.data && (
+          <div className="mt-4 rounded-md bg-gray-50 p-4 text-sm text-gray-700">
+            <p className="font-medium">
+              Over {dryRunMutation.data.calls} calls the rules would have fired {dryRunMutation.data.firings.length} time(s).
+            </p>
+            <p className="text-gray-500">
+              {dryRunMutation.data.impact.pausedAt
+                ? `Paused ${format(new Date(dryRunMutation.data.impact.pausedAt), 'MMM d HH:mm')}; `
+                : ''}
+              {dryRunMutation.data.impact.callsBlocked} call(s) blocked ({formatMoney(dryRunMutation.data.impact.marginBlocked, dryRunMutation.data.currency)} margin),
+              {' '}{formatMoney(dryRunMutation.data.impact.payoutSaved, dryRunMutation.data.currency)} payouts saved.
+            </p>
+            <ul className="mt-2 space-y-1">
+              {dryRunMutation.data.firings.slice(0, 20).map((firing) => (
+                <li key={`${firing.firedAt}-${firing.detail}`}>
+                  <span className="text-xs text-gray-400">{format(new Date(firing.firedAt), 'MMM d HH:mm')}</span>
+                  {' '}{firing.detail} → {RULE_ACTION_LABELS[firing.action]}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {firings?.firings.length > 0 && (
+          <div className="mt-4">
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Recent firings</h3>
+            <ul className="space-y-1 text-sm">
+              {firings.firings.map((firing) => (
+                <li key={firing._id} className={firing.outcome === 'applied' ? 'text-gray-700' : 'text-gray-400'}>
+                  <span className="text-xs text-gray-400">{format(new Date(firing.firedAt), 'MMM d HH:mm')}</span>
+                  {' '}{firing.detail}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {campaign.statusHistory.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Status history</h2>
+          <ul className="space-y-2 text-sm">
+            {[...campaign.statusHistory].reverse().map((entry) => (
+              <li key={`${entry.at}-${entry.to}`} className="text-gray-700">
+                <span className="capitalize">{entry.from}</span> → <span className="capitalize font-medium">{entry.to}</span>
+                <span className="ml-2 text-xs text-gray-400">{format(new Date(entry.at), 'MMM d, yyyy HH:mm')}</span>
+                {entry.reason && <span className="ml-2 text-gray-500">— {entry.reason}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ActivityFeed campaignId={id} />
+    </div>
+  );
+};
+
+export default CampaignDetailPage;
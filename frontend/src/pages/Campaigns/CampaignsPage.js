@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import toast from 'react-hot-toast';
+import { Plus, Download } from 'lucide-react';
+import { campaignService } from '../../services/campaignService';
+import { exportService } from '../../services/exportService';
+import CampaignStatusBadge from '../../components/Campaigns/CampaignStatusBadge';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const STATUSES = ['', 'draft', 'active', 'paused', 'completed', 'cancelled'];
+
+const CampaignsPage = () => {
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const { data, isLoading } = useQuery(
+    ['campaigns', status, page],
+    () => campaignService.getCampaigns({ status: status || undefined, page }),
+    { keepPreviousData: true }
+  );
+
+  const campaigns = data?.campaigns || [];
+  const pages = data?.pagination?.pages || 1;
+
+  const handleExport = async () => {
+    try {
+      const job = await exportService.download('campaigns', { format: 'csv', status: status || undefined });
+      if (job) toast.success('Export queued; it will be ready to download shortly');
+    } catch (error) {
+      toast.error('Export failed');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Campaigns</h1>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleExport}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            Export CSV
+          </button>
+          <Link
+            to="/campaigns/create"
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New campaign
+          </Link>
+        </div>
+      </div>
+
+      <select
+        value={status}
+        onChange={(event) => { setStatus(event.target.value); setPage(1); }}
+        className="rounded-md border-gray-300 text-sm"
+      >
+        {STATUSES.map((value) => (
+          <option key={value} value={value}>{value ? value[0].toUpperCase() + value.slice(1) : 'All statuses'}</option>
+        ))}
+      </select>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center py-10">
+            <LoadingSpinner />
+          </div>
+        ) : campaigns.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No campaigns found.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Daily budget</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Spent</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Calls</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {campaigns.map((campaign) => (
+                <tr key={campaign._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm font-medium text-primary-600">
+                    <Link to={`/campaigns/${campaign._id}`}>{campaign.name}</Link>
+                  </td>
+                  <td className="px-6 py-4"><CampaignStatusBadge status={campaign.status} /></td>
+                  <td className="px-6 py-4 text-sm text-right">{formatMoney(campaign.budget.daily, campaign.currency)}</td>
+                  <td className="px-6 py-4 text-sm text-right">{formatMoney(campaign.budget.spent, campaign.currency)}</td>
+                  <td className="px-6 py-4 text-sm text-right">{campaign.performance.totalCalls}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex justify-between text-sm">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)} className="text-primary-600 disabled:text-gray-300">
+            Previous
+          </button>
+          <span className="text-gray-500">Page {page} of {pages}</span>
+          <button type="button" disabled={page >= pages} onClick={() => setPage(page + 1)} className="text-primary-600 disabled:text-gray-300">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CampaignsPage;
@@ -0,0 +1,151 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { campaignService } from '../../services/campaignService';
+
+const INDUSTRIES = [
+  'healthcare', 'finance', 'insurance', 'real_estate', 'legal',
+  'automotive', 'home_services', 'education', 'technology', 'retail',
+  'travel', 'food_beverage', 'fitness', 'beauty', 'other',
+];
+
+const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+const CreateCampaignPage = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      type: 'inbound',
+      industry: 'other',
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      activeStart: '09:00',
+      activeEnd: '17:00',
+    },
+  });
+
+  const createMutation = useMutation(campaignService.createCampaign, {
+    onSuccess: (campaign) => {
+      queryClient.invalidateQueries('campaigns');
+      toast.success('Campaign created as a draft');
+      navigate(`/campaigns/${campaign._id}`);
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      toast.error(data?.errors?.[0]?.msg || data?.message || 'Failed to create campaign');
+    },
+  });
+
+  const onSubmit = (values) => {
+    createMutation.mutate({
+      name: values.name,
+      description: values.description,
+      type: values.type,
+      industry: values.industry,
+      budget: { daily: Number(values.dailyBudget), total: Number(values.totalBudget) },
+      schedule: {
+        startDate: values.startDate,
+        endDate: values.endDate,
+        timeZone: values.timeZone,
+        activeHours: { start: values.activeStart, end: values.activeEnd },
+      },
+      phoneNumbers: values.phoneNumber ? [{ number: values.phoneNumber }] : [],
+    });
+  };
+
+  return (
+    <div className="max-w-3xl space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">New campaign</h1>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="bg-white rounded-lg shadow p-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Name</label>
+          <input {...register('name', { required: 'Name is required', maxLength: 100 })} className={inputClassName} />
+          {errors.name && <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Description</label>
+          <textarea {...register('description', { maxLength: 500 })} rows={3} className={inputClassName} />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Type</label>
+            <select {...register('type')} className={inputClassName}>
+              <option value="inbound">Inbound</option>
+              <option value="outbound">Outbound</option>
+              <option value="hybrid">Hybrid</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Industry</label>
+            <select {...register('industry')} className={inputClassName}>
+              {INDUSTRIES.map((industry) => (
+                <option key={industry} value={industry}>{industry.replace('_', ' ')}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Daily budget ($)</label>
+            <input type="number" step="0.01" {...register('dailyBudget', { required: 'Daily budget is required', min: 1 })} className={inputClassName} />
+            {errors.dailyBudget && <p className="mt-1 text-sm text-danger-600">Daily budget must be at least $1</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Total budget ($)</label>
+            <input type="number" step="0.01" {...register('totalBudget', { required: 'Total budget is required', min: 1 })} className={inputClassName} />
+            {errors.totalBudget && <p className="mt-1 text-sm text-danger-600">Total budget must be at least $1</p>}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Start date</label>
+            <input type="date" {...register('startDate', { required: true })} className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">End date</label>
+            <input type="date" {...register('endDate', { required: true })} className={inputClassName} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Time zone</label>
+            <input {...register('timeZone')} className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Opens</label>
+            <input type="time" {...register('activeStart')} className={inputClassName} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Closes</label>
+            <input type="time" {...register('activeEnd')} className={inputClassName} />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Tracking number (optional)</label>
+          <input {...register('phoneNumber')} placeholder="+1 555 123 4567" className={inputClassName} />
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={createMutation.isLoading}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            Create draft
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateCampaignPage;
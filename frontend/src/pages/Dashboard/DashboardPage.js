@@ -0,0 +1,124 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { analyticsService } from '../../services/analyticsService';
+import { campaignService } from '../../services/campaignService';
+import { useLiveEvents } from '../../contexts/LiveEventsContext';
+import CampaignStatusBadge from '../../components/Campaigns/CampaignStatusBadge';
+import LiveIndicator from '../../components/Live/LiveIndicator';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+import { formatMoney } from '../../utils/money';
+
+const SUMMARY = [
+  { key: 'calls', label: 'Calls today', format: (value) => value.toLocaleString() },
+  { key: 'answerRate', label: 'Answer rate', format: (value) => `${value}%` },
+  { key: 'cost', label: 'Spend', format: formatMoney },
+  { key: 'revenue', label: 'Revenue', format: formatMoney },
+];
+
+// One line of the live feed
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'call.status':
+      return `Call from ${event.from || 'unknown'} is ${event.status.replace('_', ' ')}`;
+    case 'campaign.status':
+      return `${event.name} is now ${event.status}${event.reason ? ` (${event.reason})` : ''}`;
+    case 'campaign.budget':
+      return `${event.name} has spent ${formatMoney(event.budget.spent, event.currency)}`;
+    case 'notification':
+      return event.title;
+    default:
+      return event.type;
+  }
+};
+
+const DashboardPage = () => {
+  const { recentEvents } = useLiveEvents();
+
+  const { data: report, isLoading } = useQuery(['dashboard', 'today'], () => {
+    const from = new Date();
+    from.setHours(0, 0, 0, 0);
+    return analyticsService.getReport({
+      from: from.toISOString(),
+      to: new Date().toISOString(),
+      interval: 'hour',
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    });
+  });
+  const { data: active } = useQuery(['dashboard', 'campaigns'], () => (
+    campaignService.getCampaigns({ status: 'active', limit: 5 })
+  ));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
+        <LiveIndicator />
+      </div>
+
+      {isLoading || !report ? (
+        <div className="flex justify-center py-10">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+          {SUMMARY.map((metric) => (
+            <div key={metric.key} className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">{metric.label}</p>
+              <p className="text-xl font-semibold">{metric.format(report.totals[metric.key], report.currency)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Active campaigns</h2>
+            <Link to="/campaigns" className="text-sm text-primary-600 hover:text-primary-700">View all</Link>
+          </div>
+          {(active?.campaigns || []).length === 0 ? (
+            <p className="text-sm text-gray-500">No active campaigns.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {active.campaigns.map((campaign) => (
+                <li key={campaign._id} className="flex items-center justify-between py-3 text-sm">
+                  <Link to={`/campaigns/${campaign._id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                    {campaign.name}
+                  </Link>
+                  <span className="flex items-center gap-3">
+                    <span className="text-gray-500">
+                      {formatMoney(campaign.budget.spent, campaign.currency)} of {formatMoney(campaign.budget.total, campaign.currency)} spent
+                    </span>
+                    <CampaignStatusBadge status={campaign.status} />
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Live activity</h2>
+          {recentEvents.length === 0 ? (
+            <p className="text-sm text-gray-500">Waiting for calls and campaign changes…</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {recentEvents.map((event, index) => (
+                <li key={`${event.at}-${index}`} className="flex justify-between gap-4">
+                  <span className="text-gray-900">{describeEvent(event)}</span>
+                  <span className="text-gray-400 whitespace-nowrap">
+                    {formatDistanceToNow(new Date(event.at), { addSuffix: true })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DashboardPage;
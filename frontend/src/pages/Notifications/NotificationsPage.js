@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { formatDistanceToNow } from 'date-fns';
+import { CheckCheck } from 'lucide-react';
+import { notificationService } from '../../services/notificationService';
+import LoadingSpinner from '../../components/UI/LoadingSpinner';
+
+// In-app inbox; new notifications arrive through the live event stream
+const NotificationsPage = () => {
+  const queryClient = useQueryClient();
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const { data, isLoading } = useQuery(
+    ['notifications', unreadOnly, page],
+    () => notificationService.getNotifications({ unread: unreadOnly || undefined, page }),
+    { keepPreviousData: true }
+  );
+
+  const onError = (error) => toast.error(error.response?.data?.message || 'Failed to update notifications');
+  const readMutation = useMutation(notificationService.markRead, {
+    onSuccess: () => queryClient.invalidateQueries('notifications'),
+    onError,
+  });
+  const readAllMutation = useMutation(notificationService.markAllRead, {
+    onSuccess: () => queryClient.invalidateQueries('notifications'),
+    onError,
+  });
+
+  const notifications = data?.notifications || [];
+  const pages = data?.pagination?.pages || 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Notifications</h1>
+          <p className="text-sm text-gray-500">{data?.unreadCount || 0} unread</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => readAllMutation.mutate()}
+          disabled={!data?.unreadCount || readAllMutation.isLoading}
+          className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          <CheckCheck className="w-4 h-4 mr-1" />
+          Mark all read
+        </button>
+      </div>
+
+      <label className="inline-flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={unreadOnly}
+          onChange={(event) => { setUnreadOnly(event.target.checked); setPage(1); }}
+          className="mr-2 rounded border-gray-300"
+        />
+        Unread only
+      </label>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="flex justify-center py-10">
+            <LoadingSpinner />
+          </div>
+        ) : notifications.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No notifications.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {notifications.map((notification) => (
+              <li key={notification.id} className={clsx('flex items-start justify-between gap-4 px-6 py-4', !notification.read && 'bg-primary-50')}>
+                <div>
+                  <p className={clsx('text-sm text-gray-900', !notification.read && 'font-semibold')}>
+                    {notification.link ? <Link to={notification.link}>{notification.title}</Link> : notification.title}
+                  </p>
+                  {notification.body && <p className="text-sm text-gray-500">{notification.body}</p>}
+                  <p className="text-xs text-gray-400">
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                {!notification.read && (
+                  <button
+                    type="button"
+                    onClick={() => readMutation.mutate(notification.id)}
+                    className="text-xs text-primary-600 hover:text-primary-700 whitespace-nowrap"
+                  >
+                    Mark read
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex justify-between text-sm">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)} className="text-primary-600 disabled:text-gray-300">
+            Previous
+          </button>
+          <span className="text-gray-500">Page {page} of {pages}</span>
+          <button type="button" disabled={page >= pages} onClick={() => setPage(page + 1)} className="text-primary-600 disabled:text-gray-300">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsPage;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import ApiKeysSection from '../../components/Profile/ApiKeysSection';
+import NotificationsSection from '../../components/Profile/NotificationsSection';
+import TwoFactorSection from '../../components/Profile/TwoFactorSection';
+
+const ProfilePage = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Profile</h1>
+        <p className="text-sm text-gray-500">Manage your account and integrations.</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Account</h2>
+        <dl className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <dt className="text-sm text-gray-500">Name</dt>
+            <dd className="text-sm font-medium text-gray-900">{user?.firstName} {user?.lastName}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Email</dt>
+            <dd className="text-sm font-medium text-gray-900">{user?.email}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Company</dt>
+            <dd className="text-sm font-medium text-gray-900">{user?.company || '—'}</dd>
+          </div>
+          <div>
+            <dt className="text-sm text-gray-500">Plan</dt>
+            <dd className="text-sm font-medium text-gray-900 capitalize">{user?.accountType}</dd>
+          </div>
+        </dl>
+      </div>
+
+      <NotificationsSection />
+
+      <TwoFactorSection />
+
+      <ApiKeysSection />
+    </div>
+  );
+};
+
+export default ProfilePage;
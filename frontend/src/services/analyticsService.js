@@ -0,0 +1,9 @@
+import api from './api';
+
+export const analyticsService = {
+  // params: from, to, interval, timeZone, groupBy, compare, campaignId
+  getReport: async (params = {}) => {
+    const response = await api.get('/analytics', { params });
+    return response.data.data;
+  },
+};
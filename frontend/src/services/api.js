@@ -1,20 +1,72 @@
 import axios from 'axios';
 
+export const baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Token storage helpers shared with AuthContext
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem('token'),
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  setTokens: ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  },
+  clear: () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  },
+};
+
+// Organization the user is currently working in (sent as X-Organization-Id)
+export const organizationStorage = {
+  get: () => localStorage.getItem('organizationId'),
+  set: (organizationId) => localStorage.setItem('organizationId', organizationId),
+  clear: () => localStorage.removeItem('organizationId'),
+};
+
+// A single in-flight refresh shared by every request that got a 401
+let refreshPromise = null;
+
+export const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = tokenStorage.getRefreshToken();
+    refreshPromise = (refreshToken
+      ? axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        tokenStorage.setTokens(response.data.data);
+        return response.data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/verify'];
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = tokenStorage.getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    const organizationId = organizationStorage.get();
+    if (organizationId) {
+      config.headers['X-Organization-Id'] = organizationId;
+    }
     return config;
   },
   (error) => {
@@ -27,11 +79,29 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // Handle 401 Unauthorized errors
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Handle 401 Unauthorized errors by refreshing the session once
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.some((endpoint) => originalRequest.url?.endsWith(endpoint))
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshTokens();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        tokenStorage.clear();
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
+        return Promise.reject(error);
+      }
     }
     
     // Handle 403 Forbidden errors
@@ -48,4 +118,4 @@ api.interceptors.response.use(
   }
 );
 
-export default api;
\ No newline at end of file
+export default api;
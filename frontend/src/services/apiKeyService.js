@@ -0,0 +1,18 @@
+import api from './api';
+
+export const apiKeyService = {
+  getApiKeys: async () => {
+    const response = await api.get('/api-keys');
+    return response.data.data;
+  },
+
+  createApiKey: async ({ name, scopes, expiresAt }) => {
+    const response = await api.post('/api-keys', { name, scopes, expiresAt });
+    return response.data.data;
+  },
+
+  revokeApiKey: async (apiKeyId) => {
+    const response = await api.delete(`/api-keys/${apiKeyId}`);
+    return response.data;
+  },
+};
@@ -0,0 +1,15 @@
+import api from './api';
+
+export const auditService = {
+  getEntries: async (filters = {}) => {
+    const response = await api.get('/audit', { params: filters });
+    return response.data.data;
+  },
+
+  getCampaignActivity: async (campaignId, { page = 1, limit = 20 } = {}) => {
+    const response = await api.get('/audit', {
+      params: { entityType: 'Campaign', entityId: campaignId, page, limit },
+    });
+    return response.data.data;
+  },
+};
@@ -0,0 +1,93 @@
+import api from './api';
+
+export const authService = {
+  register: async (userData) => {
+    const response = await api.post('/auth/register', userData);
+    return response.data;
+  },
+
+  login: async (email, password) => {
+    const response = await api.post('/auth/login', { email, password });
+    return response.data;
+  },
+
+  logout: async () => {
+    const response = await api.post('/auth/logout');
+    return response.data;
+  },
+
+  getCurrentUser: async () => {
+    const response = await api.get('/auth/me');
+    return response.data.data.user;
+  },
+
+  updateProfile: async (profileData) => {
+    const response = await api.put('/auth/profile', profileData);
+    return response.data;
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (token, newPassword) => {
+    const response = await api.post('/auth/reset-password', { token, newPassword });
+    return response.data;
+  },
+
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  verifyTwoFactor: async ({ challengeToken, code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+    return response.data;
+  },
+
+  setupTwoFactor: async (challengeToken) => {
+    const response = await api.post('/auth/2fa/setup', { challengeToken });
+    return response.data.data;
+  },
+
+  enableTwoFactor: async (code, challengeToken) => {
+    const response = await api.post('/auth/2fa/enable', { code, challengeToken });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password, code) => {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data.data.recoveryCodes;
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data.data.sessions;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  revokeAllSessions: async ({ keepCurrent = false } = {}) => {
+    const response = await api.delete('/auth/sessions', { params: { keepCurrent } });
+    return response.data;
+  },
+};
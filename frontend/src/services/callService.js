@@ -0,0 +1,66 @@
+import api from './api';
+
+// Build the multipart body of a CDR import: the file plus campaignId,
+// mapping (Call field -> column), defaults and options
+const importForm = ({ file, mapping, defaults, ...fields }) => {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('mapping', JSON.stringify(mapping));
+  if (defaults) form.append('defaults', JSON.stringify(defaults));
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) form.append(key, value);
+  });
+  return form;
+};
+
+export const callService = {
+  // filters: from, to, campaignId, buyerId, publisherId, status, direction, billable, page, limit
+  getCalls: async (filters = {}) => {
+    const response = await api.get('/calls', { params: filters });
+    return response.data.data;
+  },
+
+  getCall: async (id) => {
+    const response = await api.get(`/calls/${id}`);
+    return response.data.data.call;
+  },
+
+  // Playback link that expires; fetch a fresh one before playing again
+  getRecording: async (id) => {
+    const response = await api.get(`/calls/${id}/recording`);
+    return response.data.data.recording;
+  },
+
+  setLegalHold: async (id, enabled, reason) => {
+    const response = await api.put(`/calls/${id}/recording/legal-hold`, { enabled, reason });
+    return response.data.data.legalHold;
+  },
+
+  // data: file, campaignId, mapping, defaults, format, limit
+  previewImport: async (data) => {
+    const response = await api.post('/calls/imports/preview', importForm(data), {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data.data;
+  },
+
+  // data: file, campaignId, mapping, defaults, format. The import is queued;
+  // poll getImport until its status is completed or failed.
+  importCalls: async (data) => {
+    const response = await api.post('/calls/imports', importForm(data), {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 0,
+    });
+    return response.data.data.import;
+  },
+
+  getImports: async (params = {}) => {
+    const response = await api.get('/calls/imports', { params });
+    return response.data.data;
+  },
+
+  getImport: async (id) => {
+    const response = await api.get(`/calls/imports/${id}`);
+    return response.data.data.import;
+  },
+};
@@ -0,0 +1,55 @@
+import api from './api';
+
+export const campaignService = {
+  getCampaigns: async (filters = {}) => {
+    const response = await api.get('/campaigns', { params: filters });
+    return response.data.data;
+  },
+
+  getCampaign: async (campaignId) => {
+    const response = await api.get(`/campaigns/${campaignId}`);
+    return response.data.data;
+  },
+
+  createCampaign: async (campaignData) => {
+    const response = await api.post('/campaigns', campaignData);
+    return response.data.data.campaign;
+  },
+
+  updateCampaign: async (campaignId, campaignData) => {
+    const response = await api.put(`/campaigns/${campaignId}`, campaignData);
+    return response.data.data.campaign;
+  },
+
+  deleteCampaign: async (campaignId) => {
+    const response = await api.delete(`/campaigns/${campaignId}`);
+    return response.data;
+  },
+
+  // action is one of activate, pause, resume, complete, cancel
+  transitionCampaign: async (campaignId, action, reason) => {
+    const response = await api.post(`/campaigns/${campaignId}/${action}`, { reason });
+    return response.data.data.campaign;
+  },
+
+  getBudget: async (campaignId, params = {}) => {
+    const response = await api.get(`/campaigns/${campaignId}/budget`, { params });
+    return response.data.data;
+  },
+
+  getSchedule: async (campaignId, params = {}) => {
+    const response = await api.get(`/campaigns/${campaignId}/schedule`, { params });
+    return response.data.data;
+  },
+
+  getRuleFirings: async (campaignId, params = {}) => {
+    const response = await api.get(`/campaigns/${campaignId}/optimization/firings`, { params });
+    return response.data.data;
+  },
+
+  // Replays the campaign's rules (or the given ones) over past calls; changes nothing
+  dryRunRules: async (campaignId, options = {}) => {
+    const response = await api.post(`/campaigns/${campaignId}/optimization/dry-run`, options);
+    return response.data.data;
+  },
+};
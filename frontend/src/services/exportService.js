@@ -0,0 +1,59 @@
+import api from './api';
+
+// Save a downloaded file in the browser
+const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const fileNameOf = (response, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(response.headers['content-disposition'] || '');
+  return match ? match[1] : fallback;
+};
+
+export const exportService = {
+  // dataset: calls, campaigns or analytics
+  getColumns: async (dataset, params = {}) => {
+    const response = await api.get(`/exports/${dataset}/columns`, { params });
+    return response.data.data;
+  },
+
+  // params: format, columns (comma-separated ids) and the dataset's list filters.
+  // Saves the file and returns null, or returns the queued job when the
+  // export is too large to stream.
+  download: async (dataset, params = {}) => {
+    const response = await api.get(`/exports/${dataset}`, { params, responseType: 'blob', timeout: 0 });
+    if (response.status === 202) {
+      return JSON.parse(await response.data.text()).data.job;
+    }
+    saveBlob(response.data, fileNameOf(response, `${dataset}.${params.format || 'csv'}`));
+    return null;
+  },
+
+  // data: dataset, format, columns, filters
+  createJob: async (data) => {
+    const response = await api.post('/exports', data);
+    return response.data.data.job;
+  },
+
+  getJobs: async (params = {}) => {
+    const response = await api.get('/exports/jobs', { params });
+    return response.data.data;
+  },
+
+  getJob: async (id) => {
+    const response = await api.get(`/exports/jobs/${id}`);
+    return response.data.data.job;
+  },
+
+  downloadJob: async (job) => {
+    const response = await api.get(`/exports/jobs/${job.id}/download`, { responseType: 'blob', timeout: 0 });
+    saveBlob(response.data, job.fileName);
+  },
+};
@@ -0,0 +1,105 @@
+import { baseURL, tokenStorage, organizationStorage, refreshTokens } from './api';
+
+// Reconnect delays after the stream drops: 1s doubling up to 30s
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Split a Server-Sent Events chunk into complete messages, returning the
+// parsed messages and the unfinished remainder
+const parseMessages = (text) => {
+  const blocks = text.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const messages = blocks.map((block) => {
+    const message = { event: 'message', data: '' };
+    block.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(':')) return;
+      const index = line.indexOf(':');
+      const field = index === -1 ? line : line.slice(0, index);
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+      if (field === 'data') message.data += message.data ? `\n${value}` : value;
+      else message[field] = value;
+    });
+    return message;
+  });
+  return { messages, rest };
+};
+
+// Open GET /events and call onEvent(type, data) for every event until the
+// returned close() is called. EventSource cannot send the Authorization
+// header, so the stream is read with fetch. Drops are retried with backoff,
+// resuming from the last event seen; a 401 refreshes the session first.
+// onStatus receives 'connecting', 'open' or 'closed'.
+export const connectLiveEvents = ({ onEvent, onStatus = () => {} }) => {
+  let controller = null;
+  let closed = false;
+  let lastEventId = null;
+  let retryMs = MIN_RETRY_MS;
+  let timer = null;
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    onStatus('connecting');
+    timer = setTimeout(connect, retryMs);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  };
+
+  const open = () => {
+    const headers = { Accept: 'text/event-stream' };
+    const token = tokenStorage.getAccessToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const organizationId = organizationStorage.get();
+    if (organizationId) headers['X-Organization-Id'] = organizationId;
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+    controller = new AbortController();
+    return fetch(`${baseURL}/events`, { headers, signal: controller.signal, cache: 'no-store' });
+  };
+
+  const connect = async () => {
+    try {
+      let response = await open();
+      if (response.status === 401) {
+        await refreshTokens();
+        response = await open();
+      }
+      if (!response.ok || !response.body) throw new Error(`Live events failed with ${response.status}`);
+
+      onStatus('open');
+      retryMs = MIN_RETRY_MS;
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const { messages, rest } = parseMessages(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+        messages.forEach((message) => {
+          if (message.retry && Number(message.retry) > 0) retryMs = Number(message.retry);
+          if (message.id) lastEventId = message.id;
+          if (!message.data) return;
+          try {
+            onEvent(message.event, JSON.parse(message.data));
+          } catch (error) {
+            console.error('Live event error:', error);
+          }
+        });
+      }
+    } catch (error) {
+      if (closed) return;
+      console.error('Live events error:', error.message);
+    }
+    scheduleReconnect();
+  };
+
+  onStatus('connecting');
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    if (controller) controller.abort();
+    onStatus('closed');
+  };
+};
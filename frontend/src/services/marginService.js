@@ -0,0 +1,13 @@
+import api from './api';
+
+export const marginService = {
+  getReport: async ({ groupBy = 'campaign', ...filters } = {}) => {
+    const response = await api.get('/margins', { params: { groupBy, ...filters } });
+    return response.data.data;
+  },
+
+  getCallMargins: async (filters = {}) => {
+    const response = await api.get('/margins/calls', { params: filters });
+    return response.data.data;
+  },
+};
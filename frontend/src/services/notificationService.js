@@ -0,0 +1,61 @@
+import api from './api';
+
+// Service worker that shows push notifications (public/push-worker.js)
+const PUSH_WORKER_URL = '/push-worker.js';
+
+// VAPID keys are URL-safe base64; the Push API wants the raw bytes
+const decodeKey = (base64) => {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(padded), (char) => char.charCodeAt(0));
+};
+
+export const notificationService = {
+  // params: unread, page, limit
+  getNotifications: async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data.data;
+  },
+
+  markRead: async (notificationId) => {
+    const response = await api.post(`/notifications/${notificationId}/read`);
+    return response.data.data.notification;
+  },
+
+  markAllRead: async () => {
+    const response = await api.post('/notifications/read-all');
+    return response.data.data;
+  },
+
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data.data;
+  },
+
+  // preferences: email, sms, push, events, quietHours, digest
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return response.data.data;
+  },
+
+  isPushSupported: () => 'serviceWorker' in navigator && 'PushManager' in window,
+
+  // Ask for permission, subscribe this browser and register it with the API
+  enablePush: async (publicKey) => {
+    const registration = await navigator.serviceWorker.register(PUSH_WORKER_URL);
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeKey(publicKey),
+    });
+    const response = await api.post('/notifications/push-subscriptions', subscription.toJSON());
+    return response.data;
+  },
+
+  disablePush: async () => {
+    const registration = await navigator.serviceWorker.getRegistration(PUSH_WORKER_URL);
+    const subscription = registration && (await registration.pushManager.getSubscription());
+    if (!subscription) return null;
+    await api.delete('/notifications/push-subscriptions', { data: { endpoint: subscription.endpoint } });
+    await subscription.unsubscribe();
+    return subscription.endpoint;
+  },
+};
@@ -0,0 +1,53 @@
+import api from './api';
+
+export const organizationService = {
+  getOrganizations: async () => {
+    const response = await api.get('/organizations');
+    return response.data.data.organizations;
+  },
+
+  createOrganization: async (name) => {
+    const response = await api.post('/organizations', { name });
+    return response.data.data.organization;
+  },
+
+  getCurrentOrganization: async () => {
+    const response = await api.get('/organizations/current');
+    return response.data.data;
+  },
+
+  updateCurrentOrganization: async (data) => {
+    const response = await api.put('/organizations/current', data);
+    return response.data.data.organization;
+  },
+
+  inviteMember: async (email, role) => {
+    const response = await api.post('/organizations/current/invitations', { email, role });
+    return response.data;
+  },
+
+  cancelInvitation: async (invitationId) => {
+    const response = await api.delete(`/organizations/current/invitations/${invitationId}`);
+    return response.data;
+  },
+
+  acceptInvitation: async (token) => {
+    const response = await api.post('/organizations/invitations/accept', { token });
+    return response.data.data.organization;
+  },
+
+  updateMemberRole: async (userId, role) => {
+    const response = await api.put(`/organizations/current/members/${userId}`, { role });
+    return response.data;
+  },
+
+  removeMember: async (userId) => {
+    const response = await api.delete(`/organizations/current/members/${userId}`);
+    return response.data;
+  },
+
+  setDefaultOrganization: async (organizationId) => {
+    const response = await api.post(`/organizations/${organizationId}/default`);
+    return response.data;
+  },
+};
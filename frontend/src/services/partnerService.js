@@ -0,0 +1,34 @@
+import api from './api';
+
+// Buyers (who pay for calls) and publishers (who are paid for traffic)
+export const partnerService = {
+  getBuyers: async (params = {}) => {
+    const response = await api.get('/buyers', { params });
+    return response.data.data;
+  },
+
+  createBuyer: async (buyerData) => {
+    const response = await api.post('/buyers', buyerData);
+    return response.data.data.buyer;
+  },
+
+  updateBuyer: async (id, buyerData) => {
+    const response = await api.put(`/buyers/${id}`, buyerData);
+    return response.data.data.buyer;
+  },
+
+  getPublishers: async (params = {}) => {
+    const response = await api.get('/publishers', { params });
+    return response.data.data;
+  },
+
+  createPublisher: async (publisherData) => {
+    const response = await api.post('/publishers', publisherData);
+    return response.data.data.publisher;
+  },
+
+  updatePublisher: async (id, publisherData) => {
+    const response = await api.put(`/publishers/${id}`, publisherData);
+    return response.data.data.publisher;
+  },
+};
@@ -0,0 +1,30 @@
+import api from './api';
+
+export const paymentService = {
+  getSubscription: async () => {
+    const response = await api.get('/payments/subscription');
+    return response.data.data;
+  },
+
+  // Returns { url } of the Stripe Checkout page
+  createCheckout: async (plan) => {
+    const response = await api.post('/payments/checkout', { plan });
+    return response.data.data;
+  },
+
+  previewPlanChange: async (plan) => {
+    const response = await api.get('/payments/change-plan/preview', { params: { plan } });
+    return response.data.data;
+  },
+
+  changePlan: async (plan) => {
+    const response = await api.post('/payments/change-plan', { plan });
+    return response.data.data;
+  },
+
+  // Returns { url } of the Stripe billing portal
+  openPortal: async () => {
+    const response = await api.post('/payments/portal');
+    return response.data.data;
+  },
+};
@@ -0,0 +1,8 @@
+import api from './api';
+
+export const usageService = {
+  getUsage: async () => {
+    const response = await api.get('/usage');
+    return response.data.data;
+  },
+};
@@ -0,0 +1,7 @@
+// Format an amount in its currency, e.g. $1,234.50 or ¥1,235. Amounts
+// without a currency are shown as plain numbers rather than as dollars.
+export const formatMoney = (amount, currency) => {
+  if (amount === null || amount === undefined) return '—';
+  if (!currency) return Number(amount).toLocaleString();
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+};